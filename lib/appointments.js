@@ -0,0 +1,203 @@
+import { normalizePatientRecord, PatientError } from './patients.js';
+
+// Appointment rosters. A roster lists upcoming visits, one per row: the
+// patient's name, phone number and date of birth, and the appointment's
+// specialty, provider, date and reason for visit. It is uploaded as CSV (with
+// a header row) or JSON, and each row is stored as an appointments row linked
+// to a patients record (see lib/patients.js), creating the patient when no
+// record with the same name and date of birth exists. Importing the same row
+// again updates the appointment instead of adding a second one.
+//
+// Inbound calls are matched to the caller's next scheduled appointment by
+// phone number (see findNextAppointment), so the greeting and session
+// instructions name the real visit and the conversation is stored against it.
+
+export class AppointmentError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+export const APPOINTMENT_STATUSES = ['scheduled', 'cancelled', 'completed'];
+
+// Header names accepted for each roster column (compared lower-case, with
+// spaces, dashes and dots treated as underscores)
+const COLUMN_ALIASES = {
+    name: ['name', 'patient_name', 'patient', 'full_name'],
+    phone_number: ['phone_number', 'phone', 'mobile', 'telephone'],
+    date_of_birth: ['date_of_birth', 'dob', 'birth_date', 'birthdate'],
+    mrn: ['mrn', 'medical_record_number'],
+    specialty: ['specialty', 'speciality', 'department', 'clinic'],
+    provider: ['provider', 'physician', 'doctor', 'clinician'],
+    date: ['date', 'appointment_date', 'appointment', 'scheduled_for', 'start'],
+    reason: ['reason', 'reason_for_visit', 'visit_reason', 'chief_complaint'],
+    status: ['status']
+};
+
+const columnKey = (header) => {
+    const h = String(header || '').trim().toLowerCase().replace(/[\s.-]+/g, '_');
+    return Object.keys(COLUMN_ALIASES).find(key => COLUMN_ALIASES[key].includes(h)) || null;
+};
+
+// Rows of a CSV document (RFC 4180 quoting: "a, b" and "say ""hi""")
+export const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const s = String(text || '').replace(/^\uFEFF/, '');
+    for (let i = 0; i < s.length; i++) {
+        const c = s[i];
+        if (quoted) {
+            if (c === '"' && s[i + 1] === '"') { field += '"'; i++; }
+            else if (c === '"') quoted = false;
+            else field += c;
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && s[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    if (quoted) throw new AppointmentError(400, 'CSV has an unterminated quoted field');
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(f => f.trim() !== ''));
+};
+
+// Roster entries from a CSV document, keyed by the recognised header names
+export const rosterFromCsv = (text) => {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) throw new AppointmentError(400, 'CSV roster is empty');
+    const keys = header.map(columnKey);
+    const missing = ['name', 'phone_number', 'date_of_birth', 'specialty', 'date'].filter(k => !keys.includes(k));
+    if (missing.length) throw new AppointmentError(400, `CSV roster is missing columns: ${missing.join(', ')}`);
+    return rows.map(cells => Object.fromEntries(keys
+        .map((key, i) => [key, (cells[i] ?? '').trim()])
+        .filter(([key, value]) => key && value !== '')));
+};
+
+// Roster entries from a JSON body: an array, or { appointments: [...] }.
+// Header-style keys ("dob", "reason for visit") are accepted as in CSV.
+export const rosterFromJson = (body) => {
+    const entries = Array.isArray(body) ? body : body?.appointments;
+    if (!Array.isArray(entries)) throw new AppointmentError(400, 'appointments must be an array');
+    return entries.map((entry) => {
+        if (!entry || typeof entry !== 'object') return entry;
+        const out = {};
+        for (const [k, v] of Object.entries(entry)) {
+            const key = columnKey(k);
+            if (key && v !== null && v !== undefined && v !== '') out[key] = typeof v === 'string' ? v.trim() : v;
+        }
+        return out;
+    });
+};
+
+const DATE_ONLY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Validate one roster entry; throws AppointmentError(400) naming the row
+export const normalizeRosterEntry = (entry, index) => {
+    const where = `appointments[${index}]`;
+    if (!entry || typeof entry !== 'object') throw new AppointmentError(400, `${where} must be an object`);
+    let patient;
+    try {
+        patient = normalizePatientRecord(entry, where);
+    } catch (e) {
+        if (e instanceof PatientError) throw new AppointmentError(e.statusCode, e.message);
+        throw e;
+    }
+    if (!patient.phone_number) throw new AppointmentError(400, `${where}.phone_number is required`);
+    if (!entry.specialty) throw new AppointmentError(400, `${where}.specialty is required`);
+    const date = String(entry.date || '').trim();
+    if (!DATE_ONLY_RE.test(date.slice(0, 10)) || Number.isNaN(new Date(date).getTime())) {
+        throw new AppointmentError(400, `${where}.date must be YYYY-MM-DD or an ISO 8601 date-time`);
+    }
+    const status = entry.status ? String(entry.status).toLowerCase() : 'scheduled';
+    if (!APPOINTMENT_STATUSES.includes(status)) {
+        throw new AppointmentError(400, `${where}.status must be one of ${APPOINTMENT_STATUSES.join(', ')}`);
+    }
+    return {
+        patient,
+        appointment: {
+            specialty: String(entry.specialty),
+            provider: entry.provider ? String(entry.provider) : null,
+            date,
+            reason: entry.reason ? String(entry.reason) : null,
+            status
+        }
+    };
+};
+
+const sameName = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// Store a validated roster. Every entry is checked before anything is written.
+export const importRoster = async (storage, entries, { source = null } = {}) => {
+    if (!Array.isArray(entries) || entries.length === 0) throw new AppointmentError(400, 'roster has no appointments');
+    const rows = entries.map(normalizeRosterEntry);
+    const counts = { patients_created: 0, appointments_created: 0, appointments_updated: 0 };
+    const appointments = [];
+    for (const { patient, appointment } of rows) {
+        let record = (await storage.findPatientsByDateOfBirth(patient.date_of_birth)).find(p => sameName(p.name, patient.name));
+        if (!record) {
+            record = await storage.createPatient(patient);
+            counts.patients_created++;
+        } else if (patient.phone_number !== record.phone_number || (patient.mrn && patient.mrn !== record.mrn)) {
+            record = await storage.updatePatient(record.id, { phone_number: patient.phone_number, ...(patient.mrn ? { mrn: patient.mrn } : {}) });
+        }
+        const existing = (await storage.listAppointmentsByPatient(record.id))
+            .find(a => a.date === appointment.date && sameName(a.specialty, appointment.specialty));
+        if (existing) {
+            appointments.push(await storage.updateAppointment(existing.id, { ...appointment, source }));
+            counts.appointments_updated++;
+        } else {
+            appointments.push(await storage.createAppointment({ ...appointment, patient_id: record.id, source }));
+            counts.appointments_created++;
+        }
+    }
+    return { ...counts, appointments };
+};
+
+// YYYY-MM-DD of `now` in the clinic's timezone
+const localDate = (now, timezone) => new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(now);
+
+// True while an appointment is still ahead: all of its day for date-only
+// appointments, otherwise until its start time
+export const isUpcoming = (appointment, { now = new Date(), timezone = 'America/New_York' } = {}) => (DATE_ONLY_RE.test(appointment.date)
+    ? appointment.date >= localDate(now, timezone)
+    : new Date(appointment.date) >= now);
+
+// The earliest scheduled, upcoming appointment of any patient with this phone
+// number, as { appointment, patient }, or null
+export const findNextAppointment = async (storage, phoneNumber, { now = new Date(), timezone } = {}) => {
+    if (!phoneNumber) return null;
+    const patients = await storage.findPatientsByPhone(phoneNumber);
+    let next = null;
+    for (const patient of patients) {
+        for (const appointment of await storage.listAppointmentsByPatient(patient.id)) {
+            if (appointment.status !== 'scheduled' || !isUpcoming(appointment, { now, timezone })) continue;
+            const starts = new Date(DATE_ONLY_RE.test(appointment.date) ? `${appointment.date}T00:00:00Z` : appointment.date);
+            if (!next || starts < next.starts) next = { appointment, patient, starts };
+        }
+    }
+    return next ? { appointment: next.appointment, patient: next.patient } : null;
+};
+
+// The appointment context kept in conversations.metadata.appointment (the
+// same shape outbound campaign calls use, see describeAppointment)
+export const appointmentContext = (appointment) => ({
+    specialty: appointment.specialty,
+    date: appointment.date,
+    provider: appointment.provider || null,
+    reason: appointment.reason || null
+});
@@ -0,0 +1,130 @@
+import crypto from 'crypto';
+
+// Authentication and role-based access control for the /api routes.
+//
+// Callers authenticate with either
+//   - an API key: "X-API-Key: <key>" or "Authorization: Bearer <key>", configured
+//     as API_KEYS="role:key,role:key", or
+//   - an HS256 JWT bearer token signed with JWT_SECRET whose "role" (string) or
+//     "roles" (array) claim names one of the roles below.
+//
+// Each route declares the permission it needs with requirePermission(); a
+// missing or invalid credential is a 401, a valid one without the permission
+// a 403.
+
+export const ROLE_PERMISSIONS = {
+    clinician: ['conversations:read', 'summaries:write', 'deidentified:read', 'campaigns:read', 'live:read', 'patients:read', 'appointments:read', 'recordings:read'],
+    integration: ['conversations:read', 'messages:write', 'extractions:write', 'summaries:write', 'campaigns:read', 'campaigns:write', 'patients:read', 'patients:write', 'appointments:read', 'appointments:write'],
+    research: ['deidentified:read', 'deidentified:export'],
+    admin: ['conversations:read', 'messages:write', 'extractions:write', 'summaries:write', 'conversations:export', 'deidentified:read', 'deidentified:export', 'campaigns:read', 'campaigns:write', 'live:read', 'patients:read', 'patients:write', 'appointments:read', 'appointments:write', 'recordings:read']
+};
+
+export class AuthError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+const sha256 = (s) => crypto.createHash('sha256').update(String(s)).digest();
+
+// "clinician:abc,admin:def" -> [{ role, digest }]
+export const parseApiKeys = (spec = '') => String(spec)
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean)
+    .map((pair) => {
+        const idx = pair.indexOf(':');
+        const role = idx > 0 ? pair.slice(0, idx).trim() : '';
+        const key = idx > 0 ? pair.slice(idx + 1).trim() : '';
+        if (!ROLE_PERMISSIONS[role] || !key) {
+            throw new Error(`Invalid API_KEYS entry "${pair.replace(/:.*/, ':***')}" (expected role:key with role one of ${Object.keys(ROLE_PERMISSIONS).join(', ')})`);
+        }
+        return { role, digest: sha256(key), label: `${role}-key-${sha256(key).toString('hex').slice(0, 8)}` };
+    });
+
+const verifyJwt = (token, { secret, issuer, audience }) => {
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+    const [headerB64, payloadB64, sig] = parts;
+    let header;
+    let claims;
+    try {
+        header = JSON.parse(Buffer.from(headerB64, 'base64url').toString('utf8'));
+        claims = JSON.parse(Buffer.from(payloadB64, 'base64url').toString('utf8'));
+    } catch {
+        throw new AuthError(401, 'Malformed bearer token');
+    }
+    if (header.alg !== 'HS256') throw new AuthError(401, 'Unsupported token algorithm');
+    // Compared as bytes, so a signature with multibyte characters is rejected rather than throwing
+    const given = Buffer.from(sig);
+    const expected = Buffer.from(crypto.createHmac('sha256', secret).update(`${headerB64}.${payloadB64}`).digest('base64url'));
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        throw new AuthError(401, 'Invalid token signature');
+    }
+    const now = Math.floor(Date.now() / 1000);
+    // Tokens must expire: one without exp would stay valid forever if leaked
+    if (typeof claims.exp !== 'number') throw new AuthError(401, 'Token has no expiry');
+    if (claims.exp < now) throw new AuthError(401, 'Token expired');
+    if (typeof claims.nbf === 'number' && claims.nbf > now) throw new AuthError(401, 'Token not yet valid');
+    if (issuer && claims.iss !== issuer) throw new AuthError(401, 'Invalid token issuer');
+    if (audience) {
+        const aud = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+        if (!aud.includes(audience)) throw new AuthError(401, 'Invalid token audience');
+    }
+    const roles = (Array.isArray(claims.roles) ? claims.roles : [claims.role]).filter(r => ROLE_PERMISSIONS[r]);
+    return { id: claims.sub || 'jwt', roles, method: 'jwt' };
+};
+
+export const createAuth = ({ apiKeys = '', jwtSecret, jwtIssuer, jwtAudience, disabled = false } = {}) => {
+    const keys = parseApiKeys(apiKeys);
+    if (!disabled && keys.length === 0 && !jwtSecret) {
+        console.warn('No API_KEYS or JWT_SECRET configured; all /api routes will return 401.');
+    }
+
+    // Resolve the request's principal or throw AuthError(401)
+    const authenticate = (request) => {
+        const apiKeyHeader = request.headers['x-api-key'];
+        const authz = request.headers.authorization || '';
+        const bearer = /^Bearer\s+(.+)$/i.exec(authz)?.[1]?.trim();
+        const credential = apiKeyHeader || bearer;
+        if (!credential) throw new AuthError(401, 'Missing credentials');
+
+        // Three dot-separated segments: treat as a JWT when a secret is configured
+        if (!apiKeyHeader && jwtSecret && credential.split('.').length === 3) {
+            const principal = verifyJwt(credential, { secret: jwtSecret, issuer: jwtIssuer, audience: jwtAudience });
+            if (principal) return principal;
+        }
+
+        const digest = sha256(credential);
+        const match = keys.find(k => crypto.timingSafeEqual(k.digest, digest));
+        if (!match) throw new AuthError(401, 'Invalid credentials');
+        return { id: match.label, roles: [match.role], method: 'api_key' };
+    };
+
+    const can = (principal, permission) => principal.roles.some(r => ROLE_PERMISSIONS[r]?.includes(permission));
+
+    // Fastify preHandler enforcing a single permission; `permission` may be a
+    // function of the request when the route's mode changes what it needs
+    const requirePermission = (permissionOrFn) => async (request, reply) => {
+        if (disabled) return;
+        const permission = typeof permissionOrFn === 'function' ? permissionOrFn(request) : permissionOrFn;
+        let principal;
+        try {
+            principal = authenticate(request);
+        } catch (e) {
+            const status = e instanceof AuthError ? e.statusCode : 401;
+            return reply
+                .status(status)
+                .header('WWW-Authenticate', 'Bearer realm="clinical-avatar"')
+                .send({ error: 'Authentication required', message: e.message });
+        }
+        request.principal = principal;
+        if (!can(principal, permission)) {
+            console.warn('Permission denied', { principal: principal.id, roles: principal.roles, permission, url: request.raw.url });
+            return reply.status(403).send({ error: 'Forbidden', message: `Missing permission "${permission}"`, required: permission });
+        }
+    };
+
+    return { authenticate, can, requirePermission };
+};
@@ -0,0 +1,121 @@
+import { GENERAL_SECTIONS } from './lifecycle.js';
+
+// Where a /coral-stream call is, as a state machine, and the call's event log.
+//
+//   greeting          the stream is up; the greeting has not been spoken yet
+//   awaiting_consent  the greeting asked the caller whether to start
+//   intake            the general intake (after identity verification when it is on)
+//   protocol          a condition-specific protocol (protocols/*.json) is running
+//   review            the caller wants to finish; the collected history is read back
+//   closing           the closing question was asked; the call ends once the
+//                     caller confirms there is nothing else
+//   ended             the call is over or being handed off (intake complete,
+//                     declined, transfer, failed verification, hang-up); nothing
+//                     more is asked
+//
+// Any state may go to ended. Every transition, every scripted assistant line,
+// the caller's consent answer (lib/consent.js) and each barge-in
+// (lib/playback.js) is appended to the event log as
+// { seq, at, type, state, data }, where state is the state after the
+// event. The server persists the log to call_events so a call can be replayed
+// (CallSession.replay) and inspected afterwards.
+
+export const CALL_STATES = ['greeting', 'awaiting_consent', 'intake', 'protocol', 'review', 'closing', 'ended'];
+
+export const CALL_TRANSITIONS = {
+    greeting: ['awaiting_consent'],
+    awaiting_consent: ['intake'],
+    intake: ['protocol', 'review'],
+    protocol: ['review'],
+    review: ['closing'],
+    closing: [],
+    ended: []
+};
+
+export class CallSessionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CallSessionError';
+    }
+}
+
+export class CallSession {
+    // onEvent is called with each event as it is appended
+    constructor({ onEvent = null, now = () => new Date() } = {}) {
+        this.state = 'greeting';
+        this.events = [];
+        this.onEvent = onEvent;
+        this.now = now;
+        this.covered = new Set(); // general intake sections with a value
+    }
+
+    is(...states) {
+        return states.includes(this.state);
+    }
+
+    can(to) {
+        return to === 'ended' ? this.state !== 'ended' : !!CALL_TRANSITIONS[this.state]?.includes(to);
+    }
+
+    // The caller is being wrapped up or the call is over: no more intake questions
+    get wrappingUp() {
+        return this.is('review', 'closing', 'ended');
+    }
+
+    record(type, data = {}) {
+        const event = { seq: this.events.length + 1, at: this.now().toISOString(), type, state: this.state, data };
+        this.events.push(event);
+        this.onEvent?.(event);
+        return event;
+    }
+
+    transition(to, reason = null) {
+        if (!CALL_STATES.includes(to)) throw new CallSessionError(`unknown call state "${to}"`);
+        if (!this.can(to)) throw new CallSessionError(`invalid call transition ${this.state} -> ${to}`);
+        const from = this.state;
+        this.state = to;
+        return this.record('transition', { from, to, reason });
+    }
+
+    // End the call from wherever it is; false when it had already ended
+    end(reason) {
+        if (this.state === 'ended') return false;
+        this.transition('ended', reason);
+        return true;
+    }
+
+    // A scripted line injected into the realtime session
+    line(text, metadata = {}) {
+        return this.record('assistant_line', { text, metadata });
+    }
+
+    // Mark the general sections clinical_data now covers; returns the newly covered ones
+    updateCoverage(clinicalData) {
+        const added = GENERAL_SECTIONS.filter(s => clinicalData?.[s] && !this.covered.has(s));
+        added.forEach(s => this.covered.add(s));
+        return added;
+    }
+
+    coverage() {
+        return Object.fromEntries(GENERAL_SECTIONS.map(s => [s, this.covered.has(s)]));
+    }
+
+    // Rebuild a session from a stored event log (call_events rows or the
+    // events themselves), checking each transition against the state machine
+    static replay(events) {
+        const session = new CallSession();
+        for (const event of [...events].sort((a, b) => a.seq - b.seq)) {
+            if (event.type === 'transition') {
+                const { from, to } = event.data || {};
+                if (from !== session.state) {
+                    throw new CallSessionError(`event ${event.seq}: transition from "${from}" but the call was in "${session.state}"`);
+                }
+                session.transition(to, event.data.reason ?? null);
+            } else {
+                session.record(event.type, event.data);
+            }
+            Object.assign(session.events[session.events.length - 1], { seq: event.seq, at: event.at ?? event.created_at });
+        }
+        return session;
+    }
+}
@@ -0,0 +1,346 @@
+// Outbound pre-appointment call campaigns.
+//
+// A campaign is a list of patients to call, each with appointment context
+// (specialty, date, provider). The scheduler periodically dials due calls
+// through the Twilio REST client, within the campaign's calling hours. Answered
+// calls hit /webhook/voice?outbound_call_id=..., which attaches the
+// appointment to the new conversation and joins the usual /coral-stream flow.
+// Twilio status callbacks record each attempt's outcome; no-answer, busy and
+// failed attempts are retried after retry_delay_minutes until max_attempts.
+// A call still 'calling' after callTimeoutMs (its status callback was lost)
+// is settled by the scheduler: completed if it was answered, otherwise retried
+// with result 'timeout'.
+//
+// outbound_calls.status: pending -> calling -> completed | pending (retry) | exhausted
+// (or cancelled when the campaign is cancelled)
+
+export const DEFAULT_CAMPAIGN_SETTINGS = {
+    max_attempts: 3,
+    retry_delay_minutes: 60,
+    timezone: 'America/New_York',
+    // Local time window and ISO weekdays (1 = Monday ... 7 = Sunday)
+    calling_hours: { start: '09:00', end: '19:00', days: [1, 2, 3, 4, 5] }
+};
+
+// Twilio CallStatus values that end an attempt without reaching the patient,
+// and 'timeout' for an unanswered attempt whose status callback never came
+export const RETRYABLE_RESULTS = ['no-answer', 'busy', 'failed', 'canceled', 'timeout'];
+
+// How long a placed call may go without a status callback (longer than any intake)
+export const DEFAULT_CALL_TIMEOUT_MS = 2 * 60 * 60 * 1000;
+
+export class CampaignError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+const HHMM_RE = /^([01]\d|2[0-4]):([0-5]\d)$/;
+const toMinutes = (hhmm) => {
+    const [, h, m] = HHMM_RE.exec(hhmm);
+    return Number(h) * 60 + Number(m);
+};
+
+// Merge and validate campaign settings; throws CampaignError(400)
+export const normalizeSettings = (settings = {}) => {
+    const merged = {
+        ...DEFAULT_CAMPAIGN_SETTINGS,
+        ...settings,
+        calling_hours: { ...DEFAULT_CAMPAIGN_SETTINGS.calling_hours, ...(settings.calling_hours || {}) }
+    };
+    const { max_attempts, retry_delay_minutes, timezone, calling_hours } = merged;
+    if (!Number.isInteger(max_attempts) || max_attempts < 1 || max_attempts > 10) {
+        throw new CampaignError(400, 'settings.max_attempts must be an integer from 1 to 10');
+    }
+    if (typeof retry_delay_minutes !== 'number' || retry_delay_minutes < 0) {
+        throw new CampaignError(400, 'settings.retry_delay_minutes must be a non-negative number');
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch {
+        throw new CampaignError(400, `Unknown settings.timezone "${timezone}"`);
+    }
+    if (!HHMM_RE.test(calling_hours.start) || !HHMM_RE.test(calling_hours.end)
+        || toMinutes(calling_hours.start) >= toMinutes(calling_hours.end) || toMinutes(calling_hours.end) > 24 * 60) {
+        throw new CampaignError(400, 'settings.calling_hours needs start < end as "HH:MM"');
+    }
+    if (!Array.isArray(calling_hours.days) || !calling_hours.days.length
+        || !calling_hours.days.every(d => Number.isInteger(d) && d >= 1 && d <= 7)) {
+        throw new CampaignError(400, 'settings.calling_hours.days must list ISO weekdays 1-7');
+    }
+    return merged;
+};
+
+const E164_RE = /^\+[1-9]\d{7,14}$/;
+
+// Validate one patient entry from the request body
+export const normalizePatient = (patient, index) => {
+    const where = `patients[${index}]`;
+    if (!patient || typeof patient !== 'object') throw new CampaignError(400, `${where} must be an object`);
+    const phone = String(patient.phone_number || '').replace(/[\s().-]/g, '');
+    if (!E164_RE.test(phone)) throw new CampaignError(400, `${where}.phone_number must be an E.164 number`);
+    const appointment = patient.appointment || {};
+    if (!appointment.specialty || !appointment.date) {
+        throw new CampaignError(400, `${where}.appointment needs specialty and date`);
+    }
+    if (Number.isNaN(new Date(appointment.date).getTime())) {
+        throw new CampaignError(400, `${where}.appointment.date is not a valid date`);
+    }
+    return {
+        phone_number: phone,
+        patient_name: patient.name || null,
+        appointment: {
+            specialty: String(appointment.specialty),
+            date: String(appointment.date),
+            provider: appointment.provider ? String(appointment.provider) : null
+        }
+    };
+};
+
+const WEEKDAYS = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
+const clockFormatters = new Map();
+
+// ISO weekday and minutes past midnight of `date` in `timezone`
+export const localClock = (date, timezone) => {
+    if (!clockFormatters.has(timezone)) {
+        clockFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+        }));
+    }
+    const parts = Object.fromEntries(clockFormatters.get(timezone).formatToParts(date).map(p => [p.type, p.value]));
+    return { day: WEEKDAYS[parts.weekday], minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+};
+
+export const withinCallingHours = (date, settings) => {
+    const { day, minutes } = localClock(date, settings.timezone);
+    const { start, end, days } = settings.calling_hours;
+    return days.includes(day) && minutes >= toMinutes(start) && minutes < toMinutes(end);
+};
+
+// Earliest time at or after `date` that falls inside the calling window
+export const nextCallingTime = (date, settings) => {
+    const STEP_MS = 5 * 60 * 1000;
+    let t = new Date(date);
+    if (withinCallingHours(t, settings)) return t;
+    // Align to a 5-minute boundary, then walk forward (at most 8 days)
+    t = new Date(Math.ceil(t.getTime() / STEP_MS) * STEP_MS);
+    for (let i = 0; i < (8 * 24 * 60) / 5; i++) {
+        if (withinCallingHours(t, settings)) return t;
+        t = new Date(t.getTime() + STEP_MS);
+    }
+    return t;
+};
+
+// "Neurology appointment on Tuesday, March 10 at 2:30 PM with Dr. Lee"
+export const describeAppointment = (appointment, timezone = DEFAULT_CAMPAIGN_SETTINGS.timezone) => {
+    if (!appointment?.specialty) return null;
+    let when = null;
+    if (appointment.date) {
+        const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(appointment.date);
+        const d = new Date(dateOnly ? `${appointment.date}T12:00:00Z` : appointment.date);
+        if (!Number.isNaN(d.getTime())) {
+            when = new Intl.DateTimeFormat('en-US', {
+                timeZone: dateOnly ? 'UTC' : timezone,
+                weekday: 'long',
+                month: 'long',
+                day: 'numeric',
+                ...(dateOnly ? {} : { hour: 'numeric', minute: '2-digit' })
+            }).format(d).replace(/, (\d{1,2}:\d{2})/, ' at $1');
+        }
+    }
+    return [
+        `${appointment.specialty} appointment`,
+        when ? `on ${when}` : null,
+        appointment.provider ? `with ${appointment.provider}` : null
+    ].filter(Boolean).join(' ');
+};
+
+export class CampaignScheduler {
+    constructor({ storage, twilioClient, from, publicBaseUrl, tickMs = 30000, batchSize = 10, callTimeoutMs = DEFAULT_CALL_TIMEOUT_MS } = {}) {
+        this.storage = storage;
+        this.callTimeoutMs = callTimeoutMs;
+        this.twilioClient = twilioClient;
+        this.from = from;
+        this.publicBaseUrl = publicBaseUrl ? publicBaseUrl.replace(/\/+$/, '') : null;
+        this.tickMs = tickMs;
+        this.batchSize = batchSize;
+        this.timer = null;
+        this.ticking = false;
+    }
+
+    // Dialing needs a REST client, a caller id and a public URL for Twilio's callbacks
+    get enabled() {
+        return !!(this.twilioClient && this.from && this.publicBaseUrl);
+    }
+
+    start() {
+        if (!this.enabled || this.timer) return;
+        this.timer = setInterval(() => {
+            this.tick().catch(e => console.error('Campaign tick failed:', e?.message));
+        }, this.tickMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async createCampaign({ name, patients, settings, createdBy } = {}) {
+        if (!name || typeof name !== 'string') throw new CampaignError(400, 'name is required');
+        if (!Array.isArray(patients) || patients.length === 0) throw new CampaignError(400, 'patients must be a non-empty array');
+        const normalizedSettings = normalizeSettings(settings);
+        const rows = patients.map(normalizePatient);
+
+        const campaign = await this.storage.createCampaign({ name, settings: normalizedSettings, created_by: createdBy || null });
+        const firstAttemptAt = nextCallingTime(new Date(), normalizedSettings).toISOString();
+        const calls = await this.storage.addOutboundCalls(rows.map(row => ({
+            ...row,
+            campaign_id: campaign.id,
+            next_attempt_at: firstAttemptAt
+        })));
+        return { campaign, calls };
+    }
+
+    async getCampaign(id) {
+        const campaign = await this.storage.getCampaign(id);
+        if (!campaign) return null;
+        const calls = await this.storage.listOutboundCalls(id);
+        return { campaign, calls };
+    }
+
+    // Stop dialing; calls already ringing finish normally
+    async cancelCampaign(id) {
+        const campaign = await this.storage.getCampaign(id);
+        if (!campaign) return null;
+        for (const call of await this.storage.listOutboundCalls(id)) {
+            if (call.status === 'pending') await this.storage.updateOutboundCall(call.id, { status: 'cancelled' });
+        }
+        await this.storage.updateCampaign(id, { status: 'cancelled' });
+        return this.getCampaign(id);
+    }
+
+    // Dial every due call that is inside its campaign's calling hours, and
+    // settle calls whose status callback is overdue
+    async tick(now = new Date()) {
+        if (!this.enabled || this.ticking) return;
+        this.ticking = true;
+        try {
+            const due = await this.storage.listDueOutboundCalls(now, this.batchSize);
+            const campaigns = new Map();
+            for (const call of due) {
+                if (call.status === 'calling') {
+                    await this.expireCall(call, now);
+                    continue;
+                }
+                if (!campaigns.has(call.campaign_id)) campaigns.set(call.campaign_id, await this.storage.getCampaign(call.campaign_id));
+                const campaign = campaigns.get(call.campaign_id);
+                if (!campaign || campaign.status !== 'active') continue;
+                if (!withinCallingHours(now, campaign.settings)) {
+                    await this.storage.updateOutboundCall(call.id, { next_attempt_at: nextCallingTime(now, campaign.settings).toISOString() });
+                    continue;
+                }
+                await this.dial(call, campaign, now);
+            }
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    async dial(call, campaign, now = new Date()) {
+        const attempt = { call_sid: null, started_at: now.toISOString(), ended_at: null, result: null, duration: null };
+        const attempts = [...(call.attempts || []), attempt];
+        // Claim the call before the REST request so the next tick cannot dial it
+        // twice; next_attempt_at is the deadline for its status callback
+        await this.storage.updateOutboundCall(call.id, {
+            status: 'calling',
+            attempt_count: attempts.length,
+            attempts,
+            next_attempt_at: new Date(now.getTime() + this.callTimeoutMs).toISOString()
+        });
+        try {
+            const qs = `outbound_call_id=${encodeURIComponent(call.id)}`;
+            const created = await this.twilioClient.calls.create({
+                to: call.phone_number,
+                from: this.from,
+                url: `${this.publicBaseUrl}/webhook/voice?${qs}`,
+                method: 'POST',
+                statusCallback: `${this.publicBaseUrl}/webhook/outbound-status?${qs}`,
+                statusCallbackMethod: 'POST',
+                statusCallbackEvent: ['completed']
+            });
+            attempt.call_sid = created.sid;
+            await this.storage.updateOutboundCall(call.id, { attempts });
+            console.log('Outbound call placed', { outboundCallId: call.id, campaignId: campaign.id, callSid: created.sid, attempt: attempts.length });
+        } catch (e) {
+            console.error('Outbound call failed to start:', { outboundCallId: call.id, error: e?.message });
+            await this.recordOutcome(call.id, { CallStatus: 'failed', error: e?.message }, now);
+        }
+    }
+
+    // No status callback came for a placed call: settle it as Twilio would have
+    async expireCall(call, now = new Date()) {
+        const attempt = (call.attempts || []).findLast(a => !a.ended_at);
+        console.warn('Outbound call status callback overdue', { outboundCallId: call.id, callSid: attempt?.call_sid || null });
+        return this.recordOutcome(call.id, { CallSid: attempt?.call_sid || undefined, CallStatus: attempt?.answered ? 'completed' : 'timeout' }, now);
+    }
+
+    // Called from /webhook/voice when an outbound call is answered
+    async markAnswered(outboundCallId, { callSid, conversationId }) {
+        const call = await this.storage.getOutboundCall(outboundCallId);
+        if (!call) return null;
+        const attempts = (call.attempts || []).map(a => (a.call_sid === callSid || (!a.call_sid && !a.ended_at) ? { ...a, call_sid: callSid, answered: true } : a));
+        return this.storage.updateOutboundCall(outboundCallId, { attempts, conversation_id: conversationId || call.conversation_id });
+    }
+
+    // Record a Twilio status callback and decide whether to retry
+    async recordOutcome(outboundCallId, { CallSid, CallStatus, CallDuration, error } = {}, now = new Date()) {
+        const call = await this.storage.getOutboundCall(outboundCallId);
+        if (!call) return null;
+        const result = CallStatus || 'failed';
+        const attempts = [...(call.attempts || [])];
+        const idx = attempts.findLastIndex(a => (CallSid ? a.call_sid === CallSid : !a.ended_at));
+        // A callback for an attempt that already timed out only corrects its record
+        const late = idx >= 0 && !!attempts[idx].ended_at && call.status !== 'calling';
+        if (idx >= 0) {
+            attempts[idx] = {
+                ...attempts[idx],
+                ended_at: now.toISOString(),
+                result,
+                duration: CallDuration != null ? Number(CallDuration) : null,
+                ...(error ? { error } : {})
+            };
+        }
+
+        const patch = { attempts, last_result: result };
+        if (call.status === 'cancelled' || (late && result !== 'completed')) {
+            // Leave cancelled calls, and retries already scheduled, alone
+        } else if (result === 'completed') {
+            patch.status = 'completed';
+        } else if (RETRYABLE_RESULTS.includes(result)) {
+            const campaign = await this.storage.getCampaign(call.campaign_id);
+            const settings = campaign?.settings || DEFAULT_CAMPAIGN_SETTINGS;
+            if (call.attempt_count >= settings.max_attempts || campaign?.status !== 'active') {
+                patch.status = 'exhausted';
+            } else {
+                patch.status = 'pending';
+                const retryAt = new Date(now.getTime() + settings.retry_delay_minutes * 60000);
+                patch.next_attempt_at = nextCallingTime(retryAt, settings).toISOString();
+            }
+        }
+        const updated = await this.storage.updateOutboundCall(outboundCallId, patch);
+        console.log('Outbound call outcome', { outboundCallId, result, status: updated?.status, attempt: call.attempt_count });
+        await this.completeCampaignIfDone(call.campaign_id);
+        return updated;
+    }
+
+    async completeCampaignIfDone(campaignId) {
+        const campaign = await this.storage.getCampaign(campaignId);
+        if (campaign?.status !== 'active') return;
+        const calls = await this.storage.listOutboundCalls(campaignId);
+        if (calls.every(c => ['completed', 'exhausted', 'cancelled'].includes(c.status))) {
+            await this.storage.updateCampaign(campaignId, { status: 'completed' });
+        }
+    }
+}
@@ -0,0 +1,273 @@
+import { toList } from './fhir.js';
+import { describeMedication, nameKey } from './medications.js';
+import { fillTemplate } from './i18n.js';
+import { protocolFieldsOfType } from './protocols.js';
+
+// Versioned history of conversations.clinical_data and detection of
+// contradictions between values reported on the same call.
+//
+// conversations.clinical_data_history = {
+//   fields: { <field>: [ { version, value, status, reason, source_message_id, at, ... } ] },
+//   conflicts: [ { id, field, current_value, conflicting_value, status, ... } ]
+// }
+//
+// Version status is one of:
+//   current     - the value in clinical_data
+//   superseded  - replaced by a correction, a more detailed value or a clarification
+//   conflicting - contradicts the current value; awaiting clarification
+//   rejected    - a conflicting value the caller did not confirm
+//
+// A new value replaces the current one when it adds detail ("headache" ->
+// "headache behind my left eye"), when the caller corrects themselves
+// ("actually it's 500 mg, not 250"), or when it answers a clarifying question
+// about an open conflict. Any other disagreement keeps the current value and
+// opens a conflict so the live session can ask the caller which is right.
+// List fields (medications, allergies, ...) are compared item by item, keyed
+// on the item's first word (or a structured medication's generic name), so
+// adding a new medication is not a conflict but a different dose of the same
+// one is.
+
+// The general intake's list fields; protocols declare theirs (listFields)
+export const LIST_FIELDS = new Set([
+    'symptoms', 'medical_history', 'current_medications', 'allergies', 'family_history', 'social_history'
+]);
+
+// Every list field: the general ones and the protocols' list and medication_list fields
+export const listFields = (protocols = []) => new Set([...LIST_FIELDS, ...protocolFieldsOfType(protocols, 'list', 'medication_list')]);
+
+// Parts of a structured entry that must agree for two entries to be the same
+const STRUCTURED_KEYS = ['dose', 'unit', 'frequency', 'route'];
+
+const CORRECTION_RE = /\b(actually|correction|i meant|i mean|i misspoke|my mistake|rather|instead|no longer|not anymore|switched|changed)\b/i;
+
+// How a field is named in a clarifying question
+const SPOKEN_LABELS = {
+    chief_complaint: 'main concern',
+    current_medications: 'medications',
+    medical_history: 'medical history',
+    pain_level: 'pain level',
+    duration: 'how long this has been going on'
+};
+
+export const spokenLabel = (field) => SPOKEN_LABELS[field] || field.replace(/_/g, ' ');
+
+export const emptyHistory = () => ({ fields: {}, conflicts: [] });
+
+const isEmpty = (v) => v === undefined || v === null
+    || (typeof v === 'string' && v.trim() === '')
+    || (Array.isArray(v) && v.length === 0);
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// Items of a list value; structured entries are kept whole
+const listItems = (v) => (Array.isArray(v) ? v.flatMap(x => (isObject(x) ? [x] : toList(x))) : toList(v));
+
+// Spoken/comparable text of a value
+export const describeValue = (v) => (Array.isArray(v)
+    ? listItems(v).map(describeMedication).join(', ')
+    : describeMedication(v));
+
+const norm = (v) => describeValue(v).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+const sameValue = (a, b) => norm(a) === norm(b);
+const contains = (outer, inner) => ` ${norm(outer)} `.includes(` ${norm(inner)} `);
+const itemKey = (item) => (isObject(item)
+    ? nameKey(item.generic || item.name)
+    : norm(item).split(' ').find(w => /[a-z]/.test(w) && w.length > 2) || norm(item));
+
+const isListField = (lists, field, prev, next) => lists.has(field) || Array.isArray(prev) || Array.isArray(next);
+
+// Keep the representation the field already uses (array or "a, b, c")
+const listValue = (items, like) => (Array.isArray(like) || items.some(isObject) ? items : items.join(', '));
+
+// Combine two structured entries for the same drug. Returns the merged entry
+// and whether any detail (dose, unit, frequency, route) disagrees.
+const combineEntries = (prev, next) => {
+    // The name first heard is kept; details and adherence notes take the newer value
+    const merged = { ...prev };
+    for (const [k, v] of Object.entries(next)) {
+        if (v === null || v === undefined) continue;
+        if (prev[k] === null || prev[k] === undefined || STRUCTURED_KEYS.includes(k) || k === 'adherence') merged[k] = v;
+    }
+    const disagrees = STRUCTURED_KEYS.some(k => prev[k] !== null && prev[k] !== undefined
+        && next[k] !== null && next[k] !== undefined && norm(prev[k]) !== norm(next[k]));
+    return { merged, disagrees };
+};
+
+// Decide what a new value does to a field. Returns
+// { action: 'set' | 'keep' | 'conflict', value, reason, conflictWith? }
+const compare = (field, prev, next, { corrected, clarifying, lists }) => {
+    if (isEmpty(prev)) return { action: 'set', value: next, reason: 'initial' };
+    if (sameValue(prev, next)) return { action: 'keep', value: prev, reason: 'confirmed' };
+
+    if (!isListField(lists, field, prev, next)) {
+        if (clarifying) return { action: 'set', value: next, reason: 'clarified' };
+        if (corrected) return { action: 'set', value: next, reason: 'correction' };
+        if (contains(next, prev)) return { action: 'set', value: next, reason: 'refinement' };
+        if (contains(prev, next)) return { action: 'keep', value: prev, reason: 'less_specific' };
+        return { action: 'conflict', value: next, reason: 'conflict', conflictWith: { current: prev, proposed: next } };
+    }
+
+    const items = listItems(prev);
+    let reason = null;
+    let conflictWith = null;
+    const proposed = [...items];
+    for (const item of listItems(next)) {
+        const i = items.findIndex(p => itemKey(p) === itemKey(item));
+        if (i !== -1 && isObject(items[i]) && isObject(item)) {
+            const { merged, disagrees } = combineEntries(items[i], item);
+            if (JSON.stringify(merged) === JSON.stringify(items[i])) continue;
+            if (!disagrees || clarifying || corrected) {
+                reason = clarifying ? 'clarified' : corrected ? 'correction' : (reason === 'correction' ? reason : 'refinement');
+                items[i] = merged;
+                proposed[i] = merged;
+            } else if (!conflictWith) {
+                conflictWith = { current: items[i], proposed: merged };
+                proposed[i] = merged;
+            }
+            continue;
+        }
+        if (i === -1) {
+            if (!items.some(p => contains(p, item))) {
+                items.push(item);
+                proposed.push(item);
+                reason = reason || 'addition';
+            }
+        } else if (sameValue(items[i], item) || contains(items[i], item)) {
+            continue;
+        } else if (clarifying || corrected || contains(item, items[i])) {
+            reason = clarifying ? 'clarified' : corrected ? 'correction' : (reason === 'correction' ? reason : 'refinement');
+            items[i] = item;
+            proposed[i] = item;
+        } else if (!conflictWith) {
+            conflictWith = { current: items[i], proposed: item };
+            proposed[i] = item;
+        }
+    }
+    if (conflictWith) return { action: 'conflict', value: listValue(proposed, prev), reason: 'conflict', conflictWith, merged: reason ? listValue(items, prev) : null, mergedReason: reason };
+    if (!reason) return { action: 'keep', value: prev, reason: 'confirmed' };
+    return { action: 'set', value: listValue(items, prev), reason };
+};
+
+const addVersion = (versions, entry) => {
+    const version = { version: versions.length + 1, ...entry };
+    versions.push(version);
+    return version;
+};
+
+const supersedeCurrent = (versions, by, at) => {
+    for (const v of versions) {
+        if (v.status === 'current') Object.assign(v, { status: 'superseded', superseded_at: at, superseded_by: by });
+    }
+};
+
+// Merge newly extracted fields into clinical_data, recording every change in
+// the history. Inputs are not modified. Returns
+// { clinicalData, history, changes: { field: reason }, conflicts: [newly opened], resolved: [conflicts closed] }
+// lists is the set of list fields (listFields(protocols)).
+export const mergeClinicalData = ({ clinicalData = {}, history, fields = {}, utterance = '', messageId = null, at = new Date().toISOString(), lists = LIST_FIELDS }) => {
+    const updated = { ...(clinicalData || {}) };
+    const next = history && history.fields ? structuredClone(history) : emptyHistory();
+    next.conflicts = next.conflicts || [];
+    const corrected = CORRECTION_RE.test(utterance || '');
+    const changes = {};
+    const opened = [];
+    const resolved = [];
+
+    for (const [field, value] of Object.entries(fields)) {
+        if (isEmpty(value)) continue;
+        const versions = next.fields[field] || (next.fields[field] = []);
+        const prev = updated[field];
+        // Values recorded before history existed become version 1
+        if (!isEmpty(prev) && !versions.some(v => v.status === 'current')) {
+            addVersion(versions, { value: prev, status: 'current', reason: 'initial', source_message_id: null, at: null });
+        }
+        // An open conflict is answered by a value for the same field (for lists, the same item)
+        const open = next.conflicts.find(c => c.field === field && c.status === 'open'
+            && (!isListField(lists, field, prev, value) || listItems(value).some(item => itemKey(item) === itemKey(c.current_value))));
+        const result = compare(field, prev, value, { corrected, clarifying: !!open, lists });
+        const source = { source_message_id: messageId, at };
+
+        if (result.action === 'set') {
+            const version = addVersion(versions, { value: result.value, status: 'current', reason: result.reason, ...source });
+            supersedeCurrent(versions.filter(v => v !== version), version.version, at);
+            updated[field] = result.value;
+            changes[field] = result.reason;
+        } else if (result.action === 'conflict') {
+            if (result.merged) {
+                const version = addVersion(versions, { value: result.merged, status: 'current', reason: result.mergedReason, ...source });
+                supersedeCurrent(versions.filter(v => v !== version), version.version, at);
+                updated[field] = result.merged;
+            }
+            const version = addVersion(versions, { value: result.value, status: 'conflicting', reason: 'conflict', ...source });
+            const conflict = {
+                id: `${field}-${version.version}`,
+                field,
+                current_value: result.conflictWith.current,
+                conflicting_value: result.conflictWith.proposed,
+                conflicting_version: version.version,
+                status: 'open',
+                detected_at: at,
+                source_message_id: messageId,
+                asked_at: null
+            };
+            next.conflicts.push(conflict);
+            opened.push(conflict);
+            changes[field] = 'conflict';
+        }
+
+        if (open && result.action !== 'conflict') {
+            const current = isListField(lists, field, prev, value)
+                ? listItems(updated[field]).find(item => itemKey(item) === itemKey(open.current_value))
+                : updated[field];
+            const kept = current !== undefined && sameValue(current, open.current_value);
+            for (const v of versions) {
+                if (v.status === 'conflicting') {
+                    Object.assign(v, kept
+                        ? { status: 'rejected', rejected_at: at }
+                        : { status: 'superseded', superseded_at: at, superseded_by: versions[versions.length - 1].version });
+                }
+            }
+            Object.assign(open, { status: 'resolved', resolution: kept ? 'kept_current' : 'replaced', resolved_value: updated[field], resolved_at: at, resolved_by_message_id: messageId });
+            resolved.push(open);
+            changes[field] = 'clarified';
+        }
+    }
+    return { clinicalData: updated, history: next, changes, conflicts: opened, resolved };
+};
+
+// Mark a conflict as asked about (at most one clarifying question per conflict)
+export const markConflictAsked = (history, conflictId, at = new Date().toISOString()) => {
+    const next = structuredClone(history);
+    const conflict = next.conflicts?.find(c => c.id === conflictId);
+    if (conflict) conflict.asked_at = at;
+    return next;
+};
+
+const CLARIFYING_QUESTION = 'Just to make sure I have this right: earlier you mentioned {current} for your {field}, but just now you said {proposed}. Which one is correct?';
+
+// template and label: the question and the field's name in the call's language
+export const clarifyingQuestion = (conflict, { template = CLARIFYING_QUESTION, label = spokenLabel(conflict.field) } = {}) => fillTemplate(template, {
+    current: describeValue(conflict.current_value),
+    field: label,
+    proposed: describeValue(conflict.conflicting_value)
+});
+
+// Replace a field's current value outright (e.g. after the caller spells a
+// drug name), recording the old value as superseded
+export const replaceValue = ({ clinicalData = {}, history, field, value, reason, messageId = null, at = new Date().toISOString() }) => {
+    const next = history && history.fields ? structuredClone(history) : emptyHistory();
+    next.conflicts = next.conflicts || [];
+    const versions = next.fields[field] || (next.fields[field] = []);
+    const prev = clinicalData?.[field];
+    if (!isEmpty(prev) && !versions.some(v => v.status === 'current')) {
+        addVersion(versions, { value: prev, status: 'current', reason: 'initial', source_message_id: null, at: null });
+    }
+    const version = addVersion(versions, { value, status: 'current', reason, source_message_id: messageId, at });
+    supersedeCurrent(versions.filter(v => v !== version), version.version, at);
+    return { clinicalData: { ...(clinicalData || {}), [field]: value }, history: next };
+};
+
+// Every value that is no longer current, oldest first, for exports and review
+export const supersededValues = (history) => Object.entries(history?.fields || {}).flatMap(([field, versions]) => versions
+    .filter(v => v.status === 'superseded' || v.status === 'rejected')
+    .map(v => ({ field, ...v })));
@@ -0,0 +1,30 @@
+import { matchesIntent } from './i18n.js';
+
+// Consent to the intake. The greeting asks the caller whether to begin, and
+// nothing is asked or extracted until they agree. Their answer is stored in
+// conversations.metadata.consent:
+//
+//   { status: 'given' | 'declined', utterance, input, at, prompt_version,
+//     prompt, prompt_text, language, callback_request? }
+//
+// input is 'voice', or 'keypad' when the caller pressed 1 (utterance is then
+// the digits).
+// prompt is the locale line that asked (greeting, greeting_appointment,
+// greeting_inbound_appointment, resume_offer or consent_repeat) and
+// prompt_text the words spoken. Bump CONSENT_PROMPT_VERSION whenever the
+// wording of those lines changes.
+
+export const CONSENT_PROMPT_VERSION = 'consent-v2';
+
+// The caller's answer to the consent question: 'given', 'declined' or
+// 'unclear'. "Not now" (consent_later) always declines; otherwise an answer
+// that both agrees and refuses ("yes, no problem") counts as agreeing. After a
+// resume offer ("Say 'Yes' to continue, or 'No' to start over") a plain "no"
+// means start over, which still agrees to the intake.
+export const consentAnswer = (locale, text, { resumeOffer = false } = {}) => {
+    if (matchesIntent(locale, 'consent_later', text)) return 'declined';
+    const accepts = matchesIntent(locale, 'consent_accept', text)
+        || (resumeOffer && (matchesIntent(locale, 'resume_accept', text) || matchesIntent(locale, 'resume_decline', text)));
+    if (accepts) return 'given';
+    return matchesIntent(locale, 'consent_decline', text) ? 'declined' : 'unclear';
+};
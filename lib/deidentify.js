@@ -0,0 +1,244 @@
+import crypto from 'crypto';
+
+// De-identification for research and QA exports.
+//
+// - Caller phone numbers, CallSids and row ids are replaced with keyed
+//   pseudonyms, so the same patient maps to the same patient_pseudonym across
+//   conversations without revealing the number.
+// - Every timestamp in a conversation is shifted by the same number of days
+//   (derived from the conversation id), keeping intervals intact.
+// - Free text (messages, summary, clinical_data values) is scrubbed of names,
+//   dates of birth, street addresses, phone numbers, emails and SSNs; other
+//   full dates in text are shifted by the conversation's offset.
+//
+// Pseudonyms and offsets are keyed with DEID_SECRET; without it they are only
+// stable for the life of the process.
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const MONTH_RE = '(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)';
+const DATE_PATTERNS = [
+    `\\d{4}-\\d{1,2}-\\d{1,2}`,
+    `\\d{1,2}/\\d{1,2}/\\d{2,4}`,
+    `${MONTH_RE}\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?`,
+    `\\d{1,2}(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_RE},?\\s+\\d{4}`
+];
+const ANY_DATE = `(?:${DATE_PATTERNS.join('|')})`;
+
+const DOB_RE = new RegExp(`\\b(date of birth|birth ?date|birthday|d\\.?o\\.?b\\.?|born(?: on)?)(\\s*(?:is|was|:)?\\s*)(${ANY_DATE}|\\d{4})`, 'gi');
+// E.164 ("+15551234567", as Twilio sends caller ids) or written out ("(555) 123-4567")
+const PHONE_RE = /(?:\+|\b)1?\d{10}\b|(?:\+?1[\s.-]?)?(?:\(\d{3}\)|\b\d{3})[\s.-]?\d{3}[\s.-]?\d{4}\b/g;
+const EMAIL_RE = /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g;
+const SSN_RE = /\b\d{3}-\d{2}-\d{4}\b/g;
+// Street addresses are matched on capitalised street names ("12 Oak Hill Road") so
+// clinical phrases like "2 pills either way" are left alone; lower-case
+// addresses are caught by the "I live at ..." rule instead.
+const STREET_SUFFIX = '(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Circle|Cir|Highway|Hwy|Parkway|Pkwy|Terrace|Trail)';
+const ADDRESS_RE = new RegExp(`\\b\\d{1,6}\\s+(?:(?:[A-Z][a-z]*|\\d+(?:st|nd|rd|th)?)\\.?\\s+){0,3}${STREET_SUFFIX}\\b\\.?(?:,?\\s*(?:Apt|Apartment|Unit|Suite|#)\\s*\\w+)?(?:,?\\s+[A-Z][a-z]+(?:\\s+[A-Z][a-z]+)?)?(?:,?\\s+[A-Z]{2})?(?:\\s+\\d{5}(?:-\\d{4})?)?`, 'g');
+const LIVE_AT_RE = /\b((?:i live at|my address is|address is)\s+)(\d[^.;!?]*)/gi;
+const NAME_WORD = "[A-Z][a-z]+(?:[-'][A-Z]?[a-z]+)?";
+// Name cues are matched case-sensitively on the name itself (transcripts capitalise names)
+const SELF_NAME_RE = new RegExp(`\\b((?:[Mm]y [Nn]ame(?: is|'s)|[Nn]ame is|[Tt]his is|[Cc]all me|I am|I'm)\\s+)(${NAME_WORD}(?:\\s+${NAME_WORD}){0,2})`, 'g');
+const TITLE_NAME_RE = new RegExp(`\\b((?:Dr|Doctor|Mr|Mrs|Ms|Miss|Nurse|Professor)\\.?\\s+)(${NAME_WORD}(?:\\s+${NAME_WORD})?)`, 'g');
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Phone numbers anywhere in a metadata value replaced with [PHONE]
+const maskPhones = (value) => {
+    if (typeof value === 'string') return value.replace(PHONE_RE, '[PHONE]');
+    if (Array.isArray(value)) return value.map(maskPhones);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, maskPhones(v)]));
+    }
+    return value;
+};
+
+export class Deidentifier {
+    constructor({ secret } = {}) {
+        if (!secret) {
+            console.warn('DEID_SECRET is not set; de-identified pseudonyms will change when the server restarts.');
+            secret = crypto.randomBytes(32).toString('hex');
+        }
+        this.secret = secret;
+    }
+
+    hmac(value) {
+        return crypto.createHmac('sha256', this.secret).update(String(value)).digest();
+    }
+
+    // Stable pseudonym for a caller, keyed on their digits-only phone number
+    patientPseudonym(phone) {
+        const digits = String(phone || '').replace(/\D/g, '').replace(/^1(\d{10})$/, '$1');
+        if (!digits) return null;
+        return `pt_${this.hmac(`patient:${digits}`).toString('hex').slice(0, 16)}`;
+    }
+
+    pseudonym(prefix, value) {
+        if (!value) return value;
+        return `${prefix}_${this.hmac(`${prefix}:${value}`).toString('hex').slice(0, 16)}`;
+    }
+
+    // Whole-day offset in [-182, 182] excluding 0, fixed per conversation
+    dateOffsetDays(conversationId) {
+        const n = this.hmac(`shift:${conversationId}`).readUInt32BE(0);
+        const days = (n % 365) - 182;
+        return days === 0 ? 1 : days;
+    }
+
+    shiftTimestamp(value, days) {
+        if (!value) return value;
+        const t = new Date(value);
+        if (Number.isNaN(t.getTime())) return value;
+        return new Date(t.getTime() + days * 86400000).toISOString();
+    }
+
+    // Shift a date written in free text, keeping its original style
+    shiftTextDate(text, days) {
+        const shift = (y, m, d) => {
+            const dt = new Date(Date.UTC(y, m, d) + days * 86400000);
+            return { y: dt.getUTCFullYear(), m: dt.getUTCMonth(), d: dt.getUTCDate() };
+        };
+        let m = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+        if (m) {
+            const r = shift(+m[1], +m[2] - 1, +m[3]);
+            return `${r.y}-${String(r.m + 1).padStart(2, '0')}-${String(r.d).padStart(2, '0')}`;
+        }
+        m = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})$/);
+        if (m) {
+            const year = m[3].length === 2 ? 2000 + +m[3] : +m[3];
+            const r = shift(year, +m[1] - 1, +m[2]);
+            return `${r.m + 1}/${r.d}/${m[3].length === 2 ? String(r.y).slice(-2) : r.y}`;
+        }
+        m = text.match(new RegExp(`^${MONTH_RE}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?$`, 'i'));
+        if (m) {
+            const month = MONTHS.findIndex(name => name.toLowerCase().startsWith(m[1].toLowerCase().slice(0, 3)));
+            const r = shift(m[3] ? +m[3] : new Date().getUTCFullYear(), month, +m[2]);
+            return m[3] ? `${MONTHS[r.m]} ${r.d}, ${r.y}` : `${MONTHS[r.m]} ${r.d}`;
+        }
+        m = text.match(new RegExp(`^(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_RE},?\\s+(\\d{4})$`, 'i'));
+        if (m) {
+            const month = MONTHS.findIndex(name => name.toLowerCase().startsWith(m[2].toLowerCase().slice(0, 3)));
+            const r = shift(+m[3], month, +m[1]);
+            return `${r.d} ${MONTHS[r.m]} ${r.y}`;
+        }
+        return text;
+    }
+
+    // Scrub identifiers from free text; knownNames are redacted wherever they appear
+    scrubText(text, { days = 0, knownNames = [] } = {}) {
+        if (typeof text !== 'string' || !text) return text;
+        let out = text;
+        out = out.replace(DOB_RE, (_, label, sep) => `${label}${sep}[DOB]`);
+        out = out.replace(EMAIL_RE, '[EMAIL]');
+        out = out.replace(SSN_RE, '[SSN]');
+        out = out.replace(PHONE_RE, '[PHONE]');
+        out = out.replace(LIVE_AT_RE, (_, lead) => `${lead}[ADDRESS]`);
+        out = out.replace(ADDRESS_RE, '[ADDRESS]');
+        out = out.replace(SELF_NAME_RE, (_, lead) => `${lead}[NAME]`);
+        out = out.replace(TITLE_NAME_RE, (_, title) => `${title}[NAME]`);
+        for (const name of knownNames.filter(n => n && n.length > 1)) {
+            out = out.replace(new RegExp(`\\b${escapeRe(name)}\\b`, 'gi'), '[NAME]');
+        }
+        if (days) {
+            out = out.replace(new RegExp(`\\b${ANY_DATE}\\b`, 'gi'), (d) => this.shiftTextDate(d, days));
+        }
+        return out;
+    }
+
+    scrubValue(value, opts) {
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T[\d:.]+(Z|[+-]\d{2}:?\d{2})?$/.test(value)) {
+            return this.shiftTimestamp(value, opts?.days || 0);
+        }
+        if (typeof value === 'string') return this.scrubText(value, opts);
+        if (Array.isArray(value)) return value.map(v => this.scrubValue(v, opts));
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, this.scrubValue(v, opts)]));
+        }
+        return value;
+    }
+
+    // clinical_data_history with scrubbed values and pseudonymised message ids
+    scrubHistory(history, opts) {
+        if (!history) return history;
+        const msg = (id) => (id ? this.pseudonym('msg', id) : id);
+        const ids = (entry) => ({
+            ...('source_message_id' in entry ? { source_message_id: msg(entry.source_message_id) } : {}),
+            ...('resolved_by_message_id' in entry ? { resolved_by_message_id: msg(entry.resolved_by_message_id) } : {})
+        });
+        const scrubbed = this.scrubValue(history, opts);
+        return {
+            ...scrubbed,
+            fields: Object.fromEntries(Object.entries(history.fields || {}).map(([field, versions]) => [
+                field,
+                versions.map((v, i) => ({ ...scrubbed.fields[field][i], ...ids(v) }))
+            ])),
+            conflicts: (history.conflicts || []).map((c, i) => ({ ...scrubbed.conflicts[i], ...ids(c) }))
+        };
+    }
+
+    // De-identify one conversation with its messages and extractions
+    conversation(conversation, { messages = [], extractions = [], knownNames = [] } = {}) {
+        const days = this.dateOffsetDays(conversation.id);
+        const conversationPseudonym = this.pseudonym('conv', conversation.id);
+        // Both call parties' numbers (on outbound calls "to" is the patient) and
+        // any other number kept in metadata
+        const metadata = maskPhones({ ...(conversation.metadata || {}) });
+        // An outbound call's patient name is dropped, and redacted wherever it was said
+        const opts = { days, knownNames: [...knownNames, ...String(metadata.patient_name || '').split(/\s+/)] };
+        delete metadata.patient_name;
+        delete metadata.request_info;
+        delete metadata.account_sid;
+        delete metadata.recording;
+        if (metadata.from) metadata.from = '[PHONE]';
+        if (metadata.to) metadata.to = '[PHONE]';
+        // Links between the calls of a resumed intake point at their pseudonyms
+        for (const key of ['resumed_from', 'resumed_by']) {
+            if (metadata[key]) metadata[key] = this.pseudonym('conv', metadata[key]);
+        }
+        if (metadata.resume_offer?.conversation_id) {
+            metadata.resume_offer = { ...metadata.resume_offer, conversation_id: this.pseudonym('conv', metadata.resume_offer.conversation_id) };
+        }
+        if (metadata.identity_verification?.patient_id) {
+            metadata.identity_verification = { ...metadata.identity_verification, patient_id: this.pseudonym('pat', metadata.identity_verification.patient_id) };
+        }
+
+        const deidConversation = {
+            ...conversation,
+            id: conversationPseudonym,
+            call_sid: this.pseudonym('call', conversation.call_sid),
+            phone_number: conversation.phone_number ? '[PHONE]' : conversation.phone_number,
+            patient_pseudonym: this.patientPseudonym(conversation.phone_number),
+            ...(conversation.patient_id !== undefined ? { patient_id: this.pseudonym('pat', conversation.patient_id) } : {}),
+            ...(conversation.appointment_id !== undefined ? { appointment_id: this.pseudonym('appt', conversation.appointment_id) } : {}),
+            started_at: this.shiftTimestamp(conversation.started_at, days),
+            ended_at: this.shiftTimestamp(conversation.ended_at, days),
+            updated_at: this.shiftTimestamp(conversation.updated_at, days),
+            clinical_data: this.scrubValue(conversation.clinical_data || {}, opts),
+            clinical_data_history: this.scrubHistory(conversation.clinical_data_history, opts),
+            summary: this.scrubText(conversation.summary, opts),
+            metadata: this.scrubValue(metadata, opts)
+        };
+
+        const deidMessages = messages.map(m => ({
+            ...m,
+            id: this.pseudonym('msg', m.id),
+            conversation_id: conversationPseudonym,
+            content: this.scrubText(m.content, opts),
+            audio_data: null,
+            timestamp: this.shiftTimestamp(m.timestamp, days),
+            metadata: this.scrubValue(m.metadata || {}, opts)
+        }));
+
+        const deidExtractions = extractions.map(e => ({
+            ...e,
+            id: this.pseudonym('ext', e.id),
+            conversation_id: conversationPseudonym,
+            field_value: this.scrubText(e.field_value, opts),
+            source_message_id: e.source_message_id ? this.pseudonym('msg', e.source_message_id) : e.source_message_id,
+            source_quote: this.scrubText(e.source_quote, opts),
+            extracted_at: this.shiftTimestamp(e.extracted_at, days),
+            metadata: this.scrubValue(e.metadata || {}, opts)
+        }));
+
+        return { conversation: deidConversation, messages: deidMessages, clinical_extractions: deidExtractions };
+    }
+}
@@ -0,0 +1,251 @@
+import { v4 as uuidv4 } from 'uuid';
+import { describeMedication, MEDICATION_FIELDS } from './medications.js';
+import { protocolFieldsOfType } from './protocols.js';
+
+// Build a FHIR R4 Bundle from a conversation's clinical_data and transcript.
+// Everything captured on the call is patient-reported, so Conditions and
+// AllergyIntolerances are marked "unconfirmed" and Observations "preliminary"
+// until a clinician reviews them.
+
+const LOINC = 'http://loinc.org';
+const SNOMED = 'http://snomed.info/sct';
+const CONDITION_CATEGORY = 'http://terminology.hl7.org/CodeSystem/condition-category';
+const CONDITION_CLINICAL = 'http://terminology.hl7.org/CodeSystem/condition-clinical';
+const CONDITION_VERIFICATION = 'http://terminology.hl7.org/CodeSystem/condition-ver-status';
+const ALLERGY_CLINICAL = 'http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical';
+const ALLERGY_VERIFICATION = 'http://terminology.hl7.org/CodeSystem/allergyintolerance-verification';
+const OBSERVATION_CATEGORY = 'http://terminology.hl7.org/CodeSystem/observation-category';
+
+const NO_KNOWN_ALLERGY = /^(none|no known( drug)? allergies|nkda|nka|no allergies|no)$/i;
+
+// Human-readable labels for QuestionnaireResponse items
+const FIELD_LABELS = {
+    chief_complaint: 'Chief complaint',
+    symptoms: 'Symptoms',
+    medical_history: 'Past medical history',
+    current_medications: 'Current medications',
+    allergies: 'Allergies',
+    pain_level: 'Pain level (0-10)',
+    duration: 'Duration of symptoms',
+    family_history: 'Family history',
+    social_history: 'Social history'
+};
+
+const labelFor = (key) => FIELD_LABELS[key]
+    || key.replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase());
+
+// clinical_data values are strings ("a, b and c"), arrays or numbers
+export const toList = (value) => {
+    if (value === undefined || value === null) return [];
+    if (Array.isArray(value)) return value.flatMap(toList);
+    if (typeof value === 'object') return [value.name || value.text || JSON.stringify(value)];
+    return String(value)
+        .split(/[,;]+|\band\b/gi)
+        .map(s => s.trim())
+        .filter(Boolean);
+};
+
+const asText = (value) => {
+    if (Array.isArray(value)) return toList(value).join(', ');
+    if (value && typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+const isStructured = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// List items, keeping structured medication entries whole
+const entriesOf = (value) => (Array.isArray(value)
+    ? value.flatMap(v => (isStructured(v) ? [v] : toList(v)))
+    : toList(value));
+
+const answersFor = (value) => {
+    if (typeof value === 'number') return [Number.isInteger(value) ? { valueInteger: value } : { valueDecimal: value }];
+    if (Array.isArray(value)) return entriesOf(value).map(v => ({ valueString: isStructured(v) ? describeMedication(v) : v }));
+    return [{ valueString: asText(value) }];
+};
+
+const ref = (entry) => ({ reference: entry.fullUrl });
+
+const entryFor = (resource) => {
+    const id = uuidv4();
+    return { fullUrl: `urn:uuid:${id}`, resource: { ...resource, id } };
+};
+
+const patientResource = (conversation) => {
+    const resource = { resourceType: 'Patient', active: true };
+    const phone = conversation.phone_number;
+    if (conversation.patient_pseudonym) {
+        // De-identified export: identify the patient by pseudonym only
+        resource.identifier = [{ system: 'urn:clinical-avatar:patient-pseudonym', value: conversation.patient_pseudonym }];
+    } else if (phone && phone !== 'unknown') {
+        resource.telecom = [{ system: 'phone', value: phone, use: 'mobile' }];
+    }
+    return resource;
+};
+
+const questionnaireResponse = (conversation, messages, patient, authored) => {
+    const clinical = conversation.clinical_data || {};
+    const item = Object.entries(clinical)
+        .filter(([, v]) => v !== null && v !== undefined && v !== '')
+        .map(([key, value]) => ({
+            linkId: key,
+            text: labelFor(key),
+            answer: answersFor(value)
+        }));
+
+    if (messages.length) {
+        item.push({
+            linkId: 'transcript',
+            text: 'Call transcript',
+            item: messages.map((m, i) => ({
+                linkId: `transcript.${i + 1}`,
+                text: m.role === 'user' ? 'Patient' : m.role === 'assistant' ? 'Assistant' : 'System',
+                answer: [{ valueString: m.content }]
+            }))
+        });
+    }
+
+    return {
+        resourceType: 'QuestionnaireResponse',
+        identifier: { system: 'urn:clinical-avatar:conversation', value: conversation.id },
+        status: conversation.status === 'completed' ? 'completed' : conversation.status === 'failed' ? 'stopped' : 'in-progress',
+        subject: ref(patient),
+        source: ref(patient),
+        authored,
+        item
+    };
+};
+
+const conditionResource = (text, category, patient, recordedDate, note) => ({
+    resourceType: 'Condition',
+    clinicalStatus: { coding: [{ system: CONDITION_CLINICAL, code: 'active' }] },
+    verificationStatus: { coding: [{ system: CONDITION_VERIFICATION, code: 'unconfirmed' }] },
+    category: [{ coding: [{ system: CONDITION_CATEGORY, code: category }] }],
+    code: { text },
+    subject: ref(patient),
+    recordedDate,
+    asserter: ref(patient),
+    ...(note ? { note: [{ text: note }] } : {})
+});
+
+// `med` is free text or a structured entry from lib/medications.js
+const medicationStatement = (med, patient, dateAsserted, note) => {
+    const notes = [note, isStructured(med) && med.adherence ? `Adherence: ${med.adherence}` : null].filter(Boolean);
+    const resource = {
+        resourceType: 'MedicationStatement',
+        status: 'active',
+        medicationCodeableConcept: { text: isStructured(med) ? (med.generic || med.name) : med },
+        subject: ref(patient),
+        dateAsserted,
+        informationSource: ref(patient),
+        ...(notes.length ? { note: notes.map(text => ({ text })) } : {})
+    };
+    if (isStructured(med)) {
+        resource.dosage = [{
+            text: describeMedication(med),
+            ...(med.frequency ? { timing: { code: { text: med.frequency } } } : {}),
+            ...(med.route ? { route: { text: med.route } } : {}),
+            ...(typeof med.dose === 'number' ? { doseAndRate: [{ doseQuantity: { value: med.dose, ...(med.unit ? { unit: med.unit } : {}) } }] } : {})
+        }];
+    }
+    return resource;
+};
+
+const allergyResource = (text, patient, recordedDate) => {
+    const noKnown = NO_KNOWN_ALLERGY.test(text.trim());
+    return {
+        resourceType: 'AllergyIntolerance',
+        clinicalStatus: { coding: [{ system: ALLERGY_CLINICAL, code: 'active' }] },
+        verificationStatus: { coding: [{ system: ALLERGY_VERIFICATION, code: 'unconfirmed' }] },
+        code: noKnown
+            ? { coding: [{ system: SNOMED, code: '716186003', display: 'No known allergy' }], text }
+            : { text },
+        patient: ref(patient),
+        recordedDate,
+        asserter: ref(patient)
+    };
+};
+
+const observationResource = (code, value, patient, effective) => {
+    const resource = {
+        resourceType: 'Observation',
+        status: 'preliminary',
+        category: [{ coding: [{ system: OBSERVATION_CATEGORY, code: 'survey' }] }],
+        code,
+        subject: ref(patient),
+        effectiveDateTime: effective,
+        performer: [ref(patient)]
+    };
+    return { ...resource, ...value };
+};
+
+// Pain severity as an integer 0-10 when the caller gave a number, text otherwise
+const painValue = (raw) => {
+    const m = String(raw).match(/\b(10|[0-9])\b/);
+    return m ? { valueInteger: Number(m[1]) } : { valueString: asText(raw) };
+};
+
+// protocols: the loaded intake protocols, whose medication_list fields are
+// exported as MedicationStatements alongside current_medications
+export const buildFhirBundle = ({ conversation, messages = [], protocols = [] }) => {
+    const clinical = conversation.clinical_data || {};
+    const authored = conversation.ended_at || conversation.updated_at || conversation.started_at || new Date().toISOString();
+    const entries = [];
+
+    const patient = entryFor(patientResource(conversation));
+    entries.push(patient);
+
+    entries.push(entryFor(questionnaireResponse(conversation, messages, patient, authored)));
+
+    if (clinical.chief_complaint) {
+        entries.push(entryFor(conditionResource(asText(clinical.chief_complaint), 'encounter-diagnosis', patient, authored, 'Chief complaint reported by patient')));
+    }
+    for (const item of toList(clinical.medical_history)) {
+        entries.push(entryFor(conditionResource(item, 'problem-list-item', patient, authored, 'Past medical history reported by patient')));
+    }
+
+    for (const field of MEDICATION_FIELDS) {
+        for (const med of entriesOf(clinical[field])) {
+            entries.push(entryFor(medicationStatement(med, patient, authored)));
+        }
+    }
+    // A protocol's medications are noted with its condition ("Epilepsy medication")
+    const protocolMedicationFields = new Set(MEDICATION_FIELDS);
+    for (const protocol of protocols) {
+        for (const field of protocolFieldsOfType([protocol], 'medication_list')) {
+            if (protocolMedicationFields.has(field)) continue;
+            protocolMedicationFields.add(field);
+            for (const med of entriesOf(clinical[field])) {
+                entries.push(entryFor(medicationStatement(med, patient, authored, `${protocol.name} medication`)));
+            }
+        }
+    }
+
+    for (const allergy of toList(clinical.allergies)) {
+        entries.push(entryFor(allergyResource(allergy, patient, authored)));
+    }
+
+    if (clinical.seizure_frequency) {
+        entries.push(entryFor(observationResource({ text: 'Seizure frequency' }, { valueString: asText(clinical.seizure_frequency) }, patient, authored)));
+    }
+    if (clinical.seizure_type) {
+        entries.push(entryFor(observationResource({ text: 'Seizure type' }, { valueString: asText(clinical.seizure_type) }, patient, authored)));
+    }
+    if (clinical.pain_level !== undefined && clinical.pain_level !== null && clinical.pain_level !== '') {
+        entries.push(entryFor(observationResource(
+            { coding: [{ system: LOINC, code: '72514-3', display: 'Pain severity - 0-10 verbal numeric rating [Score] - Reported' }], text: 'Pain level' },
+            painValue(clinical.pain_level),
+            patient,
+            authored
+        )));
+    }
+
+    return {
+        resourceType: 'Bundle',
+        id: uuidv4(),
+        type: 'collection',
+        timestamp: new Date().toISOString(),
+        identifier: { system: 'urn:clinical-avatar:conversation', value: conversation.id },
+        entry: entries
+    };
+};
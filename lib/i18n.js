@@ -0,0 +1,98 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Per-language scripted lines and intent patterns, declared as JSON files in
+// locales/ (one per language code). English is the reference: every other
+// locale must provide all of its lines and intents. A locale may add lines
+// English does not need (e.g. "language_switch").
+//
+// A locale also lists common words used to recognise the language from the
+// caller's first utterance, and optional field labels used when a clinical
+// field is named out loud. clinical_data itself is always kept in English.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DEFAULT_LOCALES_DIR = path.join(__dirname, '..', 'locales');
+export const DEFAULT_LANGUAGE = 'en';
+
+const words = (text) => String(text || '').toLowerCase().split(/[^\p{L}']+/u).filter(Boolean);
+
+// Validate a parsed locale and compile its intent patterns
+export const compileLocale = (def, source = 'locale') => {
+    if (!def || typeof def !== 'object') throw new Error(`${source}: definition must be an object`);
+    if (!def.code || typeof def.code !== 'string') throw new Error(`${source}: missing "code"`);
+    if (!def.lines || typeof def.lines !== 'object') throw new Error(`${source}: "lines" must be an object`);
+    const intents = {};
+    for (const [name, pattern] of Object.entries(def.intents || {})) {
+        // Unicode mode so accented letters match as letters (e.g. "adiós")
+        intents[name] = new RegExp(pattern, 'iu');
+    }
+    return {
+        code: def.code,
+        name: def.name || def.code,
+        nameEn: def.name_en || def.name || def.code,
+        sayLanguage: def.say_language || null,
+        // How all-numeric dates are read: 'mdy' (03/05/1980 is March 5) or 'dmy'
+        dateOrder: def.date_order === 'dmy' ? 'dmy' : 'mdy',
+        instructions: Array.isArray(def.instructions) ? def.instructions.join('\n') : (def.instructions || ''),
+        detectWords: new Set((def.detect_words || []).map(w => String(w).toLowerCase())),
+        lines: def.lines,
+        fieldLabels: def.field_labels || {},
+        intents
+    };
+};
+
+// Load the enabled locales, keyed by code, in the order given. English is
+// always loaded since it is the fallback and the reference for validation.
+export const loadLocales = (dir = DEFAULT_LOCALES_DIR, enabled = [DEFAULT_LANGUAGE]) => {
+    const codes = [...new Set([DEFAULT_LANGUAGE, ...enabled])];
+    const locales = {};
+    for (const code of codes) {
+        const file = path.join(dir, `${code}.json`);
+        if (!fs.existsSync(file)) throw new Error(`No locale file for language "${code}" (expected ${file})`);
+        const locale = compileLocale(JSON.parse(fs.readFileSync(file, 'utf8')), `${code}.json`);
+        if (locale.code !== code) throw new Error(`${code}.json: "code" is "${locale.code}"`);
+        locales[code] = locale;
+    }
+    const reference = locales[DEFAULT_LANGUAGE];
+    for (const locale of Object.values(locales)) {
+        const missingLines = Object.keys(reference.lines).filter(k => typeof locale.lines[k] !== 'string');
+        if (missingLines.length) throw new Error(`${locale.code}.json: missing lines ${missingLines.join(', ')}`);
+        const missingIntents = Object.keys(reference.intents).filter(k => !locale.intents[k]);
+        if (missingIntents.length) throw new Error(`${locale.code}.json: missing intents ${missingIntents.join(', ')}`);
+    }
+    return locales;
+};
+
+// Replace {name} placeholders; unknown placeholders are left as they are
+export const fillTemplate = (template, vars = {}) => String(template || '')
+    .replace(/\{(\w+)\}/g, (m, name) => (vars[name] === undefined || vars[name] === null ? m : String(vars[name])));
+
+// A scripted line in the locale's language, or '' when the locale has none
+export const line = (locale, key, vars) => fillTemplate(locale?.lines?.[key] ?? '', vars);
+
+export const matchesIntent = (locale, intent, text) => !!locale?.intents?.[intent]?.test(text || '');
+
+// How a clinical field is named out loud, if the locale has a label for it
+export const fieldLabel = (locale, field) => locale?.fieldLabels?.[field] || null;
+
+// Guess the caller's language from an utterance by counting each locale's
+// common words. Returns a code only when some language clearly beats English;
+// otherwise the fallback (English).
+export const detectLanguage = (locales, text, fallback = DEFAULT_LANGUAGE) => {
+    const tokens = words(text);
+    if (!tokens.length) return fallback;
+    const score = (locale) => tokens.filter(t => locale.detectWords.has(t)).length;
+    const baseline = locales[fallback] ? score(locales[fallback]) : 0;
+    let best = fallback;
+    let bestScore = baseline;
+    for (const locale of Object.values(locales)) {
+        if (locale.code === fallback) continue;
+        const s = score(locale);
+        if (s > bestScore) {
+            best = locale.code;
+            bestScore = s;
+        }
+    }
+    return best;
+};
@@ -0,0 +1,191 @@
+import { editDistance } from './medications.js';
+import { isIsoDate } from './patients.js';
+
+// Caller identity verification before intake. After the caller consents, the
+// assistant asks for their name and then their date of birth, and the pair is
+// matched against patient records (see lib/patients.js). A caller who gives
+// both in one answer is not asked again for the date.
+//
+// Each name + date of birth pair is one attempt. A mismatch starts over from
+// the name until maxAttempts is reached; an unclear date of birth is asked
+// for once more before it counts as a mismatch.
+//
+// Names match when the record's first name and another of its names are
+// among the spoken words, ignoring case and accents and allowing one misheard
+// letter in names of four letters or more. Dates of birth are read from
+// common spoken and written forms ("March 5th, 1980", "5 de marzo de 1980",
+// "03/05/1980"); the numeric day/month order follows the call's locale.
+
+const MONTHS = {
+    january: 1, jan: 1, february: 2, feb: 2, march: 3, mar: 3, april: 4, apr: 4, may: 5, june: 6, jun: 6,
+    july: 7, jul: 7, august: 8, aug: 8, september: 9, sept: 9, sep: 9, october: 10, oct: 10,
+    november: 11, nov: 11, december: 12, dec: 12,
+    enero: 1, febrero: 2, marzo: 3, abril: 4, mayo: 5, junio: 6, julio: 7, agosto: 8,
+    septiembre: 9, setiembre: 9, octubre: 10, noviembre: 11, diciembre: 12
+};
+
+const fold = (s) => String(s || '').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+const pad = (n) => String(n).padStart(2, '0');
+
+const expandYear = (yy, now) => {
+    const n = Number(yy);
+    if (String(yy).length === 4) return n;
+    return n <= now.getFullYear() % 100 ? 2000 + n : 1900 + n;
+};
+
+const toIsoDate = (year, month, day, now) => {
+    const iso = `${year}-${pad(month)}-${pad(day)}`;
+    if (!isIsoDate(iso) || year < 1900 || new Date(iso) > now) return null;
+    return iso;
+};
+
+// Date of birth as YYYY-MM-DD, or null when the text has no unambiguous date.
+// dateOrder ('mdy' or 'dmy') decides how all-numeric dates are read.
+export const parseDateOfBirth = (text, { dateOrder = 'mdy', now = new Date() } = {}) => {
+    const s = fold(text).replace(/(\d+)(?:st|nd|rd|th|ro|do|er|vo|to|o)\b/g, '$1');
+
+    const iso = s.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+    if (iso) return toIsoDate(Number(iso[1]), Number(iso[2]), Number(iso[3]), now);
+
+    const numeric = s.match(/\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})\b/);
+    if (numeric) {
+        const [a, b] = [Number(numeric[1]), Number(numeric[2])];
+        const [month, day] = dateOrder === 'dmy' ? [b, a] : [a, b];
+        return toIsoDate(expandYear(numeric[3], now), month, day, now);
+    }
+
+    const words = s.split(/[^a-z0-9]+/).filter(Boolean);
+    const month = words.map(w => MONTHS[w]).find(Boolean);
+    if (!month) return null;
+    const numbers = words.filter(w => /^\d{1,4}$/.test(w));
+    const year = numbers.find(n => n.length === 4);
+    const others = numbers.filter(n => n !== year && n.length <= 2);
+    if (year && others.length) return toIsoDate(Number(year), month, Number(others[0]), now);
+    if (!year && others.length >= 2) return toIsoDate(expandYear(others[1], now), month, Number(others[0]), now);
+    return null;
+};
+
+const NAME_LEAD_RE = /^(?:(?:yes|yeah|sure|okay|ok|um+|uh+|si|bueno|claro|hi|hello|hola)\b[\s,.!]*)*(?:(?:my (?:full )?name is|my name's|name's|this is|it's|it is|i'm|i am|me llamo|mi nombre es|soy)\s+)?/i;
+// Where a date of birth starts when given in the same answer
+const NAME_END_RE = /\d|\b(?:born|birth|date|dob|nac[ií]|fecha)|\b(?:and|y) (?:my|mi|i|yo)\b/iu;
+
+// The name part of an answer ("My name is Ana García, born ..." -> "Ana García"), or null
+export const parseSpokenName = (text) => {
+    let name = String(text || '').trim().replace(NAME_LEAD_RE, '');
+    const end = name.search(NAME_END_RE);
+    if (end >= 0) name = name.slice(0, end);
+    name = name.replace(/[^\p{L}\s'-]/gu, ' ').replace(/\s+/g, ' ').trim();
+    return /\p{L}/u.test(name) ? name : null;
+};
+
+const nameTokens = (s) => fold(s).split(/[^a-z']+/).filter(Boolean);
+const tokenMatches = (a, b) => a === b || (Math.min(a.length, b.length) >= 4 && editDistance(a, b) <= 1);
+
+// True when the record's first name and one of its other names (a middle name
+// or either of two surnames) were spoken
+export const namesMatch = (recordName, spokenName) => {
+    const [first, ...rest] = nameTokens(recordName);
+    const spoken = nameTokens(spokenName);
+    if (!rest.length || !spoken.length) return false;
+    return spoken.some(t => tokenMatches(first, t)) && rest.some(name => spoken.some(t => tokenMatches(name, t)));
+};
+
+// Per-call verification state. findPatients(dateOfBirth) returns the patient
+// records with that date of birth; expectedPatientId, when the call is already
+// tied to a patient, restricts the match to that record.
+//
+// answer(text) returns what to say next:
+//   ask_dob      - name taken, ask for the date of birth
+//   repeat_name  - no name heard, ask again
+//   repeat_dob   - no date heard, ask again
+//   retry        - no matching record, start over with the name
+//   verified     - matched; this.patient is the record
+//   failed       - no match within maxAttempts
+export class IdentityVerification {
+    constructor({ findPatients, expectedPatientId = null, maxAttempts = 3, dateOrder = 'mdy' } = {}) {
+        this.findPatients = findPatients;
+        this.expectedPatientId = expectedPatientId;
+        this.maxAttempts = maxAttempts;
+        this.dateOrder = dateOrder;
+        this.stage = 'pending'; // pending | name | dob | verified | failed
+        this.attempts = 0;
+        this.name = null;
+        this.patient = null;
+        this.repeated = false;
+    }
+
+    get active() {
+        return this.stage === 'name' || this.stage === 'dob';
+    }
+
+    get finished() {
+        return this.stage === 'verified' || this.stage === 'failed';
+    }
+
+    get verified() {
+        return this.stage === 'verified';
+    }
+
+    // Begin with the name; dateOrder follows the call's language once it is known
+    start({ dateOrder = this.dateOrder } = {}) {
+        this.dateOrder = dateOrder;
+        this.stage = 'name';
+    }
+
+    async answer(text) {
+        if (this.stage === 'name') {
+            this.name = parseSpokenName(text);
+            if (!this.name && !this.repeated) {
+                this.repeated = true;
+                return 'repeat_name';
+            }
+            const dateOfBirth = this.name ? parseDateOfBirth(text, { dateOrder: this.dateOrder }) : null;
+            if (this.name && !dateOfBirth) {
+                this.stage = 'dob';
+                this.repeated = false;
+                return 'ask_dob';
+            }
+            return this.check(dateOfBirth);
+        }
+        if (this.stage === 'dob') {
+            const dateOfBirth = parseDateOfBirth(text, { dateOrder: this.dateOrder });
+            if (!dateOfBirth && !this.repeated) {
+                this.repeated = true;
+                return 'repeat_dob';
+            }
+            return this.check(dateOfBirth);
+        }
+        return null;
+    }
+
+    async check(dateOfBirth) {
+        this.attempts++;
+        this.repeated = false;
+        const candidates = this.name && dateOfBirth ? await this.findPatients(dateOfBirth) : [];
+        const match = candidates.find(p => (!this.expectedPatientId || p.id === this.expectedPatientId) && namesMatch(p.name, this.name));
+        if (match) {
+            this.stage = 'verified';
+            this.patient = match;
+            return 'verified';
+        }
+        this.stage = this.attempts >= this.maxAttempts ? 'failed' : 'name';
+        return this.stage === 'failed' ? 'failed' : 'retry';
+    }
+
+    // Give up without a match, e.g. when patient records cannot be read
+    fail() {
+        this.stage = 'failed';
+    }
+
+    // Outcome stored on the conversation (metadata.identity_verification)
+    record(at = new Date()) {
+        return {
+            status: this.finished ? this.stage : 'in_progress',
+            method: 'name_dob',
+            attempts: this.attempts,
+            max_attempts: this.maxAttempts,
+            patient_id: this.patient?.id || null,
+            at: at.toISOString()
+        };
+    }
+}
@@ -0,0 +1,72 @@
+// Keypad (DTMF) input on the media stream. Twilio sends a "dtmf" event for
+// each key the caller presses; KeypadBuffer collects the keys into an entry,
+// which ends with # or after a pause (* starts the entry over). What an entry
+// means depends on where the call is (keypadMeaning):
+//
+//   consent   1 at the consent question: yes
+//   language  N at the greeting, before the language is known: the Nth
+//             language (the same digits as the keypad language menu)
+//   staff     0: a member of staff, unless a 0 to 10 question was just asked
+//   rating    0 to 10 right after a 0 to 10 question (e.g. pain level)
+//   input     anything else: passed to the model as the caller's answer
+//
+// Entries are saved as user messages with metadata.keypad and fed to the
+// conversation like spoken answers.
+
+export class KeypadBuffer {
+    // onEntry(digits) is called with each finished entry
+    constructor({ gapMs = 2000, onEntry }) {
+        this.gapMs = gapMs;
+        this.onEntry = onEntry;
+        this.digits = '';
+        this.timer = null;
+    }
+
+    press(key) {
+        const k = String(key ?? '');
+        if (!/^[0-9*#]$/.test(k)) return;
+        clearTimeout(this.timer);
+        if (k === '*') {
+            this.digits = '';
+            return;
+        }
+        if (k === '#') {
+            this.flush();
+            return;
+        }
+        this.digits += k;
+        this.timer = setTimeout(() => this.flush(), this.gapMs);
+    }
+
+    flush() {
+        clearTimeout(this.timer);
+        const digits = this.digits;
+        this.digits = '';
+        if (digits) this.onEntry(digits);
+    }
+
+    clear() {
+        clearTimeout(this.timer);
+        this.digits = '';
+    }
+}
+
+// What a keypad entry means: { type, ... } as listed above. languages are
+// the codes the caller can still pick from (empty once the language is known
+// or outside the greeting); scaleQuestion is true when the assistant's last
+// line asked for a number from 0 to 10.
+export const keypadMeaning = (digits, { awaitingConsent = false, languages = [], scaleQuestion = false } = {}) => {
+    if (awaitingConsent && digits === '1') return { type: 'consent' };
+    const n = /^\d{1,2}$/.test(digits) ? Number(digits) : null;
+    if (awaitingConsent && languages.length > 1 && n >= 1 && n <= languages.length) {
+        return { type: 'language', code: languages[n - 1] };
+    }
+    if (scaleQuestion && n !== null && n <= 10) return { type: 'rating', value: n };
+    if (digits === '0') return { type: 'staff' };
+    return { type: 'input' };
+};
+
+// How a keypad entry is put to the realtime model
+export const keypadModelText = (digits, meaning) => (meaning.type === 'rating'
+    ? `Keypad entry: ${digits} (the caller's answer on the 0 to 10 scale)`
+    : `Keypad entry: ${digits}`);
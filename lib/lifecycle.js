@@ -0,0 +1,183 @@
+// How a conversation ends. A conversation is `active` from /webhook/voice until
+// one of these reports closes it:
+//   - the caller confirms there is nothing else after the closing question
+//   - the media stream closes (Twilio "stop", a dropped socket, or a failed
+//     OpenAI session)
+//   - Twilio's status callback reports the call's final status
+//   - the sweeper finds it still active long after its last update
+//
+// The first report sets `status`, `ended_at`, `end_reason` and
+// `incomplete_sections`; later ones only add what they know better (Twilio's
+// call duration and final call status).
+//
+// End reasons and the status they leave the conversation in:
+//   intake_complete  completed  caller confirmed there was nothing else
+//   caller_hangup    completed  caller hung up before the intake finished
+//   transferred      completed  warm-transferred to the on-call clinician or,
+//                               after failed identity verification, to staff
+//   verification_failed
+//                    failed     the caller could not verify their identity
+//   consent_declined completed  the caller declined the intake at the greeting
+//   openai_error     failed     the realtime session failed mid-call
+//   stream_error     failed     the media stream dropped without a "stop"
+//   busy, no_answer, canceled, call_failed
+//                    failed     Twilio could not connect the call
+//   stale            failed     swept while still marked active
+
+export const END_REASONS = {
+    intake_complete: 'completed',
+    caller_hangup: 'completed',
+    transferred: 'completed',
+    verification_failed: 'failed',
+    consent_declined: 'completed',
+    openai_error: 'failed',
+    stream_error: 'failed',
+    busy: 'failed',
+    no_answer: 'failed',
+    canceled: 'failed',
+    call_failed: 'failed',
+    stale: 'failed'
+};
+
+// Final Twilio CallStatus values; anything else (ringing, in-progress, ...) is not an end
+const CALL_STATUS_END_REASONS = {
+    completed: 'caller_hangup',
+    busy: 'busy',
+    'no-answer': 'no_answer',
+    canceled: 'canceled',
+    failed: 'call_failed'
+};
+
+export const endReasonForCallStatus = (callStatus) => CALL_STATUS_END_REASONS[callStatus] || null;
+
+// General intake sections every call should cover
+export const GENERAL_SECTIONS = ['medical_history', 'current_medications', 'allergies'];
+
+const hasValue = (v) => {
+    if (v === undefined || v === null) return false;
+    if (typeof v === 'string') return v.trim() !== '';
+    if (Array.isArray(v)) return v.length > 0;
+    return true;
+};
+
+// Sections with no value in clinical_data: the general ones, then the active
+// protocol's coverage sections as "<protocol>.<section>"
+export const incompleteSections = (clinicalData, protocol = null) => {
+    const data = clinicalData || {};
+    const missing = GENERAL_SECTIONS.filter(field => !hasValue(data[field]));
+    for (const [section, rule] of Object.entries(protocol?.coverage || {})) {
+        if (!rule.fields.some(field => hasValue(data[field]))) missing.push(`${protocol.id}.${section}`);
+    }
+    return missing;
+};
+
+export class ConversationLifecycle {
+    // findProtocol(id) resolves the protocol recorded in conversation metadata;
+    // updateMetadata(id, fn) is the caller's serialised metadata writer;
+    // isLive(id) tells the sweeper which conversations still have a media stream.
+    constructor({ storage, findProtocol = () => null, updateMetadata, isLive = () => false, staleMs = 60 * 60000, sweepMs = 5 * 60000 } = {}) {
+        this.storage = storage;
+        this.findProtocol = findProtocol;
+        this.updateMetadata = updateMetadata;
+        this.isLive = isLive;
+        this.staleMs = staleMs;
+        this.sweepMs = sweepMs;
+        this.pending = new Map(); // conversation_id -> last queued update
+        this.timer = null;
+        this.sweeping = false;
+    }
+
+    start() {
+        if (this.timer || !(this.sweepMs > 0)) return;
+        this.timer = setInterval(() => {
+            this.sweep().catch(e => console.error('Conversation sweep failed:', e?.message));
+        }, this.sweepMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Run updates to one conversation one at a time, so a stream close and a
+    // status callback arriving together cannot both close it
+    queue(conversationId, fn) {
+        const previous = this.pending.get(conversationId) || Promise.resolve();
+        const next = previous.catch(() => {}).then(fn);
+        this.pending.set(conversationId, next);
+        const cleanup = () => { if (this.pending.get(conversationId) === next) this.pending.delete(conversationId); };
+        next.then(cleanup, cleanup);
+        return next;
+    }
+
+    // Close an active conversation. `protocol` (the live session's protocol)
+    // takes precedence over the one recorded in metadata. `durationSeconds`
+    // from Twilio replaces the estimate taken from started_at. Returns the
+    // updated conversation, or null when it does not exist.
+    end(conversationId, { reason, protocol = null, durationSeconds = null, callStatus = null, at = new Date() } = {}) {
+        if (!END_REASONS[reason]) throw new Error(`Unknown end reason "${reason}"`);
+        return this.queue(conversationId, async () => {
+            const conversation = await this.storage.getConversation(conversationId);
+            if (!conversation) return null;
+            const patch = {};
+            if (conversation.status === 'active') {
+                const active = protocol || this.findProtocol(conversation.metadata?.protocol);
+                const started = new Date(conversation.started_at).getTime();
+                Object.assign(patch, {
+                    status: END_REASONS[reason],
+                    ended_at: at.toISOString(),
+                    end_reason: reason,
+                    incomplete_sections: reason === 'intake_complete' ? [] : incompleteSections(conversation.clinical_data, active),
+                    duration_seconds: Number.isFinite(started) ? Math.max(0, Math.round((at.getTime() - started) / 1000)) : null
+                });
+            }
+            if (durationSeconds !== null && Number.isFinite(Number(durationSeconds))) patch.duration_seconds = Number(durationSeconds);
+            const updated = Object.keys(patch).length ? await this.storage.updateConversation(conversationId, patch) : conversation;
+            if (callStatus && this.updateMetadata) await this.updateMetadata(conversationId, () => ({ call_status: callStatus }));
+            if (patch.status) {
+                console.log('Conversation ended', {
+                    conversation_id: conversationId,
+                    status: patch.status,
+                    reason,
+                    incomplete: patch.incomplete_sections
+                });
+            }
+            return updated;
+        });
+    }
+
+    // Twilio status callback: { CallSid, CallStatus, CallDuration }. Returns
+    // the conversation, or null when the call is unknown or still in progress.
+    async recordCallStatus({ CallSid, CallStatus, CallDuration } = {}) {
+        const reason = endReasonForCallStatus(CallStatus);
+        if (!CallSid || !reason) return null;
+        const conversation = await this.storage.getConversationByCallSid(CallSid);
+        if (!conversation) return null;
+        return this.end(conversation.id, {
+            reason,
+            callStatus: CallStatus,
+            durationSeconds: CallDuration !== undefined && CallDuration !== '' ? Number(CallDuration) : null
+        });
+    }
+
+    // Close conversations still active with no update for staleMs
+    async sweep(now = new Date()) {
+        if (this.sweeping) return [];
+        this.sweeping = true;
+        try {
+            const before = new Date(now.getTime() - this.staleMs);
+            const stale = await this.storage.listStaleConversations(before);
+            const ended = [];
+            for (const conversation of stale) {
+                if (this.isLive(conversation.id)) continue;
+                const updated = await this.end(conversation.id, { reason: 'stale', at: now });
+                if (updated) ended.push(updated);
+            }
+            if (ended.length) console.warn('Swept stale conversations', { count: ended.length });
+            return ended;
+        } finally {
+            this.sweeping = false;
+        }
+    }
+}
@@ -0,0 +1,103 @@
+// In-process registry of active /coral-stream sessions and a fan-out of their
+// events, for the clinician monitoring feed (GET /api/live/...).
+//
+// Each session keeps its recent events so a viewer who connects mid-call sees
+// the transcript so far. Event types:
+//   session.started  - call metadata (conversation_id, call_sid, phone_number, ...)
+//   transcript       - a saved message { role, content, metadata, timestamp }
+//   clinical_data    - fields merged by live extraction { fields, clinical_data, changes }
+//   conflict         - a contradicting value was reported, or a conflict was resolved
+//   coverage         - intake coverage changed { general, protocol }
+//   red_flag         - an emergency rule matched { rule, severity, utterance, transfer }
+//   transfer         - warm transfer to the on-call clinician { to, rule, status },
+//                      or to the front desk { to, reason: 'identity_verification' | 'caller_request', status }
+//   language         - the caller's language was recognised { language, source }
+//   translation      - English translation of a saved message { message_id, role, language, translation }
+//   resume           - the caller continued an interrupted intake { resumed_from, clinical_data }
+//   identity         - identity verification finished { status, attempts, patient_id, ... }
+//   consent          - the caller agreed to or declined the intake { status, at, prompt_version }
+//   call_state       - the call moved to another state { from, to, reason } (see call-session.js)
+//   barge_in         - the caller talked over a line, saved as far as they heard it { message_id, content, heard_ms }
+//   session.ended    - the media stream closed
+//
+// State lives in memory, so only calls on this server instance are visible.
+
+export class LiveMonitor {
+    constructor({ historySize = 500 } = {}) {
+        this.historySize = historySize;
+        this.sessions = new Map(); // conversation_id -> session
+        this.subscribers = new Set();
+        this.seq = 0;
+    }
+
+    startSession(info) {
+        const now = new Date().toISOString();
+        const session = {
+            conversation_id: info.conversation_id,
+            call_sid: info.call_sid || null,
+            stream_sid: info.stream_sid || null,
+            phone_number: info.phone_number || null,
+            direction: info.direction || 'inbound',
+            appointment: info.appointment || null,
+            started_at: now,
+            last_event_at: now,
+            protocol: null,
+            coverage: null,
+            events: []
+        };
+        this.sessions.set(session.conversation_id, session);
+        this.publish(session.conversation_id, 'session.started', this.describe(session));
+        return session;
+    }
+
+    // Record and fan out an event for an active session; returns the event
+    publish(conversationId, type, data = {}) {
+        const session = this.sessions.get(conversationId);
+        if (!session) return null;
+        const event = { id: ++this.seq, type, conversation_id: conversationId, at: new Date().toISOString(), data };
+        session.last_event_at = event.at;
+        if (type === 'coverage') {
+            session.coverage = data;
+            session.protocol = data.protocol?.id || session.protocol;
+        }
+        session.events.push(event);
+        if (session.events.length > this.historySize) session.events.shift();
+        for (const sub of this.subscribers) {
+            if (sub.conversationId && sub.conversationId !== conversationId) continue;
+            try { sub.listener(event); } catch (e) { console.warn('Live monitor subscriber failed:', e?.message); }
+        }
+        return event;
+    }
+
+    endSession(conversationId, data = {}) {
+        if (!this.sessions.has(conversationId)) return;
+        this.publish(conversationId, 'session.ended', data);
+        this.sessions.delete(conversationId);
+    }
+
+    isActive(conversationId) {
+        return this.sessions.has(conversationId);
+    }
+
+    // Public view of a session, without its event history
+    describe(session) {
+        const { events, ...rest } = session;
+        return { ...rest, event_count: events.length };
+    }
+
+    listSessions() {
+        return [...this.sessions.values()].map(s => this.describe(s));
+    }
+
+    // Events of an active session, optionally only those after `afterId`
+    history(conversationId, afterId = 0) {
+        return (this.sessions.get(conversationId)?.events || []).filter(e => e.id > afterId);
+    }
+
+    // listener(event) for one conversation, or all when conversationId is null; returns unsubscribe
+    subscribe(conversationId, listener) {
+        const sub = { conversationId, listener };
+        this.subscribers.add(sub);
+        return () => this.subscribers.delete(sub);
+    }
+}
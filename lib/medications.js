@@ -0,0 +1,280 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { fillTemplate } from './i18n.js';
+import { protocolFieldsOfType } from './protocols.js';
+
+// Structured medication capture for current_medications and the medication
+// lists protocols declare (type "medication_list"). Each medication is stored as
+//   { name, generic, drug_class, recognized, dose, unit, frequency, route, adherence }
+// where `name` is what the caller said and `generic` is the normalised name
+// from the bundled drug dictionary (dictionaries/drugs.json). Names that are
+// not in the dictionary are kept with recognized: false so the assistant can
+// ask the caller to spell them.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DEFAULT_DRUG_DICTIONARY_FILE = path.join(__dirname, '..', 'dictionaries', 'drugs.json');
+
+// The general intake's medication field
+export const MEDICATION_FIELDS = ['current_medications'];
+
+// Every medication field: the general one and the protocols' medication lists
+export const medicationFields = (protocols = []) => [...MEDICATION_FIELDS, ...protocolFieldsOfType(protocols, 'medication_list')];
+
+export const nameKey = (s) => String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// Validate a parsed dictionary and index every generic, brand and alias name
+export const compileDrugDictionary = (def, source = 'drugs') => {
+    if (!def || !Array.isArray(def.drugs)) throw new Error(`${source}: "drugs" must be an array`);
+    const index = new Map();
+    const add = (name, drug, match) => {
+        const key = nameKey(name);
+        if (key && !index.has(key)) index.set(key, { generic: drug.generic, drug_class: drug.class || null, match });
+    };
+    def.drugs.forEach((drug, i) => {
+        if (!drug?.generic || typeof drug.generic !== 'string') throw new Error(`${source}: drugs[${i}] missing "generic"`);
+        add(drug.generic, drug, 'generic');
+        for (const brand of drug.brands || []) add(brand, drug, 'brand');
+        for (const alias of drug.aliases || []) add(alias, drug, 'alias');
+    });
+    return { index, size: def.drugs.length };
+};
+
+export const loadDrugDictionary = (file = DEFAULT_DRUG_DICTIONARY_FILE) => {
+    if (!fs.existsSync(file)) {
+        console.warn('Drug dictionary not found:', file);
+        return { index: new Map(), size: 0 };
+    }
+    return compileDrugDictionary(JSON.parse(fs.readFileSync(file, 'utf8')), path.basename(file));
+};
+
+// Levenshtein distance between two strings
+export const editDistance = (a, b) => {
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const cur = [i];
+        for (let j = 1; j <= b.length; j++) {
+            cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        prev = cur;
+    }
+    return prev[b.length];
+};
+
+// { generic, drug_class, match } for a spoken drug name, or null. Trailing
+// words ("Keppra XR tablets") are dropped until a name matches; long names
+// also match with one or two misheard letters.
+export const lookupDrug = (dictionary, name) => {
+    const words = nameKey(name).split(' ').filter(Boolean);
+    if (!words.length || !dictionary?.index) return null;
+    for (let n = words.length; n > 0; n--) {
+        const hit = dictionary.index.get(words.slice(0, n).join(' '));
+        if (hit) return { ...hit };
+    }
+    const key = words[0];
+    if (key.length < 5) return null;
+    const allowed = key.length >= 8 ? 2 : 1;
+    let best = null;
+    for (const [candidate, hit] of dictionary.index) {
+        if (candidate.includes(' ') || Math.abs(candidate.length - key.length) > allowed) continue;
+        const d = editDistance(key, candidate);
+        if (d <= allowed && (!best || d < best.d)) best = { d, hit };
+    }
+    return best ? { ...best.hit, match: 'fuzzy' } : null;
+};
+
+const UNITS = [
+    [/^(mg|milligrams?)$/i, 'mg'],
+    [/^(mcg|micrograms?|ug)$/i, 'mcg'],
+    [/^(g|grams?)$/i, 'g'],
+    [/^(ml|milliliters?|millilitres?)$/i, 'mL'],
+    [/^(units?|iu)$/i, 'units'],
+    [/^puffs?$/i, 'puffs'],
+    [/^(tablets?|pills?|tabs?)$/i, 'tablets'],
+    [/^capsules?$/i, 'capsules'],
+    [/^drops?$/i, 'drops']
+];
+const DOSE_RE = /(\d+(?:\.\d+)?)\s*(mg|milligrams?|mcg|micrograms?|ug|g|grams?|ml|milliliters?|millilitres?|units?|iu|puffs?|tablets?|pills?|tabs?|capsules?|drops?)\b/i;
+
+const FREQUENCIES = [
+    [/\b(twice|two times) (a|per|each) day\b|\btwice daily\b|\bbid\b|\bevery 12 hours\b|\bmorning and (at )?(night|evening|bedtime)\b/i, 'twice daily'],
+    [/\bthree times (a|per|each) day\b|\btid\b|\bevery 8 hours\b/i, 'three times daily'],
+    [/\bfour times (a|per|each) day\b|\bqid\b|\bevery 6 hours\b/i, 'four times daily'],
+    [/\b(once|one time) (a|per|each) day\b|\bonce daily\b|\bdaily\b|\bevery day\b|\bqd\b/i, 'once daily'],
+    [/\b(once a week|weekly|every week)\b/i, 'weekly'],
+    [/\b(once a month|monthly|every month)\b/i, 'monthly'],
+    [/\b(as needed|when needed|if needed|when i need it|prn|as necessary)\b/i, 'as needed'],
+    [/\b(at night|at bedtime|before bed|nightly|every night|qhs)\b/i, 'at bedtime'],
+    [/\b(every morning|in the morning)\b/i, 'every morning']
+];
+const EVERY_N_RE = /\bevery (\d+|two|three|four|six|eight|twelve) (hours|days|weeks|months)\b/i;
+
+const ROUTES = [
+    [/\b(by mouth|orally|oral|po|tablets?|pills?|capsules?)\b/i, 'oral'],
+    [/\b(under the tongue|sublingual)\b/i, 'sublingual'],
+    [/\b(injections?|inject|shots?|subcutaneous(ly)?|sub-?q)\b/i, 'subcutaneous'],
+    [/\b(infusions?|iv|intravenous(ly)?)\b/i, 'intravenous'],
+    [/\b(nasal|nose spray|in the nose)\b/i, 'intranasal'],
+    [/\b(inhaler|inhaled|puffs?)\b/i, 'inhaled'],
+    [/\brectal(ly)?\b/i, 'rectal'],
+    [/\bpatch(es)?\b/i, 'transdermal'],
+    [/\b(cream|ointment|topical(ly)?|gel)\b/i, 'topical']
+];
+
+const ADHERENCE_RE = /\b(?:i\s+)?(miss(?:ed|es|ing)?|forget|forgot|skip(?:ped|s)?|sometimes|stopped|ran out|run out|not taking|haven't been taking|don't always|never miss|rarely miss|without fail)\b[^,;.]*/i;
+
+// Words that start the non-name part of "Keppra 500 mg twice a day"
+const NAME_END_RE = /\s*(\d|\b(once|twice|three|four|every|daily|nightly|at|as|in|by|per|when|if|but|which|mg|sometimes|usually|i|nasal|spray|tablets?|pills?|capsules?|injections?|infusions?|shots?|patch|inhaler|cream)\b)/i;
+const LEAD_RE = /^\s*(i(?:'m| am)? (?:take|taking|on|use|using)|taking|on|and|also|plus|then)\s+/i;
+
+const firstMatch = (table, text) => table.find(([re]) => re.test(text))?.[1] || null;
+
+export const normalizeUnit = (unit) => (unit ? firstMatch(UNITS, String(unit).trim()) || String(unit).trim() : null);
+
+export const normalizeFrequency = (text) => {
+    if (!text) return null;
+    const every = String(text).match(EVERY_N_RE);
+    const known = firstMatch(FREQUENCIES, text);
+    if (known) return known;
+    return every ? `every ${every[1]} ${every[2]}` : null;
+};
+
+export const normalizeRoute = (text) => (text ? firstMatch(ROUTES, text) : null);
+
+// Pull dose, frequency, route and adherence out of free text
+export const parseMedicationText = (text) => {
+    const s = String(text || '').replace(LEAD_RE, '').trim();
+    const end = s.search(NAME_END_RE);
+    const name = (end === -1 ? s : s.slice(0, end)).replace(/[\s,;:.-]+$/, '').trim();
+    const dose = s.match(DOSE_RE);
+    return {
+        name: name || null,
+        dose: dose ? Number(dose[1]) : null,
+        unit: dose ? normalizeUnit(dose[2]) : null,
+        frequency: normalizeFrequency(s),
+        route: normalizeRoute(s),
+        adherence: s.match(ADHERENCE_RE)?.[0].trim() || null
+    };
+};
+
+const toNumber = (v) => {
+    if (typeof v === 'number') return v;
+    const m = String(v ?? '').match(/\d+(?:\.\d+)?/);
+    return m ? Number(m[0]) : null;
+};
+
+// One structured entry from model output (an object or free text), or null without a name
+export const normalizeMedication = (input, dictionary) => {
+    const parsed = parseMedicationText(isObject(input) ? [input.name, input.dose, input.unit, input.frequency, input.route].filter(Boolean).join(' ') : input);
+    const src = isObject(input) ? input : {};
+    const name = String(src.name || src.medication || src.drug || parsed.name || '').trim();
+    if (!name) return null;
+    const doseText = src.dose !== undefined && src.dose !== null ? String(src.dose) : null;
+    const unitInDose = doseText?.match(DOSE_RE)?.[2];
+    const drug = lookupDrug(dictionary, name);
+    return {
+        name,
+        generic: drug?.generic || null,
+        drug_class: drug?.drug_class || null,
+        recognized: !!drug,
+        dose: doseText ? toNumber(doseText) : parsed.dose,
+        unit: normalizeUnit(src.unit || unitInDose) || parsed.unit,
+        frequency: normalizeFrequency(src.frequency) || (src.frequency ? String(src.frequency).trim() : null) || parsed.frequency,
+        route: normalizeRoute(src.route) || (src.route ? String(src.route).trim() : null) || parsed.route,
+        adherence: (src.adherence ? String(src.adherence).trim() : null) || parsed.adherence
+    };
+};
+
+// Does this comma-separated part continue the previous medication ("500 mg", "twice a day")?
+const isContinuation = (part) => part.replace(LEAD_RE, '').search(NAME_END_RE) === 0;
+
+// Structured entries for a medication field value: free text, an array of
+// strings/objects, or a single object. Repeated drugs are merged.
+export const normalizeMedications = (value, dictionary) => {
+    let inputs;
+    if (Array.isArray(value)) {
+        inputs = value.flatMap(v => (isObject(v) ? [v] : splitMedicationText(v)));
+    } else if (isObject(value)) {
+        inputs = [value];
+    } else {
+        inputs = splitMedicationText(value);
+    }
+    const byKey = new Map();
+    for (const input of inputs) {
+        const med = normalizeMedication(input, dictionary);
+        if (!med) continue;
+        const key = nameKey(med.generic || med.name);
+        const seen = byKey.get(key);
+        if (!seen) {
+            byKey.set(key, med);
+        } else {
+            for (const [k, v] of Object.entries(med)) if (seen[k] === null && v !== null) seen[k] = v;
+        }
+    }
+    return [...byKey.values()];
+};
+
+const splitMedicationText = (text) => {
+    const parts = String(text ?? '').split(/[;,]|\band\b(?!\s+(?:at\s+)?(?:night|evening|bedtime))/i).map(p => p.trim()).filter(Boolean);
+    const out = [];
+    for (const part of parts) {
+        if (out.length && isContinuation(part)) out[out.length - 1] += `, ${part}`;
+        else out.push(part);
+    }
+    return out;
+};
+
+const ROUTE_PHRASES = {
+    oral: 'by mouth',
+    sublingual: 'under the tongue',
+    subcutaneous: 'by injection',
+    intravenous: 'by infusion',
+    intranasal: 'as a nasal spray',
+    inhaled: 'inhaled',
+    rectal: 'rectally',
+    transdermal: 'as a patch',
+    topical: 'on the skin'
+};
+
+// "Keppra (levetiracetam) 500 mg twice daily by mouth"; strings are returned as-is
+export const describeMedication = (med) => {
+    if (!isObject(med)) return String(med ?? '');
+    const label = med.generic && nameKey(med.name) !== nameKey(med.generic) ? `${med.name} (${med.generic})` : (med.name || med.generic || '');
+    return [
+        label,
+        med.dose !== null && med.dose !== undefined ? `${med.dose}${med.unit ? ` ${med.unit}` : ''}` : null,
+        med.frequency,
+        med.route ? ROUTE_PHRASES[med.route] || med.route : null
+    ].filter(Boolean).join(' ');
+};
+
+export const describeMedications = (value) => (Array.isArray(value)
+    ? value.map(describeMedication).join('; ')
+    : describeMedication(value));
+
+const SPELLING_QUESTION = 'I want to make sure I have your medication right. Could you spell {name} for me, one letter at a time?';
+
+// template: the question in the call's language, with a {name} placeholder
+export const spellingQuestion = (name, template = SPELLING_QUESTION) => fillTemplate(template, { name });
+
+// "K-E-P-P-R-A" / "k e p p r a" / "K, E, P, P, R, A" -> "keppra"; null when nothing was spelled
+export const parseSpelledWord = (text) => {
+    const runs = String(text || '').match(/\b[a-z](?:[\s.,-]+[a-z]\b){2,}/gi);
+    if (!runs) return null;
+    const longest = runs.sort((a, b) => b.length - a.length)[0];
+    return longest.replace(/[^a-z]/gi, '').toLowerCase();
+};
+
+// The entry with the caller's spelling and the dictionary match for it
+export const respellMedication = (med, spelled, dictionary) => {
+    const drug = lookupDrug(dictionary, spelled);
+    return {
+        ...med,
+        name: spelled.charAt(0).toUpperCase() + spelled.slice(1),
+        generic: drug?.generic || null,
+        drug_class: drug?.drug_class || null,
+        recognized: !!drug,
+        spelled_by_caller: true
+    };
+};
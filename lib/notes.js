@@ -0,0 +1,168 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { describeMedications } from './medications.js';
+
+// Pre-visit notes for the treating clinician, generated from a conversation's
+// clinical_data and transcript. Note templates are declared as JSON files in
+// note-templates/: each lists the note's sections in order (History of Present
+// Illness, Review of Systems, ...) with the clinical_data fields that feed each
+// one and how it should be written.
+//
+// A template may extend another ("extends": "<id>"), adding sections after a
+// named section of the base ("after") or replacing a base section with the
+// same id. A template with "protocol" is the default for conversations in that
+// condition-specific protocol; the one marked "default" is used otherwise.
+//
+// The model returns one text per section and the note is rendered from them in
+// template order. Notes are stored in visit_notes, apart from the transcript in
+// conversations.summary; generating again adds a new version.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DEFAULT_NOTE_TEMPLATES_DIR = path.join(__dirname, '..', 'note-templates');
+
+export const NOTE_MODEL = 'gpt-4o-mini';
+export const NOTE_PROMPT_VERSION = 'previsit-note-v1';
+
+const joinLines = (v) => (Array.isArray(v) ? v.join('\n') : (v || ''));
+
+const compileSection = (s, where) => {
+    if (!s?.id || typeof s.id !== 'string') throw new Error(`${where} missing "id"`);
+    if (!s.title || typeof s.title !== 'string') throw new Error(`${where} missing "title"`);
+    if (s.fields !== undefined && !Array.isArray(s.fields)) throw new Error(`${where} "fields" must be an array`);
+    return { id: s.id, title: s.title, fields: s.fields || [], instructions: joinLines(s.instructions) };
+};
+
+// Validate a parsed template definition. base is the compiled template named
+// by "extends".
+export const compileNoteTemplate = (def, source = 'note-template', base = null) => {
+    if (!def || typeof def !== 'object') throw new Error(`${source}: definition must be an object`);
+    if (!def.id || typeof def.id !== 'string') throw new Error(`${source}: missing "id"`);
+    if (def.extends && !base) throw new Error(`${source}: extends unknown template "${def.extends}"`);
+    if (!Array.isArray(def.sections) || (!base && def.sections.length === 0)) {
+        throw new Error(`${source}: "sections" must be a non-empty array`);
+    }
+
+    const sections = base ? [...base.sections] : [];
+    def.sections.forEach((s, i) => {
+        const section = compileSection(s, `${source}: sections[${i}]`);
+        const existing = sections.findIndex(x => x.id === section.id);
+        if (existing >= 0 && base?.sections.some(x => x.id === section.id)) {
+            sections[existing] = section;
+            return;
+        }
+        if (existing >= 0) throw new Error(`${source}: sections[${i}] duplicate id "${section.id}"`);
+        if (s.after) {
+            const at = sections.findIndex(x => x.id === s.after);
+            if (at < 0) throw new Error(`${source}: sections[${i}] placed after unknown section "${s.after}"`);
+            sections.splice(at + 1, 0, section);
+        } else {
+            sections.push(section);
+        }
+    });
+
+    return {
+        id: def.id,
+        name: def.name || base?.name || def.id,
+        protocol: def.protocol || null,
+        isDefault: def.default === true,
+        instructions: def.instructions ? joinLines(def.instructions) : (base?.instructions || ''),
+        sections
+    };
+};
+
+// Load every *.json template in a directory, sorted by file name; base
+// templates are compiled before the ones extending them
+export const loadNoteTemplates = (dir = DEFAULT_NOTE_TEMPLATES_DIR) => {
+    if (!fs.existsSync(dir)) {
+        console.warn('Note templates directory not found:', dir);
+        return [];
+    }
+    const pending = fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()
+        .map(file => ({ file, def: JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')) }));
+    const templates = [];
+    while (pending.length) {
+        const ready = pending.findIndex(({ def }) => !def?.extends || templates.some(t => t.id === def.extends)
+            || !pending.some(p => p.def?.id === def.extends));
+        const { file, def } = pending.splice(ready, 1)[0];
+        const template = compileNoteTemplate(def, file, def?.extends ? templates.find(t => t.id === def.extends) : null);
+        if (templates.some(t => t.id === template.id)) throw new Error(`${file}: duplicate note template id "${template.id}"`);
+        templates.push(template);
+    }
+    return templates;
+};
+
+// The template for a conversation: the one for its protocol, else the default
+export const noteTemplateFor = (templates, conversation) => (
+    templates.find(t => t.protocol && t.protocol === conversation?.metadata?.protocol)
+    || templates.find(t => t.isDefault)
+    || templates[0]
+    || null
+);
+
+// Medication lists are the structured arrays (one object per medication)
+const valueText = (value) => {
+    if (Array.isArray(value) && value.some(v => v && typeof v === 'object')) return describeMedications(value);
+    if (Array.isArray(value)) return value.map(valueText).join(', ');
+    if (value && typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+const hasValue = (v) => v !== null && v !== undefined && v !== '' && !(Array.isArray(v) && v.length === 0);
+
+// Prompt asking for the note as { "<section id>": "<text>" }. transcript is a
+// list of { role, content } in English (translations of other languages).
+export const buildNotePrompt = (template, { clinicalData = {}, transcript = [], appointment = null } = {}) => {
+    const data = clinicalData || {};
+    const used = new Set();
+    const sectionLines = template.sections.map((s) => {
+        const facts = s.fields.filter(f => hasValue(data[f])).map((f) => {
+            used.add(f);
+            return `  - ${f}: ${valueText(data[f])}`;
+        });
+        return [
+            `- "${s.id}" (${s.title}): ${s.instructions}`,
+            ...(facts.length ? facts : ['  - (no extracted data)'])
+        ].join('\n');
+    });
+    const other = Object.keys(data).filter(f => !used.has(f) && hasValue(data[f]));
+
+    return [
+        `PRE-VISIT NOTE (${template.name})`,
+        template.instructions,
+        appointment?.specialty
+            ? `The visit: ${appointment.specialty}${appointment.provider ? ` with ${appointment.provider}` : ''} on ${appointment.date}${appointment.reason ? `, scheduled for: ${appointment.reason}` : ''}.`
+            : null,
+        'Write each section below from the extracted clinical data listed under it, using the transcript for detail and context. If the transcript corrects the data, follow the transcript.',
+        'Return a JSON object whose keys are the section ids and whose values are the section text (plain text, no headings).',
+        '',
+        'SECTIONS:',
+        ...sectionLines,
+        ...(other.length ? ['', 'OTHER EXTRACTED DATA:', ...other.map(f => `- ${f}: ${valueText(data[f])}`)] : []),
+        '',
+        'TRANSCRIPT:',
+        ...transcript.map(m => `${m.role === 'user' ? 'Patient' : 'Assistant'}: ${m.content}`)
+    ].filter(l => l !== null).join('\n');
+};
+
+// Section texts from the model's JSON reply, in template order
+export const parseNoteSections = (template, content) => {
+    let parsed;
+    try {
+        parsed = JSON.parse(content);
+    } catch {
+        throw new Error('note model did not return JSON');
+    }
+    const texts = parsed?.sections && typeof parsed.sections === 'object' ? parsed.sections : parsed;
+    return template.sections.map(s => ({
+        id: s.id,
+        title: s.title,
+        text: typeof texts?.[s.id] === 'string' && texts[s.id].trim() ? texts[s.id].trim() : 'Not reported.'
+    }));
+};
+
+// Plain-text note with one headed block per section
+export const renderNote = (template, sections) => [
+    template.name.toUpperCase(),
+    ...sections.map(s => `\n${s.title}:\n${s.text}`)
+].join('\n');
@@ -0,0 +1,40 @@
+// Patient records used to confirm a caller's identity (see lib/identity.js).
+// A record holds the name and date of birth the caller must give, and
+// optionally their phone number and medical record number.
+
+export class PatientError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+const E164_RE = /^\+[1-9]\d{7,14}$/;
+const ISO_DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// True for a real calendar date written YYYY-MM-DD
+export const isIsoDate = (s) => {
+    const m = ISO_DATE_RE.exec(String(s || ''));
+    if (!m) return false;
+    const d = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+    return d.getUTCFullYear() === Number(m[1]) && d.getUTCMonth() === Number(m[2]) - 1 && d.getUTCDate() === Number(m[3]);
+};
+
+// Validate a patient record from a request body; throws PatientError(400)
+export const normalizePatientRecord = (patient, where = 'patient') => {
+    if (!patient || typeof patient !== 'object') throw new PatientError(400, `${where} must be an object`);
+    const name = String(patient.name || '').trim().replace(/\s+/g, ' ');
+    if (name.split(' ').length < 2) throw new PatientError(400, `${where}.name needs a first and last name`);
+    const dateOfBirth = String(patient.date_of_birth || '').trim();
+    if (!isIsoDate(dateOfBirth) || new Date(dateOfBirth) > new Date()) {
+        throw new PatientError(400, `${where}.date_of_birth must be a past date as YYYY-MM-DD`);
+    }
+    const phone = patient.phone_number ? String(patient.phone_number).replace(/[\s().-]/g, '') : null;
+    if (phone && !E164_RE.test(phone)) throw new PatientError(400, `${where}.phone_number must be an E.164 number`);
+    return {
+        name,
+        date_of_birth: dateOfBirth,
+        phone_number: phone,
+        mrn: patient.mrn ? String(patient.mrn) : null
+    };
+};
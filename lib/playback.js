@@ -0,0 +1,198 @@
+import { estimateSpeechMs } from './red-flags.js';
+
+// What the caller has heard of the assistant's audio. Twilio plays the audio
+// relayed from the realtime session (response.audio.delta) in order and in
+// real time, so each response is placed on the stream clock: it starts when
+// its first audio is sent, or once the audio queued before it has played,
+// and lasts as long as the audio sent for it (8 kHz µ-law, 8 bytes per ms).
+//
+// The stream clock is the latest Twilio media timestamp (Twilio sends the
+// caller's audio every 20 ms for the whole call); before the first one
+// arrives, the time since the stream opened.
+//
+// Once a response's audio has all been sent, the server sends Twilio a mark
+// named after its item (markFor). Twilio sends the mark back when the audio
+// before it has played, which confirms the caller heard the response
+// (markPlayed). Until then the response counts as still playing.
+//
+// When the caller starts speaking over queued audio (barge-in), interrupt()
+// says how much of each unplayed response was heard, so the server can clear
+// Twilio's buffer, truncate the realtime items and cut the saved lines down
+// to what the caller heard.
+
+const BYTES_PER_MS = 8;
+// Less audio than this still to play is let play out: the caller has heard
+// all but the end of the line
+export const MIN_INTERRUPT_MS = 200;
+
+// The part of a line heard after heardMs of its totalMs of audio, cut at a
+// word boundary
+export const heardPart = (text, heardMs, totalMs) => {
+    const words = String(text || '').split(/\s+/).filter(Boolean);
+    if (!(totalMs > 0) || heardMs >= totalMs) return words.join(' ');
+    return words.slice(0, Math.floor(words.length * Math.max(0, heardMs) / totalMs)).join(' ');
+};
+
+export class PlaybackTracker {
+    constructor({ now = null, minInterruptMs = MIN_INTERRUPT_MS } = {}) {
+        const startedAt = Date.now();
+        this.wallClock = now || (() => Date.now() - startedAt);
+        this.minInterruptMs = minInterruptMs;
+        this.mediaMs = null; // latest Twilio media timestamp
+        this.queue = []; // responses with audio, in playback order
+        this.responses = new Map(); // response_id -> { id, itemId, start, sentMs, done, mark, lines }, until played
+        this.marks = new Map(); // mark name -> response, until Twilio sends it back
+        this.interrupted = new Map(); // response_id -> what was heard of it, once interrupted
+        this.unvoiced = []; // scripted lines saved before the response that speaks them
+    }
+
+    now() {
+        return this.mediaMs ?? this.wallClock();
+    }
+
+    // A Twilio media frame's timestamp (ms since the stream started)
+    media(timestampMs) {
+        const ms = Number(timestampMs);
+        if (Number.isFinite(ms) && ms >= (this.mediaMs ?? 0)) this.mediaMs = ms;
+    }
+
+    response(responseId) {
+        const id = responseId || 'unknown';
+        if (!this.responses.has(id)) this.responses.set(id, { id, itemId: null, start: null, sentMs: 0, done: false, mark: null, lines: [] });
+        return this.responses.get(id);
+    }
+
+    // An assistant line about to be saved. Each scripted line is spoken by
+    // the next response created; transcribed lines by the response that
+    // produced them (if it has not finished playing). Returns a function to
+    // call with the saved message.
+    expectLine(responseId = null) {
+        let resolve;
+        const line = new Promise(r => { resolve = r; });
+        if (!responseId) this.unvoiced.push(line);
+        else if (this.responses.has(responseId)) this.responses.get(responseId).lines.push(line);
+        return resolve;
+    }
+
+    responseCreated(responseId) {
+        const line = this.unvoiced.shift();
+        if (line) this.response(responseId).lines.push(line);
+    }
+
+    // Audio (base64 µ-law) for a response; false when the response was
+    // interrupted and its audio is no longer to be played
+    audio(responseId, itemId, payload) {
+        if (this.interrupted.has(responseId || 'unknown')) return false;
+        const response = this.response(responseId);
+        if (itemId) response.itemId = itemId;
+        if (response.start === null) {
+            const last = this.queue[this.queue.length - 1];
+            response.start = Math.max(this.now(), last ? last.start + last.sentMs : 0);
+            this.queue.push(response);
+        }
+        response.sentMs += Buffer.from(payload || '', 'base64').length / BYTES_PER_MS;
+        return true;
+    }
+
+    responseDone(responseId) {
+        const response = this.responses.get(responseId || 'unknown');
+        if (response) response.done = true;
+        if (response && response.start === null) this.responses.delete(response.id);
+    }
+
+    // The name of the mark to send Twilio after a finished response's audio,
+    // or null when it had no audio or was interrupted
+    markFor(responseId) {
+        const response = this.responses.get(responseId || 'unknown');
+        if (!response?.done || response.start === null || response.mark) return null;
+        response.mark = response.itemId || response.id;
+        this.marks.set(response.mark, response);
+        return response.mark;
+    }
+
+    // Twilio sent a mark back: the response before it has played. Returns
+    // the response ({ responseId, itemId, sentMs, lines }), or null for a
+    // mark that is not pending (Twilio also returns the marks a clear drops).
+    markPlayed(name) {
+        const response = this.marks.get(name);
+        if (!response) return null;
+        this.marks.delete(name);
+        this.responses.delete(response.id);
+        const i = this.queue.indexOf(response);
+        if (i !== -1) this.queue.splice(i, 1);
+        return { responseId: response.id, itemId: response.itemId, sentMs: Math.round(response.sentMs), lines: response.lines };
+    }
+
+    // Audio sent that Twilio has not confirmed playing
+    get playing() {
+        return [...this.responses.values()].some(r => r.start !== null);
+    }
+
+    // Audio sent but not played yet (ms)
+    remainingMs() {
+        this.prune();
+        const last = this.queue[this.queue.length - 1];
+        return last ? Math.max(0, last.start + last.sentMs - this.now()) : 0;
+    }
+
+    // Stop timing finished responses that have played out by the clock; their
+    // lines stay with them until the mark comes back
+    prune() {
+        const now = this.now();
+        while (this.queue.length && this.queue[0].done && this.queue[0].start + this.queue[0].sentMs <= now) {
+            this.queue.shift();
+        }
+    }
+
+    // What was heard of a response by now
+    heard(response, now = this.now()) {
+        return {
+            responseId: response.id,
+            itemId: response.itemId,
+            heardMs: Math.round(Math.min(response.sentMs, Math.max(0, now - response.start))),
+            sentMs: Math.round(response.sentMs),
+            done: response.done,
+            lines: response.lines
+        };
+    }
+
+    // The caller started speaking. Returns what was heard of each response
+    // still queued for playback ({ responseId, itemId, heardMs, sentMs, done,
+    // lines }), or null when too little is left to play to interrupt.
+    interrupt() {
+        if (this.remainingMs() < this.minInterruptMs) return null;
+        const now = this.now();
+        const cut = this.queue.splice(0).map(response => {
+            this.responses.delete(response.id);
+            if (response.mark) this.marks.delete(response.mark);
+            const heard = this.heard(response, now);
+            this.interrupted.set(response.id, heard);
+            return heard;
+        });
+        return cut.length ? cut : null;
+    }
+
+    // The call ended: what was heard, by the clock, of each response Twilio
+    // had not confirmed playing
+    stop() {
+        const now = this.now();
+        const unplayed = [...this.responses.values()].filter(r => r.start !== null).map(r => this.heard(r, now));
+        this.responses.clear();
+        this.marks.clear();
+        this.queue = [];
+        return unplayed;
+    }
+
+    // What was heard of a response, once interrupted; null otherwise
+    interruption(responseId) {
+        return this.interrupted.get(responseId || 'unknown') || null;
+    }
+
+    // The part of an interrupted response's line the caller heard. A response
+    // still being generated would have run for at least as long as its text
+    // takes to say.
+    heardText(interruption, text) {
+        const totalMs = interruption.done ? interruption.sentMs : Math.max(interruption.sentMs, estimateSpeechMs(text));
+        return heardPart(text, interruption.heardMs, totalMs);
+    }
+}
@@ -0,0 +1,251 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Condition-specific intake protocols are declared as JSON files in protocols/.
+// Each file lists the trigger terms that switch a call into the protocol, the
+// priority and follow-up questions, the clinical_data fields it extracts (with
+// aliases the extractor may return), and the coverage sections that must be
+// filled before the call is allowed to close.
+//
+// An optional "fields" object gives extraction fields a type:
+//   list             items merged one by one, so a new item is not a conflict
+//   medication_list  a list of structured medications (lib/medications.js),
+//                    normalised against the drug dictionary
+// Fields without a type hold a single value.
+//
+// An optional "translations" object holds the caller-facing text in other
+// languages, keyed by language code: { triggers, transition,
+// priority_questions, follow_ups (questions in the same order), coverage_missing }.
+// Anything a translation leaves out falls back to English.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DEFAULT_PROTOCOLS_DIR = path.join(__dirname, '..', 'protocols');
+
+const toSnake = (s) => String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+export const FIELD_TYPES = ['list', 'medication_list'];
+
+// Validate a parsed protocol definition and compile its trigger regex
+export const compileProtocol = (def, source = 'protocol') => {
+    if (!def || typeof def !== 'object') throw new Error(`${source}: definition must be an object`);
+    if (!def.id || typeof def.id !== 'string') throw new Error(`${source}: missing "id"`);
+    if (!Array.isArray(def.triggers) || def.triggers.length === 0) {
+        throw new Error(`${source}: "triggers" must be a non-empty array`);
+    }
+    const priorityQuestions = Array.isArray(def.priority_questions) ? def.priority_questions : [];
+    const followUps = Array.isArray(def.follow_ups) ? def.follow_ups : [];
+    const coverage = def.coverage && typeof def.coverage === 'object' ? def.coverage : {};
+    const extractionFields = def.extraction_fields && typeof def.extraction_fields === 'object' ? def.extraction_fields : {};
+    const fieldTypes = {};
+    for (const [field, spec] of Object.entries(def.fields || {})) {
+        if (!(field in extractionFields)) throw new Error(`${source}: "fields" references unknown extraction field "${field}"`);
+        if (!FIELD_TYPES.includes(spec?.type)) throw new Error(`${source}: field "${field}" needs a "type" of ${FIELD_TYPES.join(' or ')}`);
+        fieldTypes[field] = spec.type;
+    }
+
+    for (const f of followUps) {
+        if (!f || typeof f.question !== 'string') throw new Error(`${source}: each follow-up needs a "question"`);
+        if (f.section && !coverage[f.section]) throw new Error(`${source}: follow-up references unknown section "${f.section}"`);
+    }
+    for (const [section, rule] of Object.entries(coverage)) {
+        if (!Array.isArray(rule?.fields) || rule.fields.length === 0) {
+            throw new Error(`${source}: coverage section "${section}" needs a non-empty "fields" array`);
+        }
+    }
+
+    // Triggers are regex fragments matched as whole words, case-insensitive
+    const triggerRe = new RegExp(`\\b(${def.triggers.join('|')})\\b`, 'i');
+
+    const translations = {};
+    for (const [language, t] of Object.entries(def.translations || {})) {
+        translations[language] = compileTranslation(t, { followUps, coverage }, `${source}: translations.${language}`);
+    }
+
+    return {
+        id: def.id,
+        name: def.name || def.id,
+        triggers: def.triggers,
+        triggerRe,
+        transition: def.transition || '',
+        priorityQuestions,
+        followUps,
+        coverage,
+        extractionFields,
+        fieldTypes,
+        instructions: Array.isArray(def.instructions) ? def.instructions.join('\n') : (def.instructions || ''),
+        translations
+    };
+};
+
+// Compile one language's caller-facing text over the English definition
+const compileTranslation = (t, { followUps, coverage }, source) => {
+    if (!t || typeof t !== 'object') throw new Error(`${source} must be an object`);
+    if (t.follow_ups && (!Array.isArray(t.follow_ups) || t.follow_ups.length !== followUps.length)) {
+        throw new Error(`${source}: "follow_ups" must list one question per English follow-up`);
+    }
+    for (const section of Object.keys(t.coverage_missing || {})) {
+        if (!coverage[section]) throw new Error(`${source}: coverage_missing references unknown section "${section}"`);
+    }
+    const triggers = Array.isArray(t.triggers) ? t.triggers : [];
+    return {
+        // \b does not treat accented letters as word characters, so whole
+        // words are delimited with Unicode letter classes instead
+        triggerRe: triggers.length ? new RegExp(`(?<![\\p{L}\\p{N}_])(${triggers.join('|')})(?![\\p{L}\\p{N}_])`, 'iu') : null,
+        transition: t.transition || null,
+        priorityQuestions: Array.isArray(t.priority_questions) ? t.priority_questions : null,
+        followUps: t.follow_ups ? followUps.map((f, i) => ({ ...f, question: t.follow_ups[i] })) : null,
+        coverageMissing: t.coverage_missing || {}
+    };
+};
+
+// Load every *.json protocol in a directory, sorted by file name
+export const loadProtocols = (dir = DEFAULT_PROTOCOLS_DIR) => {
+    if (!fs.existsSync(dir)) {
+        console.warn('Protocols directory not found:', dir);
+        return [];
+    }
+    const files = fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort();
+    const protocols = [];
+    const seen = new Set();
+    for (const file of files) {
+        const full = path.join(dir, file);
+        const def = JSON.parse(fs.readFileSync(full, 'utf8'));
+        const protocol = compileProtocol(def, file);
+        if (seen.has(protocol.id)) throw new Error(`${file}: duplicate protocol id "${protocol.id}"`);
+        seen.add(protocol.id);
+        protocols.push(protocol);
+    }
+    return protocols;
+};
+
+// Return the first protocol whose trigger terms (English, or the caller's
+// language) appear in the utterance
+export const detectProtocol = (protocols, text, language = null) => {
+    if (!text) return null;
+    return protocols.find(p => p.triggerRe.test(text) || !!p.translations[language]?.triggerRe?.test(text)) || null;
+};
+
+// All extraction field names declared across protocols (for the extraction prompt)
+export const protocolExtractionFields = (protocols) => {
+    const fields = [];
+    for (const p of protocols) {
+        for (const field of Object.keys(p.extractionFields)) {
+            if (!fields.includes(field)) fields.push(field);
+        }
+    }
+    return fields;
+};
+
+// Extraction fields declared with one of the given types across protocols
+export const protocolFieldsOfType = (protocols, ...types) => {
+    const fields = [];
+    for (const p of protocols) {
+        for (const [field, type] of Object.entries(p.fieldTypes)) {
+            if (types.includes(type) && !fields.includes(field)) fields.push(field);
+        }
+    }
+    return fields;
+};
+
+// Alias -> canonical key map contributed by protocols. The active protocol's
+// aliases win over others, so generic aliases like "triggers" land on the
+// condition currently being discussed.
+export const protocolKeyMap = (protocols, active = null) => {
+    const map = {};
+    const ordered = active ? [...protocols.filter(p => p !== active), active] : protocols;
+    for (const p of ordered) {
+        for (const [field, aliases] of Object.entries(p.extractionFields)) {
+            map[field] = field;
+            for (const alias of aliases || []) {
+                map[String(alias).toLowerCase()] = field;
+                map[toSnake(alias)] = field;
+            }
+        }
+    }
+    return map;
+};
+
+// Render a protocol's block for the realtime session instructions
+export const protocolInstructions = (protocol) => {
+    const lines = [protocol.instructions];
+    if (protocol.priorityQuestions.length) {
+        lines.push('', 'PRIORITY OPENING QUESTIONS (Start with these immediately after identifying the condition):');
+        protocol.priorityQuestions.forEach((q, i) => lines.push(`${i + 1}. "${q}"`));
+    }
+    if (protocol.followUps.length) {
+        lines.push('', 'FOLLOW-UP PROBING QUESTIONS (Branch based on their responses to build deeper understanding):');
+        protocol.followUps.forEach(f => lines.push(`- "${f.question}"`));
+    }
+    return lines.join('\n').trim();
+};
+
+// Per-call runner for a protocol: walks the question ladder and tracks coverage.
+// Questions are asked in the call's language when the protocol has a translation.
+export class ProtocolRun {
+    constructor(protocol, language = null) {
+        this.protocol = protocol;
+        this.language = language;
+        this.translation = (language && protocol.translations?.[language]) || null;
+        this.priorityAsked = 0;
+        this.askedFollowUps = new Set();
+        this.covered = new Set();
+    }
+
+    // Opening line spoken when the protocol is triggered (transition + first priority question)
+    start() {
+        const first = this.nextQuestion();
+        return [this.translation?.transition || this.protocol.transition, first].filter(Boolean).join(' ');
+    }
+
+    nextQuestion() {
+        const priorityQuestions = this.translation?.priorityQuestions || this.protocol.priorityQuestions;
+        const followUps = this.translation?.followUps || this.protocol.followUps;
+        if (this.priorityAsked < priorityQuestions.length) {
+            return priorityQuestions[this.priorityAsked++];
+        }
+        for (let i = 0; i < followUps.length; i++) {
+            const f = followUps[i];
+            if (this.askedFollowUps.has(i)) continue;
+            if (f.section && this.covered.has(f.section)) continue;
+            this.askedFollowUps.add(i);
+            return f.question;
+        }
+        return null;
+    }
+
+    // Continue a run begun on an earlier call: its opening and priority
+    // questions were already asked, so carry on with the uncovered follow-ups
+    resume(clinicalData) {
+        this.priorityAsked = (this.translation?.priorityQuestions || this.protocol.priorityQuestions).length;
+        this.updateCoverage(clinicalData);
+    }
+
+    // Recompute covered sections from merged clinical_data; returns newly covered section ids
+    updateCoverage(clinicalData) {
+        const newlyCovered = [];
+        if (!clinicalData || typeof clinicalData !== 'object') return newlyCovered;
+        for (const [section, rule] of Object.entries(this.protocol.coverage)) {
+            if (this.covered.has(section)) continue;
+            if (rule.fields.some(f => hasValue(clinicalData[f]))) {
+                this.covered.add(section);
+                newlyCovered.push(section);
+            }
+        }
+        return newlyCovered;
+    }
+
+    // Caller-facing descriptions of sections still missing
+    missing() {
+        return Object.entries(this.protocol.coverage)
+            .filter(([section]) => !this.covered.has(section))
+            .map(([section, rule]) => this.translation?.coverageMissing[section] || rule.missing || section.replace(/_/g, ' '));
+    }
+}
+
+const hasValue = (v) => {
+    if (v === undefined || v === null) return false;
+    if (typeof v === 'string') return v.trim() !== '';
+    if (Array.isArray(v)) return v.length > 0;
+    return true;
+};
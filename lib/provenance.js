@@ -0,0 +1,117 @@
+import { describeMedication, describeMedications } from './medications.js';
+
+// Provenance for clinical_data values extracted during live calls.
+//
+// The live extraction prompt asks the model to return, for every field, the
+// value together with the exact words the caller used and a confidence score.
+// Each extracted field is stored as a clinical_extractions row linked to the
+// source message, with the quoted span located in that message's text and the
+// model/prompt version that produced it. annotateClinicalData() joins those
+// rows back onto conversations.clinical_data for review.
+
+export const LIVE_EXTRACTION_MODEL = 'gpt-4o-mini';
+export const LIVE_EXTRACTION_PROMPT_VERSION = 'live-extraction-v2';
+
+// Instructions appended to the live extraction prompt describing the output shape
+export const EVIDENCE_FORMAT_INSTRUCTIONS = `Return a JSON object whose keys are the field names. Each value must be an object:
+{"value": <the extracted value, string or array of strings>, "quote": "<the exact words from the patient response that support it, copied verbatim>", "confidence": <number from 0 to 1>}`;
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// Split the model's { key: { value, quote, confidence } } output into plain
+// values and per-key evidence. Plain key:value output is accepted as-is.
+export const unwrapEvidence = (fields) => {
+    const values = {};
+    const evidence = {};
+    for (const [key, v] of Object.entries(fields || {})) {
+        if (isPlainObject(v) && 'value' in v) {
+            values[key] = v.value;
+            evidence[key] = { quote: typeof v.quote === 'string' ? v.quote : null, confidence: v.confidence };
+        } else {
+            values[key] = v;
+        }
+    }
+    return { values, evidence };
+};
+
+// Character offsets of `quote` inside `utterance` (case- and whitespace-insensitive), or null
+export const locateQuote = (utterance, quote) => {
+    if (!utterance || !quote || !quote.trim()) return null;
+    const words = quote.trim().split(/\s+/).map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const m = new RegExp(words.join('\\s+'), 'i').exec(utterance);
+    if (!m) return null;
+    return { start: m.index, end: m.index + m[0].length, text: m[0] };
+};
+
+// Clamp to the DECIMAL(3,2) range of clinical_extractions.confidence_score
+export const normalizeConfidence = (c) => {
+    const n = typeof c === 'string' ? Number(c) : c;
+    if (typeof n !== 'number' || Number.isNaN(n)) return null;
+    return Math.round(Math.min(Math.max(n, 0), 1) * 100) / 100;
+};
+
+// field_value text: structured medication entries are written out as they are spoken
+export const fieldValueText = (value) => {
+    if (Array.isArray(value)) return value.some(isPlainObject) ? describeMedications(value) : value.join(', ');
+    return isPlainObject(value) ? describeMedication(value) : String(value);
+};
+
+// One clinical_extractions row for a field extracted from a saved message
+export const buildExtractionRow = ({ conversationId, message, utterance, field, value, evidence = {}, applied, model = LIVE_EXTRACTION_MODEL, promptVersion = LIVE_EXTRACTION_PROMPT_VERSION }) => {
+    const span = locateQuote(utterance, evidence.quote);
+    return {
+        conversation_id: conversationId,
+        field_name: field,
+        field_value: fieldValueText(value),
+        confidence_score: normalizeConfidence(evidence.confidence),
+        source_message_id: message?.id || null,
+        source_quote: span ? span.text : null,
+        extraction_model: model,
+        prompt_version: promptVersion,
+        metadata: {
+            source: 'live_call',
+            value,
+            span: span ? { start: span.start, end: span.end } : null,
+            // The model's quote when it could not be found verbatim in the message
+            ...(evidence.quote && !span ? { unmatched_quote: evidence.quote } : {}),
+            applied: !!applied
+        }
+    };
+};
+
+// clinical_data with, per field, the evidence rows behind it (newest first)
+export const annotateClinicalData = (clinicalData = {}, extractions = [], messages = []) => {
+    const messagesById = new Map(messages.map(m => [m.id, m]));
+    const byField = new Map();
+    for (const e of extractions) {
+        if (!byField.has(e.field_name)) byField.set(e.field_name, []);
+        byField.get(e.field_name).push(e);
+    }
+    const fields = {};
+    for (const [field, value] of Object.entries(clinicalData || {})) {
+        const rows = (byField.get(field) || [])
+            .slice()
+            .sort((a, b) => new Date(b.extracted_at) - new Date(a.extracted_at));
+        fields[field] = {
+            value,
+            evidence: rows.map(e => {
+                const message = e.source_message_id ? messagesById.get(e.source_message_id) : null;
+                return {
+                    extraction_id: e.id,
+                    value: e.metadata?.value ?? e.field_value,
+                    quote: e.source_quote || null,
+                    span: e.metadata?.span || null,
+                    confidence: e.confidence_score ?? null,
+                    message_id: e.source_message_id || null,
+                    message_text: message?.content || null,
+                    message_timestamp: message?.timestamp || null,
+                    model: e.extraction_model || null,
+                    prompt_version: e.prompt_version || null,
+                    source: e.metadata?.source || null,
+                    extracted_at: e.extracted_at
+                };
+            })
+        };
+    }
+    return fields;
+};
@@ -0,0 +1,270 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Call audio recording. Both directions of a call are kept: the caller's audio
+// from the Twilio media stream and the assistant's audio from the realtime
+// session (response.audio.delta). Both are 8 kHz G.711 µ-law, so the recording
+// is written as it was sent, as a two-channel µ-law WAV file per conversation:
+// channel 1 is the caller, channel 2 the assistant.
+//
+// Positions are in stream time, counted from the media stream's start:
+//   - caller audio is placed at the Twilio media timestamp;
+//   - assistant audio is placed when it is sent, or right after the previous
+//     assistant audio while Twilio is still playing that.
+//
+// Each saved message is linked to its stretch of the recording through
+// messages.audio_data (see audioReference): caller lines by the speech
+// start/stop offsets the realtime session reports for the utterance, assistant
+// lines by the audio of the response that spoke them.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DEFAULT_RECORDINGS_DIR = path.join(__dirname, '..', 'recordings');
+
+const SAMPLE_RATE = 8000;
+const SAMPLES_PER_MS = SAMPLE_RATE / 1000;
+const MULAW_SILENCE = 0xff;
+export const CHANNELS = ['caller', 'assistant'];
+
+// Two-channel (interleaved) µ-law WAV: RIFF header with a WAVE_FORMAT_MULAW
+// fmt chunk and the fact chunk non-PCM formats carry
+export const mulawWav = (left, right) => {
+    const frames = Math.max(left.length, right.length);
+    const data = Buffer.alloc(frames * 2, MULAW_SILENCE);
+    for (let i = 0; i < left.length; i++) data[i * 2] = left[i];
+    for (let i = 0; i < right.length; i++) data[i * 2 + 1] = right[i];
+    const header = Buffer.alloc(58);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(50 + data.length, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(18, 16);
+    header.writeUInt16LE(7, 20); // WAVE_FORMAT_MULAW
+    header.writeUInt16LE(2, 22); // channels
+    header.writeUInt32LE(SAMPLE_RATE, 24);
+    header.writeUInt32LE(SAMPLE_RATE * 2, 28); // bytes per second
+    header.writeUInt16LE(2, 32); // block align
+    header.writeUInt16LE(8, 34); // bits per sample
+    header.writeUInt16LE(0, 36); // extension size
+    header.write('fact', 38);
+    header.writeUInt32LE(4, 42);
+    header.writeUInt32LE(frames, 46);
+    header.write('data', 50);
+    header.writeUInt32LE(data.length, 54);
+    return Buffer.concat([header, data]);
+};
+
+// One channel of audio, built from chunks placed at sample offsets
+class Track {
+    constructor() {
+        this.chunks = [];
+        this.end = 0;
+    }
+
+    // Place a chunk at `at` (samples), or right after the previous one;
+    // returns where it was placed
+    add(bytes, at = this.end) {
+        const start = Math.max(0, Math.round(at));
+        this.chunks.push({ start, bytes });
+        this.end = Math.max(this.end, start + bytes.length);
+        return start;
+    }
+
+    render(length = this.end) {
+        const out = Buffer.alloc(length, MULAW_SILENCE);
+        for (const { start, bytes } of this.chunks) bytes.copy(out, start);
+        return out;
+    }
+}
+
+const toMs = (samples) => Math.round(samples / SAMPLES_PER_MS);
+
+// Per-call recording state. now() is the stream clock in milliseconds.
+export class CallRecording {
+    constructor({ now = null } = {}) {
+        const startedAt = Date.now();
+        this.now = now || (() => Date.now() - startedAt);
+        this.caller = new Track();
+        this.assistant = new Track();
+        this.inputOriginMs = null; // stream time of the first audio sent to the realtime session
+        this.speech = new Map(); // input item_id -> { start, end } (ms since inputOriginMs)
+        this.responses = new Map(); // response_id -> { start, end } (samples) and the lines it spoke
+        this.unvoiced = []; // assistant lines saved before the response that speaks them
+    }
+
+    get durationMs() {
+        return toMs(Math.max(this.caller.end, this.assistant.end));
+    }
+
+    get empty() {
+        return this.caller.end === 0 && this.assistant.end === 0;
+    }
+
+    // Caller audio (base64 µ-law) at its Twilio media timestamp. forwarded is
+    // true when the chunk was also sent to the realtime session, whose speech
+    // offsets count from the first such chunk.
+    inbound(payload, timestampMs, { forwarded = false } = {}) {
+        const bytes = Buffer.from(payload || '', 'base64');
+        const ms = timestampMs === null || timestampMs === undefined ? NaN : Number(timestampMs);
+        const start = this.caller.add(bytes, Number.isFinite(ms) ? ms * SAMPLES_PER_MS : this.caller.end);
+        if (forwarded && this.inputOriginMs === null) this.inputOriginMs = toMs(start);
+    }
+
+    // Assistant audio (base64 µ-law) for a realtime response
+    outbound(payload, responseId = null) {
+        const bytes = Buffer.from(payload || '', 'base64');
+        const start = this.assistant.add(bytes, Math.max(this.assistant.end, this.now() * SAMPLES_PER_MS));
+        const response = this.response(responseId);
+        if (response.start === null) response.start = start;
+        response.end = start + bytes.length;
+    }
+
+    response(responseId) {
+        const id = responseId || 'unknown';
+        if (!this.responses.has(id)) this.responses.set(id, { start: null, end: null, lines: [] });
+        return this.responses.get(id);
+    }
+
+    speechStarted(itemId, audioStartMs) {
+        this.speech.set(itemId, { start: audioStartMs, end: null });
+    }
+
+    speechStopped(itemId, audioEndMs) {
+        const s = this.speech.get(itemId) || { start: audioEndMs, end: null };
+        this.speech.set(itemId, { ...s, end: audioEndMs });
+    }
+
+    // Where a caller utterance sits in the recording, or null
+    callerSegment(itemId) {
+        const s = this.speech.get(itemId);
+        if (!s || this.inputOriginMs === null || !Number.isFinite(s.start)) return null;
+        this.speech.delete(itemId);
+        const end = Number.isFinite(s.end) ? s.end : s.start;
+        return { channel: 'caller', offset_ms: this.inputOriginMs + s.start, duration_ms: Math.max(0, end - s.start) };
+    }
+
+    // An assistant line about to be saved. Scripted lines are spoken by the
+    // next response; transcribed lines by the response that produced them.
+    // Returns a function to call with the saved message.
+    expectLine(responseId = null) {
+        let resolve;
+        const line = new Promise(r => { resolve = r; });
+        if (responseId) this.response(responseId).lines.push(line);
+        else this.unvoiced.push(line);
+        return resolve;
+    }
+
+    responseCreated(responseId) {
+        this.response(responseId).lines.push(...this.unvoiced.splice(0));
+    }
+
+    // When a response is done: its audio segment and the saved messages it spoke
+    async responseDone(responseId) {
+        const response = this.responses.get(responseId);
+        this.responses.delete(responseId);
+        if (!response) return { segment: null, messages: [] };
+        const messages = (await Promise.all(response.lines)).filter(Boolean);
+        const segment = response.start === null ? null : {
+            channel: 'assistant',
+            offset_ms: toMs(response.start),
+            duration_ms: toMs(response.end - response.start)
+        };
+        return { segment, messages };
+    }
+
+    toWav() {
+        const length = Math.max(this.caller.end, this.assistant.end);
+        return mulawWav(this.caller.render(length), this.assistant.render(length));
+    }
+}
+
+// messages.audio_data for a message: where its audio sits in the
+// conversation's recording, as JSON text
+export const audioReference = (conversationId, segment) => JSON.stringify({
+    recording: `/api/conversations/${conversationId}/recording`,
+    ...segment
+});
+
+// WAV files on disk, one per conversation, deleted after retentionDays
+// (0 keeps them)
+export class RecordingStore {
+    constructor({ dir = DEFAULT_RECORDINGS_DIR, retentionDays = 30, sweepMs = 60 * 60000 } = {}) {
+        this.dir = dir;
+        this.retentionMs = retentionDays > 0 ? retentionDays * 24 * 60 * 60000 : null;
+        this.sweepMs = sweepMs;
+        this.timer = null;
+    }
+
+    file(conversationId) {
+        if (!/^[\w-]+$/.test(String(conversationId))) return null;
+        return path.join(this.dir, `${conversationId}.wav`);
+    }
+
+    // Write a recording; returns what is kept in conversations.metadata.recording
+    async save(conversationId, recording, at = new Date()) {
+        const file = this.file(conversationId);
+        if (!file) throw new Error('invalid conversation id for a recording');
+        const wav = recording.toWav();
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await fs.promises.writeFile(file, wav);
+        return {
+            format: 'audio/wav',
+            encoding: 'mulaw',
+            sample_rate: SAMPLE_RATE,
+            channels: CHANNELS,
+            duration_ms: recording.durationMs,
+            bytes: wav.length,
+            recorded_at: at.toISOString(),
+            expires_at: this.retentionMs ? new Date(at.getTime() + this.retentionMs).toISOString() : null
+        };
+    }
+
+    // { stream, size } of a stored recording, or null
+    async open(conversationId) {
+        const file = this.file(conversationId);
+        if (!file) return null;
+        try {
+            const { size } = await fs.promises.stat(file);
+            return { stream: fs.createReadStream(file), size };
+        } catch {
+            return null;
+        }
+    }
+
+    // Delete recordings older than the retention period; returns how many
+    async sweep(now = new Date()) {
+        if (!this.retentionMs) return 0;
+        let names;
+        try {
+            names = await fs.promises.readdir(this.dir);
+        } catch {
+            return 0;
+        }
+        let deleted = 0;
+        for (const name of names.filter(n => n.endsWith('.wav'))) {
+            const file = path.join(this.dir, name);
+            try {
+                const { mtimeMs } = await fs.promises.stat(file);
+                if (now.getTime() - mtimeMs < this.retentionMs) continue;
+                await fs.promises.unlink(file);
+                deleted++;
+            } catch {}
+        }
+        if (deleted) console.log('Expired call recordings deleted:', deleted);
+        return deleted;
+    }
+
+    start() {
+        if (this.timer || !this.retentionMs || !(this.sweepMs > 0)) return;
+        this.sweep().catch(e => console.error('Recording sweep failed:', e?.message));
+        this.timer = setInterval(() => {
+            this.sweep().catch(e => console.error('Recording sweep failed:', e?.message));
+        }, this.sweepMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
@@ -0,0 +1,144 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Red-flag rules for emergencies described during intake (an ongoing or
+// prolonged seizure, chest pain, suicidal thoughts, ...), declared in
+// safety/red-flags.json. Each rule lists regex fragments matched against every
+// caller utterance, the scripted safety guidance the assistant speaks on a hit,
+// and whether the call should be warm-transferred to the on-call clinician.
+//
+// A match is ignored when a negation word ("no", "not", "never", ...) appears
+// shortly before it in the same clause, so "I don't have chest pain" does not
+// trigger.
+//
+// Rules may carry "translations" keyed by language code ({ patterns, guidance }),
+// and the file may list per-language negation words the same way. A call in
+// another language is checked against both the English and that language's
+// patterns, and hears the guidance in its own language.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DEFAULT_RED_FLAGS_FILE = path.join(__dirname, '..', 'safety', 'red-flags.json');
+
+export const SEVERITIES = ['emergency', 'urgent'];
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// \b does not treat accented letters as word characters; translated patterns
+// and negations are delimited with Unicode letter classes instead
+const NOT_WORD_BEFORE = '(?<![\\p{L}\\p{N}_])';
+const NOT_WORD_AFTER = '(?![\\p{L}\\p{N}_])';
+
+// Validate a parsed rule set and compile its patterns
+export const compileRedFlags = (def, source = 'red-flags') => {
+    if (!def || !Array.isArray(def.rules)) throw new Error(`${source}: "rules" must be an array`);
+    const negations = Array.isArray(def.negations) ? def.negations : [];
+    const seen = new Set();
+    const rules = def.rules.map((rule, i) => {
+        const where = `${source}: rules[${i}]`;
+        if (!rule?.id || typeof rule.id !== 'string') throw new Error(`${where} missing "id"`);
+        if (seen.has(rule.id)) throw new Error(`${where} duplicate id "${rule.id}"`);
+        seen.add(rule.id);
+        if (!Array.isArray(rule.patterns) || rule.patterns.length === 0) throw new Error(`${where} "patterns" must be a non-empty array`);
+        if (!rule.guidance || typeof rule.guidance !== 'string') throw new Error(`${where} missing "guidance"`);
+        const severity = rule.severity || 'emergency';
+        if (!SEVERITIES.includes(severity)) throw new Error(`${where} severity must be one of ${SEVERITIES.join(', ')}`);
+        const translations = {};
+        for (const [language, t] of Object.entries(rule.translations || {})) {
+            if (!Array.isArray(t?.patterns) || t.patterns.length === 0) {
+                throw new Error(`${where} translations.${language}: "patterns" must be a non-empty array`);
+            }
+            translations[language] = {
+                patternRe: new RegExp(`${NOT_WORD_BEFORE}(?:${t.patterns.join('|')})`, 'giu'),
+                guidance: t.guidance || null
+            };
+        }
+        return {
+            id: rule.id,
+            name: rule.name || rule.id,
+            severity,
+            patternRe: new RegExp(`\\b(?:${rule.patterns.join('|')})`, 'gi'),
+            guidance: rule.guidance,
+            transfer: rule.transfer !== false,
+            translations
+        };
+    });
+    const negationRe = negations.length
+        ? new RegExp(`\\b(?:${negations.map(escapeRe).join('|')})\\b`, 'i')
+        : null;
+    const translatedNegations = {};
+    for (const [language, t] of Object.entries(def.translations || {})) {
+        if (Array.isArray(t?.negations) && t.negations.length) {
+            translatedNegations[language] = new RegExp(`${NOT_WORD_BEFORE}(?:${t.negations.map(escapeRe).join('|')})${NOT_WORD_AFTER}`, 'iu');
+        }
+    }
+    return { rules, negationRe, translatedNegations };
+};
+
+export const loadRedFlags = (file = DEFAULT_RED_FLAGS_FILE) => {
+    if (!fs.existsSync(file)) {
+        console.warn('Red-flag rules file not found:', file);
+        return { rules: [], negationRe: null, translatedNegations: {} };
+    }
+    return compileRedFlags(JSON.parse(fs.readFileSync(file, 'utf8')), path.basename(file));
+};
+
+// True when a negation word sits in the same clause, at most five words before the match
+const isNegated = (text, index, negationRe) => {
+    if (!negationRe) return false;
+    const clause = text.slice(0, index).split(/[.,;!?]|\b(?:but|pero)\b/i).pop();
+    const lastWords = clause.trim().split(/\s+/).slice(-5).join(' ');
+    return negationRe.test(lastWords);
+};
+
+// First rule (emergencies before urgent) with a non-negated match, or null.
+// Returns { rule, match } where match is the matched text. With a language,
+// that language's translated patterns are checked as well as the English ones.
+export const detectRedFlag = (redFlags, text, { exclude = [], language = null } = {}) => {
+    if (!text || !redFlags?.rules?.length) return null;
+    const ordered = [...redFlags.rules].sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+    const translatedNegationRe = language ? redFlags.translatedNegations?.[language] || null : null;
+    for (const rule of ordered) {
+        if (exclude.includes(rule.id)) continue;
+        for (const m of text.matchAll(rule.patternRe)) {
+            if (!isNegated(text, m.index, redFlags.negationRe)) return { rule, match: m[0] };
+        }
+        const translated = language ? rule.translations?.[language] : null;
+        if (!translated) continue;
+        for (const m of text.matchAll(translated.patternRe)) {
+            if (!isNegated(text, m.index, translatedNegationRe)) return { rule, match: m[0] };
+        }
+    }
+    return null;
+};
+
+// The rule's safety guidance in the call's language, falling back to English
+export const ruleGuidance = (rule, language = null) => (language && rule.translations?.[language]?.guidance) || rule.guidance;
+
+// Rough time to speak a line, used to let guidance finish before transferring
+export const estimateSpeechMs = (text) => String(text || '').split(/\s+/).filter(Boolean).length * 400 + 1000;
+
+// TwiML that moves a live call onto a <Dial> to the on-call number; the
+// whisper URL is played to the clinician before the caller is connected.
+// The caller-facing lines can be replaced (e.g. translated), with the <Say>
+// language set to match.
+export const transferTwiml = ({
+    onCallNumber,
+    callerId,
+    whisperUrl,
+    timeoutSeconds = 30,
+    holdMessage = 'Please stay on the line while I connect you to our on-call clinician.',
+    unreachableMessage = 'We could not reach the on-call clinician. If this is an emergency, please hang up and call 9-1-1.',
+    sayLanguage = null
+}) => {
+    const xmlEscape = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const say = sayLanguage ? `<Say language="${xmlEscape(sayLanguage)}">` : '<Say>';
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+    ${say}${xmlEscape(holdMessage)}</Say>
+    <Dial timeout="${timeoutSeconds}"${callerId ? ` callerId="${xmlEscape(callerId)}"` : ''}>
+        <Number${whisperUrl ? ` url="${xmlEscape(whisperUrl)}"` : ''}>${xmlEscape(onCallNumber)}</Number>
+    </Dial>
+    ${say}${xmlEscape(unreachableMessage)}</Say>
+</Response>`;
+};
@@ -0,0 +1,72 @@
+// Resuming an interrupted intake when the patient calls back.
+//
+// When a call arrives, the caller's most recent earlier conversation is offered
+// for resumption if it started within the resume window, ended before the
+// intake was finished (see END_REASONS in lib/lifecycle.js) and had collected
+// some clinical data. Only the most recent conversation is considered: once
+// the caller declines, or completes a later intake, older calls are not
+// offered again.
+//
+// Accepting copies clinical_data and its history into the new conversation
+// and links the two through metadata:
+//   new.metadata.resumed_from = <previous conversation id>
+//   previous.metadata.resumed_by = <new conversation id>
+// A dropped call can be resumed more than once; the links form a chain that
+// exports walk to present the calls as one intake.
+
+import { emptyHistory } from './clinical-history.js';
+
+// End reasons that leave an intake unfinished
+export const RESUMABLE_END_REASONS = ['caller_hangup', 'stream_error', 'openai_error', 'stale'];
+
+// Blocked or withheld caller IDs cannot identify a returning patient
+const ANONYMOUS_CALLERS = new Set(['unknown', 'anonymous', 'restricted', 'private', 'unavailable', '+266696687']);
+
+export const isIdentifiableCaller = (phoneNumber) => !!phoneNumber && !ANONYMOUS_CALLERS.has(String(phoneNumber).toLowerCase());
+
+const hasClinicalData = (conversation) => Object.keys(conversation?.clinical_data || {}).length > 0;
+
+// The caller's previous conversation if it can be resumed, or null.
+// isLive(id) excludes a conversation whose call is still connected.
+export const findResumableConversation = async (storage, phoneNumber, { windowMs, now = new Date(), isLive = () => false } = {}) => {
+    if (!(windowMs > 0) || !isIdentifiableCaller(phoneNumber)) return null;
+    const since = new Date(now.getTime() - windowMs);
+    const [latest] = await storage.listConversationsByPhone(phoneNumber, since);
+    if (!latest || latest.metadata?.resumed_by || isLive(latest.id)) return null;
+    // Still "active" without a live stream means the call ended without being recorded
+    const interrupted = latest.status === 'active' || RESUMABLE_END_REASONS.includes(latest.end_reason);
+    return interrupted && hasClinicalData(latest) ? latest : null;
+};
+
+// clinical_data and history for the new conversation: the previous call's,
+// with anything already captured on the new call taking precedence
+export const mergeResumedData = (previous, current) => {
+    const previousHistory = previous.clinical_data_history?.fields ? previous.clinical_data_history : emptyHistory();
+    const currentHistory = current.clinical_data_history?.fields ? current.clinical_data_history : emptyHistory();
+    return {
+        clinical_data: { ...(previous.clinical_data || {}), ...(current.clinical_data || {}) },
+        clinical_data_history: {
+            fields: { ...previousHistory.fields, ...currentHistory.fields },
+            conflicts: [...(previousHistory.conflicts || []), ...(currentHistory.conflicts || [])]
+        }
+    };
+};
+
+// Every conversation linked to this one by resumption, oldest first
+export const intakeChain = async (storage, conversation) => {
+    const chain = [conversation];
+    const seen = new Set([conversation.id]);
+    for (let c = conversation; c.metadata?.resumed_from && !seen.has(c.metadata.resumed_from);) {
+        c = await storage.getConversation(c.metadata.resumed_from);
+        if (!c) break;
+        seen.add(c.id);
+        chain.unshift(c);
+    }
+    for (let c = conversation; c.metadata?.resumed_by && !seen.has(c.metadata.resumed_by);) {
+        c = await storage.getConversation(c.metadata.resumed_by);
+        if (!c) break;
+        seen.add(c.id);
+        chain.push(c);
+    }
+    return chain;
+};
@@ -0,0 +1,23 @@
+import { SupabaseStorage } from './supabase.js';
+import { MemoryStorage } from './memory.js';
+
+export { SupabaseStorage, MemoryStorage };
+
+// Pick the storage backend from the environment.
+// STORAGE_BACKEND=supabase|memory; defaults to Supabase when credentials are set.
+export const createStorage = (env = process.env) => {
+    const { SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY } = env;
+    const backend = (env.STORAGE_BACKEND || (SUPABASE_URL ? 'supabase' : 'memory')).toLowerCase();
+
+    if (backend === 'memory') {
+        console.warn('Using in-memory storage; conversations will not persist across restarts.');
+        return new MemoryStorage();
+    }
+    if (backend === 'supabase') {
+        if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+            throw new Error('STORAGE_BACKEND=supabase requires SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+        }
+        return new SupabaseStorage({ url: SUPABASE_URL, serviceRoleKey: SUPABASE_SERVICE_ROLE_KEY });
+    }
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected "supabase" or "memory")`);
+};
@@ -0,0 +1,454 @@
+import { v4 as uuidv4 } from 'uuid';
+
+// In-memory implementation of the clinical storage repository. It mirrors the
+// defaults and constraints in schema.sql closely enough that the server, its
+// routes and the call flow behave the same as against Supabase, which makes it
+// suitable for local development and tests. Data is lost on restart.
+
+const CONVERSATION_STATUSES = ['active', 'completed', 'failed'];
+const MESSAGE_ROLES = ['user', 'assistant', 'system'];
+const CAMPAIGN_STATUSES = ['active', 'completed', 'cancelled'];
+const OUTBOUND_CALL_STATUSES = ['pending', 'calling', 'completed', 'exhausted', 'cancelled'];
+const APPOINTMENT_STATUSES = ['scheduled', 'cancelled', 'completed'];
+
+const clone = (v) => (v === undefined ? v : structuredClone(v));
+
+const constraintError = (message, code) => {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+};
+
+const byTime = (key, ascending = true) => (a, b) => {
+    const d = new Date(a[key]).getTime() - new Date(b[key]).getTime();
+    return ascending ? d : -d;
+};
+
+export class MemoryStorage {
+    constructor() {
+        this.name = 'memory';
+        this.conversations = new Map();
+        this.messages = [];
+        this.extractions = [];
+        this.campaigns = new Map();
+        this.outboundCalls = new Map();
+        this.patients = new Map();
+        this.appointments = new Map();
+        this.notes = [];
+        this.callEvents = [];
+    }
+
+    // --- conversations ---
+
+    async createConversation(row) {
+        const now = new Date().toISOString();
+        const conversation = {
+            id: uuidv4(),
+            call_sid: null,
+            phone_number: null,
+            status: 'active',
+            started_at: now,
+            ended_at: null,
+            updated_at: now,
+            end_reason: null,
+            duration_seconds: null,
+            incomplete_sections: [],
+            clinical_data: {},
+            clinical_data_history: {},
+            summary: null,
+            metadata: {},
+            patient_id: null,
+            appointment_id: null,
+            ...clone(row)
+        };
+        if (!conversation.call_sid) throw constraintError('null value in column "call_sid" violates not-null constraint', '23502');
+        if (this.conversations.has(conversation.id)) throw constraintError('duplicate key value violates unique constraint "conversations_pkey"', '23505');
+        for (const c of this.conversations.values()) {
+            if (c.call_sid === conversation.call_sid) {
+                throw constraintError('duplicate key value violates unique constraint "conversations_call_sid_key"', '23505');
+            }
+        }
+        this.checkStatus(conversation.status);
+        this.conversations.set(conversation.id, conversation);
+        return clone(conversation);
+    }
+
+    async getConversation(id) {
+        return clone(this.conversations.get(id)) || null;
+    }
+
+    async getConversationByCallSid(callSid) {
+        for (const c of this.conversations.values()) {
+            if (c.call_sid === callSid) return clone(c);
+        }
+        return null;
+    }
+
+    async updateConversation(id, patch) {
+        const existing = this.conversations.get(id);
+        if (!existing) return null;
+        const updated = { ...existing, ...clone(patch), id, updated_at: new Date().toISOString() };
+        this.checkStatus(updated.status);
+        this.conversations.set(id, updated);
+        return clone(updated);
+    }
+
+    async listConversationsWithDetails() {
+        return [...this.conversations.values()]
+            .sort(byTime('started_at', false))
+            .map(c => ({
+                ...clone(c),
+                messages: this.messages.filter(m => m.conversation_id === c.id).map(clone),
+                clinical_extractions: this.extractions.filter(e => e.conversation_id === c.id).map(clone)
+            }));
+    }
+
+    // Conversations flagged by red-flag detection, newest first
+    async listUrgentConversations() {
+        return [...this.conversations.values()]
+            .filter(c => c.metadata?.urgent_review === true)
+            .sort(byTime('started_at', false))
+            .map(clone);
+    }
+
+    // A caller's conversations started since `since`, newest first
+    async listConversationsByPhone(phoneNumber, since) {
+        return [...this.conversations.values()]
+            .filter(c => c.phone_number === phoneNumber && new Date(c.started_at) >= since)
+            .sort(byTime('started_at', false))
+            .map(clone);
+    }
+
+    // Conversations stored against an appointment, oldest first
+    async listConversationsByAppointment(appointmentId) {
+        return [...this.conversations.values()]
+            .filter(c => c.appointment_id === appointmentId)
+            .sort(byTime('started_at'))
+            .map(clone);
+    }
+
+    // Active conversations not updated since `before`, oldest first
+    async listStaleConversations(before) {
+        return [...this.conversations.values()]
+            .filter(c => c.status === 'active' && new Date(c.updated_at) < before)
+            .sort(byTime('updated_at'))
+            .map(clone);
+    }
+
+    // --- messages ---
+
+    async addMessage(row) {
+        const message = {
+            id: uuidv4(),
+            audio_data: null,
+            timestamp: new Date().toISOString(),
+            metadata: {},
+            ...clone(row)
+        };
+        this.checkConversation(message.conversation_id, 'messages');
+        if (!MESSAGE_ROLES.includes(message.role)) {
+            throw constraintError('new row for relation "messages" violates check constraint "messages_role_check"', '23514');
+        }
+        if (typeof message.content !== 'string') {
+            throw constraintError('null value in column "content" violates not-null constraint', '23502');
+        }
+        this.messages.push(message);
+        return clone(message);
+    }
+
+    async getMessage(id) {
+        return clone(this.messages.find(m => m.id === id)) || null;
+    }
+
+    async updateMessage(id, patch) {
+        const i = this.messages.findIndex(m => m.id === id);
+        if (i === -1) return null;
+        this.messages[i] = { ...this.messages[i], ...clone(patch), id };
+        return clone(this.messages[i]);
+    }
+
+    async listMessages(conversationId) {
+        return this.messages
+            .filter(m => m.conversation_id === conversationId)
+            .sort(byTime('timestamp'))
+            .map(clone);
+    }
+
+    // --- clinical_extractions ---
+
+    async addExtraction(row) {
+        const extraction = {
+            id: uuidv4(),
+            confidence_score: null,
+            extracted_at: new Date().toISOString(),
+            metadata: {},
+            source_message_id: null,
+            source_quote: null,
+            extraction_model: null,
+            prompt_version: null,
+            ...clone(row)
+        };
+        this.checkConversation(extraction.conversation_id, 'clinical_extractions');
+        if (extraction.source_message_id && !this.messages.some(m => m.id === extraction.source_message_id)) {
+            throw constraintError('insert or update on table "clinical_extractions" violates foreign key constraint "clinical_extractions_source_message_id_fkey"', '23503');
+        }
+        this.extractions.push(extraction);
+        return clone(extraction);
+    }
+
+    async listExtractions(conversationId) {
+        return this.extractions
+            .filter(e => e.conversation_id === conversationId)
+            .sort(byTime('extracted_at'))
+            .map(clone);
+    }
+
+    // --- call_campaigns ---
+
+    async createCampaign(row) {
+        const now = new Date().toISOString();
+        const campaign = {
+            id: uuidv4(),
+            status: 'active',
+            settings: {},
+            created_by: null,
+            created_at: now,
+            updated_at: now,
+            ...clone(row)
+        };
+        if (!campaign.name) throw constraintError('null value in column "name" violates not-null constraint', '23502');
+        this.checkOneOf(campaign.status, CAMPAIGN_STATUSES, 'call_campaigns');
+        this.campaigns.set(campaign.id, campaign);
+        return clone(campaign);
+    }
+
+    async getCampaign(id) {
+        return clone(this.campaigns.get(id)) || null;
+    }
+
+    async updateCampaign(id, patch) {
+        const existing = this.campaigns.get(id);
+        if (!existing) return null;
+        const updated = { ...existing, ...clone(patch), id, updated_at: new Date().toISOString() };
+        this.checkOneOf(updated.status, CAMPAIGN_STATUSES, 'call_campaigns');
+        this.campaigns.set(id, updated);
+        return clone(updated);
+    }
+
+    async listCampaigns() {
+        return [...this.campaigns.values()].sort(byTime('created_at', false)).map(clone);
+    }
+
+    // --- outbound_calls ---
+
+    async addOutboundCalls(rows) {
+        const now = new Date().toISOString();
+        const calls = rows.map(row => ({
+            id: uuidv4(),
+            patient_name: null,
+            appointment: {},
+            status: 'pending',
+            attempt_count: 0,
+            attempts: [],
+            next_attempt_at: now,
+            last_result: null,
+            conversation_id: null,
+            created_at: now,
+            updated_at: now,
+            ...clone(row)
+        }));
+        for (const call of calls) {
+            if (!this.campaigns.has(call.campaign_id)) {
+                throw constraintError('insert or update on table "outbound_calls" violates foreign key constraint "outbound_calls_campaign_id_fkey"', '23503');
+            }
+            if (!call.phone_number) throw constraintError('null value in column "phone_number" violates not-null constraint', '23502');
+            this.checkOneOf(call.status, OUTBOUND_CALL_STATUSES, 'outbound_calls');
+        }
+        for (const call of calls) this.outboundCalls.set(call.id, call);
+        return calls.map(clone);
+    }
+
+    async getOutboundCall(id) {
+        return clone(this.outboundCalls.get(id)) || null;
+    }
+
+    async updateOutboundCall(id, patch) {
+        const existing = this.outboundCalls.get(id);
+        if (!existing) return null;
+        const updated = { ...existing, ...clone(patch), id, updated_at: new Date().toISOString() };
+        this.checkOneOf(updated.status, OUTBOUND_CALL_STATUSES, 'outbound_calls');
+        this.outboundCalls.set(id, updated);
+        return clone(updated);
+    }
+
+    async listOutboundCalls(campaignId) {
+        return [...this.outboundCalls.values()]
+            .filter(c => c.campaign_id === campaignId)
+            .sort(byTime('created_at'))
+            .map(clone);
+    }
+
+    // Pending calls whose next attempt is due, and placed calls past their
+    // status callback deadline, oldest first
+    async listDueOutboundCalls(now = new Date(), limit = 10) {
+        return [...this.outboundCalls.values()]
+            .filter(c => (c.status === 'pending' || c.status === 'calling') && new Date(c.next_attempt_at) <= now)
+            .sort(byTime('next_attempt_at'))
+            .slice(0, limit)
+            .map(clone);
+    }
+
+    // --- patients ---
+
+    async createPatient(row) {
+        const now = new Date().toISOString();
+        const patient = {
+            id: uuidv4(),
+            phone_number: null,
+            mrn: null,
+            created_at: now,
+            updated_at: now,
+            ...clone(row)
+        };
+        if (!patient.name) throw constraintError('null value in column "name" violates not-null constraint', '23502');
+        if (!patient.date_of_birth) throw constraintError('null value in column "date_of_birth" violates not-null constraint', '23502');
+        this.patients.set(patient.id, patient);
+        return clone(patient);
+    }
+
+    async getPatient(id) {
+        return clone(this.patients.get(id)) || null;
+    }
+
+    async updatePatient(id, patch) {
+        const existing = this.patients.get(id);
+        if (!existing) return null;
+        const updated = { ...existing, ...clone(patch), id, updated_at: new Date().toISOString() };
+        this.patients.set(id, updated);
+        return clone(updated);
+    }
+
+    async findPatientsByDateOfBirth(dateOfBirth) {
+        return [...this.patients.values()]
+            .filter(p => p.date_of_birth === dateOfBirth)
+            .sort(byTime('created_at'))
+            .map(clone);
+    }
+
+    async findPatientsByPhone(phoneNumber) {
+        return [...this.patients.values()]
+            .filter(p => p.phone_number === phoneNumber)
+            .sort(byTime('created_at'))
+            .map(clone);
+    }
+
+    // --- appointments ---
+
+    async createAppointment(row) {
+        const now = new Date().toISOString();
+        const appointment = {
+            id: uuidv4(),
+            provider: null,
+            reason: null,
+            status: 'scheduled',
+            source: null,
+            created_at: now,
+            updated_at: now,
+            ...clone(row)
+        };
+        if (!this.patients.has(appointment.patient_id)) {
+            throw constraintError('insert or update on table "appointments" violates foreign key constraint "appointments_patient_id_fkey"', '23503');
+        }
+        if (!appointment.specialty) throw constraintError('null value in column "specialty" violates not-null constraint', '23502');
+        if (!appointment.date) throw constraintError('null value in column "date" violates not-null constraint', '23502');
+        this.checkOneOf(appointment.status, APPOINTMENT_STATUSES, 'appointments');
+        this.appointments.set(appointment.id, appointment);
+        return clone(appointment);
+    }
+
+    async getAppointment(id) {
+        return clone(this.appointments.get(id)) || null;
+    }
+
+    async updateAppointment(id, patch) {
+        const existing = this.appointments.get(id);
+        if (!existing) return null;
+        const updated = { ...existing, ...clone(patch), id, updated_at: new Date().toISOString() };
+        this.checkOneOf(updated.status, APPOINTMENT_STATUSES, 'appointments');
+        this.appointments.set(id, updated);
+        return clone(updated);
+    }
+
+    // A patient's appointments, earliest first
+    async listAppointmentsByPatient(patientId) {
+        return [...this.appointments.values()]
+            .filter(a => a.patient_id === patientId)
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .map(clone);
+    }
+
+    // --- visit notes ---
+
+    async addNote(row) {
+        const note = {
+            id: uuidv4(),
+            sections: [],
+            model: null,
+            prompt_version: null,
+            created_at: new Date().toISOString(),
+            ...clone(row)
+        };
+        this.checkConversation(note.conversation_id, 'visit_notes');
+        this.notes.push(note);
+        return clone(note);
+    }
+
+    // A conversation's notes, newest first
+    async listNotes(conversationId) {
+        return this.notes
+            .filter(n => n.conversation_id === conversationId)
+            .map((n, i) => ({ n, i }))
+            .sort((a, b) => byTime('created_at', false)(a.n, b.n) || b.i - a.i)
+            .map(({ n }) => clone(n));
+    }
+
+    // --- call events ---
+
+    async addCallEvent(row) {
+        const event = { id: uuidv4(), data: {}, created_at: new Date().toISOString(), ...clone(row) };
+        this.checkConversation(event.conversation_id, 'call_events');
+        if (this.callEvents.some(e => e.conversation_id === event.conversation_id && e.seq === event.seq)) {
+            throw constraintError('duplicate key value violates unique constraint "call_events_conversation_id_seq_key"', '23505');
+        }
+        this.callEvents.push(event);
+        return clone(event);
+    }
+
+    // A call's event log in order
+    async listCallEvents(conversationId) {
+        return this.callEvents
+            .filter(e => e.conversation_id === conversationId)
+            .sort((a, b) => a.seq - b.seq)
+            .map(clone);
+    }
+
+    // --- constraint helpers ---
+
+    checkOneOf(value, allowed, table) {
+        if (!allowed.includes(value)) {
+            throw constraintError(`new row for relation "${table}" violates check constraint "${table}_status_check"`, '23514');
+        }
+    }
+
+    checkStatus(status) {
+        if (status !== null && !CONVERSATION_STATUSES.includes(status)) {
+            throw constraintError('new row for relation "conversations" violates check constraint "conversations_status_check"', '23514');
+        }
+    }
+
+    checkConversation(conversationId, table) {
+        if (!this.conversations.has(conversationId)) {
+            throw constraintError(`insert or update on table "${table}" violates foreign key constraint "${table}_conversation_id_fkey"`, '23503');
+        }
+    }
+}
@@ -0,0 +1,420 @@
+import { createClient } from '@supabase/supabase-js';
+
+// Supabase-backed implementation of the clinical storage repository.
+// Every method throws the Supabase error on failure; lookups by id return null
+// when the row does not exist.
+export class SupabaseStorage {
+    constructor({ url, serviceRoleKey, client } = {}) {
+        this.name = 'supabase';
+        this.client = client || createClient(url, serviceRoleKey);
+    }
+
+    // --- conversations ---
+
+    async createConversation(row) {
+        const { data, error } = await this.client
+            .from('conversations')
+            .insert(row)
+            .select()
+            .single();
+        if (error) throw error;
+        return data;
+    }
+
+    async getConversation(id) {
+        const { data, error } = await this.client
+            .from('conversations')
+            .select('*')
+            .eq('id', id)
+            .maybeSingle();
+        if (error) throw error;
+        return data;
+    }
+
+    async getConversationByCallSid(callSid) {
+        const { data, error } = await this.client
+            .from('conversations')
+            .select('*')
+            .eq('call_sid', callSid)
+            .maybeSingle();
+        if (error) throw error;
+        return data;
+    }
+
+    async updateConversation(id, patch) {
+        const { data, error } = await this.client
+            .from('conversations')
+            .update({ ...patch, updated_at: new Date().toISOString() })
+            .eq('id', id)
+            .select()
+            .maybeSingle();
+        if (error) throw error;
+        return data;
+    }
+
+    // All conversations, newest first, with their messages and clinical extractions
+    async listConversationsWithDetails() {
+        const { data, error } = await this.client
+            .from('conversations')
+            .select(`
+                *,
+                messages (*),
+                clinical_extractions (*)
+            `)
+            .order('started_at', { ascending: false });
+        if (error) throw error;
+        return data || [];
+    }
+
+    // Conversations flagged by red-flag detection, newest first
+    async listUrgentConversations() {
+        const { data, error } = await this.client
+            .from('conversations')
+            .select('*')
+            .eq('metadata->>urgent_review', 'true')
+            .order('started_at', { ascending: false });
+        if (error) throw error;
+        return data || [];
+    }
+
+    // A caller's conversations started since `since`, newest first
+    async listConversationsByPhone(phoneNumber, since) {
+        const { data, error } = await this.client
+            .from('conversations')
+            .select('*')
+            .eq('phone_number', phoneNumber)
+            .gte('started_at', since.toISOString())
+            .order('started_at', { ascending: false });
+        if (error) throw error;
+        return data || [];
+    }
+
+    // Conversations stored against an appointment, oldest first
+    async listConversationsByAppointment(appointmentId) {
+        const { data, error } = await this.client
+            .from('conversations')
+            .select('*')
+            .eq('appointment_id', appointmentId)
+            .order('started_at', { ascending: true });
+        if (error) throw error;
+        return data || [];
+    }
+
+    // Active conversations not updated since `before`, oldest first
+    async listStaleConversations(before) {
+        const { data, error } = await this.client
+            .from('conversations')
+            .select('*')
+            .eq('status', 'active')
+            .lt('updated_at', before.toISOString())
+            .order('updated_at', { ascending: true });
+        if (error) throw error;
+        return data || [];
+    }
+
+    // --- messages ---
+
+    async addMessage(row) {
+        const { data, error } = await this.client
+            .from('messages')
+            .insert({ timestamp: new Date().toISOString(), metadata: {}, ...row })
+            .select()
+            .single();
+        if (error) throw error;
+        return data;
+    }
+
+    async getMessage(id) {
+        const { data, error } = await this.client
+            .from('messages')
+            .select('*')
+            .eq('id', id)
+            .maybeSingle();
+        if (error) throw error;
+        return data;
+    }
+
+    async updateMessage(id, patch) {
+        const { data, error } = await this.client
+            .from('messages')
+            .update(patch)
+            .eq('id', id)
+            .select()
+            .maybeSingle();
+        if (error) throw error;
+        return data;
+    }
+
+    async listMessages(conversationId) {
+        const { data, error } = await this.client
+            .from('messages')
+            .select('*')
+            .eq('conversation_id', conversationId)
+            .order('timestamp', { ascending: true });
+        if (error) throw error;
+        return data || [];
+    }
+
+    // --- clinical_extractions ---
+
+    async addExtraction(row) {
+        const { data, error } = await this.client
+            .from('clinical_extractions')
+            .insert({ metadata: {}, ...row })
+            .select()
+            .single();
+        if (error) throw error;
+        return data;
+    }
+
+    async listExtractions(conversationId) {
+        const { data, error } = await this.client
+            .from('clinical_extractions')
+            .select('*')
+            .eq('conversation_id', conversationId)
+            .order('extracted_at', { ascending: true });
+        if (error) throw error;
+        return data || [];
+    }
+
+    // --- call_campaigns ---
+
+    async createCampaign(row) {
+        const { data, error } = await this.client
+            .from('call_campaigns')
+            .insert(row)
+            .select()
+            .single();
+        if (error) throw error;
+        return data;
+    }
+
+    async getCampaign(id) {
+        const { data, error } = await this.client
+            .from('call_campaigns')
+            .select('*')
+            .eq('id', id)
+            .maybeSingle();
+        if (error) throw error;
+        return data;
+    }
+
+    async updateCampaign(id, patch) {
+        const { data, error } = await this.client
+            .from('call_campaigns')
+            .update({ ...patch, updated_at: new Date().toISOString() })
+            .eq('id', id)
+            .select()
+            .maybeSingle();
+        if (error) throw error;
+        return data;
+    }
+
+    async listCampaigns() {
+        const { data, error } = await this.client
+            .from('call_campaigns')
+            .select('*')
+            .order('created_at', { ascending: false });
+        if (error) throw error;
+        return data || [];
+    }
+
+    // --- outbound_calls ---
+
+    async addOutboundCalls(rows) {
+        const { data, error } = await this.client
+            .from('outbound_calls')
+            .insert(rows)
+            .select();
+        if (error) throw error;
+        return data || [];
+    }
+
+    async getOutboundCall(id) {
+        const { data, error } = await this.client
+            .from('outbound_calls')
+            .select('*')
+            .eq('id', id)
+            .maybeSingle();
+        if (error) throw error;
+        return data;
+    }
+
+    async updateOutboundCall(id, patch) {
+        const { data, error } = await this.client
+            .from('outbound_calls')
+            .update({ ...patch, updated_at: new Date().toISOString() })
+            .eq('id', id)
+            .select()
+            .maybeSingle();
+        if (error) throw error;
+        return data;
+    }
+
+    async listOutboundCalls(campaignId) {
+        const { data, error } = await this.client
+            .from('outbound_calls')
+            .select('*')
+            .eq('campaign_id', campaignId)
+            .order('created_at', { ascending: true });
+        if (error) throw error;
+        return data || [];
+    }
+
+    // Pending calls whose next attempt is due, and placed calls past their
+    // status callback deadline, oldest first
+    async listDueOutboundCalls(now = new Date(), limit = 10) {
+        const { data, error } = await this.client
+            .from('outbound_calls')
+            .select('*')
+            .in('status', ['pending', 'calling'])
+            .lte('next_attempt_at', now.toISOString())
+            .order('next_attempt_at', { ascending: true })
+            .limit(limit);
+        if (error) throw error;
+        return data || [];
+    }
+
+    // --- patients ---
+
+    async createPatient(row) {
+        const { data, error } = await this.client
+            .from('patients')
+            .insert(row)
+            .select()
+            .single();
+        if (error) throw error;
+        return data;
+    }
+
+    async getPatient(id) {
+        const { data, error } = await this.client
+            .from('patients')
+            .select('*')
+            .eq('id', id)
+            .maybeSingle();
+        if (error) throw error;
+        return data;
+    }
+
+    async updatePatient(id, patch) {
+        const { data, error } = await this.client
+            .from('patients')
+            .update({ ...patch, updated_at: new Date().toISOString() })
+            .eq('id', id)
+            .select()
+            .maybeSingle();
+        if (error) throw error;
+        return data;
+    }
+
+    async findPatientsByDateOfBirth(dateOfBirth) {
+        const { data, error } = await this.client
+            .from('patients')
+            .select('*')
+            .eq('date_of_birth', dateOfBirth)
+            .order('created_at', { ascending: true });
+        if (error) throw error;
+        return data || [];
+    }
+
+    async findPatientsByPhone(phoneNumber) {
+        const { data, error } = await this.client
+            .from('patients')
+            .select('*')
+            .eq('phone_number', phoneNumber)
+            .order('created_at', { ascending: true });
+        if (error) throw error;
+        return data || [];
+    }
+
+    // --- appointments ---
+
+    async createAppointment(row) {
+        const { data, error } = await this.client
+            .from('appointments')
+            .insert(row)
+            .select()
+            .single();
+        if (error) throw error;
+        return data;
+    }
+
+    async getAppointment(id) {
+        const { data, error } = await this.client
+            .from('appointments')
+            .select('*')
+            .eq('id', id)
+            .maybeSingle();
+        if (error) throw error;
+        return data;
+    }
+
+    async updateAppointment(id, patch) {
+        const { data, error } = await this.client
+            .from('appointments')
+            .update({ ...patch, updated_at: new Date().toISOString() })
+            .eq('id', id)
+            .select()
+            .maybeSingle();
+        if (error) throw error;
+        return data;
+    }
+
+    // A patient's appointments, earliest first
+    async listAppointmentsByPatient(patientId) {
+        const { data, error } = await this.client
+            .from('appointments')
+            .select('*')
+            .eq('patient_id', patientId)
+            .order('date', { ascending: true });
+        if (error) throw error;
+        return data || [];
+    }
+
+    // --- visit notes ---
+
+    async addNote(row) {
+        const { data, error } = await this.client
+            .from('visit_notes')
+            .insert(row)
+            .select()
+            .single();
+        if (error) throw error;
+        return data;
+    }
+
+    // A conversation's notes, newest first
+    async listNotes(conversationId) {
+        const { data, error } = await this.client
+            .from('visit_notes')
+            .select('*')
+            .eq('conversation_id', conversationId)
+            .order('created_at', { ascending: false });
+        if (error) throw error;
+        return data || [];
+    }
+
+    // --- call events ---
+
+    async addCallEvent(row) {
+        const { data, error } = await this.client
+            .from('call_events')
+            .insert(row)
+            .select()
+            .single();
+        if (error) throw error;
+        return data;
+    }
+
+    // A call's event log in order
+    async listCallEvents(conversationId) {
+        const { data, error } = await this.client
+            .from('call_events')
+            .select('*')
+            .eq('conversation_id', conversationId)
+            .order('seq', { ascending: true });
+        if (error) throw error;
+        return data || [];
+    }
+}
@@ -0,0 +1,121 @@
+import crypto from 'crypto';
+import twilio from 'twilio';
+
+// Twilio webhook signature checks and short-lived media stream tokens.
+//
+// TWILIO_VALIDATION_MODE controls webhooks:
+//   strict - reject requests with a missing or invalid X-Twilio-Signature (403)
+//   log    - validate when possible but only log failures (default, for local dev)
+//
+// Stream tokens are HMAC-signed, single-use and expire after
+// STREAM_TOKEN_TTL_SECONDS (default 60). /webhook/voice embeds one in the
+// TwiML <Parameter>, and /coral-stream requires it on the "start" event before
+// any audio is forwarded.
+
+export const VALIDATION_MODES = ['strict', 'log'];
+
+// Rebuild the URL Twilio signed. Behind a proxy the request protocol/host may
+// differ from the public one, so prefer PUBLIC_BASE_URL when it is set.
+export const signedUrlFor = (request, publicBaseUrl) => {
+    if (publicBaseUrl) return `${publicBaseUrl.replace(/\/+$/, '')}${request.raw.url}`;
+    const proto = request.headers['x-forwarded-proto']?.split(',')[0] || request.protocol;
+    return `${proto}://${request.headers.host}${request.raw.url}`;
+};
+
+// Fastify preHandler that enforces (or logs) Twilio request signatures
+export const createTwilioValidator = ({ mode = 'log', authToken, publicBaseUrl } = {}) => {
+    if (!VALIDATION_MODES.includes(mode)) {
+        throw new Error(`Unknown TWILIO_VALIDATION_MODE "${mode}" (expected ${VALIDATION_MODES.join(' or ')})`);
+    }
+    if (mode === 'strict' && !authToken) {
+        throw new Error('TWILIO_VALIDATION_MODE=strict requires TWILIO_AUTH_TOKEN');
+    }
+
+    return async (request, reply) => {
+        const signature = request.headers['x-twilio-signature'];
+        let verified = false;
+        try {
+            if (authToken && signature) {
+                const url = signedUrlFor(request, publicBaseUrl);
+                verified = twilio.validateRequest(authToken, signature, url, request.body || {});
+            }
+        } catch (e) {
+            console.warn('Twilio signature validation error:', e?.message);
+        }
+        request.twilioVerified = verified;
+        if (verified) return;
+
+        const reason = signature ? 'invalid signature' : 'missing signature';
+        if (mode === 'strict') {
+            console.warn('Rejected Twilio webhook:', reason, { url: request.raw.url });
+            return reply.status(403).type('text/plain').send('Forbidden');
+        }
+        if (authToken) {
+            console.warn(`Twilio webhook has ${reason}; proceeding but marking as unverified`);
+        }
+    };
+};
+
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+
+// Issues and verifies stream tokens; one instance per process
+export class StreamTokens {
+    constructor({ secret, ttlSeconds = 60 } = {}) {
+        if (!secret) {
+            console.warn('No STREAM_TOKEN_SECRET or TWILIO_AUTH_TOKEN set; using a per-process stream token secret.');
+            secret = crypto.randomBytes(32).toString('hex');
+        }
+        this.secret = secret;
+        this.ttlSeconds = ttlSeconds;
+        this.used = new Map(); // nonce -> expiry (ms)
+    }
+
+    sign(payload) {
+        return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+    }
+
+    issue({ conversationId, callSid }) {
+        const claims = {
+            cid: conversationId || null,
+            sid: callSid || null,
+            exp: Math.floor(Date.now() / 1000) + this.ttlSeconds,
+            n: crypto.randomBytes(9).toString('base64url')
+        };
+        const payload = b64url(JSON.stringify(claims));
+        return `${payload}.${this.sign(payload)}`;
+    }
+
+    // Returns { ok: true, conversationId, callSid } or { ok: false, reason }
+    verify(token, { callSid } = {}) {
+        if (!token || typeof token !== 'string' || !token.includes('.')) return { ok: false, reason: 'missing token' };
+        const [payload, sig] = token.split('.');
+        // Compared as bytes: a signature with multibyte characters can match in
+        // string length but not in byte length, which timingSafeEqual throws on
+        const given = Buffer.from(sig || '');
+        const expected = Buffer.from(this.sign(payload));
+        if (!sig || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            return { ok: false, reason: 'bad signature' };
+        }
+        let claims;
+        try {
+            claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        } catch {
+            return { ok: false, reason: 'malformed token' };
+        }
+        const now = Date.now();
+        if (!claims.exp || claims.exp * 1000 < now) return { ok: false, reason: 'expired' };
+        if (callSid && claims.sid && claims.sid !== callSid) return { ok: false, reason: 'call mismatch' };
+
+        this.sweep(now);
+        if (this.used.has(claims.n)) return { ok: false, reason: 'replayed' };
+        this.used.set(claims.n, claims.exp * 1000);
+
+        return { ok: true, conversationId: claims.cid, callSid: claims.sid };
+    }
+
+    sweep(now = Date.now()) {
+        for (const [nonce, exp] of this.used) {
+            if (exp < now) this.used.delete(nonce);
+        }
+    }
+}
@@ -0,0 +1,24 @@
+import twilio from 'twilio';
+
+// Twilio REST client for outbound calls. Returns null when TWILIO_ACCOUNT_SID /
+// TWILIO_AUTH_TOKEN are not set, so features that need it can report that they
+// are unavailable instead of failing at startup.
+//
+// TWILIO_API_BASE_URL redirects every REST request to another host (e.g. the
+// fake Twilio API in test/harness), keeping the request paths unchanged.
+
+class BaseUrlRequestClient extends twilio.RequestClient {
+    constructor(baseUrl) {
+        super();
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+    }
+
+    request(opts) {
+        return super.request({ ...opts, uri: opts.uri.replace(/^https:\/\/[^/]+/, this.baseUrl) });
+    }
+}
+
+export const createTwilioClient = ({ accountSid, authToken, apiBaseUrl } = {}) => {
+    if (!accountSid || !authToken) return null;
+    return twilio(accountSid, authToken, apiBaseUrl ? { httpClient: new BaseUrlRequestClient(apiBaseUrl) } : {});
+};
@@ -54,19 +54,138 @@ CREATE TABLE IF NOT EXISTS clinical_extractions (
     metadata JSONB DEFAULT '{}'
 );
 
+-- Versioned values and open conflicts behind clinical_data (see lib/clinical-history.js)
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS clinical_data_history JSONB DEFAULT '{}'::jsonb;
+
+-- Provenance for live-call extractions: the message a value came from, the
+-- quoted words, and the model/prompt that produced it
+ALTER TABLE clinical_extractions ADD COLUMN IF NOT EXISTS source_message_id UUID REFERENCES messages(id) ON DELETE SET NULL;
+ALTER TABLE clinical_extractions ADD COLUMN IF NOT EXISTS source_quote TEXT;
+ALTER TABLE clinical_extractions ADD COLUMN IF NOT EXISTS extraction_model TEXT;
+ALTER TABLE clinical_extractions ADD COLUMN IF NOT EXISTS prompt_version TEXT;
+
+-- How a call ended (see lib/lifecycle.js): the end reason, call duration and
+-- the intake sections still uncovered when it ended
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS end_reason TEXT;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS duration_seconds INTEGER;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS incomplete_sections JSONB DEFAULT '[]'::jsonb;
+
+-- Outbound pre-appointment call campaigns
+CREATE TABLE IF NOT EXISTS call_campaigns (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'completed', 'cancelled')),
+    settings JSONB DEFAULT '{}', -- max_attempts, retry_delay_minutes, calling_hours, timezone
+    created_by TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One row per patient to call, with appointment context and attempt tracking
+CREATE TABLE IF NOT EXISTS outbound_calls (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    campaign_id UUID NOT NULL REFERENCES call_campaigns(id) ON DELETE CASCADE,
+    phone_number TEXT NOT NULL,
+    patient_name TEXT,
+    appointment JSONB DEFAULT '{}', -- specialty, date, provider
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'calling', 'completed', 'exhausted', 'cancelled')),
+    attempt_count INTEGER NOT NULL DEFAULT 0,
+    attempts JSONB DEFAULT '[]', -- [{ call_sid, started_at, ended_at, result, duration }]
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(), -- while 'calling': the status callback deadline
+    last_result TEXT,
+    conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Patient records callers are verified against (see lib/identity.js)
+CREATE TABLE IF NOT EXISTS patients (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name TEXT NOT NULL,
+    date_of_birth DATE NOT NULL,
+    phone_number TEXT,
+    mrn TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- The patient a caller verified as, when identity verification is on
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS patient_id UUID REFERENCES patients(id) ON DELETE SET NULL;
+
+-- Imported appointment rosters (see lib/appointments.js); inbound calls are
+-- matched to the caller's next scheduled appointment
+CREATE TABLE IF NOT EXISTS appointments (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    patient_id UUID NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    specialty TEXT NOT NULL,
+    provider TEXT,
+    date TEXT NOT NULL, -- YYYY-MM-DD, or an ISO 8601 date-time
+    reason TEXT,
+    status TEXT NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'cancelled', 'completed')),
+    source TEXT, -- csv | json
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- The appointment a call is about
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS appointment_id UUID REFERENCES appointments(id) ON DELETE SET NULL;
+
+-- Generated pre-visit notes (see lib/notes.js), one row per generation;
+-- the latest row is the current note
+CREATE TABLE IF NOT EXISTS visit_notes (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    template_id TEXT NOT NULL,
+    sections JSONB NOT NULL DEFAULT '[]'::jsonb, -- [{ id, title, text }]
+    content TEXT NOT NULL,
+    model TEXT,
+    prompt_version TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Each call's state machine log (see lib/call-session.js): state transitions
+-- and the scripted lines injected into the call, in order
+CREATE TABLE IF NOT EXISTS call_events (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    seq INTEGER NOT NULL,
+    type TEXT NOT NULL, -- transition | assistant_line | consent | barge_in
+    state TEXT NOT NULL, -- the call's state after the event
+    data JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (conversation_id, seq)
+);
+
 -- Indexes for better performance
 create index IF not exists idx_conversations_call_sid on public.conversations using btree (call_sid) TABLESPACE pg_default;
 create index IF not exists idx_conversations_status on public.conversations using btree (status) TABLESPACE pg_default;
 create index IF not exists idx_conversations_started_at on public.conversations using btree (started_at) TABLESPACE pg_default;
+create index IF not exists idx_conversations_phone_started_at on public.conversations using btree (phone_number, started_at) TABLESPACE pg_default;
+create index IF not exists idx_conversations_status_updated_at on public.conversations using btree (status, updated_at) TABLESPACE pg_default;
 create index IF not exists idx_messages_conversation_id on public.messages using btree (conversation_id) TABLESPACE pg_default;
 create index IF not exists idx_messages_timestamp on public.messages using btree (timestamp) TABLESPACE pg_default;
 create index IF not exists idx_clinical_extractions_conversation_id on public.clinical_extractions using btree (conversation_id) TABLESPACE pg_default;
 create index IF not exists idx_clinical_extractions_field_name on public.clinical_extractions using btree (field_name) TABLESPACE pg_default;
+create index IF not exists idx_clinical_extractions_source_message_id on public.clinical_extractions using btree (source_message_id) TABLESPACE pg_default;
+create index IF not exists idx_outbound_calls_campaign_id on public.outbound_calls using btree (campaign_id) TABLESPACE pg_default;
+create index IF not exists idx_outbound_calls_due on public.outbound_calls using btree (status, next_attempt_at) TABLESPACE pg_default;
+create index IF not exists idx_patients_date_of_birth on public.patients using btree (date_of_birth) TABLESPACE pg_default;
+create index IF not exists idx_conversations_patient_id on public.conversations using btree (patient_id) TABLESPACE pg_default;
+create index IF not exists idx_patients_phone_number on public.patients using btree (phone_number) TABLESPACE pg_default;
+create index IF not exists idx_appointments_patient_date on public.appointments using btree (patient_id, date) TABLESPACE pg_default;
+create index IF not exists idx_conversations_appointment_id on public.conversations using btree (appointment_id) TABLESPACE pg_default;
+create index IF not exists idx_visit_notes_conversation_created on public.visit_notes using btree (conversation_id, created_at) TABLESPACE pg_default;
 
 -- Row Level Security (RLS) policies
 ALTER TABLE conversations ENABLE ROW LEVEL SECURITY;
 ALTER TABLE messages ENABLE ROW LEVEL SECURITY;
 ALTER TABLE clinical_extractions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE call_campaigns ENABLE ROW LEVEL SECURITY;
+ALTER TABLE outbound_calls ENABLE ROW LEVEL SECURITY;
+ALTER TABLE patients ENABLE ROW LEVEL SECURITY;
+ALTER TABLE appointments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE visit_notes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE call_events ENABLE ROW LEVEL SECURITY;
 
 -- Allow service role to access all data
 DO $$ 
@@ -85,6 +204,36 @@ BEGIN
         CREATE POLICY "Service role can access all clinical extractions" ON clinical_extractions
             FOR ALL USING (auth.role() = 'service_role');
     END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'call_campaigns' AND policyname = 'Service role can access all call campaigns') THEN
+        CREATE POLICY "Service role can access all call campaigns" ON call_campaigns
+            FOR ALL USING (auth.role() = 'service_role');
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'outbound_calls' AND policyname = 'Service role can access all outbound calls') THEN
+        CREATE POLICY "Service role can access all outbound calls" ON outbound_calls
+            FOR ALL USING (auth.role() = 'service_role');
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'patients' AND policyname = 'Service role can access all patients') THEN
+        CREATE POLICY "Service role can access all patients" ON patients
+            FOR ALL USING (auth.role() = 'service_role');
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'appointments' AND policyname = 'Service role can access all appointments') THEN
+        CREATE POLICY "Service role can access all appointments" ON appointments
+            FOR ALL USING (auth.role() = 'service_role');
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'visit_notes' AND policyname = 'Service role can access all visit notes') THEN
+        CREATE POLICY "Service role can access all visit notes" ON visit_notes
+            FOR ALL USING (auth.role() = 'service_role');
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'call_events' AND policyname = 'Service role can access all call events') THEN
+        CREATE POLICY "Service role can access all call events" ON call_events
+            FOR ALL USING (auth.role() = 'service_role');
+    END IF;
 END $$;
 
 -- Functions for automatic timestamp updates
@@ -3,15 +3,38 @@ import WebSocket from 'ws';
 import dotenv from 'dotenv';
 import fastifyFormBody from '@fastify/formbody';
 import fastifyWs from '@fastify/websocket';
-import twilio from 'twilio';
-import { createClient } from '@supabase/supabase-js';
 import { v4 as uuidv4 } from 'uuid';
+import { createStorage } from './lib/storage/index.js';
+import { createAuth } from './lib/auth.js';
+import { createTwilioValidator, StreamTokens } from './lib/twilio-auth.js';
+import { buildFhirBundle } from './lib/fhir.js';
+import { Deidentifier } from './lib/deidentify.js';
+import { createTwilioClient } from './lib/twilio-rest.js';
+import { CampaignScheduler, CampaignError, describeAppointment } from './lib/campaigns.js';
+import { PatientError, normalizePatientRecord } from './lib/patients.js';
+import { IdentityVerification } from './lib/identity.js';
+import { AppointmentError, rosterFromCsv, rosterFromJson, importRoster, findNextAppointment, appointmentContext } from './lib/appointments.js';
+import { LiveMonitor } from './lib/live-monitor.js';
+import { loadRedFlags, detectRedFlag, ruleGuidance, estimateSpeechMs, transferTwiml } from './lib/red-flags.js';
+import { LIVE_EXTRACTION_MODEL, EVIDENCE_FORMAT_INSTRUCTIONS, unwrapEvidence, buildExtractionRow, fieldValueText, annotateClinicalData } from './lib/provenance.js';
+import { mergeClinicalData, listFields, markConflictAsked, clarifyingQuestion, supersededValues, replaceValue } from './lib/clinical-history.js';
+import { loadDrugDictionary, medicationFields, normalizeMedications, describeMedications, nameKey, spellingQuestion, parseSpelledWord, respellMedication } from './lib/medications.js';
+import { loadProtocols, detectProtocol, protocolExtractionFields, protocolKeyMap, protocolInstructions, ProtocolRun } from './lib/protocols.js';
+import { loadLocales, line, matchesIntent, fieldLabel, detectLanguage, DEFAULT_LANGUAGE } from './lib/i18n.js';
+import { ConversationLifecycle, GENERAL_SECTIONS } from './lib/lifecycle.js';
+import { findResumableConversation, mergeResumedData, intakeChain, isIdentifiableCaller } from './lib/resume.js';
+import { CallRecording, RecordingStore, audioReference } from './lib/recording.js';
+import { CallSession } from './lib/call-session.js';
+import { PlaybackTracker } from './lib/playback.js';
+import { consentAnswer, CONSENT_PROMPT_VERSION } from './lib/consent.js';
+import { KeypadBuffer, keypadMeaning, keypadModelText } from './lib/keypad.js';
+import { loadNoteTemplates, noteTemplateFor, buildNotePrompt, parseNoteSections, renderNote, NOTE_MODEL, NOTE_PROMPT_VERSION } from './lib/notes.js';
 
 // Load environment variables
 dotenv.config();
 
 // Retrieve API keys
-const { OPENAI_API_KEY, SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, PUBLIC_BASE_URL } = process.env;
+const { OPENAI_API_KEY, PUBLIC_BASE_URL } = process.env;
 
 if (!OPENAI_API_KEY) {
     console.error('Missing OpenAI API key. Please set it in the .env file.');
@@ -22,21 +45,271 @@ if (!OPENAI_API_KEY) {
 const fastify = Fastify();
 fastify.register(fastifyFormBody);
 fastify.register(fastifyWs);
+// Appointment rosters may be uploaded as CSV
+fastify.addContentTypeParser(['text/csv', 'application/csv'], { parseAs: 'string' }, (request, body, done) => done(null, body));
 
 const PORT = process.env.PORT || 10000;
 
-// Initialize Supabase client
-const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
-if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
-    console.warn('Supabase credentials are not fully set. Database operations may fail.');
+// API authentication (API keys or HS256 JWT) with per-route role permissions
+const { requirePermission } = createAuth({
+    apiKeys: process.env.API_KEYS,
+    jwtSecret: process.env.JWT_SECRET,
+    jwtIssuer: process.env.JWT_ISSUER,
+    jwtAudience: process.env.JWT_AUDIENCE,
+    disabled: (process.env.API_AUTH || '').toLowerCase() === 'off'
+});
+
+// Twilio webhook signature enforcement and media stream tokens
+const { TWILIO_AUTH_TOKEN } = process.env;
+const validateTwilioWebhook = createTwilioValidator({
+    mode: (process.env.TWILIO_VALIDATION_MODE || 'log').toLowerCase(),
+    authToken: TWILIO_AUTH_TOKEN,
+    publicBaseUrl: PUBLIC_BASE_URL
+});
+const streamTokens = new StreamTokens({
+    secret: process.env.STREAM_TOKEN_SECRET || TWILIO_AUTH_TOKEN,
+    ttlSeconds: Number(process.env.STREAM_TOKEN_TTL_SECONDS) || 60
+});
+const STREAM_START_TIMEOUT_MS = 10000;
+
+// OpenAI endpoints; override OPENAI_BASE_URL to point at a local stand-in (see test/harness)
+const OPENAI_BASE_URL = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+const OPENAI_REALTIME_MODEL = process.env.OPENAI_REALTIME_MODEL || 'gpt-4o-realtime-preview-2024-10-01';
+const OPENAI_REALTIME_URL = `${OPENAI_BASE_URL.replace(/^http/, 'ws')}/realtime?model=${OPENAI_REALTIME_MODEL}`;
+const OPENAI_CHAT_URL = `${OPENAI_BASE_URL}/chat/completions`;
+
+// Initialize storage (Supabase, or in-memory for local runs and tests)
+const storage = createStorage();
+console.log('Storage backend:', storage.name);
+
+// De-identified exports (?deidentify=true) for research and QA
+const deidentifier = new Deidentifier({ secret: process.env.DEID_SECRET });
+const wantsDeidentified = (request) => ['true', '1', 'yes'].includes(String(request.query?.deidentify || '').toLowerCase());
+
+// Twilio REST client (outbound campaigns, emergency transfers); null when not configured
+const twilioClient = createTwilioClient({
+    accountSid: process.env.TWILIO_ACCOUNT_SID,
+    authToken: TWILIO_AUTH_TOKEN,
+    apiBaseUrl: process.env.TWILIO_API_BASE_URL
+});
+
+// Outbound pre-appointment call campaigns (dials through the Twilio REST API)
+const campaigns = new CampaignScheduler({
+    storage,
+    twilioClient,
+    from: process.env.TWILIO_PHONE_NUMBER,
+    publicBaseUrl: PUBLIC_BASE_URL,
+    tickMs: Number(process.env.CAMPAIGN_TICK_SECONDS || 30) * 1000,
+    ...(process.env.OUTBOUND_CALL_TIMEOUT_MINUTES ? { callTimeoutMs: Number(process.env.OUTBOUND_CALL_TIMEOUT_MINUTES) * 60000 } : {})
+});
+if (!campaigns.enabled) {
+    console.log('Outbound campaigns disabled (needs TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_PHONE_NUMBER and PUBLIC_BASE_URL)');
+}
+
+// Active call sessions and their live events for clinician monitoring
+const liveMonitor = new LiveMonitor();
+
+// Red-flag rules (safety/red-flags.json) and emergency warm transfer settings
+const RED_FLAGS = loadRedFlags(process.env.RED_FLAGS_FILE || undefined);
+console.log('Loaded red-flag rules:', RED_FLAGS.rules.map(r => r.id).join(', ') || 'none');
+const ON_CALL_NUMBER = process.env.ON_CALL_NUMBER || null;
+const RED_FLAG_TRANSFER_DELAY_MS = process.env.RED_FLAG_TRANSFER_DELAY_MS ? Number(process.env.RED_FLAG_TRANSFER_DELAY_MS) : null;
+
+// Drug dictionary (dictionaries/drugs.json) for normalising medication names
+const DRUGS = loadDrugDictionary(process.env.DRUG_DICTIONARY_FILE || undefined);
+console.log('Loaded drug dictionary:', DRUGS.size, 'drugs');
+if (!ON_CALL_NUMBER || !twilioClient) {
+    console.log('Emergency transfer disabled (needs ON_CALL_NUMBER, TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN)');
 }
 
+// Read-modify-write of conversations.metadata, serialised per conversation so
+// updates made concurrently during one call do not overwrite each other.
+// update(metadata) returns the keys to change.
+const metadataUpdates = new Map();
+const updateConversationMetadata = (conversationId, update) => {
+    const previous = metadataUpdates.get(conversationId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+        const conversation = await storage.getConversation(conversationId);
+        if (!conversation) return null;
+        const metadata = conversation.metadata || {};
+        return storage.updateConversation(conversationId, { metadata: { ...metadata, ...update(metadata) } });
+    });
+    metadataUpdates.set(conversationId, next);
+    const cleanup = () => { if (metadataUpdates.get(conversationId) === next) metadataUpdates.delete(conversationId); };
+    next.then(cleanup, cleanup);
+    return next;
+};
+
+// Read-modify-write of a saved message, serialised per message like
+// updateConversationMetadata: a line's translation and playback status can
+// arrive together. update(message) returns the columns to change; its
+// metadata keys are merged into the stored metadata.
+const messageUpdates = new Map();
+const patchMessage = (messageId, update) => {
+    const previous = messageUpdates.get(messageId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+        const message = await storage.getMessage(messageId);
+        if (!message) return null;
+        const { metadata, ...columns } = update(message);
+        return storage.updateMessage(messageId, { ...columns, metadata: { ...(message.metadata || {}), ...metadata } });
+    });
+    messageUpdates.set(messageId, next);
+    const cleanup = () => { if (messageUpdates.get(messageId) === next) messageUpdates.delete(messageId); };
+    next.then(cleanup, cleanup);
+    return next;
+};
+
+// Read-modify-write of conversations.clinical_data and clinical_data_history,
+// serialised per conversation like updateConversationMetadata: extractions run
+// on every caller turn and can overlap, and each must see the versions and
+// conflicts the one before it stored. update(conversation) returns
+// { clinicalData, history, ... } or null to leave them; resolves with that result.
+const clinicalDataUpdates = new Map();
+const updateClinicalData = (conversationId, update) => {
+    const previous = clinicalDataUpdates.get(conversationId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+        const conversation = await storage.getConversation(conversationId);
+        if (!conversation) return null;
+        const result = update(conversation);
+        if (!result) return null;
+        await storage.updateConversation(conversationId, { clinical_data: result.clinicalData, clinical_data_history: result.history });
+        return result;
+    });
+    clinicalDataUpdates.set(conversationId, next);
+    const cleanup = () => { if (clinicalDataUpdates.get(conversationId) === next) clinicalDataUpdates.delete(conversationId); };
+    next.then(cleanup, cleanup);
+    return next;
+};
+
+// Record a red flag on the conversation and mark it for urgent clinician review
+const flagForUrgentReview = async (conversationId, flag, extraMetadata = {}) => {
+    try {
+        await updateConversationMetadata(conversationId, (metadata) => ({
+            ...extraMetadata,
+            urgent_review: true,
+            red_flags: flag ? [...(metadata.red_flags || []), flag] : (metadata.red_flags || [])
+        }));
+    } catch (e) {
+        console.error('Failed to flag conversation for urgent review:', e?.message);
+    }
+};
+
+// Load condition-specific intake protocols (protocols/*.json)
+const PROTOCOLS = loadProtocols(process.env.PROTOCOLS_DIR || undefined);
+console.log('Loaded intake protocols:', PROTOCOLS.map(p => p.id).join(', ') || 'none');
+const PROTOCOL_INSTRUCTIONS = PROTOCOLS.map(protocolInstructions).join('\n\n');
+const PROTOCOL_EXTRACTION_FIELDS = protocolExtractionFields(PROTOCOLS);
+// Medication and list fields: the general intake's plus those the protocols declare
+const MEDICATION_FIELDS = medicationFields(PROTOCOLS);
+const LIST_FIELDS = listFields(PROTOCOLS);
+
+// Pre-visit note templates (note-templates/*.json)
+const NOTE_TEMPLATES = loadNoteTemplates(process.env.NOTE_TEMPLATES_DIR || undefined);
+console.log('Loaded note templates:', NOTE_TEMPLATES.map(t => t.id).join(', ') || 'none');
+
+// Final status, end reason and incomplete sections of each conversation, from
+// the media stream closing, Twilio status callbacks, or the stale sweeper
+const lifecycle = new ConversationLifecycle({
+    storage,
+    findProtocol: (id) => PROTOCOLS.find(p => p.id === id) || null,
+    updateMetadata: updateConversationMetadata,
+    isLive: (conversationId) => liveMonitor.isActive(conversationId),
+    staleMs: Number(process.env.STALE_CONVERSATION_MINUTES || 60) * 60000,
+    sweepMs: Number(process.env.CONVERSATION_SWEEP_SECONDS || 300) * 1000
+});
+
+// Callers whose previous call dropped within this window are offered to
+// continue that intake (0 disables)
+const RESUME_WINDOW_MINUTES = process.env.RESUME_WINDOW_MINUTES ? Number(process.env.RESUME_WINDOW_MINUTES) : 60;
+
+// Caller identity verification (name + date of birth against the patients
+// table) before intake. A caller who fails is transferred to the front desk,
+// or told to call the office and disconnected.
+const IDENTITY_VERIFICATION = (process.env.IDENTITY_VERIFICATION || 'off').toLowerCase() === 'on';
+const VERIFICATION_MAX_ATTEMPTS = Math.max(1, Number(process.env.VERIFICATION_MAX_ATTEMPTS || 3));
+const FRONT_DESK_NUMBER = process.env.FRONT_DESK_NUMBER || null;
+const VERIFICATION_FAILURE_ACTION = (process.env.VERIFICATION_FAILURE_ACTION || 'transfer').toLowerCase() === 'hangup' ? 'hangup' : 'transfer';
+const VERIFICATION_FAILURE_DELAY_MS = process.env.VERIFICATION_FAILURE_DELAY_MS ? Number(process.env.VERIFICATION_FAILURE_DELAY_MS) : null;
+// After a caller declines the intake: how long to wait for a callback time,
+// and an optional fixed delay before hanging up after the goodbye
+const CONSENT_CALLBACK_WAIT_MS = Number(process.env.CONSENT_CALLBACK_WAIT_MS || 15000);
+const CONSENT_HANGUP_DELAY_MS = process.env.CONSENT_HANGUP_DELAY_MS ? Number(process.env.CONSENT_HANGUP_DELAY_MS) : null;
+// Keypad input: the pause that ends an entry typed without a closing #
+const KEYPAD_ENTRY_GAP_MS = Number(process.env.KEYPAD_ENTRY_GAP_MS || 2000);
+if (IDENTITY_VERIFICATION) {
+    const transfer = VERIFICATION_FAILURE_ACTION === 'transfer' && FRONT_DESK_NUMBER && twilioClient;
+    console.log(`Identity verification on (${VERIFICATION_MAX_ATTEMPTS} attempts, then ${transfer ? 'transfer to the front desk' : 'hang up'})`);
+}
+
+// Call audio recording (CALL_RECORDING=on): both directions of each call are
+// written to RECORDINGS_DIR as a WAV file per conversation and deleted after
+// RECORDING_RETENTION_DAYS (0 keeps them)
+const CALL_RECORDING = (process.env.CALL_RECORDING || 'off').toLowerCase() === 'on';
+const recordings = new RecordingStore({
+    dir: process.env.RECORDINGS_DIR || undefined,
+    retentionDays: process.env.RECORDING_RETENTION_DAYS ? Number(process.env.RECORDING_RETENTION_DAYS) : 30
+});
+if (CALL_RECORDING) {
+    console.log(`Call recording on (${recordings.retentionMs ? `kept ${process.env.RECORDING_RETENTION_DAYS || 30} days` : 'kept indefinitely'})`);
+}
+
+// Caller languages (locales/*.json). With LANGUAGE_SELECTION=detect the language
+// is recognised from the caller's first utterance; with ivr the caller picks it
+// from a keypad menu before the media stream connects.
+const LOCALES = loadLocales(process.env.LOCALES_DIR || undefined, (process.env.LANGUAGES || 'en,es').split(',').map(s => s.trim().toLowerCase()).filter(Boolean));
+const LANGUAGE_CODES = Object.keys(LOCALES);
+const LANGUAGE_SELECTION = (process.env.LANGUAGE_SELECTION || 'detect').toLowerCase() === 'ivr' ? 'ivr' : 'detect';
+console.log('Caller languages:', LANGUAGE_CODES.join(', '), `(selection: ${LANGUAGE_CODES.length > 1 ? LANGUAGE_SELECTION : 'off'})`);
+
+// English translation of a line spoken in another language, or null
+const translateToEnglish = async (text, locale) => {
+    const prompt = `Translate this ${locale.nameEn} text from a medical intake phone call into English. Return only the translation.\n\nTEXT:\n${text}`;
+    const res = await fetch(OPENAI_CHAT_URL, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${OPENAI_API_KEY}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model: 'gpt-4o-mini', messages: [{ role: 'user', content: prompt }], temperature: 0.0 })
+    });
+    const ai = await res.json();
+    return (ai?.choices?.[0]?.message?.content || '').trim() || null;
+};
+
+// Keep a message as spoken and add its English translation to the metadata
+const translateMessage = async (conversationId, message, locale) => {
+    try {
+        const text = await translateToEnglish(message.content, locale);
+        if (!text) return;
+        const translation = { language: DEFAULT_LANGUAGE, text };
+        await patchMessage(message.id, () => ({ metadata: { translation } }));
+        liveMonitor.publish(conversationId, 'translation', { message_id: message.id, role: message.role, language: locale.code, translation });
+    } catch (e) {
+        console.warn('Failed to translate message:', e?.message);
+    }
+};
+
+// Extra session instructions for calls about a known appointment: outbound
+// campaign calls, and inbound callers matched to their next appointment
+const appointmentInstructions = (appt, { outbound = false } = {}) => [
+    'APPOINTMENT CONTEXT:',
+    outbound
+        ? `This is an outbound call the clinic placed ahead of the caller's ${describeAppointment(appt)}.`
+        : `The caller has an upcoming ${describeAppointment(appt)}.`,
+    appt.reason ? `Reason for visit on the schedule: ${appt.reason}.` : null,
+    `In the greeting and throughout the call, refer to this appointment by its specialty ("${appt.specialty}")${appt.provider ? ` and provider (${appt.provider})` : ''}.`
+].filter(Boolean).join('\n');
+
+// Extra session instructions while the caller's identity is checked
+const VERIFICATION_INSTRUCTIONS = `IDENTITY VERIFICATION:
+After the caller says "Yes", the system asks for their name and date of birth before the intake begins. Do not ask intake questions or comment on these answers; wait until the system says "Thank you, I've confirmed your identity." and then continue the intake.`;
+
+// Stored in place of the caller's answers to the verification questions
+const IDENTITY_ANSWER = '[identity answer]';
+
 // Constants
 const INTRO_VOICE = 'alloy';
 const QUESTIONS_VOICE = 'alloy';
 const SYSTEM_MESSAGE = `You are a warm, empathetic AI medical intake assistant for M.U.S.C. Clinics.
 Pronunciation rule: Always say "M-U-S-C" as separate letters, or say "Medical University of South Carolina" on first reference. Never pronounce it like the word "musk".
-IMPORTANT: As soon as the call connects, immediately greet the caller without waiting. Start with: "Hi, at M-U-S-C (Medical University of South Carolina) we want to provide you with the best care at your upcoming appointment with Neurology. As M-U-S-C's Clinical Assistant, I'd like to collect some basic information before your upcoming appointment so that you can spend more time talking to your specialist about what's important to you. It will take about 5 minutes. If that's alright, say \"Yes\" when you are ready to begin."
+IMPORTANT: As soon as the call connects, immediately greet the caller without waiting. Start with: "Hi, at M-U-S-C (Medical University of South Carolina) we want to provide you with the best care at your upcoming appointment. As M-U-S-C's Clinical Assistant, I'd like to collect some basic information before your upcoming appointment so that you can spend more time talking to your specialist about what's important to you. It will take about 5 minutes. If that's alright, say \"Yes\" when you are ready to begin."
 Flow at start of call:
 1) Wait for the caller to consent by saying "Yes".
 2) Once consent is detected, begin intake: Be caring, professional, and easy to understand. Speak at a comfortable pace. Start with, "To start, can you tell me what symptoms or concerns led you to make this appointment?"
@@ -51,51 +324,21 @@ Empathy and validation:
 - Use brief, genuine reflections and validations before your next question.
 - Examples: "I'm sorry you're going through that.", "That sounds really uncomfortable.", "Thank you for sharing that; it's helpful for your care."
 
-EPILEPSY-FOCUSED INTAKE PROTOCOL:
-If the caller mentions epilepsy, seizures, convulsions, or related terms, immediately transition to the structured epilepsy-specific questioning sequence. Use empathetic, patient-centered language to build trust and rapport.
-
-PRIORITY OPENING QUESTIONS (Start with these immediately after identifying epilepsy):
-1. "What's the most important thing to you that you want to address at your appointment regarding your epilepsy?"
-2. "What is the most frustrating aspect of your epilepsy, and how has it impacted your daily life?"
-
-FOLLOW-UP PROBING QUESTIONS (Branch based on their responses to build deeper understanding):
-- "Can you describe when your epilepsy first started, including any triggers or patterns you've noticed?"
-- "What medications or treatments have you tried in the past, and how effective were they? Can you elaborate on any challenges or successes you've experienced?"
-- "Have you experienced any side effects from your epilepsy treatments, and how have they affected you? For example, how do they impact your daily activities or overall well-being?"
-- "Are there any recent changes in your seizure frequency, type, or severity that you want to discuss? If so, can you share more about what you've observed?"
-
-EPILEPSY CONVERSATION GUIDELINES:
-- Always maintain an empathetic and patient-centered tone
-- Ask open-ended questions to encourage detailed responses
-- Follow up naturally for clarity and deeper insights
-- Focus on their personal history and experiences
-- Adapt follow-up questions to delve deeper where needed
-- Ensure dialogue remains supportive and tailored to patient needs
-- Build trust through validation: "That sounds challenging to manage.", "I can understand how that would be concerning."
-- Acknowledge their expertise about their own condition: "You know your body best."
-
-ADDITIONAL EPILEPSY TOPICS (Weave naturally into conversation based on responses):
-- Seizure semiology: "Can you walk me through what happens during a typical seizure for you?"
-- Medication adherence: "How are you managing with your current seizure medications?"
-- Safety measures: "What safety measures or plans do you have in place?"
-- Quality of life impact: "How has epilepsy affected the things that matter most to you?"
-- Support system: "What kind of support do you have from family or friends?"
-- Work/school impact: "How has epilepsy affected your work or daily activities?"
-
-When discussing epilepsy:
-- Be sensitive to stigma and emotional impact
-- Validate their experiences and feelings
-- Focus on their personal journey and individual needs
-- Document detailed responses for personalized care planning
-- Show genuine interest in their well-being beyond just medical facts
-
-GENERAL INTAKE TOPICS (Cover after epilepsy-specific focus):
+CONDITION-SPECIFIC PROTOCOLS:
+If the caller mentions one of the conditions below, immediately transition to that condition's structured questioning sequence.
+
+${PROTOCOL_INSTRUCTIONS}
+
+GENERAL INTAKE TOPICS (Cover after any condition-specific focus):
 - Past medical history: chronic conditions, prior hospitalizations, major illnesses
 - Current medications: prescription, OTC, supplements; dosages and adherence
 - Allergies: medications, foods, environmental; reactions
 - Family history: major conditions in first-degree relatives
 - Social history: relevant lifestyle factors
 
+KEYPAD INPUT:
+Callers may answer with their phone keypad, e.g. a rating from 0 to 10. Those answers arrive as text such as "Keypad entry: 7". Treat them as the caller's answer to your last question.
+
 Before closing, ask: "Is there anything else you'd like your provider to know before your visit?"
 Keep responses concise, compassionate, and easy to understand.`;
 
@@ -104,20 +347,86 @@ fastify.get('/', async (request, reply) => {
     reply.send({ message: 'Clinical Avatar Server is running!' });
 });
 
-// Build full transcript and update conversations.summary
-fastify.post('/api/conversations/:id/summary', async (request, reply) => {
+// Generate a pre-visit note for a conversation with the given template and
+// store it as a new visit_notes row. A resumed intake is written up as one:
+// the latest call's clinical_data and every call's transcript, in English.
+const generateVisitNote = async (conversation, template) => {
+    const chain = await intakeChain(storage, conversation).catch(() => [conversation]);
+    const latest = chain[chain.length - 1];
+    const messages = (await Promise.all(chain.map(c => storage.listMessages(c.id)))).flat()
+        .filter(m => m.role !== 'system')
+        .map(m => ({ role: m.role, content: m.metadata?.translation?.text || m.content }));
+    const prompt = buildNotePrompt(template, {
+        clinicalData: latest.clinical_data,
+        transcript: messages,
+        appointment: conversation.metadata?.appointment
+    });
+    const res = await fetch(OPENAI_CHAT_URL, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${OPENAI_API_KEY}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            model: NOTE_MODEL,
+            messages: [{ role: 'user', content: prompt }],
+            temperature: 0.2,
+            response_format: { type: 'json_object' }
+        })
+    });
+    if (!res.ok) throw new Error(`note generation failed with status ${res.status}`);
+    const ai = await res.json();
+    const sections = parseNoteSections(template, ai?.choices?.[0]?.message?.content || '');
+    return storage.addNote({
+        conversation_id: conversation.id,
+        template_id: template.id,
+        sections,
+        content: renderNote(template, sections),
+        model: NOTE_MODEL,
+        prompt_version: NOTE_PROMPT_VERSION
+    });
+};
+
+// Pick the note template named in a request body, or the conversation's
+// default; sends 400 and returns null for an unknown template
+const requestedNoteTemplate = (conversation, templateId, reply) => {
+    const template = templateId ? NOTE_TEMPLATES.find(t => t.id === templateId) : noteTemplateFor(NOTE_TEMPLATES, conversation);
+    if (!template) {
+        reply.status(400).send({ error: templateId ? `Unknown note template "${templateId}"` : 'No note templates configured', templates: NOTE_TEMPLATES.map(t => t.id) });
+        return null;
+    }
+    return template;
+};
+
+// Generate and store a pre-visit note; sends the note, or 500 when generation fails
+const sendGeneratedNote = async (conversation, template, reply) => {
+    let note;
+    try {
+        note = await generateVisitNote(conversation, template);
+    } catch (e) {
+        console.error('Failed to generate pre-visit note:', e?.message);
+        return reply.status(500).send({ error: 'Failed to generate note' });
+    }
+    console.log('Pre-visit note generated', { id: conversation.id, template: template.id, note_id: note.id });
+    return reply.status(201).send({ success: true, id: conversation.id, note });
+};
+
+const SUMMARY_MODES = ['transcript', 'note'];
+
+// Build full transcript and update conversations.summary, or (mode "note")
+// generate a pre-visit note, stored apart from the transcript
+fastify.post('/api/conversations/:id/summary', { preHandler: requirePermission('summaries:write') }, async (request, reply) => {
     try {
         const conversationId = request.params.id;
-        const { mode } = request.body || {}; // optional: 'transcript' (default) | 'ai'
+        // optional: mode 'transcript' (default) | 'note' ('ai' is accepted for 'note'), template for notes
+        const { mode: requestedMode = 'transcript', template: templateId } = request.body || {};
+        const mode = requestedMode === 'ai' ? 'note' : requestedMode;
+        if (!SUMMARY_MODES.includes(mode)) {
+            return reply.status(400).send({ error: `Unsupported summary mode "${requestedMode}"`, modes: SUMMARY_MODES });
+        }
 
         // Fetch messages ordered by timestamp
-        const { data: messages, error: msgError } = await supabase
-            .from('messages')
-            .select('role, content, timestamp')
-            .eq('conversation_id', conversationId)
-            .order('timestamp', { ascending: true });
-
-        if (msgError) {
+        let messages;
+        try {
+            messages = await storage.listMessages(conversationId);
+        } catch (msgError) {
             console.error('Failed to fetch messages for summary:', msgError);
             return reply.status(500).send({ error: 'Failed to fetch messages' });
         }
@@ -126,23 +435,31 @@ fastify.post('/api/conversations/:id/summary', async (request, reply) => {
             return reply.status(400).send({ error: 'No messages to summarize' });
         }
 
+        if (mode === 'note') {
+            const conversation = await storage.getConversation(conversationId).catch(() => null);
+            if (!conversation) {
+                return reply.status(404).send({ error: 'Conversation not found' });
+            }
+            const template = requestedNoteTemplate(conversation, templateId, reply);
+            return template && sendGeneratedNote(conversation, template, reply);
+        }
+
         // Default: full transcript text (User/Assistant lines)
         const transcript = messages
             .map(m => `${m.role === 'user' ? 'User' : m.role === 'assistant' ? 'Assistant' : 'System'}: ${m.content}`)
             .join('\n');
 
         // Update conversations.summary
-        const { data: updated, error: updError } = await supabase
-            .from('conversations')
-            .update({ summary: transcript, updated_at: new Date().toISOString() })
-            .eq('id', conversationId)
-            .select('id, summary')
-            .single();
-
-        if (updError) {
+        let updated;
+        try {
+            updated = await storage.updateConversation(conversationId, { summary: transcript });
+        } catch (updError) {
             console.error('Failed to update conversation summary:', updError);
             return reply.status(500).send({ error: 'Failed to update summary' });
         }
+        if (!updated) {
+            return reply.status(404).send({ error: 'Conversation not found' });
+        }
 
         console.log('Conversation summary updated', { id: conversationId, chars: transcript.length });
         reply.send({ success: true, id: updated.id, summary_length: transcript.length });
@@ -152,8 +469,52 @@ fastify.post('/api/conversations/:id/summary', async (request, reply) => {
     }
 });
 
+// Note templates available for pre-visit notes
+fastify.get('/api/note-templates', { preHandler: requirePermission('conversations:read') }, async (request, reply) => {
+    reply.send({
+        templates: NOTE_TEMPLATES.map(t => ({
+            id: t.id,
+            name: t.name,
+            protocol: t.protocol,
+            default: t.isDefault,
+            sections: t.sections.map(s => ({ id: s.id, title: s.title }))
+        }))
+    });
+});
+
+// Regenerate a conversation's pre-visit note ({ template } optional); each
+// generation is kept as a new version
+fastify.post('/api/conversations/:id/notes', { preHandler: requirePermission('summaries:write') }, async (request, reply) => {
+    try {
+        const conversation = await storage.getConversation(request.params.id).catch(() => null);
+        if (!conversation) {
+            return reply.status(404).send({ error: 'Conversation not found' });
+        }
+        const template = requestedNoteTemplate(conversation, request.body?.template, reply);
+        return template && sendGeneratedNote(conversation, template, reply);
+    } catch (error) {
+        console.error('Error generating pre-visit note:', error);
+        reply.status(500).send({ error: 'Unexpected error' });
+    }
+});
+
+// A conversation's pre-visit notes, newest (current) first
+fastify.get('/api/conversations/:id/notes', { preHandler: requirePermission('conversations:read') }, async (request, reply) => {
+    try {
+        const conversation = await storage.getConversation(request.params.id).catch(() => null);
+        if (!conversation) {
+            return reply.status(404).send({ error: 'Conversation not found' });
+        }
+        const notes = await storage.listNotes(conversation.id);
+        reply.send({ conversation_id: conversation.id, note: notes[0] || null, versions: notes });
+    } catch (error) {
+        console.error('Error fetching pre-visit notes:', error);
+        reply.status(500).send({ error: 'Failed to fetch notes' });
+    }
+});
+
 // Persist messages endpoint
-fastify.post('/api/messages', async (request, reply) => {
+fastify.post('/api/messages', { preHandler: requirePermission('messages:write') }, async (request, reply) => {
     try {
         const { conversation_id, role, content, metadata } = request.body || {};
 
@@ -161,19 +522,16 @@ fastify.post('/api/messages', async (request, reply) => {
             return reply.status(400).send({ error: 'Missing conversation_id, role, or content' });
         }
 
-        const { data, error } = await supabase
-            .from('messages')
-            .insert({
+        let data;
+        try {
+            data = await storage.addMessage({
                 conversation_id,
                 role,
                 content,
                 metadata: metadata || {},
                 timestamp: new Date().toISOString()
-            })
-            .select()
-            .single();
-
-        if (error) {
+            });
+        } catch (error) {
             console.error('Error saving message:', error);
             return reply.status(500).send({ error: 'Failed to save message' });
         }
@@ -186,23 +544,40 @@ fastify.post('/api/messages', async (request, reply) => {
     }
 });
 
-// Route for Twilio to handle incoming calls with OpenAI Coral
-fastify.all('/webhook/voice', async (request, reply) => {
-    // Optionally validate Twilio signature if token is set
-    try {
-        const { TWILIO_AUTH_TOKEN } = process.env;
-        const signature = request.headers['x-twilio-signature'];
-        if (TWILIO_AUTH_TOKEN && signature) {
-            const url = `${request.protocol}://${request.headers.host}${request.raw.url.split('?')[0]}`;
-            const isValid = twilio.validateRequest(TWILIO_AUTH_TOKEN, signature, url, request.body || {});
-            if (!isValid) {
-                console.warn('Invalid Twilio signature; proceeding but marking as unverified');
-            }
-        }
-    } catch (e) {
-        console.warn('Twilio signature validation error:', e?.message);
-    }
+// TwiML that connects the call's audio to /coral-stream. The short-lived token
+// is checked on the stream's "start" event.
+const streamTwiml = (host, conversationId, callSid) => {
+    const streamToken = streamTokens.issue({ conversationId, callSid });
+    return `<?xml version="1.0" encoding="UTF-8"?>
+                          <Response>
+                              <Connect>
+                                  <Stream url="wss://${host}/coral-stream">
+                                      <Parameter name="conversation_id" value="${conversationId}" />
+                                      <Parameter name="stream_token" value="${streamToken}" />
+                                  </Stream>
+                              </Connect>
+                          </Response>`;
+};
+
+// Keypad language menu (LANGUAGE_SELECTION=ivr): digit N picks the Nth language
+const languageMenuTwiml = (conversationId) => {
+    const action = `/webhook/language?conversation_id=${encodeURIComponent(conversationId)}`;
+    const prompts = LANGUAGE_CODES.map((code, i) => {
+        const locale = LOCALES[code];
+        const text = line(locale, 'language_menu', { digit: i + 1 }).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+        return `        <Say${locale.sayLanguage ? ` language="${locale.sayLanguage}"` : ''}>${text}</Say>`;
+    });
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+    <Gather numDigits="1" timeout="5" action="${action}">
+${prompts.join('\n')}
+    </Gather>
+    <Redirect>${action}</Redirect>
+</Response>`;
+};
 
+// Route for Twilio to handle incoming calls with OpenAI Coral
+fastify.all('/webhook/voice', { preHandler: validateTwilioWebhook }, async (request, reply) => {
     const body = request.body || {};
     const callSid = body.CallSid || `test-${Date.now()}`;
     const from = body.From || 'unknown';
@@ -212,201 +587,701 @@ fastify.all('/webhook/voice', async (request, reply) => {
     const direction = body.Direction || 'inbound';
     const callerCountry = body.CallerCountry || null;
     const calledCountry = body.CalledCountry || null;
+
+    // Outbound campaign calls carry their outbound_calls row id in the URL
+    const outboundCallId = request.query?.outbound_call_id || null;
+    const outboundCall = outboundCallId ? await storage.getOutboundCall(outboundCallId).catch(() => null) : null;
+    const phoneNumber = outboundCall ? outboundCall.phone_number : from;
+
+    // Inbound callers are matched to their next appointment on the imported roster
+    const scheduled = !outboundCall && isIdentifiableCaller(phoneNumber)
+        ? await findNextAppointment(storage, phoneNumber).catch((e) => {
+            console.warn('Failed to look up the caller\'s appointment:', e?.message);
+            return null;
+        })
+        : null;
+
+    // A recent call from this patient that ended before the intake was finished
+    const resumable = await findResumableConversation(storage, phoneNumber, {
+        windowMs: RESUME_WINDOW_MINUTES * 60000,
+        isLive: (id) => liveMonitor.isActive(id)
+    }).catch((e) => {
+        console.warn('Failed to look up a resumable conversation:', e?.message);
+        return null;
+    });
     
-    // Create conversation in Supabase
+    // Create conversation in storage
     let conversationId = null;
     try {
-        const { data: conversation, error } = await supabase
-            .from('conversations')
-            .insert({
-                id: uuidv4(),
-                call_sid: callSid,
-                phone_number: from,
-                status: 'active',
-                started_at: new Date().toISOString(),
-                metadata: {
-                    from,
-                    to,
-                    account_sid: accountSid,
-                    call_status: callStatus,
-                    direction,
-                    caller_country: callerCountry,
-                    called_country: calledCountry,
-                    request_info: {
-                        host: request.headers.host,
-                        user_agent: request.headers['user-agent'] || null
-                    }
-                }
-            })
-            .select()
-            .single();
-
-        if (error) {
-            console.error('Error creating conversation:', error);
-        } else {
-            console.log('Conversation created', {
-                id: conversation.id,
-                callSid,
+        const conversation = await storage.createConversation({
+            id: uuidv4(),
+            call_sid: callSid,
+            // On outbound calls the patient is the called party
+            phone_number: phoneNumber,
+            status: 'active',
+            started_at: new Date().toISOString(),
+            ...(scheduled ? { appointment_id: scheduled.appointment.id, patient_id: scheduled.patient.id } : {}),
+            metadata: {
                 from,
                 to,
-                status: conversation.status,
-                direction
-            });
-            conversationId = conversation.id;
+                account_sid: accountSid,
+                call_status: callStatus,
+                direction,
+                caller_country: callerCountry,
+                called_country: calledCountry,
+                request_info: {
+                    host: request.headers.host,
+                    user_agent: request.headers['user-agent'] || null
+                },
+                twilio_verified: !!request.twilioVerified,
+                ...(outboundCall ? {
+                    outbound_call_id: outboundCall.id,
+                    campaign_id: outboundCall.campaign_id,
+                    patient_name: outboundCall.patient_name,
+                    appointment: outboundCall.appointment
+                } : {}),
+                ...(scheduled ? { appointment: appointmentContext(scheduled.appointment) } : {}),
+                // Offered at the greeting; the previous call's language carries over
+                ...(resumable ? {
+                    resume_offer: { conversation_id: resumable.id },
+                    ...(resumable.metadata?.language ? { language: resumable.metadata.language, language_source: 'previous_call' } : {})
+                } : {})
+            }
+        });
+        console.log('Conversation created', {
+            id: conversation.id,
+            callSid,
+            from,
+            to,
+            status: conversation.status,
+            direction,
+            appointment_id: conversation.appointment_id || null
+        });
+        conversationId = conversation.id;
+        if (outboundCall) {
+            await campaigns.markAnswered(outboundCall.id, { callSid, conversationId })
+                .catch(e => console.warn('Failed to link outbound call:', e?.message));
         }
     } catch (error) {
-        console.error('Error setting up call:', error);
+        console.error('Error creating conversation:', error);
     }
     
+    // Ask for the caller's language first when the keypad menu is enabled
+    if (conversationId && LANGUAGE_SELECTION === 'ivr' && LANGUAGE_CODES.length > 1) {
+        return reply.type('text/xml').send(languageMenuTwiml(conversationId));
+    }
+
     // TwiML response for direct OpenAI Coral integration
-    const twimlResponse = `<?xml version="1.0" encoding="UTF-8"?>
-                          <Response>
-                              <Connect>
-                                  <Stream url="wss://${request.headers.host}/coral-stream">
-                                      <Parameter name="conversation_id" value="${conversationId}" />
-                                  </Stream>
-                              </Connect>
-                          </Response>`;
-    
-    reply.type('text/xml').send(twimlResponse);
+    reply.type('text/xml').send(streamTwiml(request.headers.host, conversationId, callSid));
+});
+
+// Language menu result: record the choice, then connect the media stream.
+// No digit (or an unknown one) continues in the default language.
+fastify.all('/webhook/language', { preHandler: validateTwilioWebhook }, async (request, reply) => {
+    const body = request.body || {};
+    const conversationId = request.query?.conversation_id || null;
+    const conversation = conversationId ? await storage.getConversation(conversationId).catch(() => null) : null;
+    // Only the call the menu was played to gets a stream token for this conversation
+    if (!conversation || !body.CallSid || conversation.call_sid !== body.CallSid) {
+        console.warn('Language selection for unknown conversation', { conversation_id: conversationId, callSid: body.CallSid });
+        return reply.status(404).type('text/xml').send('<Response><Hangup/></Response>');
+    }
+    const chosen = LANGUAGE_CODES[Number(body.Digits) - 1] || null;
+    const language = chosen || DEFAULT_LANGUAGE;
+    await updateConversationMetadata(conversationId, () => ({ language, language_source: chosen ? 'ivr' : 'default' }))
+        .catch(e => console.warn('Failed to record language:', e?.message));
+    console.log('Caller language selected', { conversation_id: conversationId, language, digits: body.Digits || null });
+    reply.type('text/xml').send(streamTwiml(request.headers.host, conversationId, conversation.call_sid));
+});
+
+// Played to the on-call clinician before an emergency transfer connects
+fastify.all('/webhook/transfer-whisper', { preHandler: validateTwilioWebhook }, async (request, reply) => {
+    const conversationId = request.query?.conversation_id;
+    const conversation = conversationId ? await storage.getConversation(conversationId).catch(() => null) : null;
+    const flags = conversation?.metadata?.red_flags || [];
+    const reason = flags.length ? flags[flags.length - 1].name : 'an urgent concern';
+    const language = LOCALES[conversation?.metadata?.language];
+    const speaks = language && language.code !== DEFAULT_LANGUAGE ? ` The caller speaks ${language.nameEn}.` : '';
+    const message = `Urgent transfer from the M-U-S-C intake line. The caller reported ${reason}.${speaks} Connecting you now.`;
+    reply.type('text/xml').send(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+    <Say>${message.replace(/&/g, '&amp;').replace(/</g, '&lt;')}</Say>
+</Response>`);
+});
+
+// Twilio status callback for outbound campaign calls; decides retries
+fastify.post('/webhook/outbound-status', { preHandler: validateTwilioWebhook }, async (request, reply) => {
+    const outboundCallId = request.query?.outbound_call_id;
+    if (outboundCallId) {
+        await campaigns.recordOutcome(outboundCallId, request.body || {})
+            .catch(e => console.error('Error recording outbound call outcome:', e));
+    }
+    await lifecycle.recordCallStatus(request.body || {})
+        .catch(e => console.error('Error recording call status:', e));
+    reply.type('text/xml').send('<Response></Response>');
+});
+
+// Twilio status callback for inbound calls (the number's Status Callback URL);
+// records the final call status and duration on the conversation
+fastify.post('/webhook/call-status', { preHandler: validateTwilioWebhook }, async (request, reply) => {
+    await lifecycle.recordCallStatus(request.body || {})
+        .catch(e => console.error('Error recording call status:', e));
+    reply.type('text/xml').send('<Response></Response>');
+});
+
+const sendCampaignError = (error, reply, fallback) => {
+    if (error instanceof CampaignError) {
+        return reply.status(error.statusCode).send({ error: error.message });
+    }
+    console.error(`${fallback}:`, error);
+    return reply.status(500).send({ error: fallback });
+};
+
+// Schedule outbound pre-appointment calls:
+// { name, patients: [{ phone_number, name, appointment: { specialty, date, provider } }], settings }
+fastify.post('/api/campaigns', { preHandler: requirePermission('campaigns:write') }, async (request, reply) => {
+    if (!campaigns.enabled) {
+        return reply.status(503).send({ error: 'Outbound calling is not configured' });
+    }
+    try {
+        const { name, patients, settings } = request.body || {};
+        const result = await campaigns.createCampaign({ name, patients, settings, createdBy: request.principal?.id });
+        console.log('Campaign created', { id: result.campaign.id, calls: result.calls.length, principal: request.principal?.id });
+        return reply.status(201).send(result);
+    } catch (error) {
+        return sendCampaignError(error, reply, 'Failed to create campaign');
+    }
+});
+
+// Campaign with per-patient attempt tracking
+fastify.get('/api/campaigns/:id', { preHandler: requirePermission('campaigns:read') }, async (request, reply) => {
+    try {
+        const result = await campaigns.getCampaign(request.params.id);
+        if (!result) return reply.status(404).send({ error: 'Campaign not found' });
+        return reply.send(result);
+    } catch (error) {
+        return sendCampaignError(error, reply, 'Failed to fetch campaign');
+    }
+});
+
+// Cancel the calls that have not been placed yet
+fastify.post('/api/campaigns/:id/cancel', { preHandler: requirePermission('campaigns:write') }, async (request, reply) => {
+    try {
+        const result = await campaigns.cancelCampaign(request.params.id);
+        if (!result) return reply.status(404).send({ error: 'Campaign not found' });
+        return reply.send(result);
+    } catch (error) {
+        return sendCampaignError(error, reply, 'Failed to cancel campaign');
+    }
+});
+
+// Register a patient record callers can verify against:
+// { name, date_of_birth: "YYYY-MM-DD", phone_number?, mrn? }
+fastify.post('/api/patients', { preHandler: requirePermission('patients:write') }, async (request, reply) => {
+    try {
+        const patient = await storage.createPatient(normalizePatientRecord(request.body));
+        console.log('Patient created', { id: patient.id, principal: request.principal?.id });
+        return reply.status(201).send({ patient });
+    } catch (error) {
+        if (error instanceof PatientError) return reply.status(error.statusCode).send({ error: error.message });
+        console.error('Failed to create patient:', error);
+        return reply.status(500).send({ error: 'Failed to create patient' });
+    }
+});
+
+fastify.get('/api/patients/:id', { preHandler: requirePermission('patients:read') }, async (request, reply) => {
+    try {
+        const patient = await storage.getPatient(request.params.id);
+        if (!patient) return reply.status(404).send({ error: 'Patient not found' });
+        return reply.send({ patient });
+    } catch (error) {
+        console.error('Failed to fetch patient:', error);
+        return reply.status(500).send({ error: 'Failed to fetch patient' });
+    }
+});
+
+// Import an appointment roster: CSV with a header row (Content-Type: text/csv),
+// or JSON { appointments: [{ name, phone_number, date_of_birth, specialty, provider, date, reason }] }
+fastify.post('/api/appointments/import', { preHandler: requirePermission('appointments:write') }, async (request, reply) => {
+    try {
+        const csv = /csv/i.test(request.headers['content-type'] || '');
+        const entries = csv ? rosterFromCsv(request.body) : rosterFromJson(request.body);
+        const result = await importRoster(storage, entries, { source: csv ? 'csv' : 'json' });
+        console.log('Appointment roster imported', {
+            rows: entries.length,
+            patients_created: result.patients_created,
+            appointments_created: result.appointments_created,
+            appointments_updated: result.appointments_updated,
+            principal: request.principal?.id
+        });
+        return reply.status(201).send(result);
+    } catch (error) {
+        if (error instanceof AppointmentError) return reply.status(error.statusCode).send({ error: error.message });
+        console.error('Failed to import appointments:', error);
+        return reply.status(500).send({ error: 'Failed to import appointments' });
+    }
+});
+
+// An appointment with its patient and the conversations stored against it
+fastify.get('/api/appointments/:id', { preHandler: requirePermission('appointments:read') }, async (request, reply) => {
+    try {
+        const appointment = await storage.getAppointment(request.params.id);
+        if (!appointment) return reply.status(404).send({ error: 'Appointment not found' });
+        const [patient, conversations] = await Promise.all([
+            storage.getPatient(appointment.patient_id),
+            storage.listConversationsByAppointment(appointment.id)
+        ]);
+        return reply.send({
+            appointment,
+            patient,
+            conversations: conversations.map(c => ({ id: c.id, status: c.status, started_at: c.started_at, ended_at: c.ended_at, end_reason: c.end_reason }))
+        });
+    } catch (error) {
+        console.error('Failed to fetch appointment:', error);
+        return reply.status(500).send({ error: 'Failed to fetch appointment' });
+    }
 });
 
+// Write a call's recording and note it in conversations.metadata.recording
+const saveRecording = async (conversationId, recording) => {
+    try {
+        const info = await recordings.save(conversationId, recording);
+        await updateConversationMetadata(conversationId, () => ({ recording: info }));
+        console.log('Call recording saved', { conversation_id: conversationId, duration_ms: info.duration_ms });
+    } catch (e) {
+        console.error('Failed to save call recording:', e?.message);
+    }
+};
+
+// Persist one entry of a call's event log (see lib/call-session.js); state
+// changes also go to the live monitoring feed
+const recordCallEvent = (conversationId, event) => {
+    storage.addCallEvent({ conversation_id: conversationId, seq: event.seq, type: event.type, state: event.state, data: event.data, created_at: event.at })
+        .catch(e => console.warn('Failed to record call event:', e?.message, { seq: event.seq, type: event.type }));
+    if (event.type === 'transition') liveMonitor.publish(conversationId, 'call_state', event.data);
+};
+
 // WebSocket route for OpenAI Coral integration
 fastify.register(async (fastify) => {
     fastify.get('/coral-stream', { websocket: true }, (connection, req) => {
         console.log('Client connected');
         
-        const openAiWs = new WebSocket('wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview-2024-10-01', {
-            headers: {
-                Authorization: `Bearer ${OPENAI_API_KEY}`,
-                "OpenAI-Beta": "realtime=v1"
-            }
-        });
-        
+        // The OpenAI session is only opened once the stream's "start" event
+        // carries a valid stream token (see connectOpenAi below)
+        let openAiWs = null;
+
         let streamSid = null;
-        let isIntroPhase = true;
         let streamStarted = false;
-        let greetingSent = false;
-        let wantGreeting = false;
-        let consentGiven = false;
-        let endingCall = false;
-        let lastAssistantText = null;
+        // Where the call is (greeting, ..., ended) and its event log, persisted to call_events
+        const session = new CallSession({ onEvent: (event) => { if (wsConversationId) recordCallEvent(wsConversationId, event); } });
+        // Scripted lines sent to the realtime session whose conversation.item.created
+        // echo has not arrived yet (they are saved when sent, not again from the echo)
+        const injectedLines = [];
+        // Keypad entries sent to the realtime session as user text, likewise
+        // until their echo arrives (they are saved as the caller's input already)
+        const keypadItems = [];
+        // How the stream ended: Twilio sent "stop" (caller hung up), the call was
+        // transferred, or the OpenAI session failed
+        let stopReceived = false;
+        let transferred = false;
+        let openAiFailed = false;
         let lastAssistantAt = 0;
         let lastUserAt = 0;
+        // The assistant's last line, for what a keypad entry answers
+        let lastAssistantLine = '';
         let nudgeTimer = null;
         let nudgeSentForTurn = false;
-        let pendingClosing = false;
         let assistantTranscript = '';
-        // Coverage tracking to avoid premature closing
-        let coveredPMH = false; // medical_history
-        let coveredMeds = false; // current_medications
-        let coveredAllergies = false; // allergies
-        // Epilepsy-specific coverage tracking
-        let coveredEpilepsyHistory = false; // epilepsy_age_onset, seizure_frequency, seizure_type
-        let coveredEpilepsyMeds = false; // epilepsy_medications, seizure_side_effects
-        let coveredEpilepsySafety = false; // seizure_triggers, last_seizure_date, seizure_emergency_measures
-        let coveredEpilepsyImpact = false; // epilepsy_family_history, seizure_impact
-        let isEpilepsyFlow = false; // flag to track if we're in epilepsy-specific flow
-
-        // Normalize conversation_id from the WS URL (avoid 'null' string)
-        const qs = req.url.split('?')[1] || '';
-        const paramConversationId = new URLSearchParams(qs).get('conversation_id');
-        let wsConversationId = (paramConversationId && paramConversationId !== 'null') ? paramConversationId : null;
-        console.log('WS conversation_id (query fallback):', wsConversationId);
+        // Active condition-specific protocol (see protocols/*.json), once triggered
+        let protocolRun = null;
+
+        // Coverage as shown on the live monitoring feed
+        let lastCoverageJson = null;
+        const publishCoverageIfChanged = () => {
+            if (!wsConversationId) return;
+            const coverage = {
+                general: session.coverage(),
+                protocol: protocolRun ? {
+                    id: protocolRun.protocol.id,
+                    covered: [...protocolRun.covered],
+                    missing: Object.keys(protocolRun.protocol.coverage).filter(section => !protocolRun.covered.has(section))
+                } : null
+            };
+            const json = JSON.stringify(coverage);
+            if (json === lastCoverageJson) return;
+            lastCoverageJson = json;
+            liveMonitor.publish(wsConversationId, 'coverage', coverage);
+        };
 
-        const trySendGreeting = () => {
-            if (!greetingSent && streamStarted && openAiWs.readyState === WebSocket.OPEN) {
-                // Create a conversation item first so the model has queued content
-                const greetingItem = {
-                    type: 'conversation.item.create',
-                    item: {
-                        type: 'message',
-                        role: 'assistant',
-                        content: [
-                            {
-                                type: 'input_text',
-                                text: "Hi, I am connecting you to M-U-S-C's (Medical University of South Carolina) Clinical Assistant. Say 'Yes' when you are ready to begin intake."
-                            }
-                        ]
-                    }
-                };
-                openAiWs.send(JSON.stringify(greetingItem));
+        // conversation_id and CallSid come only from the verified stream token
+        let wsConversationId = null;
+        let callSid = null;
+        // Red-flag rules already handled on this call, and a pending emergency transfer
+        const redFlagsRaised = new Set();
+        let transferTimer = null;
+        // Appointment context attached to the conversation (outbound campaign
+        // calls, or the inbound caller's next appointment)
+        let appointment = null;
+        let outboundCall = false;
+        // Unrecognised drug names already asked about, and the one awaiting a spelling
+        const spellingAsked = new Set();
+        let pendingSpelling = null;
+        // Caller's language: from the keypad menu, or recognised in the first utterance
+        let callLocale = LOCALES[DEFAULT_LANGUAGE];
+        let languageChosen = LANGUAGE_CODES.length < 2;
+        // Earlier interrupted intake offered at the greeting, until the caller answers
+        let resumeOffer = null;
+        // Identity check before intake (IDENTITY_VERIFICATION=on), the caller's
+        // answer to a resume offer held until it passes, and whether a failed
+        // check ended the call
+        let identity = null;
+        let pendingResume = null;
+        let verificationFailed = false;
+        // Audio of both directions, when CALL_RECORDING=on
+        let recording = null;
+        // How much of the assistant's audio Twilio has played, to stop it
+        // when the caller talks over it (see lib/playback.js)
+        const playback = new PlaybackTracker();
+        // The caller's answer to the consent question (see lib/consent.js), the
+        // line that asked it, and whether a caller who declined is being asked
+        // for a callback time
+        let consent = null;
+        let consentPrompt = null;
+        let awaitingCallback = false;
+
+        const sessionInstructions = () => [SYSTEM_MESSAGE, identity ? VERIFICATION_INSTRUCTIONS : null, appointment ? appointmentInstructions(appointment, { outbound: outboundCall }) : null, callLocale.instructions]
+            .filter(Boolean)
+            .join('\n\n');
+        const transcriptionSettings = () => ({
+            model: 'whisper-1',
+            ...(callLocale.code !== DEFAULT_LANGUAGE ? { language: callLocale.code } : {})
+        });
 
-                // Then trigger the response to render the item to audio
-                const createResponse = { type: 'response.create' };
-                openAiWs.send(JSON.stringify(createResponse));
+        // The model only answers the caller on its own once they have agreed to the
+        // intake and, with identity verification, been verified
+        const turnDetection = () => ({
+            type: 'server_vad',
+            threshold: 0.5,
+            prefix_padding_ms: 500,
+            silence_duration_ms: 600,
+            create_response: consent?.status === 'given' && (!identity || identity.verified)
+        });
 
-                greetingSent = true;
-                console.log('Initial greeting sent');
-            }
+        // The greeting, which asks for consent, as { key, text }, with the keys
+        // the caller can press. Until the language is known it tells callers
+        // they can answer in theirs, or pick it on the keypad.
+        const greetingLine = () => {
+            const key = resumeOffer ? 'resume_offer'
+                : appointment ? (outboundCall ? 'greeting_appointment' : 'greeting_inbound_appointment')
+                : 'greeting';
+            const greeting = line(callLocale, key, appointment ? { appointment: describeAppointment(appointment), specialty: appointment.specialty } : {});
+            const keys = [line(callLocale, 'keypad_consent'), staffAvailable() ? line(callLocale, 'keypad_staff') : null];
+            const offers = !languageChosen && LANGUAGE_SELECTION === 'detect'
+                ? LANGUAGE_CODES.map((code, i) => (code === callLocale.code ? null : line(LOCALES[code], 'language_offer', { digit: i + 1 })))
+                : [];
+            return { key, text: [greeting, ...keys, ...offers].filter(Boolean).join(' ') };
         };
 
-        // Get next epilepsy-specific question based on structured priority approach
-        let priorityQuestionsAsked = 0;
-        const getNextEpilepsyQuestion = () => {
-            // Start with priority opening questions
-            if (priorityQuestionsAsked === 0) {
-                priorityQuestionsAsked++;
-                return "What's the most important thing to you that you want to address at your appointment regarding your epilepsy?";
+        // Whether a caller who presses 0 can be put through to the front desk
+        const staffAvailable = () => !!FRONT_DESK_NUMBER && !!twilioClient;
+
+        // Pick the call's language from the caller's first utterance, or as
+        // chosen on the keypad. Returns true when the session was switched away
+        // from English.
+        const chooseLanguage = (conversationId, text, { code = detectLanguage(LOCALES, text), source = 'detected' } = {}) => {
+            languageChosen = true;
+            callLocale = LOCALES[code];
+            console.log('Caller language chosen', { conversation_id: conversationId, language: code, source });
+            if (conversationId) {
+                updateConversationMetadata(conversationId, () => ({ language: code, language_source: source }))
+                    .catch(e => console.warn('Failed to record language:', e?.message));
+                liveMonitor.publish(conversationId, 'language', { language: code, source });
             }
-            if (priorityQuestionsAsked === 1) {
-                priorityQuestionsAsked++;
-                return "What is the most frustrating aspect of your epilepsy, and how has it impacted your daily life?";
+            if (code === DEFAULT_LANGUAGE) return false;
+            openAiWs.send(JSON.stringify({
+                type: 'session.update',
+                session: { instructions: sessionInstructions(), input_audio_transcription: transcriptionSettings() }
+            }));
+            return true;
+        };
+
+        // Caller-facing descriptions of the general and protocol sections not yet covered
+        const missingSections = () => {
+            const missing = GENERAL_SECTIONS.filter(section => !session.covered.has(section))
+                .map(section => line(callLocale, `missing_${section}`));
+            if (protocolRun) missing.push(...protocolRun.missing());
+            return missing;
+        };
+
+        // Copy the interrupted conversation's clinical data into this one, link
+        // the two, and pick up its coverage and protocol. Returns the line that
+        // continues the intake, or null when the earlier conversation is gone.
+        const restoreIntake = async (conversationId, previousId) => {
+            const [previous, current] = await Promise.all([
+                storage.getConversation(previousId),
+                storage.getConversation(conversationId)
+            ]);
+            if (!previous || !current) return null;
+            const restored = mergeResumedData(previous, current);
+            await storage.updateConversation(conversationId, restored);
+            const protocol = PROTOCOLS.find(p => p.id === previous.metadata?.protocol) || null;
+            await updateConversationMetadata(conversationId, () => ({
+                resumed_from: previous.id,
+                resume_offer: { conversation_id: previous.id, outcome: 'accepted' },
+                ...(protocol ? { protocol: protocol.id } : {})
+            }));
+            await updateConversationMetadata(previous.id, () => ({ resumed_by: conversationId }));
+
+            const data = restored.clinical_data;
+            session.updateCoverage(data);
+            if (protocol && !protocolRun) {
+                protocolRun = new ProtocolRun(protocol, callLocale.code);
+                protocolRun.resume(data);
+                if (session.can('protocol')) session.transition('protocol', `resumed ${protocol.id}`);
             }
-            
-            // Follow-up probing questions based on coverage
-            if (!coveredEpilepsyHistory) return "Can you describe when your epilepsy first started, including any triggers or patterns you've noticed?";
-            if (!coveredEpilepsyMeds) return "What medications or treatments have you tried in the past, and how effective were they? Can you elaborate on any challenges or successes you've experienced?";
-            if (!coveredEpilepsyMeds) return "Have you experienced any side effects from your epilepsy treatments, and how have they affected you? For example, how do they impact your daily activities or overall well-being?";
-            if (!coveredEpilepsySafety) return "Are there any recent changes in your seizure frequency, type, or severity that you want to discuss? If so, can you share more about what you've observed?";
-            if (!coveredEpilepsyHistory) return "Can you walk me through what happens during a typical seizure for you?";
-            if (!coveredEpilepsySafety) return "What safety measures or plans do you have in place?";
-            if (!coveredEpilepsyImpact) return "How has epilepsy affected the things that matter most to you?";
-            if (!coveredEpilepsyImpact) return "What kind of support do you have from family or friends?";
-            return null; // All epilepsy topics covered
+            console.log('Intake resumed', { conversation_id: conversationId, resumed_from: previous.id, protocol: protocol?.id || null });
+            liveMonitor.publish(conversationId, 'resume', { resumed_from: previous.id, clinical_data: data });
+            publishCoverageIfChanged();
+
+            const missing = missingSections();
+            return missing.length
+                ? line(callLocale, 'resume_accepted', { missing: missing.join(line(callLocale, 'list_join')) })
+                : line(callLocale, 'resume_accepted_complete');
         };
 
-        // Send a brief acknowledgment and a next-step question if no response is generated
-        const sendNoDeadAirNudge = () => {
-            if (nudgeSentForTurn || pendingClosing || openAiWs.readyState !== WebSocket.OPEN) return;
+        // Continue the earlier intake, or start over (also when it cannot be
+        // restored). Returns the line to speak and the outcome.
+        const resumeReply = async (conversationId, offer, accepted) => {
+            const reply = accepted
+                ? await restoreIntake(conversationId, offer.conversation_id).catch((e) => {
+                    console.warn('Failed to restore interrupted intake:', e?.message);
+                    return null;
+                })
+                : null;
+            if (reply) return { reply, outcome: 'accepted' };
+            await updateConversationMetadata(conversationId, () => ({ resume_offer: { conversation_id: offer.conversation_id, outcome: 'declined' } }))
+                .catch(e => console.warn('Failed to record resume outcome:', e?.message));
+            return { reply: line(callLocale, 'resume_declined'), outcome: 'declined' };
+        };
+
+        // The caller's answer to the resume offer (an unclear answer starts over).
+        // With identity verification the earlier intake is only restored once
+        // the caller has been verified.
+        const answerResumeOffer = async (conversationId, offer, text, { keypad = null } = {}) => {
             try { openAiWs.send(JSON.stringify({ type: 'response.cancel' })); } catch {}
+            // On the keypad, 1 (the yes that gave consent) continues
+            const accepted = keypad ? text === '1'
+                : matchesIntent(callLocale, 'resume_accept', text) && !matchesIntent(callLocale, 'resume_decline', text);
+            if (identity && !identity.verified) {
+                pendingResume = { offer, accepted };
+                startVerification(conversationId);
+                return;
+            }
+            const { reply, outcome } = await resumeReply(conversationId, offer, accepted);
+            askCaller(conversationId, reply, { resume: outcome });
+        };
 
-            let nudgeText;
-            if (isEpilepsyFlow) {
-                const nextEpilepsyQuestion = getNextEpilepsyQuestion();
-                if (nextEpilepsyQuestion) {
-                    nudgeText = `Thank you for sharing that. ${nextEpilepsyQuestion}`;
-                } else {
-                    nudgeText = "Thanks, I’ve noted that. Could you tell me about any medication or other allergies you have, and what reactions you’ve had?";
-                }
-            } else {
-                nudgeText = "Thanks, I’ve noted that. Could you tell me about any medication or other allergies you have, and what reactions you’ve had?";
+        // Ask for the caller's name, optionally after another line (the language switch)
+        const startVerification = (conversationId, lead = '') => {
+            identity.start({ dateOrder: callLocale.dateOrder });
+            console.log('Identity verification started', { conversation_id: conversationId });
+            askCaller(conversationId, [lead, line(callLocale, 'verify_name')].filter(Boolean).join(' '), { identity_verification: 'ask_name' });
+        };
+
+        // Store the outcome on the conversation; a verified caller's conversation
+        // is linked to their patient record. Names and dates of birth are never logged.
+        const recordVerification = async (conversationId) => {
+            const record = identity.record();
+            console.log('Identity verification finished', { conversation_id: conversationId, status: record.status, attempts: record.attempts });
+            liveMonitor.publish(conversationId, 'identity', record);
+            try {
+                await updateConversationMetadata(conversationId, () => ({ identity_verification: record }));
+                if (identity.verified) await storage.updateConversation(conversationId, { patient_id: identity.patient.id });
+            } catch (e) {
+                console.error('Failed to record identity verification:', e?.message);
             }
+        };
 
-            const nudgeItem = {
-                type: 'conversation.item.create',
-                item: {
-                    type: 'message',
-                    role: 'assistant',
-                    content: [{ type: 'input_text', text: nudgeText }]
-                }
+        const VERIFICATION_LINES = { ask_dob: 'verify_dob', repeat_name: 'verify_repeat_name', repeat_dob: 'verify_repeat_dob', retry: 'verify_retry' };
+
+        // The caller's answer to a verification question: ask the next one,
+        // start the intake once verified, or end the call when attempts run out
+        const answerIdentity = async (conversationId, text) => {
+            const result = await identity.answer(text).catch((e) => {
+                console.error('Identity lookup failed:', e?.message);
+                identity.fail();
+                return 'failed';
+            });
+            if (VERIFICATION_LINES[result]) {
+                askCaller(conversationId, line(callLocale, VERIFICATION_LINES[result]), { identity_verification: result });
+                return;
+            }
+            if (result === 'verified') {
+                await recordVerification(conversationId);
+                openAiWs.send(JSON.stringify({ type: 'session.update', session: { turn_detection: turnDetection() } }));
+                const resume = pendingResume ? await resumeReply(conversationId, pendingResume.offer, pendingResume.accepted) : null;
+                pendingResume = null;
+                const next = resume ? resume.reply : line(callLocale, 'intake_start');
+                askCaller(conversationId, `${line(callLocale, 'verify_confirmed')} ${next}`, { identity_verification: 'verified', ...(resume ? { resume: resume.outcome } : {}) });
+            } else if (result === 'failed') {
+                await recordVerification(conversationId);
+                failVerification(conversationId);
+            }
+        };
+
+        // Tell the caller their identity could not be confirmed, then hand the call
+        // to the front desk or hang up once the line has played
+        const failVerification = (conversationId) => {
+            const transfer = VERIFICATION_FAILURE_ACTION === 'transfer' && !!FRONT_DESK_NUMBER && !!twilioClient && !!callSid;
+            const goodbye = line(callLocale, transfer ? 'verify_failed_transfer' : 'verify_failed_goodbye');
+            askCaller(conversationId, goodbye, { identity_verification: 'failed' });
+            session.end('verification_failed');
+            clearTimeout(transferTimer);
+            transferTimer = setTimeout(async () => {
+                if (transfer && await transferToFrontDesk(conversationId)) return;
+                verificationFailed = true;
+                try { connection.close(); } catch {}
+            }, VERIFICATION_FAILURE_DELAY_MS ?? estimateSpeechMs(goodbye));
+        };
+
+        // Store the caller's answer to the consent question on the conversation
+        const saveConsent = (conversationId) => updateConversationMetadata(conversationId, () => ({ consent }))
+            .catch(e => console.error('Failed to record consent:', e?.message));
+
+        const recordConsent = (conversationId, status, utterance, { input = 'voice' } = {}) => {
+            consent = {
+                status,
+                utterance,
+                input,
+                at: new Date().toISOString(),
+                prompt_version: CONSENT_PROMPT_VERSION,
+                prompt: consentPrompt?.key || null,
+                prompt_text: consentPrompt?.text || null,
+                language: callLocale.code
             };
-            openAiWs.send(JSON.stringify(nudgeItem));
+            session.record('consent', { status, prompt: consent.prompt, prompt_version: CONSENT_PROMPT_VERSION });
+            console.log('Consent recorded', { conversation_id: conversationId, status, prompt_version: CONSENT_PROMPT_VERSION });
+            liveMonitor.publish(conversationId, 'consent', { status, at: consent.at, prompt_version: CONSENT_PROMPT_VERSION });
+            saveConsent(conversationId);
+        };
+
+        // The caller agreed: start the intake and let the model answer turns. The
+        // model answers this one too, unless a resume or identity line comes next.
+        const acceptConsent = (conversationId, text, { input = 'voice' } = {}) => {
+            recordConsent(conversationId, 'given', text, { input });
+            session.transition('intake', 'consent_given');
+            openAiWs.send(JSON.stringify({ type: 'session.update', session: { turn_detection: turnDetection() } }));
+            if (!resumeOffer && !(identity && !identity.verified)) openAiWs.send(JSON.stringify({ type: 'response.create' }));
+        };
+
+        // Ask again when the answer was neither a yes nor a no
+        const repeatConsent = (conversationId, lead = '') => {
+            consentPrompt = { key: 'consent_repeat', text: `${line(callLocale, 'consent_repeat')} ${line(callLocale, 'keypad_consent')}` };
+            askCaller(conversationId, [lead, consentPrompt.text].filter(Boolean).join(' '), { consent: 'repeat' });
+        };
+
+        // The caller said no or "not now": no intake on this call. Offer a
+        // callback and wait a while for a time.
+        const declineConsent = (conversationId, text) => {
+            recordConsent(conversationId, 'declined', text);
+            askCaller(conversationId, line(callLocale, 'consent_declined'), { consent: 'declined' });
+            session.end('consent_declined');
+            awaitingCallback = true;
+            clearTimeout(transferTimer);
+            transferTimer = setTimeout(() => answerCallbackOffer(conversationId, null), CONSENT_CALLBACK_WAIT_MS);
+        };
+
+        // The caller's answer to the callback offer (null when none came): note
+        // the time they asked for, say goodbye and hang up
+        const answerCallbackOffer = (conversationId, text) => {
+            if (!awaitingCallback) return;
+            awaitingCallback = false;
+            const requested = !!text && !matchesIntent(callLocale, 'consent_decline', text);
+            consent = { ...consent, callback_request: requested ? { utterance: text, at: new Date().toISOString() } : null };
+            saveConsent(conversationId);
+            const goodbye = line(callLocale, requested ? 'consent_callback' : 'consent_no_callback');
+            askCaller(conversationId, goodbye, { consent: 'callback', callback_requested: requested });
+            clearTimeout(transferTimer);
+            transferTimer = setTimeout(() => {
+                try { connection.close(); } catch {}
+            }, CONSENT_HANGUP_DELAY_MS ?? estimateSpeechMs(goodbye));
+        };
+
+        // Drop clients that never send an authenticated "start"
+        const startTimer = setTimeout(() => {
+            if (!streamStarted) {
+                console.warn('Closing media stream: no authenticated start event received');
+                try { connection.close(1008, 'Unauthorized stream'); } catch {}
+            }
+        }, STREAM_START_TIMEOUT_MS);
+
+        // Say a scripted line: stop whatever the model is saying (unless the line
+        // follows another scripted one), add the line to the conversation and
+        // have it spoken. The line is saved and written to the call's event log.
+        const speak = (conversationId, text, metadata = {}, { interrupt = true } = {}) => {
+            if (openAiWs?.readyState !== WebSocket.OPEN) return;
+            if (interrupt) { try { openAiWs.send(JSON.stringify({ type: 'response.cancel' })); } catch {} }
+            openAiWs.send(JSON.stringify({
+                type: 'conversation.item.create',
+                item: { type: 'message', role: 'assistant', content: [{ type: 'input_text', text }] }
+            }));
             openAiWs.send(JSON.stringify({ type: 'response.create' }));
-            if (wsConversationId) saveMessage(wsConversationId, 'assistant', nudgeText, { nudge: true });
-            nudgeSentForTurn = true;
+            injectedLines.push(text.replace(/\s+/g, ' ').trim());
+            session.line(text, metadata);
+            if (conversationId) saveMessage(conversationId, 'assistant', text, metadata);
             lastAssistantAt = Date.now();
+            nudgeSentForTurn = true;
+        };
+
+        const trySendGreeting = () => {
+            if (!session.is('greeting') || !streamStarted || openAiWs?.readyState !== WebSocket.OPEN) return;
+            consentPrompt = greetingLine();
+            speak(wsConversationId, consentPrompt.text, { greeting: true }, { interrupt: false });
+            session.transition('awaiting_consent', 'greeted');
+            console.log('Initial greeting sent');
+        };
+
+        // Nudge if the assistant hasn't spoken since the caller's last utterance
+        // and the line stays silent for 4 seconds. Silence counts from when the
+        // assistant's last audio finished playing, not from when it was sent.
+        const scheduleNudge = () => {
+            if (nudgeTimer) { try { clearTimeout(nudgeTimer); } catch {} }
+            nudgeTimer = setTimeout(() => {
+                if (!nudgeSentForTurn && !playback.playing && (Date.now() - Math.max(lastAssistantAt, lastUserAt) >= 4000)) {
+                    sendNoDeadAirNudge();
+                }
+            }, 4200);
+        };
+
+        // Send a brief acknowledgment and a next-step question if no response is generated
+        const sendNoDeadAirNudge = () => {
+            if (nudgeSentForTurn || session.wrappingUp || openAiWs?.readyState !== WebSocket.OPEN) return;
+
+            let nudgeText;
+            const nextProtocolQuestion = protocolRun ? protocolRun.nextQuestion() : null;
+            if (nextProtocolQuestion) {
+                nudgeText = line(callLocale, 'nudge_protocol', { question: nextProtocolQuestion });
+            } else {
+                nudgeText = line(callLocale, 'nudge');
+            }
+            speak(wsConversationId, nudgeText, { nudge: true });
         };
 
-        // Extract clinical fields from a user's utterance and merge into conversations.clinical_data
-        const extractClinical = async (conversationId, text) => {
+        // Extract clinical fields from a user's utterance, merge them into
+        // conversations.clinical_data and record each one, with the quoted
+        // evidence from the saved message, in clinical_extractions
+        const extractClinical = async (conversationId, text, savedMessage = null) => {
             try {
                 if (!text || !text.trim() || !conversationId) return;
+                // Calls in other languages are extracted from the original words, into English
+                const languageNote = callLocale.code !== DEFAULT_LANGUAGE
+                    ? `\nThe patient is speaking ${callLocale.nameEn}. Write every key and value in English (translate the values), but keep each "quote" exactly as the patient said it.\n`
+                    : '';
                 const extractionPrompt = `Extract clinical information strictly from this patient response (use only what is explicitly stated): "${text}"
-
+${languageNote}
 Return ONLY keys that are clearly mentioned in the text. If a key is not explicitly mentioned, DO NOT include it at all. Do not infer or guess.
 
-Identify and extract as a flat JSON object of key:value pairs only for fields that are mentioned (omit others entirely):
+Identify and extract only the fields that are mentioned (omit others entirely):
 - chief_complaint
 - symptoms
 - medical_history
@@ -416,26 +1291,18 @@ Identify and extract as a flat JSON object of key:value pairs only for fields th
 - duration
 - family_history
 - social_history
-- epilepsy_age_onset
-- seizure_frequency
-- seizure_type
-- seizure_triggers
-- epilepsy_medications
-- seizure_side_effects
-- last_seizure_date
-- seizure_emergency_measures
-- epilepsy_family_history
-- seizure_impact
-- epilepsy_priority_concern
-- epilepsy_frustration_impact
-- epilepsy_treatment_history
-- epilepsy_quality_of_life`;
-
-                const res = await fetch('https://api.openai.com/v1/chat/completions', {
+${PROTOCOL_EXTRACTION_FIELDS.map(f => `- ${f}`).join('\n')}
+
+For ${MEDICATION_FIELDS.join(' and ')}, the value is an array with one object per medication:
+{"name": "<drug name as said>", "dose": <number or null>, "unit": "<mg, mcg, mL, ... or null>", "frequency": "<how often, or null>", "route": "<by mouth, injection, nasal spray, ... or null>", "adherence": "<missed doses or other adherence notes, or null>"}
+
+${EVIDENCE_FORMAT_INSTRUCTIONS}`;
+
+                const res = await fetch(OPENAI_CHAT_URL, {
                     method: 'POST',
                     headers: { 'Authorization': `Bearer ${OPENAI_API_KEY}`, 'Content-Type': 'application/json' },
                     body: JSON.stringify({
-                        model: 'gpt-4o-mini',
+                        model: LIVE_EXTRACTION_MODEL,
                         messages: [{ role: 'user', content: extractionPrompt }],
                         temperature: 0.0,
                         response_format: { type: 'json_object' }
@@ -483,53 +1350,8 @@ Identify and extract as a flat JSON object of key:value pairs only for fields th
                     'social_history': 'social_history',
                     'duration': 'duration',
                     'pain_level': 'pain_level',
-                    // Epilepsy-specific field mappings
-                    'age of onset': 'epilepsy_age_onset',
-                    'age_onset': 'epilepsy_age_onset',
-                    'epilepsy_age_onset': 'epilepsy_age_onset',
-                    'seizure frequency': 'seizure_frequency',
-                    'seizure_frequency': 'seizure_frequency',
-                    'frequency': 'seizure_frequency',
-                    'seizure type': 'seizure_type',
-                    'seizure_type': 'seizure_type',
-                    'type of seizure': 'seizure_type',
-                    'seizure triggers': 'seizure_triggers',
-                    'seizure_triggers': 'seizure_triggers',
-                    'triggers': 'seizure_triggers',
-                    'epilepsy medications': 'epilepsy_medications',
-                    'epilepsy_medications': 'epilepsy_medications',
-                    'seizure medications': 'epilepsy_medications',
-                    'seizure meds': 'epilepsy_medications',
-                    'seizure side effects': 'seizure_side_effects',
-                    'seizure_side_effects': 'seizure_side_effects',
-                    'side effects': 'seizure_side_effects',
-                    'medication side effects': 'seizure_side_effects',
-                    'last seizure': 'last_seizure_date',
-                    'last_seizure': 'last_seizure_date',
-                    'last_seizure_date': 'last_seizure_date',
-                    'recent seizure': 'last_seizure_date',
-                    'seizure emergency measures': 'seizure_emergency_measures',
-                    'seizure_emergency_measures': 'seizure_emergency_measures',
-                    'emergency measures': 'seizure_emergency_measures',
-                    'emergency plan': 'seizure_emergency_measures',
-                    'epilepsy family history': 'epilepsy_family_history',
-                    'epilepsy_family_history': 'epilepsy_family_history',
-                    'family epilepsy': 'epilepsy_family_history',
-                    'seizure impact': 'seizure_impact',
-                    'seizure_impact': 'seizure_impact',
-                    'impact': 'seizure_impact',
-                    'how it affects me': 'seizure_impact',
-                    // Priority question mappings
-                    'priority concern': 'epilepsy_priority_concern',
-                    'most important': 'epilepsy_priority_concern',
-                    'epilepsy_priority_concern': 'epilepsy_priority_concern',
-                    'frustration': 'epilepsy_frustration_impact',
-                    'frustrating aspect': 'epilepsy_frustration_impact',
-                    'epilepsy_frustration_impact': 'epilepsy_frustration_impact',
-                    'treatment history': 'epilepsy_treatment_history',
-                    'epilepsy_treatment_history': 'epilepsy_treatment_history',
-                    'quality of life': 'epilepsy_quality_of_life',
-                    'epilepsy_quality_of_life': 'epilepsy_quality_of_life'
+                    // Condition-specific fields declared by protocols
+                    ...protocolKeyMap(PROTOCOLS, protocolRun?.protocol)
                 };
                 const toSnake = (s) => s.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
                 const normalizeKey = (k) => {
@@ -538,10 +1360,14 @@ Identify and extract as a flat JSON object of key:value pairs only for fields th
                     const snake = toSnake(raw);
                     return keyMap[snake] || snake;
                 };
+                // Separate values from their { quote, confidence } evidence
+                const unwrapped = unwrapEvidence(fields);
                 const normalizedFields = {};
-                for (const [k, v] of Object.entries(fields)) {
+                const evidence = {};
+                for (const [k, v] of Object.entries(unwrapped.values)) {
                     const nk = normalizeKey(k);
                     normalizedFields[nk] = v;
+                    if (unwrapped.evidence[k]) evidence[nk] = unwrapped.evidence[k];
                 }
                 fields = normalizedFields;
 
@@ -571,6 +1397,12 @@ Identify and extract as a flat JSON object of key:value pairs only for fields th
 
                 for (const [k, v] of Object.entries(fields)) {
                     if (v === null || v === undefined) continue;
+                    if (MEDICATION_FIELDS.includes(k)) {
+                        // Structured entries, normalised against the drug dictionary
+                        const meds = normalizeMedications(v, DRUGS);
+                        if (meds.length) cleaned[k] = meds;
+                        continue;
+                    }
                     if (Array.isArray(v)) {
                         const arr = v
                             .map(x => (typeof x === 'string' ? x.trim() : x))
@@ -601,72 +1433,81 @@ Identify and extract as a flat JSON object of key:value pairs only for fields th
                 }
                 if (Object.keys(cleaned).length === 0) return;
 
-                // Merge into conversations.clinical_data
-                const { data: existing, error: fetchErr } = await supabase
-                    .from('conversations')
-                    .select('clinical_data')
-                    .eq('id', conversationId)
-                    .single();
-                if (fetchErr) console.warn('fetch clinical_data err', fetchErr?.message);
-
-                const base = existing?.clinical_data || {};
-                const updated = { ...base };
-                for (const [k, v] of Object.entries(cleaned)) {
-                    const prev = base[k];
-                    const prevEmpty = prev === undefined || prev === null || (typeof prev === 'string' && prev.trim() === '') || (Array.isArray(prev) && prev.length === 0);
-                    if (prevEmpty) {
-                        updated[k] = v;
-                    } else {
-                        if (Array.isArray(prev) && Array.isArray(v)) {
-                            const set = new Set([...prev, ...v]);
-                            updated[k] = Array.from(set);
-                        } else if (typeof prev === 'string' && typeof v === 'string') {
-                            // Prefer the more informative string; if distinct and longer, replace; else keep prev
-                            const prevLen = prev.replace(/[^a-z]/gi, '').length;
-                            const vLen = v.replace(/[^a-z]/gi, '').length;
-                            if (vLen > prevLen && !v.toLowerCase().includes(prev.toLowerCase())) {
-                                updated[k] = v;
-                            } else {
-                                updated[k] = prev;
-                            }
-                        } else {
-                            updated[k] = v;
-                        }
+                // Merge into conversations.clinical_data, keeping every version
+                // and opening a conflict when a value contradicts an earlier one
+                const message = await savedMessage;
+                let toAsk = null;
+                const merged = await updateClinicalData(conversationId, (existing) => {
+                    const result = mergeClinicalData({
+                        clinicalData: existing.clinical_data || {},
+                        history: existing.clinical_data_history,
+                        fields: cleaned,
+                        utterance: text,
+                        messageId: message?.id || null,
+                        lists: LIST_FIELDS
+                    });
+                    // At most one clarifying question per conflict, and none once the call is wrapping up
+                    toAsk = (!session.wrappingUp && !transferTimer) ? result.conflicts[0] : null;
+                    return toAsk ? { ...result, history: markConflictAsked(result.history, toAsk.id) } : result;
+                }).catch((updErr) => {
+                    console.warn('update clinical_data err', updErr?.message);
+                    return null;
+                });
+                if (!merged) return;
+                const updated = merged.clinicalData;
+                console.log('clinical_data merged', {
+                    conversation_id: conversationId,
+                    keys: Object.keys(updated || {}),
+                    changes: merged.changes
+                });
+                liveMonitor.publish(conversationId, 'clinical_data', { fields: cleaned, clinical_data: updated, changes: merged.changes });
+                for (const conflict of merged.conflicts) liveMonitor.publish(conversationId, 'conflict', conflict);
+                for (const conflict of merged.resolved) liveMonitor.publish(conversationId, 'conflict', conflict);
+                if (toAsk) {
+                    const question = clarifyingQuestion(toAsk, {
+                        template: callLocale.lines.clarifying_question,
+                        label: fieldLabel(callLocale, toAsk.field) || undefined
+                    });
+                    askCaller(conversationId, question, { clarification: true, field: toAsk.field, conflict_id: toAsk.id });
+                } else if (!pendingSpelling && !session.wrappingUp && !transferTimer) {
+                    // Ask the caller to spell one unrecognised drug name at a time
+                    const unrecognized = MEDICATION_FIELDS.flatMap(field => (Array.isArray(updated[field]) ? updated[field] : [])
+                        .filter(med => med && med.recognized === false && !med.spelled_by_caller && !spellingAsked.has(nameKey(med.name)))
+                        .map(med => ({ field, name: med.name })))[0];
+                    if (unrecognized) {
+                        spellingAsked.add(nameKey(unrecognized.name));
+                        pendingSpelling = unrecognized;
+                        askCaller(conversationId, spellingQuestion(unrecognized.name, callLocale.lines.spelling_question), { spelling_request: true, field: unrecognized.field, medication: unrecognized.name });
                     }
                 }
-                const { error: updErr } = await supabase
-                    .from('conversations')
-                    .update({ clinical_data: updated, updated_at: new Date().toISOString() })
-                    .eq('id', conversationId);
-                if (updErr) {
-                    console.warn('update clinical_data err', updErr?.message);
-                } else {
-                    console.log('clinical_data merged', {
-                        conversation_id: conversationId,
-                        keys: Object.keys(updated || {})
+
+                // Provenance: one clinical_extractions row per extracted field
+                for (const [field, value] of Object.entries(cleaned)) {
+                    const row = buildExtractionRow({
+                        conversationId,
+                        message,
+                        utterance: text,
+                        field,
+                        value,
+                        evidence: evidence[field],
+                        applied: !!merged.changes[field] && merged.changes[field] !== 'conflict'
                     });
+                    await storage.addExtraction(row)
+                        .catch(e => console.warn('save clinical extraction err', e?.message, { field }));
                 }
 
                 // Update coverage flags based on merged fields
                 try {
                     if (updated && typeof updated === 'object') {
-                        if (updated.medical_history) coveredPMH = true;
-                        if (updated.current_medications) coveredMeds = true;
-                        if (updated.allergies) coveredAllergies = true;
+                        session.updateCoverage(updated);
 
-                        // Update epilepsy-specific coverage flags
-                        if (updated.epilepsy_age_onset || updated.seizure_frequency || updated.seizure_type) {
-                            coveredEpilepsyHistory = true;
-                        }
-                        if (updated.epilepsy_medications || updated.seizure_side_effects) {
-                            coveredEpilepsyMeds = true;
-                        }
-                        if (updated.seizure_triggers || updated.last_seizure_date || updated.seizure_emergency_measures) {
-                            coveredEpilepsySafety = true;
-                        }
-                        if (updated.epilepsy_family_history || updated.seizure_impact) {
-                            coveredEpilepsyImpact = true;
+                        if (protocolRun) {
+                            const newlyCovered = protocolRun.updateCoverage(updated);
+                            if (newlyCovered.length) {
+                                console.log('Protocol coverage updated', { protocol: protocolRun.protocol.id, sections: newlyCovered });
+                            }
                         }
+                        publishCoverageIfChanged();
                     }
                 } catch {}
             } catch (e) {
@@ -674,7 +1515,165 @@ Identify and extract as a flat JSON object of key:value pairs only for fields th
             }
         };
         
-        openAiWs.on('open', () => {
+        // Interrupt with a scripted line: which of two contradicting values is
+        // right, how an unrecognised drug name is spelled, or the identity and
+        // resume questions
+        const askCaller = (conversationId, question, metadata) => {
+            if (openAiWs?.readyState !== WebSocket.OPEN) return;
+            console.log('Asking caller', { conversation_id: conversationId, field: metadata.field });
+            if (nudgeTimer) { try { clearTimeout(nudgeTimer); } catch {} nudgeTimer = null; }
+            speak(conversationId, question, metadata);
+        };
+
+        // Replace an unrecognised drug name with the caller's spelling of it
+        const applySpelling = async (conversationId, { field, name }, spelled, savedMessage) => {
+            try {
+                const message = await savedMessage;
+                const respelled = await updateClinicalData(conversationId, (conversation) => {
+                    const entries = Array.isArray(conversation.clinical_data?.[field]) ? [...conversation.clinical_data[field]] : [];
+                    const i = entries.findIndex(med => nameKey(med?.name) === nameKey(name));
+                    if (i === -1) return null;
+                    entries[i] = respellMedication(entries[i], spelled, DRUGS);
+                    return {
+                        ...replaceValue({
+                            clinicalData: conversation.clinical_data,
+                            history: conversation.clinical_data_history,
+                            field,
+                            value: entries,
+                            reason: 'spelling',
+                            messageId: message?.id || null
+                        }),
+                        entries,
+                        recognized: entries[i].recognized
+                    };
+                });
+                if (!respelled) return;
+                const { clinicalData, entries, recognized } = respelled;
+                console.log('Medication spelled by caller', { conversation_id: conversationId, field, recognized });
+                liveMonitor.publish(conversationId, 'clinical_data', { fields: { [field]: entries }, clinical_data: clinicalData, changes: { [field]: 'spelling' } });
+            } catch (e) {
+                console.warn('apply spelling failed', e?.message);
+            }
+        };
+
+        // Move the live call onto a <Dial> to the on-call clinician
+        const transferToOnCall = async (conversationId, rule) => {
+            const startedAt = new Date().toISOString();
+            try {
+                const whisperUrl = PUBLIC_BASE_URL
+                    ? `${PUBLIC_BASE_URL.replace(/\/+$/, '')}/webhook/transfer-whisper?conversation_id=${encodeURIComponent(conversationId)}`
+                    : null;
+                await twilioClient.calls(callSid).update({
+                    twiml: transferTwiml({
+                        onCallNumber: ON_CALL_NUMBER,
+                        callerId: process.env.TWILIO_PHONE_NUMBER,
+                        whisperUrl,
+                        holdMessage: callLocale.lines.transfer_hold,
+                        unreachableMessage: callLocale.lines.transfer_unreachable,
+                        sayLanguage: callLocale.code !== DEFAULT_LANGUAGE ? callLocale.sayLanguage : null
+                    })
+                });
+                session.end('transferred');
+                transferred = true;
+                console.warn('Call transferred to on-call clinician', { conversation_id: conversationId, callSid, rule: rule.id });
+                await flagForUrgentReview(conversationId, null, { transfer: { to: ON_CALL_NUMBER, rule: rule.id, status: 'initiated', at: startedAt } });
+                liveMonitor.publish(conversationId, 'transfer', { to: ON_CALL_NUMBER, rule: rule.id, status: 'initiated' });
+            } catch (e) {
+                console.error('Emergency transfer failed:', e?.message);
+                await flagForUrgentReview(conversationId, null, { transfer: { to: ON_CALL_NUMBER, rule: rule.id, status: 'failed', error: e?.message, at: startedAt } });
+                liveMonitor.publish(conversationId, 'transfer', { to: ON_CALL_NUMBER, rule: rule.id, status: 'failed' });
+            }
+        };
+
+        // Move the live call onto a <Dial> to the front desk, after failed identity
+        // verification or when the caller pressed 0 for staff (reason
+        // 'caller_request'). Returns false when the transfer could not be started.
+        const transferToFrontDesk = async (conversationId, reason = 'identity_verification') => {
+            const at = new Date().toISOString();
+            const recordTransfer = (status) => updateConversationMetadata(conversationId, (metadata) => (reason === 'identity_verification'
+                ? { identity_verification: { ...metadata.identity_verification, transfer: { to: FRONT_DESK_NUMBER, status, at } } }
+                : { staff_transfer: { to: FRONT_DESK_NUMBER, reason, status, at } }
+            )).catch(e => console.warn('Failed to record transfer:', e?.message));
+            try {
+                await twilioClient.calls(callSid).update({
+                    twiml: transferTwiml({
+                        onCallNumber: FRONT_DESK_NUMBER,
+                        callerId: process.env.TWILIO_PHONE_NUMBER,
+                        holdMessage: callLocale.lines.staff_transfer_hold,
+                        unreachableMessage: callLocale.lines.staff_transfer_unreachable,
+                        sayLanguage: callLocale.code !== DEFAULT_LANGUAGE ? callLocale.sayLanguage : null
+                    })
+                });
+                transferred = true;
+                console.log('Call transferred to the front desk', { conversation_id: conversationId, callSid, reason });
+                await recordTransfer('initiated');
+                liveMonitor.publish(conversationId, 'transfer', { to: FRONT_DESK_NUMBER, reason, status: 'initiated' });
+                return true;
+            } catch (e) {
+                console.error('Front desk transfer failed:', e?.message);
+                await recordTransfer('failed');
+                liveMonitor.publish(conversationId, 'transfer', { to: FRONT_DESK_NUMBER, reason, status: 'failed' });
+                return false;
+            }
+        };
+
+        // The caller pressed 0 for a person: put them through to the front desk,
+        // or say no one is available and carry on
+        const requestStaff = async (conversationId) => {
+            if (staffAvailable() && callSid && await transferToFrontDesk(conversationId, 'caller_request')) {
+                session.end('transferred');
+                return;
+            }
+            askCaller(conversationId, line(callLocale, 'keypad_staff_unavailable'), { keypad: 'staff_unavailable' });
+        };
+
+        // A keypad entry during the intake goes to the model as the caller's
+        // answer to its last question
+        const keypadToModel = (digits, meaning) => {
+            const text = keypadModelText(digits, meaning);
+            keypadItems.push(text);
+            try {
+                openAiWs.send(JSON.stringify({
+                    type: 'conversation.item.create',
+                    item: { type: 'message', role: 'user', content: [{ type: 'input_text', text }] }
+                }));
+                openAiWs.send(JSON.stringify({ type: 'response.create' }));
+            } catch (e) {
+                console.warn('Failed to send keypad entry:', e?.message);
+            }
+        };
+
+        // Speak the rule's safety guidance, flag the conversation, and schedule a
+        // warm transfer once the guidance has had time to play
+        const handleRedFlag = (conversationId, utterance, { rule, match }) => {
+            redFlagsRaised.add(rule.id);
+            const transfer = rule.transfer && !!ON_CALL_NUMBER && !!twilioClient && !!callSid && !transferTimer;
+            const guidance = transfer
+                ? `${ruleGuidance(rule, callLocale.code)} ${line(callLocale, 'transfer_notice')}`
+                : ruleGuidance(rule, callLocale.code);
+            console.warn('Red flag detected', { conversation_id: conversationId, rule: rule.id, severity: rule.severity, transfer });
+
+            if (nudgeTimer) { try { clearTimeout(nudgeTimer); } catch {} nudgeTimer = null; }
+            speak(conversationId, guidance, { safety_guidance: true, red_flag: rule.id });
+
+            const flag = {
+                rule: rule.id,
+                name: rule.name,
+                severity: rule.severity,
+                utterance,
+                matched: match,
+                at: new Date().toISOString(),
+                transfer: transfer ? 'scheduled' : 'not_available'
+            };
+            flagForUrgentReview(conversationId, flag);
+            liveMonitor.publish(conversationId, 'red_flag', flag);
+
+            if (transfer) {
+                transferTimer = setTimeout(() => transferToOnCall(conversationId, rule), RED_FLAG_TRANSFER_DELAY_MS ?? estimateSpeechMs(guidance));
+            }
+        };
+
+        const handleOpenAiOpen = () => {
             console.log('Connected to OpenAI Realtime API');
             let openAiReady = true;
             
@@ -683,19 +1682,12 @@ Identify and extract as a flat JSON object of key:value pairs only for fields th
                 type: 'session.update',
                 session: {
                     modalities: ['text', 'audio'],
-                    instructions: SYSTEM_MESSAGE,
+                    instructions: sessionInstructions(),
                     voice: INTRO_VOICE,
                     input_audio_format: 'g711_ulaw',
                     output_audio_format: 'g711_ulaw',
-                    input_audio_transcription: {
-                        model: 'whisper-1'
-                    },
-                    turn_detection: {
-                        type: 'server_vad',
-                        threshold: 0.5,
-                        prefix_padding_ms: 500,
-                        silence_duration_ms: 600
-                    }
+                    input_audio_transcription: transcriptionSettings(),
+                    turn_detection: turnDetection()
                 }
             };
             
@@ -706,11 +1698,14 @@ Identify and extract as a flat JSON object of key:value pairs only for fields th
             setTimeout(() => {
                 trySendGreeting();
             }, 1500);
-        });
+        };
 
         // Listen for messages from the OpenAI WebSocket
-        // helper to persist a message directly to Supabase
-        const saveMessage = async (conversationId, role, content, metadata = {}) => {
+        // helper to persist a message directly to storage
+        // audio: where a caller line sits in the recording; responseId: the
+        // realtime response that spoke an assistant line (scripted lines are
+        // spoken by the next response)
+        const saveMessage = async (conversationId, role, content, metadata = {}, { audio = null, responseId = null } = {}) => {
             if (!conversationId) {
                 console.warn('Skipping saveMessage: missing conversationId');
                 return;
@@ -719,52 +1714,336 @@ Identify and extract as a flat JSON object of key:value pairs only for fields th
                 console.warn('Skipping saveMessage: empty content');
                 return;
             }
+            if (role === 'assistant') lastAssistantLine = content;
+            // Assistant lines are linked to their audio once the response is done
+            const voiced = recording && role === 'assistant' ? recording.expectLine(responseId) : null;
+            // ...and cut to what the caller heard if they talk over them
+            const played = role === 'assistant' ? playback.expectLine(responseId) : null;
+            // Lines in another language are stored as spoken, tagged with the language
+            const locale = callLocale;
+            const stored = locale.code !== DEFAULT_LANGUAGE ? { ...metadata, language: locale.code } : metadata;
+            let saved;
             try {
-                const { error } = await supabase
-                    .from('messages')
-                    .insert({
-                        conversation_id: conversationId,
-                        role,
-                        content,
-                        metadata,
-                        timestamp: new Date().toISOString()
-                    });
-                if (error) {
-                    console.error('Supabase insert error (messages):', error, { role, len: content.length });
+                saved = await storage.addMessage({
+                    conversation_id: conversationId,
+                    role,
+                    content,
+                    metadata: stored,
+                    timestamp: new Date().toISOString(),
+                    ...(audio ? { audio_data: audioReference(conversationId, audio) } : {})
+                });
+            } catch (error) {
+                console.error('Storage insert error (messages):', error, { role, len: content.length });
+                voiced?.(null);
+                played?.(null);
+                return;
+            }
+            voiced?.(saved);
+            played?.(saved);
+            console.log('Message saved', { conversation_id: conversationId, role, len: content.length });
+            // Masked identity answers are kept off the live feed and the running transcript
+            if (metadata.identity) return saved;
+            liveMonitor.publish(conversationId, 'transcript', {
+                message_id: saved?.id || null,
+                role,
+                content,
+                metadata: stored,
+                timestamp: saved?.timestamp || new Date().toISOString()
+            });
+            if (locale.code !== DEFAULT_LANGUAGE && saved?.id) translateMessage(conversationId, saved, locale);
+            // Append to conversations.summary as running transcript
+            try {
+                const prefix = role === 'user' ? 'User' : (role === 'assistant' ? 'Assistant' : 'System');
+                const summaryLine = `${prefix}: ${content}`;
+                // Fetch existing summary, append new line, then update
+                const convo = await storage.getConversation(conversationId);
+                const current = (convo && typeof convo.summary === 'string') ? convo.summary : '';
+                const updatedSummary = current ? `${current}\n${summaryLine}` : summaryLine;
+                await storage.updateConversation(conversationId, { summary: updatedSummary });
+            } catch (e) {
+                console.warn('Error appending to running summary:', e?.message);
+            }
+            return saved;
+        };
+
+        // Point the lines a finished response spoke at its audio in the recording
+        const linkResponseAudio = async (responseId) => {
+            const { segment, messages } = await recording.responseDone(responseId);
+            if (!segment) return;
+            for (const message of messages) {
+                await storage.updateMessage(message.id, { audio_data: audioReference(message.conversation_id, segment) })
+                    .catch(e => console.warn('Failed to link message audio:', e?.message));
+            }
+        };
+
+        // The caller started speaking over the assistant (barge-in): stop what
+        // Twilio still has queued, cancel the response, truncate the realtime
+        // items at what was played so the model knows where it was cut off,
+        // and cut the saved lines down to what the caller heard
+        const bargeIn = (conversationId) => {
+            const cut = playback.interrupt();
+            if (!cut) return;
+            try { connection.send(JSON.stringify({ event: 'clear', streamSid })); } catch {}
+            if (openAiWs?.readyState === WebSocket.OPEN) {
+                openAiWs.send(JSON.stringify({ type: 'response.cancel' }));
+                for (const r of cut.filter(r => r.itemId)) {
+                    openAiWs.send(JSON.stringify({ type: 'conversation.item.truncate', item_id: r.itemId, content_index: 0, audio_end_ms: r.heardMs }));
+                }
+            }
+            const responses = cut.map(r => ({ response_id: r.responseId, item_id: r.itemId, heard_ms: r.heardMs, sent_ms: r.sentMs }));
+            session.record('barge_in', { responses });
+            console.log('Caller barged in', { conversation_id: conversationId, responses: responses.length });
+            for (const r of cut) {
+                Promise.all(r.lines).then(async (messages) => {
+                    for (const message of messages.filter(Boolean)) {
+                        const heard = playback.heardText(r, message.content);
+                        await patchMessage(message.id, () => ({
+                            content: heard,
+                            metadata: { interrupted: true, heard_ms: r.heardMs, generated: message.content, playback: 'interrupted' }
+                        }));
+                        if (conversationId) liveMonitor.publish(conversationId, 'barge_in', { message_id: message.id, content: heard, heard_ms: r.heardMs });
+                    }
+                }).catch(e => console.warn('Failed to cut interrupted message:', e?.message));
+            }
+        };
+
+        // Twilio finished playing a response: note it on the lines it spoke,
+        // and time the caller's silence from now
+        const playbackComplete = (played) => {
+            lastAssistantAt = Date.now();
+            if (!nudgeSentForTurn) scheduleNudge();
+            const at = new Date().toISOString();
+            Promise.all(played.lines).then(async (messages) => {
+                for (const message of messages.filter(Boolean)) {
+                    await patchMessage(message.id, () => ({ metadata: { playback: 'complete', played_at: at } }));
+                }
+            }).catch(e => console.warn('Failed to record playback:', e?.message));
+        };
+
+        // The call ended before Twilio confirmed these responses played: note
+        // how much of each the caller could have heard by then
+        const playbackCutOff = (unplayed) => {
+            for (const r of unplayed) {
+                Promise.all(r.lines).then(async (messages) => {
+                    for (const message of messages.filter(Boolean)) {
+                        await patchMessage(message.id, () => ({ metadata: { playback: 'call_ended', heard_ms: r.heardMs } }));
+                    }
+                }).catch(e => console.warn('Failed to record playback:', e?.message));
+            }
+        };
+
+        // A turn from the caller: an utterance transcribed by the realtime
+        // session (itemId is its realtime item, for its place in the recording),
+        // or an entry on the keypad (keypad is what it means, see lib/keypad.js)
+        const handleCallerInput = (text, { itemId = null, keypad = null } = {}) => {
+            // Names and dates of birth given for verification stay out of the logs
+            // and the transcript: they are stored masked and flagged
+            const identityAnswer = !!identity?.active;
+            console.log(keypad ? 'Caller pressed:' : 'User said:', identityAnswer ? IDENTITY_ANSWER : text);
+            const conversationId = wsConversationId;
+            // Digits say nothing about the caller's language
+            const switchedLanguage = !keypad && !languageChosen && LANGUAGE_SELECTION === 'detect' && openAiWs?.readyState === WebSocket.OPEN
+                ? chooseLanguage(conversationId, text)
+                : false;
+            const savedMessage = saveMessage(conversationId, 'user', identityAnswer ? IDENTITY_ANSWER : text, {
+                ...(keypad ? { keypad: keypad.type } : { transcript: true }),
+                ...(identityAnswer ? { identity: true } : {}),
+                timestamp: new Date().toISOString()
+            }, {
+                audio: recording && itemId && !identityAnswer ? recording.callerSegment(itemId) : null
+            });
+            // A language picked on the keypad at the greeting: ask again in it
+            if (keypad?.type === 'language') {
+                lastUserAt = Date.now();
+                nudgeSentForTurn = true;
+                const switched = chooseLanguage(conversationId, text, { code: keypad.code, source: 'keypad' });
+                consentPrompt = greetingLine();
+                askCaller(conversationId, [switched ? line(callLocale, 'language_switch') : '', consentPrompt.text].filter(Boolean).join(' '), { greeting: true });
+                return;
+            }
+            if (keypad?.type === 'staff') {
+                lastUserAt = Date.now();
+                nudgeSentForTurn = true;
+                requestStaff(conversationId);
+                return;
+            }
+            // The answer to "could you spell ...?" is only awaited for one turn
+            if (!keypad && pendingSpelling) {
+                const spelled = parseSpelledWord(text);
+                if (spelled) applySpelling(conversationId, pendingSpelling, spelled, savedMessage);
+                pendingSpelling = null;
+            }
+            // Nothing is asked or extracted before the caller agrees to the intake
+            const consentReply = !session.is('awaiting_consent') ? null
+                : keypad ? (keypad.type === 'consent' ? 'given' : 'unclear')
+                : consentAnswer(callLocale, text, { resumeOffer: !!resumeOffer });
+            if (consentReply === 'given') acceptConsent(conversationId, text, { input: keypad ? 'keypad' : 'voice' });
+            // Kick off extraction asynchronously (not before consent, nor from identity
+            // answers). Keypad entries go to the model, which has the question they answer.
+            if (!keypad && session.is('intake', 'protocol', 'review', 'closing') && (!identity || identity.verified)) {
+                extractClinical(conversationId, text, savedMessage);
+            }
+
+            // Emergencies take priority over the intake flow
+            const redFlag = !keypad && detectRedFlag(RED_FLAGS, text, { exclude: [...redFlagsRaised], language: callLocale.code });
+            if (redFlag && openAiWs?.readyState === WebSocket.OPEN) {
+                handleRedFlag(conversationId, text, redFlag);
+                return;
+            }
+
+            if (consentReply === 'declined' || consentReply === 'unclear' || awaitingCallback) {
+                lastUserAt = Date.now();
+                nudgeSentForTurn = true;
+                if (consentReply === 'declined') declineConsent(conversationId, text);
+                else if (consentReply === 'unclear') repeatConsent(conversationId, switchedLanguage ? line(callLocale, 'language_switch') : '');
+                else answerCallbackOffer(conversationId, text);
+                return;
+            }
+
+            // The first answer after a resume offer decides whether this call
+            // continues the earlier intake
+            if (resumeOffer) {
+                const offer = resumeOffer;
+                resumeOffer = null;
+                lastUserAt = Date.now();
+                nudgeSentForTurn = true;
+                answerResumeOffer(conversationId, offer, text, { keypad });
+                return;
+            }
+
+            // No intake until the caller's identity is confirmed: consenting
+            // starts the check
+            if (identity && !identity.verified) {
+                lastUserAt = Date.now();
+                nudgeSentForTurn = true;
+                if (identity.stage === 'pending') {
+                    startVerification(conversationId, switchedLanguage ? line(callLocale, 'language_switch') : '');
+                } else if (identity.active) {
+                    answerIdentity(conversationId, text);
+                }
+                return;
+            }
+
+            // Detect condition trigger terms and switch to that protocol's flow
+            const matchedProtocol = !keypad && !protocolRun && session.is('intake') ? detectProtocol(PROTOCOLS, text, callLocale.code) : null;
+            if (matchedProtocol) {
+                protocolRun = new ProtocolRun(matchedProtocol, callLocale.code);
+                session.transition('protocol', matchedProtocol.id);
+                console.log('Protocol triggered, switching to condition-specific flow', { protocol: matchedProtocol.id });
+                updateConversationMetadata(conversationId, () => ({ protocol: matchedProtocol.id }))
+                    .catch(e => console.warn('Failed to record protocol:', e?.message));
+
+                // Provide empathetic acknowledgment and start with priority questions
+                speak(conversationId, protocolRun.start(), { protocol_transition: true, protocol: matchedProtocol.id });
+                publishCoverageIfChanged();
+                return; // Skip normal conversation flow for this turn
+            }
+
+            // Confirm the switch when the caller answered in another language
+            if (switchedLanguage) speak(conversationId, line(callLocale, 'language_switch'), { language_switch: true });
+
+            // Track timing for nudge and schedule no-dead-air safeguard
+            lastUserAt = Date.now();
+            nudgeSentForTurn = false;
+            scheduleNudge();
+
+            // Detect goodbye/exit intent and provide summary + closing prompt (but do NOT hang up yet)
+            if (session.is('intake', 'protocol') && matchesIntent(callLocale, 'goodbye', text)) {
+                // If required sections (general and protocol) are not covered, ask for what's missing instead of closing
+                const missing = missingSections();
+                if (missing.length > 0) {
+                    // The intake continues
+                    speak(conversationId, line(callLocale, 'coverage_gate', { missing: missing.join(line(callLocale, 'list_join')) }), { coverage_gate: true });
                 } else {
-                    console.log('Message saved', { conversation_id: conversationId, role, len: content.length });
-                    // Append to conversations.summary as running transcript
+                    session.transition('review', 'caller_finished');
+                (async () => {
                     try {
-                        const prefix = role === 'user' ? 'User' : (role === 'assistant' ? 'Assistant' : 'System');
-                        const line = `${prefix}: ${content}`;
-                        // Fetch existing summary, append new line, then update
-                        const { data: convo, error: selErr } = await supabase
-                            .from('conversations')
-                            .select('summary')
-                            .eq('id', conversationId)
-                            .single();
-                        if (selErr) {
-                            console.warn('Failed to read existing summary:', selErr?.message);
+                        // Build structured review from clinical_data when available
+                        const convo = await storage.getConversation(conversationId).catch(() => null);
+                        let reviewText = '';
+                        const cd = (convo && convo.clinical_data) ? convo.clinical_data : null;
+                        if (cd && (cd.medical_history || cd.current_medications || cd.allergies)) {
+                            const notSpecified = line(callLocale, 'not_specified');
+                            reviewText = line(callLocale, 'review', {
+                                medical_history: cd.medical_history ? String(cd.medical_history) : notSpecified,
+                                medications: cd.current_medications ? describeMedications(cd.current_medications) : notSpecified,
+                                allergies: cd.allergies ? String(cd.allergies) : notSpecified
+                            });
                         }
-                        const current = (convo && typeof convo.summary === 'string') ? convo.summary : '';
-                        const updatedSummary = current ? `${current}\n${line}` : line;
-                        const { error: upErr } = await supabase
-                            .from('conversations')
-                            .update({ summary: updatedSummary, updated_at: new Date().toISOString() })
-                            .eq('id', conversationId);
-                        if (upErr) {
-                            console.warn('Failed to append to summary:', upErr?.message);
+
+                        // If there are no structured review, fall back to transcript summary via OpenAI (summary-only)
+                        let summaryText = '';
+                        if (!reviewText) {
+                            const msgs = await storage.listMessages(conversationId).catch(() => null);
+                            let transcript = '';
+                            if (Array.isArray(msgs)) {
+                                transcript = msgs.map(m => `${m.role}: ${m.content}`).join('\n');
+                            }
+                            const prompt = `Summarize the patient's history so far in 3-5 concise, empathetic sentences based on this transcript. IMPORTANT: Do NOT ask any follow-up question or include any closing line. Provide only the summary.${callLocale.code !== DEFAULT_LANGUAGE ? ` Write the summary in ${callLocale.nameEn}.` : ''}\n\nTRANSCRIPT:\n${transcript}`;
+                            const res = await fetch(OPENAI_CHAT_URL, {
+                                method: 'POST',
+                                headers: { 'Authorization': `Bearer ${OPENAI_API_KEY}`, 'Content-Type': 'application/json' },
+                                body: JSON.stringify({ model: 'gpt-4o-mini', messages: [{ role: 'user', content: prompt }], temperature: 0.2 })
+                            });
+                            const ai = await res.json();
+                            summaryText = ai?.choices?.[0]?.message?.content || line(callLocale, 'summary_fallback');
                         }
+
+                        // The call may have ended (hang-up, transfer) while the summary was written
+                        if (!session.is('review')) return;
+
+                        // Speak in two steps: (1) summary/review, (2) closing question
+                        const firstText = reviewText || summaryText;
+                        const hasReview = !!(firstText && firstText.trim());
+                        if (hasReview) speak(conversationId, firstText, { summary: true, structured: !!reviewText });
+                        speak(conversationId, line(callLocale, 'closing_question'), { closing_question: true }, { interrupt: !hasReview });
+                        // Do not end yet; the caller's next answer decides
+                        session.transition('closing', 'closing_question');
                     } catch (e) {
-                        console.warn('Error appending to running summary:', e?.message);
+                        console.warn('Failed to produce end-of-call summary:', e?.message);
                     }
+                })();
                 }
-            } catch (e) {
-                console.error('Unexpected error saving message:', e);
             }
+            // Once the closing question has been asked, end when the caller confirms
+            // there is nothing else. Only a later answer counts: the goodbye that
+            // started the review ("that's all") is not also taken as the answer.
+            // Other keypad entries during the intake, and to the closing question,
+            // are answers for the model (the 1 that gave consent already started it talking)
+            if (keypad && !consentReply && session.is('intake', 'protocol', 'closing')) keypadToModel(text, keypad);
+            if (session.is('closing') && !keypad) {
+                const said = text.toLowerCase();
+                if (matchesIntent(callLocale, 'done', said) && session.end('intake_complete')) {
+                    (async () => {
+                        try {
+                            await lifecycle.end(wsConversationId, { reason: 'intake_complete', protocol: protocolRun?.protocol });
+                            setTimeout(() => { try { connection.close(); } catch {} }, 1500);
+                        } catch {}
+                    })();
+                }
+            }
+        };
+
+        // A finished keypad entry (Twilio "dtmf" events, collected by KeypadBuffer)
+        const handleKeypadEntry = (digits) => {
+            if (!wsConversationId) return;
+            // Nothing answers an entry once the call is ending; it is kept for the record
+            if (session.is('ended')) {
+                console.log('Keypad entry after the call ended, not answered', { conversation_id: wsConversationId });
+                saveMessage(wsConversationId, 'user', digits, { keypad: 'ignored', timestamp: new Date().toISOString() });
+                return;
+            }
+            if (openAiWs?.readyState !== WebSocket.OPEN) return;
+            const meaning = keypadMeaning(digits, {
+                awaitingConsent: session.is('awaiting_consent'),
+                languages: !languageChosen && LANGUAGE_SELECTION === 'detect' ? LANGUAGE_CODES : [],
+                scaleQuestion: matchesIntent(callLocale, 'scale_question', lastAssistantLine)
+            });
+            handleCallerInput(digits, { keypad: meaning });
         };
+        const keypadBuffer = new KeypadBuffer({ gapMs: KEYPAD_ENTRY_GAP_MS, onEntry: handleKeypadEntry });
 
-        openAiWs.on('message', (data) => {
+        const handleOpenAiMessage = (data) => {
             try {
                 const response = JSON.parse(data);
                 
@@ -775,7 +2054,6 @@ Identify and extract as a flat JSON object of key:value pairs only for fields th
                 
                 if (response.type === 'session.updated') {
                     console.log('Session updated successfully');
-                    wantGreeting = true;
                     setTimeout(() => trySendGreeting(), 100);
                 }
                 // Save user utterances and trigger clinical extraction.
@@ -788,187 +2066,39 @@ Identify and extract as a flat JSON object of key:value pairs only for fields th
                     const parts = Array.isArray(response.item.content) ? response.item.content : [];
                     const textPart = parts.find(p => p?.type === 'output_text' || p?.type === 'input_text' || p?.type === 'text');
                     if (textPart?.text) userSaid = (textPart.text || '').trim();
+                    const keypadItem = keypadItems.indexOf(textPart?.text);
+                    if (keypadItem !== -1) {
+                        keypadItems.splice(keypadItem, 1);
+                        userSaid = null;
+                    }
                 }
                 if (typeof response.transcript === 'string' && response.type?.includes('transcription') && !userSaid) {
                     userSaid = (response.transcript || '').trim();
                 }
-                if (userSaid) {
-                    const text = userSaid;
-                    if (text) {
-                        console.log('User said:', text);
-                        const conversationId = wsConversationId;
-                        saveMessage(conversationId, 'user', text, { transcript: true, timestamp: new Date().toISOString() });
-                        // Kick off extraction asynchronously
-                        extractClinical(conversationId, text);
-
-                        // Detect epilepsy keywords and switch to epilepsy flow
-                        const epilepsyKeywords = /\b(epilepsy|seizure|seizures|convulsion|convulsions|tonic.clonic|absence|myoclonic|clonic|atonic|epileptic|fits|spells)\b/i;
-                        if (epilepsyKeywords.test(text) && !isEpilepsyFlow) {
-                            isEpilepsyFlow = true;
-                            console.log('Epilepsy keywords detected, switching to epilepsy-specific flow');
-
-                            // Provide empathetic acknowledgment and start with priority questions
-                            const epilepsyTransition = "I understand you've mentioned epilepsy. I want to make sure we focus on what's most important to you. What's the most important thing to you that you want to address at your appointment regarding your epilepsy?";
-                            try { openAiWs.send(JSON.stringify({ type: 'response.cancel' })); } catch {}
-                            const transitionItem = {
-                                type: 'conversation.item.create',
-                                item: {
-                                    type: 'message',
-                                    role: 'assistant',
-                                    content: [{ type: 'input_text', text: epilepsyTransition }]
-                                }
-                            };
-                            openAiWs.send(JSON.stringify(transitionItem));
-                            openAiWs.send(JSON.stringify({ type: 'response.create' }));
-                            saveMessage(conversationId, 'assistant', epilepsyTransition, { epilepsy_transition: true });
-                            // Reset priority questions counter for this conversation
-                            priorityQuestionsAsked = 1; // First priority question just asked
-                            lastAssistantAt = Date.now();
-                            nudgeSentForTurn = true;
-                            return; // Skip normal conversation flow for this turn
-                        }
-
-                        // Track timing for nudge and schedule no-dead-air safeguard
-                        lastUserAt = Date.now();
-                        nudgeSentForTurn = false;
-                        if (nudgeTimer) { try { clearTimeout(nudgeTimer); } catch {} }
-                        nudgeTimer = setTimeout(() => {
-                            const now = Date.now();
-                            // If assistant hasn't spoken since the user's last utterance
-                            if (!nudgeSentForTurn && (now - Math.max(lastAssistantAt, lastUserAt) >= 4000)) {
-                                sendNoDeadAirNudge();
-                            }
-                        }, 4200);
-
-                        // Detect goodbye/exit intent and provide summary + closing prompt (but do NOT hang up yet)
-                        if (!pendingClosing && /(goodbye|bye\b|have to go|hang up|end the call|gotta go|that is all|that's all|nothing else|no, that's it)/i.test(text)) {
-                            // If required sections are not covered, ask for what's missing instead of closing
-                            const missing = [];
-                            if (!coveredPMH) missing.push('your past medical history, like any chronic conditions or prior hospitalizations');
-                            if (!coveredMeds) missing.push('the medications or supplements you currently take');
-                            if (!coveredAllergies) missing.push('any medication or other allergies');
-
-                            // Add epilepsy-specific missing information if in epilepsy flow
-                            if (isEpilepsyFlow) {
-                                if (!coveredEpilepsyHistory) missing.push('your seizure history, including how old you were when seizures started and how often they occur');
-                                if (!coveredEpilepsyMeds) missing.push('your seizure medications and any side effects you experience');
-                                if (!coveredEpilepsySafety) missing.push('seizure triggers and your emergency measures');
-                                if (!coveredEpilepsyImpact) missing.push('how seizures affect your life and family history of epilepsy');
-                            }
-                            if (missing.length > 0) {
-                                const followUp = `I understand we may need to wrap up soon. Before we do, I still need ${missing.join(' and ')} to make sure your provider has what they need. Could you share that now?`;
-                                try { openAiWs.send(JSON.stringify({ type: 'response.cancel' })); } catch {}
-                                const askItem = {
-                                    type: 'conversation.item.create',
-                                    item: {
-                                        type: 'message',
-                                        role: 'assistant',
-                                        content: [{ type: 'input_text', text: followUp }]
-                                    }
-                                };
-                                openAiWs.send(JSON.stringify(askItem));
-                                openAiWs.send(JSON.stringify({ type: 'response.create' }));
-                                saveMessage(conversationId, 'assistant', followUp, { coverage_gate: true });
-                                // Do not set pendingClosing; continue intake
-                            } else {
-                                pendingClosing = true;
-                            (async () => {
-                                try {
-                                    // Build structured review from clinical_data when available
-                                    const { data: convo, error: cErr } = await supabase
-                                        .from('conversations')
-                                        .select('clinical_data')
-                                        .eq('id', conversationId)
-                                        .single();
-                                    let reviewText = '';
-                                    const cd = (!cErr && convo && convo.clinical_data) ? convo.clinical_data : null;
-                                    if (cd && (cd.medical_history || cd.current_medications || cd.allergies)) {
-                                        const pmh = cd.medical_history ? String(cd.medical_history) : 'not specified';
-                                        const meds = cd.current_medications ? String(cd.current_medications) : 'not specified';
-                                        const alg = cd.allergies ? String(cd.allergies) : 'not specified';
-                                        reviewText = `Let me briefly review what I have for your chart. Past medical history: ${pmh}. Current medications: ${meds}. Allergies: ${alg}.`;
-                                    }
-
-                                    // If there are no structured review, fall back to transcript summary via OpenAI (summary-only)
-                                    let summaryText = '';
-                                    if (!reviewText) {
-                                        const { data: msgs, error: mErr } = await supabase
-                                            .from('messages')
-                                            .select('role, content, timestamp')
-                                            .eq('conversation_id', conversationId)
-                                            .order('timestamp', { ascending: true });
-                                        let transcript = '';
-                                        if (!mErr && Array.isArray(msgs)) {
-                                            transcript = msgs.map(m => `${m.role}: ${m.content}`).join('\n');
-                                        }
-                                        const prompt = `Summarize the patient's history so far in 3-5 concise, empathetic sentences based on this transcript. IMPORTANT: Do NOT ask any follow-up question or include any closing line. Provide only the summary.\n\nTRANSCRIPT:\n${transcript}`;
-                                        const res = await fetch('https://api.openai.com/v1/chat/completions', {
-                                            method: 'POST',
-                                            headers: { 'Authorization': `Bearer ${OPENAI_API_KEY}`, 'Content-Type': 'application/json' },
-                                            body: JSON.stringify({ model: 'gpt-4o-mini', messages: [{ role: 'user', content: prompt }], temperature: 0.2 })
-                                        });
-                                        const ai = await res.json();
-                                        summaryText = ai?.choices?.[0]?.message?.content || "Here's a brief summary of what you've shared.";
-                                    }
-
-                                    const closingLine = "Is there anything else you'd like your provider to know before your visit?";
-
-                                    // Speak in two steps: (1) summary/review, (2) closing question
-                                    try { openAiWs.send(JSON.stringify({ type: 'response.cancel' })); } catch {}
-
-                                    const firstText = reviewText || summaryText;
-                                    if (firstText && firstText.trim()) {
-                                        const summaryItem = {
-                                            type: 'conversation.item.create',
-                                            item: {
-                                                type: 'message',
-                                                role: 'assistant',
-                                                content: [{ type: 'input_text', text: firstText }]
-                                            }
-                                        };
-                                        openAiWs.send(JSON.stringify(summaryItem));
-                                        openAiWs.send(JSON.stringify({ type: 'response.create' }));
-                                        saveMessage(conversationId, 'assistant', firstText, { summary: true, structured: !!reviewText });
-                                    }
-
-                                    const questionItem = {
-                                        type: 'conversation.item.create',
-                                        item: {
-                                            type: 'message',
-                                            role: 'assistant',
-                                            content: [{ type: 'input_text', text: closingLine }]
-                                        }
-                                    };
-                                    openAiWs.send(JSON.stringify(questionItem));
-                                    openAiWs.send(JSON.stringify({ type: 'response.create' }));
-                                    saveMessage(conversationId, 'assistant', closingLine, { closing_question: true });
-                                    // Do not end yet; wait for user confirmation in next turn
-                                    
-                                } catch (e) {
-                                    console.warn('Failed to produce end-of-call summary:', e?.message);
-                                }
-                            })();
-                            }
-                        }
-                    }
+                if (userSaid) handleCallerInput(userSaid, { itemId: response.item_id });
+                
+                if (response.type === 'input_audio_buffer.speech_started') bargeIn(wsConversationId);
+                if (response.type === 'response.created' && response.response?.id) playback.responseCreated(response.response.id);
+                if (response.type === 'response.done' && response.response?.id) {
+                    playback.responseDone(response.response.id);
+                    // Twilio sends the mark back once the response's audio has played
+                    const mark = playback.markFor(response.response.id);
+                    if (mark) connection.send(JSON.stringify({ event: 'mark', streamSid, mark: { name: mark } }));
                 }
-                // If we already prompted with the closing question, end only when user confirms no more info
-                if (pendingClosing && response.type === 'conversation.item.input_audio_transcription.completed') {
-                    const said = (response.transcript || '').trim().toLowerCase();
-                    if (/(no|that's all|nothing else|nope|that is all|all good)/i.test(said)) {
-                        (async () => {
-                            try {
-                                await supabase
-                                    .from('conversations')
-                                    .update({ status: 'completed', ended_at: new Date().toISOString() })
-                                    .eq('id', wsConversationId);
-                                setTimeout(() => { try { connection.close(); } catch {} }, 1500);
-                            } catch {}
-                        })();
-                    }
+                // Audio of an interrupted response is dropped, not played or recorded
+                const playable = response.type === 'response.audio.delta' && !!response.delta
+                    && playback.audio(response.response_id, response.item_id, response.delta);
+
+                // Recording: caller speech offsets, and which response spoke which lines
+                if (recording) {
+                    if (response.type === 'input_audio_buffer.speech_started') recording.speechStarted(response.item_id, response.audio_start_ms);
+                    if (response.type === 'input_audio_buffer.speech_stopped') recording.speechStopped(response.item_id, response.audio_end_ms);
+                    if (response.type === 'response.created' && response.response?.id) recording.responseCreated(response.response.id);
+                    if (playable) recording.outbound(response.delta, response.response_id);
+                    if (response.type === 'response.done' && response.response?.id) linkResponseAudio(response.response.id);
                 }
-                
-                if (response.type === 'response.audio.delta' && response.delta) {
+
+                if (playable) {
                     const audioDelta = {
                         event: 'media',
                         streamSid: streamSid,
@@ -984,11 +2114,16 @@ Identify and extract as a flat JSON object of key:value pairs only for fields th
                 if (response.type === 'response.audio_transcript.done') {
                     const text = (assistantTranscript || '').trim();
                     assistantTranscript = '';
-                    if (text && wsConversationId) {
-                        saveMessage(wsConversationId, 'assistant', text, { from: 'audio_transcript' });
+                    // A response the caller talked over is saved as far as they heard it
+                    const interruption = playback.interruption(response.response_id);
+                    if (text && wsConversationId && interruption) {
+                        const heard = playback.heardText(interruption, text);
+                        saveMessage(wsConversationId, 'assistant', heard, { from: 'audio_transcript', interrupted: true, heard_ms: interruption.heardMs, generated: text, playback: 'interrupted' }, { responseId: response.response_id });
+                    } else if (text && wsConversationId) {
+                        saveMessage(wsConversationId, 'assistant', text, { from: 'audio_transcript' }, { responseId: response.response_id });
                     }
-                    // Assistant spoke; suppress pending nudges
-                    lastAssistantAt = Date.now();
+                    // Assistant spoke; suppress pending nudges. Silence is timed
+                    // from when its audio finishes playing (see the mark handler).
                     nudgeSentForTurn = true;
                 }
 
@@ -1009,24 +2144,19 @@ Identify and extract as a flat JSON object of key:value pairs only for fields th
                         if (!content) {
                             return;
                         }
+                        // Scripted lines were saved when they were sent
+                        const injected = injectedLines.indexOf(content);
+                        if (injected !== -1) {
+                            injectedLines.splice(injected, 1);
+                            return;
+                        }
 
                         // Enforce single-question per turn: if multiple '?', cancel and re-emit only first question
                         const qmCount = (content.match(/\?/g) || []).length;
                         if (qmCount > 1) {
                             const firstQ = content.split('?')[0].trim() + '?';
                             console.log('Enforcing single-question output; cancelling multi-question response');
-                            try { openAiWs.send(JSON.stringify({ type: 'response.cancel' })); } catch {}
-                            const singleItem = {
-                                type: 'conversation.item.create',
-                                item: {
-                                    type: 'message',
-                                    role: 'assistant',
-                                    content: [{ type: 'input_text', text: firstQ }]
-                                }
-                            };
-                            openAiWs.send(JSON.stringify(singleItem));
-                            openAiWs.send(JSON.stringify({ type: 'response.create' }));
-                            saveMessage(conversationId, 'assistant', firstQ, { item_id: item.id });
+                            speak(conversationId, firstQ, { item_id: item.id, single_question: true });
                         } else {
                             saveMessage(conversationId, 'assistant', content, { item_id: item.id });
                         }
@@ -1038,7 +2168,36 @@ Identify and extract as a flat JSON object of key:value pairs only for fields th
             } catch (error) {
                 console.error('Error processing OpenAI message:', error);
             }
-        });
+        };
+
+        const connectOpenAi = () => {
+            openAiWs = new WebSocket(OPENAI_REALTIME_URL, {
+                headers: {
+                    Authorization: `Bearer ${OPENAI_API_KEY}`,
+                    "OpenAI-Beta": "realtime=v1"
+                }
+            });
+            openAiWs.on('open', handleOpenAiOpen);
+            openAiWs.on('message', handleOpenAiMessage);
+
+            // Handle WebSocket close and errors
+            // Losing the session mid-call ends the call; the caller would
+            // otherwise be left on an open line with no one answering
+            const failOpenAi = () => {
+                if (connection.readyState !== WebSocket.OPEN) return;
+                openAiFailed = true;
+                try { connection.close(); } catch {}
+            };
+            openAiWs.on('close', () => {
+                console.log('Disconnected from the OpenAI Realtime API');
+                failOpenAi();
+            });
+
+            openAiWs.on('error', (error) => {
+                console.error('Error in the OpenAI WebSocket:', error);
+                failOpenAi();
+            });
+        };
 
         // Handle incoming messages from Twilio
         connection.on('message', (message) => {
@@ -1047,7 +2206,9 @@ Identify and extract as a flat JSON object of key:value pairs only for fields th
                 
                 switch (data.event) {
                     case 'media':
-                        if (openAiWs.readyState === WebSocket.OPEN) {
+                        playback.media(data.media.timestamp);
+                        recording?.inbound(data.media.payload, data.media.timestamp, { forwarded: openAiWs?.readyState === WebSocket.OPEN });
+                        if (openAiWs?.readyState === WebSocket.OPEN) {
                             const audioAppend = {
                                 type: 'input_audio_buffer.append',
                                 audio: data.media.payload
@@ -1055,17 +2216,73 @@ Identify and extract as a flat JSON object of key:value pairs only for fields th
                             openAiWs.send(JSON.stringify(audioAppend));
                         }
                         break;
-                    case 'start':
-                        streamSid = data.start.streamSid;
-                        streamStarted = true;
-                        // Prefer Twilio customParameters for conversation_id
+                    case 'start': {
+                        if (streamStarted) break;
+                        // Verify the signed token from the TwiML <Parameter> before any audio flows
                         const cp = data.start?.customParameters || {};
-                        if (cp.conversation_id && cp.conversation_id !== 'null') {
-                            wsConversationId = cp.conversation_id;
-                            console.log('WS conversation_id (from customParameters):', wsConversationId);
+                        const check = streamTokens.verify(cp.stream_token, { callSid: data.start?.callSid });
+                        if (!check.ok) {
+                            console.warn('Rejected media stream:', check.reason);
+                            try { connection.close(1008, 'Unauthorized stream'); } catch {}
+                            break;
                         }
+                        clearTimeout(startTimer);
+                        streamSid = data.start.streamSid;
+                        streamStarted = true;
+                        if (CALL_RECORDING) recording = new CallRecording();
+                        wsConversationId = check.conversationId;
+                        callSid = check.callSid || data.start.callSid || null;
+                        console.log('WS conversation_id (from stream token):', wsConversationId);
                         console.log('Incoming stream has started', streamSid);
-                        trySendGreeting();
+                        storage.getConversation(wsConversationId)
+                            .then((conversation) => {
+                                appointment = conversation?.metadata?.appointment || null;
+                                outboundCall = !!conversation?.metadata?.outbound_call_id;
+                                if (IDENTITY_VERIFICATION) {
+                                    identity = new IdentityVerification({
+                                        findPatients: (dateOfBirth) => storage.findPatientsByDateOfBirth(dateOfBirth),
+                                        expectedPatientId: conversation?.patient_id || null,
+                                        maxAttempts: VERIFICATION_MAX_ATTEMPTS
+                                    });
+                                }
+                                const offer = conversation?.metadata?.resume_offer;
+                                if (offer?.conversation_id && !offer.outcome) resumeOffer = offer;
+                                // Language picked from the keypad menu before the stream connected
+                                const chosen = conversation?.metadata?.language;
+                                if (chosen && LOCALES[chosen]) {
+                                    callLocale = LOCALES[chosen];
+                                    languageChosen = true;
+                                }
+                                if (wsConversationId && connection.readyState === WebSocket.OPEN) {
+                                    liveMonitor.startSession({
+                                        conversation_id: wsConversationId,
+                                        call_sid: callSid,
+                                        stream_sid: streamSid,
+                                        phone_number: conversation?.phone_number,
+                                        direction: conversation?.metadata?.direction,
+                                        appointment
+                                    });
+                                    publishCoverageIfChanged();
+                                }
+                            })
+                            .catch(() => {})
+                            .finally(() => {
+                                if (connection.readyState === WebSocket.OPEN) connectOpenAi();
+                            });
+                        break;
+                    }
+                    case 'stop':
+                        stopReceived = true;
+                        console.log('Media stream stopped', streamSid);
+                        break;
+                    case 'mark': {
+                        // The audio before the mark has played: the caller heard the response
+                        const played = playback.markPlayed(data.mark?.name);
+                        if (played) playbackComplete(played);
+                        break;
+                    }
+                    case 'dtmf':
+                        keypadBuffer.press(data.dtmf?.digit);
                         break;
                     default:
                         console.log('Received non-media event:', data.event);
@@ -1078,23 +2295,79 @@ Identify and extract as a flat JSON object of key:value pairs only for fields th
 
         // Handle connection close
         connection.on('close', () => {
-            if (openAiWs.readyState === WebSocket.OPEN) openAiWs.close();
+            clearTimeout(startTimer);
+            clearTimeout(transferTimer);
+            keypadBuffer.clear();
+            if (wsConversationId) {
+                liveMonitor.endSession(wsConversationId, { reason: 'stream closed' });
+                const reason = transferred ? 'transferred'
+                    : verificationFailed ? 'verification_failed'
+                    : consent?.status === 'declined' ? 'consent_declined'
+                    : openAiFailed ? 'openai_error'
+                    : stopReceived ? 'caller_hangup'
+                    : 'stream_error';
+                session.end(reason);
+                playbackCutOff(playback.stop());
+                lifecycle.end(wsConversationId, { reason, protocol: protocolRun?.protocol })
+                    .catch(e => console.error('Failed to record end of conversation:', e?.message));
+                if (recording && !recording.empty) saveRecording(wsConversationId, recording);
+            }
+            if (openAiWs?.readyState === WebSocket.OPEN) openAiWs.close();
             console.log('Client disconnected');
         });
+    });
+});
 
-        // Handle WebSocket close and errors
-        openAiWs.on('close', () => {
-            console.log('Disconnected from the OpenAI Realtime API');
-        });
-        
-        openAiWs.on('error', (error) => {
-            console.error('Error in the OpenAI WebSocket:', error);
-        });
+// Server-sent events for the live monitoring feed. Replays the session's
+// history (after Last-Event-ID when reconnecting), then streams new events.
+const streamLiveEvents = (request, reply, conversationId) => {
+    reply.hijack();
+    const res = reply.raw;
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
     });
+    const send = (event) => res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+
+    const lastEventId = Number(request.headers['last-event-id']) || 0;
+    if (conversationId) {
+        liveMonitor.history(conversationId, lastEventId).forEach(send);
+    } else {
+        for (const session of liveMonitor.listSessions()) {
+            liveMonitor.history(session.conversation_id, lastEventId).forEach(send);
+        }
+    }
+    const unsubscribe = liveMonitor.subscribe(conversationId, send);
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    request.raw.on('close', () => {
+        clearInterval(keepAlive);
+        unsubscribe();
+    });
+    console.log('Live monitor attached', { principal: request.principal?.id, conversation_id: conversationId || 'all' });
+};
+
+// Currently active /coral-stream sessions
+fastify.get('/api/live/sessions', { preHandler: requirePermission('live:read') }, async (request, reply) => {
+    reply.send({ sessions: liveMonitor.listSessions() });
+});
+
+// Live events for every active session
+fastify.get('/api/live/events', { preHandler: requirePermission('live:read') }, (request, reply) => {
+    streamLiveEvents(request, reply, null);
+});
+
+// Live events for one active session
+fastify.get('/api/live/sessions/:id/events', { preHandler: requirePermission('live:read') }, (request, reply) => {
+    if (!liveMonitor.isActive(request.params.id)) {
+        return reply.status(404).send({ error: 'No active session for this conversation' });
+    }
+    streamLiveEvents(request, reply, request.params.id);
 });
 
 // Clinical data extraction endpoint
-fastify.post('/api/extract-clinical-data', async (request, reply) => {
+fastify.post('/api/extract-clinical-data', { preHandler: requirePermission('extractions:write') }, async (request, reply) => {
     try {
         const { conversation_id, text } = request.body;
         
@@ -1118,7 +2391,7 @@ fastify.post('/api/extract-clinical-data', async (request, reply) => {
         
         Return as JSON with field_name and field_value pairs. Only include fields that are mentioned.`;
 
-        const openaiResponse = await fetch('https://api.openai.com/v1/chat/completions', {
+        const openaiResponse = await fetch(OPENAI_CHAT_URL, {
             method: 'POST',
             headers: {
                 'Authorization': `Bearer ${OPENAI_API_KEY}`,
@@ -1137,50 +2410,57 @@ fastify.post('/api/extract-clinical-data', async (request, reply) => {
         try {
             const clinicalFields = JSON.parse(extractedData);
 
-            // Save each extracted field to clinical_extractions table
+            // Medication fields become structured entries, as on a live call;
+            // other values are kept when they are non-empty text, numbers or lists
+            const fields = {};
             for (const [fieldName, fieldValue] of Object.entries(clinicalFields)) {
-                if (fieldValue && fieldValue.trim()) {
-                    const { error: insertErr } = await supabase
-                        .from('clinical_extractions')
-                        .insert({
-                            conversation_id,
-                            field_name: fieldName,
-                            field_value: fieldValue,
-                            confidence_score: 0.8
-                        });
-                    if (insertErr) {
-                        console.error('Error saving clinical extraction:', insertErr, { fieldName });
-                    }
+                if (fieldValue === null || fieldValue === undefined) continue;
+                if (MEDICATION_FIELDS.includes(fieldName)) {
+                    const meds = normalizeMedications(fieldValue, DRUGS);
+                    if (meds.length) fields[fieldName] = meds;
+                } else if (typeof fieldValue === 'string') {
+                    if (fieldValue.trim()) fields[fieldName] = fieldValue.trim();
+                } else if (typeof fieldValue === 'number' || (Array.isArray(fieldValue) && fieldValue.length)) {
+                    fields[fieldName] = fieldValue;
                 }
             }
 
-            // Update conversation with clinical data
-            const { data: existingConversation, error: fetchConvErr } = await supabase
-                .from('conversations')
-                .select('clinical_data')
-                .eq('id', conversation_id)
-                .single();
-            if (fetchConvErr) {
-                console.error('Error fetching conversation for update:', fetchConvErr);
+            // Merge into clinical_data with its version history, as live extractions are
+            let merged = null;
+            try {
+                merged = await updateClinicalData(conversation_id, (conversation) => mergeClinicalData({
+                    clinicalData: conversation.clinical_data || {},
+                    history: conversation.clinical_data_history,
+                    fields,
+                    utterance: text,
+                    lists: LIST_FIELDS
+                }));
+            } catch (updateConvErr) {
+                console.error('Error updating conversation clinical_data:', updateConvErr);
             }
 
-            const updatedClinicalData = {
-                ...(existingConversation?.clinical_data || {}),
-                ...clinicalFields
-            };
-
-            const { error: updateConvErr } = await supabase
-                .from('conversations')
-                .update({ 
-                    clinical_data: updatedClinicalData,
-                    updated_at: new Date().toISOString()
-                })
-                .eq('id', conversation_id);
-            if (updateConvErr) {
-                console.error('Error updating conversation clinical_data:', updateConvErr);
+            // Save each extracted field to clinical_extractions table
+            for (const [fieldName, fieldValue] of Object.entries(fields)) {
+                try {
+                    await storage.addExtraction({
+                        conversation_id,
+                        field_name: fieldName,
+                        field_value: fieldValueText(fieldValue),
+                        confidence_score: 0.8,
+                        extraction_model: 'gpt-4',
+                        prompt_version: 'api-extract-v1',
+                        metadata: {
+                            source: 'api',
+                            value: fieldValue,
+                            applied: !!merged?.changes[fieldName] && merged.changes[fieldName] !== 'conflict'
+                        }
+                    });
+                } catch (insertErr) {
+                    console.error('Error saving clinical extraction:', insertErr, { fieldName });
+                }
             }
 
-            console.log('Clinical fields extracted', { conversation_id, fields: Object.keys(clinicalFields) });
+            console.log('Clinical fields extracted', { conversation_id, fields: Object.keys(fields) });
 
         } catch (parseError) {
             console.log('Could not parse clinical data as JSON, saving as text:', extractedData);
@@ -1193,74 +2473,225 @@ fastify.post('/api/extract-clinical-data', async (request, reply) => {
     }
 });
 
-// Export conversation data endpoint
-fastify.get('/api/conversations/:id/export', async (request, reply) => {
-    try {
-        const conversationId = request.params.id;
+// Names of the verified patient, redacted from de-identified transcripts
+const patientNames = async (conversation) => {
+    if (!conversation.patient_id) return [];
+    const patient = await storage.getPatient(conversation.patient_id).catch(() => null);
+    return patient ? patient.name.split(/\s+/) : [];
+};
 
-        // Get conversation details
-        const { data: conversation, error: convError } = await supabase
-            .from('conversations')
-            .select('*')
-            .eq('id', conversationId)
-            .single();
+// Load a conversation and send it in the requested export format
+const EXPORT_FORMATS = ['json', 'fhir'];
 
-        if (convError) {
+const sendConversationExport = async (conversationId, format, reply, { deidentify = false } = {}) => {
+    if (!EXPORT_FORMATS.includes(format)) {
+        return reply.status(400).send({ error: `Unsupported export format "${format}"`, formats: EXPORT_FORMATS });
+    }
+    try {
+        // Get conversation details
+        const requested = await storage.getConversation(conversationId).catch(() => null);
+        if (!requested) {
             return reply.status(404).send({ error: 'Conversation not found' });
         }
 
-        // Get all messages for this conversation
-        const { data: messages, error: msgError } = await supabase
-            .from('messages')
-            .select('*')
-            .eq('conversation_id', conversationId)
-            .order('timestamp', { ascending: true });
+        // A resumed intake spans several calls and is exported as one: every
+        // call's messages and extractions, and the clinical data collected so
+        // far (held by the latest call)
+        const chain = await intakeChain(storage, requested).catch(() => [requested]);
+        const latest = chain[chain.length - 1];
+        const conversation = latest === requested ? requested : {
+            ...requested,
+            clinical_data: latest.clinical_data,
+            clinical_data_history: latest.clinical_data_history
+        };
 
-        if (msgError) {
+        // Get all messages for this conversation
+        let messages;
+        try {
+            // Masked identity answers are left out
+            messages = (await Promise.all(chain.map(c => storage.listMessages(c.id)))).flat()
+                .filter(m => !m.metadata?.identity);
+        } catch (msgError) {
             return reply.status(500).send({ error: 'Failed to fetch messages' });
         }
 
         // Get clinical extractions
-        const { data: clinicalExtractions, error: clinError } = await supabase
-            .from('clinical_extractions')
-            .select('*')
-            .eq('conversation_id', conversationId)
-            .order('extracted_at', { ascending: true });
+        const clinicalExtractions = (await Promise.all(chain.map(c => storage.listExtractions(c.id).catch(() => [])))).flat();
+
+        if (deidentify) {
+            const deid = deidentifier.conversation(conversation, { messages, extractions: clinicalExtractions || [], knownNames: await patientNames(conversation) });
+            if (format === 'fhir') {
+                return reply.type('application/fhir+json').send(buildFhirBundle({ conversation: deid.conversation, messages: deid.messages, protocols: PROTOCOLS }));
+            }
+            return reply.send({
+                ...deid,
+                superseded_values: supersededValues(deid.conversation.clinical_data_history),
+                deidentified: true,
+                export_timestamp: new Date().toISOString()
+            });
+        }
+
+        if (format === 'fhir') {
+            return reply.type('application/fhir+json').send(buildFhirBundle({ conversation, messages, protocols: PROTOCOLS }));
+        }
 
         const exportData = {
             conversation,
             messages,
             clinical_extractions: clinicalExtractions || [],
+            ...(chain.length > 1 ? {
+                linked_conversations: chain.map(c => ({
+                    id: c.id,
+                    call_sid: c.call_sid,
+                    started_at: c.started_at,
+                    ended_at: c.ended_at,
+                    status: c.status,
+                    end_reason: c.end_reason
+                }))
+            } : {}),
+            // Values replaced by corrections or clarifications, and rejected conflicting values
+            superseded_values: supersededValues(conversation.clinical_data_history),
             export_timestamp: new Date().toISOString()
         };
 
-        reply.send(exportData);
+        return reply.send(exportData);
     } catch (error) {
         console.error('Error exporting conversation:', error);
-        reply.status(500).send({ error: 'Failed to export conversation' });
+        return reply.status(500).send({ error: 'Failed to export conversation' });
+    }
+};
+
+// Identified exports need conversations:*; ?deidentify=true needs deidentified:*
+const exportPermission = (identified, deidentified) => (request) => (wantsDeidentified(request) ? deidentified : identified);
+
+// The call's audio recording (two-channel WAV: caller, assistant), while it
+// is kept. messages.audio_data gives each line's offset within it.
+fastify.get('/api/conversations/:id/recording', { preHandler: requirePermission('recordings:read') }, async (request, reply) => {
+    const conversation = await storage.getConversation(request.params.id).catch(() => null);
+    if (!conversation) {
+        return reply.status(404).send({ error: 'Conversation not found' });
     }
+    const file = conversation.metadata?.recording ? await recordings.open(conversation.id) : null;
+    if (!file) {
+        return reply.status(404).send({ error: 'No recording for this conversation' });
+    }
+    console.log('Recording retrieved', { principal: request.principal?.id, conversation_id: conversation.id });
+    return reply.type('audio/wav').header('Content-Length', file.size).send(file.stream);
+});
+
+// A call's event log: its state transitions and the scripted lines it spoke,
+// in order, with the state the log replays to (see lib/call-session.js)
+fastify.get('/api/conversations/:id/events', { preHandler: requirePermission('conversations:read') }, async (request, reply) => {
+    try {
+        const conversation = await storage.getConversation(request.params.id).catch(() => null);
+        if (!conversation) {
+            return reply.status(404).send({ error: 'Conversation not found' });
+        }
+        const events = await storage.listCallEvents(conversation.id);
+        let state = null;
+        let replayError = null;
+        try {
+            state = CallSession.replay(events).state;
+        } catch (e) {
+            replayError = e.message;
+        }
+        reply.send({
+            conversation_id: conversation.id,
+            state,
+            ...(replayError ? { replay_error: replayError } : {}),
+            events: events.map(e => ({ seq: e.seq, at: e.created_at, type: e.type, state: e.state, data: e.data }))
+        });
+    } catch (error) {
+        console.error('Error fetching call events:', error);
+        reply.status(500).send({ error: 'Failed to fetch call events' });
+    }
+});
+
+// clinical_data with the evidence behind each value (source message, quoted
+// span, confidence and model/prompt version), its version history and any
+// conflicts between reported values
+fastify.get('/api/conversations/:id/clinical-data', { preHandler: requirePermission('conversations:read') }, async (request, reply) => {
+    try {
+        const conversation = await storage.getConversation(request.params.id).catch(() => null);
+        if (!conversation) {
+            return reply.status(404).send({ error: 'Conversation not found' });
+        }
+        const [extractions, messages] = await Promise.all([
+            storage.listExtractions(conversation.id),
+            storage.listMessages(conversation.id)
+        ]);
+        const history = conversation.clinical_data_history || {};
+        const fields = annotateClinicalData(conversation.clinical_data, extractions, messages);
+        for (const [field, annotated] of Object.entries(fields)) {
+            annotated.history = history.fields?.[field] || [];
+        }
+        reply.send({
+            conversation_id: conversation.id,
+            clinical_data: conversation.clinical_data || {},
+            fields,
+            conflicts: history.conflicts || []
+        });
+    } catch (error) {
+        console.error('Error fetching annotated clinical data:', error);
+        reply.status(500).send({ error: 'Failed to fetch clinical data' });
+    }
+});
+
+// Conversations flagged for urgent review by red-flag detection, newest first
+fastify.get('/api/conversations/urgent', { preHandler: requirePermission('conversations:read') }, async (request, reply) => {
+    try {
+        const conversations = await storage.listUrgentConversations();
+        reply.send({
+            conversations: conversations.map(c => ({
+                id: c.id,
+                call_sid: c.call_sid,
+                phone_number: c.phone_number,
+                status: c.status,
+                started_at: c.started_at,
+                red_flags: c.metadata?.red_flags || [],
+                transfer: c.metadata?.transfer || null
+            })),
+            total_count: conversations.length
+        });
+    } catch (error) {
+        console.error('Error listing urgent conversations:', error);
+        reply.status(500).send({ error: 'Failed to list urgent conversations' });
+    }
+});
+
+// Export conversation data endpoint
+fastify.get('/api/conversations/:id/export', { preHandler: requirePermission(exportPermission('conversations:read', 'deidentified:read')) }, async (request, reply) => {
+    return sendConversationExport(request.params.id, 'json', reply, { deidentify: wantsDeidentified(request) });
+});
+
+// Export in a selectable format: json (raw rows) | fhir (FHIR R4 Bundle)
+fastify.get('/api/conversations/:id/export/:format', { preHandler: requirePermission(exportPermission('conversations:read', 'deidentified:read')) }, async (request, reply) => {
+    return sendConversationExport(request.params.id, request.params.format, reply, { deidentify: wantsDeidentified(request) });
 });
 
 // Export all conversations endpoint
-fastify.get('/api/conversations/export', async (request, reply) => {
+fastify.get('/api/conversations/export', { preHandler: requirePermission(exportPermission('conversations:export', 'deidentified:export')) }, async (request, reply) => {
     try {
         // Get all conversations with their messages and clinical data
-        const { data: conversations, error: convError } = await supabase
-            .from('conversations')
-            .select(`
-                *,
-                messages (*),
-                clinical_extractions (*)
-            `)
-            .order('started_at', { ascending: false });
-
-        if (convError) {
+        let conversations;
+        try {
+            conversations = await storage.listConversationsWithDetails();
+        } catch (convError) {
             return reply.status(500).send({ error: 'Failed to fetch conversations' });
         }
 
+        const deidentify = wantsDeidentified(request);
+        console.log('Bulk export', { principal: request.principal?.id, count: conversations.length, deidentified: deidentify });
+        if (deidentify) {
+            conversations = await Promise.all(conversations.map(async ({ messages = [], clinical_extractions = [], ...conversation }) => {
+                const deid = deidentifier.conversation(conversation, { messages, extractions: clinical_extractions, knownNames: await patientNames(conversation) });
+                return { ...deid.conversation, messages: deid.messages, clinical_extractions: deid.clinical_extractions };
+            }));
+        }
         const exportData = {
             conversations,
             total_count: conversations.length,
+            ...(deidentify ? { deidentified: true } : {}),
             export_timestamp: new Date().toISOString()
         };
 
@@ -1282,6 +2713,9 @@ fastify.listen({ port: PORT, host: '0.0.0.0' }, (err) => {
         console.error(err);
         process.exit(1);
     }
+    campaigns.start();
+    lifecycle.start();
+    if (CALL_RECORDING) recordings.start();
     const baseUrl = PUBLIC_BASE_URL || `http://localhost:${PORT}`;
     console.log(`Server running on ${baseUrl}`);
     console.log(`WebSocket server running on same origin`);
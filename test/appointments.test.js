@@ -0,0 +1,139 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, rosterFromCsv, normalizeRosterEntry, isUpcoming, findNextAppointment } from '../lib/appointments.js';
+import { MemoryStorage } from '../lib/storage/memory.js';
+import { FakeOpenAI } from './harness/fake-openai.js';
+import { startServer, placeCall, getJson, TEST_API_KEYS } from './harness/server.js';
+
+const DAY = 24 * 60 * 60000;
+const isoDay = (offsetDays) => new Date(Date.now() + offsetDays * DAY).toISOString().slice(0, 10);
+
+test('reads CSV rosters with quoted fields and header aliases', () => {
+    assert.deepEqual(parseCsv('a,"b, c","say ""hi"""\r\n1,2,3\n\n'), [['a', 'b, c', 'say "hi"'], ['1', '2', '3']]);
+
+    const [entry] = rosterFromCsv('Patient Name,Phone,DOB,Specialty,Provider,Appointment Date,Reason for Visit,Notes\n'
+        + '"García, Ana",+1 555 555 0101,1980-03-05,Neurology,Dr. Lee,2026-03-10T14:30:00-04:00,"Seizures, follow-up",ignored\n');
+    assert.deepEqual(entry, {
+        name: 'García, Ana',
+        phone_number: '+1 555 555 0101',
+        date_of_birth: '1980-03-05',
+        specialty: 'Neurology',
+        provider: 'Dr. Lee',
+        date: '2026-03-10T14:30:00-04:00',
+        reason: 'Seizures, follow-up'
+    });
+    assert.throws(() => rosterFromCsv('name,phone\nAna García,+15555550101\n'), /missing columns: date_of_birth, specialty, date/);
+});
+
+test('validates roster entries and names the offending row', () => {
+    const valid = { name: 'Ana García', phone_number: '+15555550101', date_of_birth: '1980-03-05', specialty: 'Neurology', date: '2026-03-10' };
+    assert.equal(normalizeRosterEntry(valid, 0).appointment.status, 'scheduled');
+    assert.throws(() => normalizeRosterEntry({ ...valid, phone_number: undefined }, 2), /appointments\[2\]\.phone_number is required/);
+    assert.throws(() => normalizeRosterEntry({ ...valid, date: 'next Tuesday' }, 0), /appointments\[0\]\.date/);
+    assert.throws(() => normalizeRosterEntry({ ...valid, date_of_birth: '1980-02-30' }, 1), /appointments\[1\]\.date_of_birth/);
+});
+
+test('the next appointment is the earliest scheduled one still ahead', async () => {
+    const now = new Date('2026-03-10T15:00:00Z');
+    assert.ok(isUpcoming({ date: '2026-03-10' }, { now }), 'later the same day');
+    assert.ok(!isUpcoming({ date: '2026-03-10T14:00:00Z' }, { now }));
+    assert.ok(!isUpcoming({ date: '2026-03-09' }, { now }));
+
+    const storage = new MemoryStorage();
+    const ana = await storage.createPatient({ name: 'Ana García', date_of_birth: '1980-03-05', phone_number: '+15555550101' });
+    const luis = await storage.createPatient({ name: 'Luis García', date_of_birth: '2012-07-01', phone_number: '+15555550101' });
+    await storage.createAppointment({ patient_id: ana.id, specialty: 'Cardiology', date: '2026-03-09' });
+    await storage.createAppointment({ patient_id: ana.id, specialty: 'Neurology', date: '2026-04-01', status: 'cancelled' });
+    await storage.createAppointment({ patient_id: ana.id, specialty: 'Neurology', date: '2026-04-15' });
+    const next = await storage.createAppointment({ patient_id: luis.id, specialty: 'Pediatrics', date: '2026-03-20T13:00:00Z' });
+
+    const found = await findNextAppointment(storage, '+15555550101', { now });
+    assert.equal(found.appointment.id, next.id);
+    assert.equal(found.patient.id, luis.id);
+    assert.equal(await findNextAppointment(storage, '+15555550199', { now }), null);
+});
+
+let fake;
+let server;
+
+before(async () => {
+    fake = await new FakeOpenAI().start();
+    server = await startServer(fake);
+});
+
+after(async () => {
+    await server?.stop();
+    await fake?.stop();
+});
+
+const importCsv = (csv, auth) => server.request('POST', '/api/appointments/import', { body: csv, headers: { 'content-type': 'text/csv' }, auth });
+
+test('rosters import as CSV or JSON, and importing again updates the appointment', async () => {
+    const date = isoDay(7);
+    const csv = `name,phone,dob,specialty,provider,date,reason\nMaria Lopez,+15555550160,1975-11-20,Dermatology,Dr. Patel,${date},Rash\n`;
+    assert.equal((await importCsv(csv, TEST_API_KEYS.clinician)).status, 403);
+
+    const first = await importCsv(csv);
+    assert.equal(first.status, 201);
+    const imported = await first.json();
+    assert.equal(imported.patients_created, 1);
+    assert.equal(imported.appointments_created, 1);
+    assert.equal(imported.appointments[0].source, 'csv');
+
+    const again = await server.request('POST', '/api/appointments/import', {
+        auth: TEST_API_KEYS.integration,
+        body: { appointments: [{ name: 'Maria Lopez', phone_number: '+15555550160', dob: '1975-11-20', specialty: 'Dermatology', provider: 'Dr. Patel', date, reason: 'Rash on both arms' }] }
+    });
+    assert.equal(again.status, 201);
+    const updated = await again.json();
+    assert.deepEqual([updated.patients_created, updated.appointments_created, updated.appointments_updated], [0, 0, 1]);
+    assert.equal(updated.appointments[0].id, imported.appointments[0].id);
+    assert.equal(updated.appointments[0].reason, 'Rash on both arms');
+
+    // A bad row rejects the whole roster
+    const bad = await server.request('POST', '/api/appointments/import', {
+        body: [{ name: 'Sam Ortiz', phone_number: '+15555550161', date_of_birth: '1990-01-01', specialty: 'Neurology', date: isoDay(3) }, { name: 'Kim' }]
+    });
+    assert.equal(bad.status, 400);
+    assert.match((await bad.json()).error, /appointments\[1\]/);
+});
+
+test('an inbound caller is greeted about their next appointment and the call is stored against it', async () => {
+    const from = '+15555550170';
+    const date = isoDay(10);
+    const res = await importCsv(`name,phone,dob,specialty,provider,date,reason\n`
+        + `Peter Novak,${from},1962-04-02,Neurology,Dr. Lee,${date},Seizure follow-up\n`
+        + `Peter Novak,${from},1962-04-02,Cardiology,Dr. Shah,${isoDay(30)},Palpitations\n`);
+    const { appointments } = await res.json();
+    const neurology = appointments.find(a => a.specialty === 'Neurology');
+
+    const { twilio, realtime, conversationId } = await placeCall(server, fake, { from });
+    try {
+        const update = await realtime.waitFor(e => e.type === 'session.update');
+        assert.match(update.session.instructions, /The caller has an upcoming Neurology appointment on \w+day, \w+ \d+ with Dr\. Lee\./);
+        assert.match(update.session.instructions, /Reason for visit on the schedule: Seizure follow-up\./);
+        assert.doesNotMatch(update.session.instructions, /appointment with Neurology/);
+        await realtime.waitForAssistantText(/^Hi, you've reached .*before your upcoming Neurology appointment on .* with Dr\. Lee\. Say 'Yes'/);
+
+        const { conversation } = await getJson(server, `/api/conversations/${conversationId}/export`);
+        assert.equal(conversation.appointment_id, neurology.id);
+        assert.equal(conversation.patient_id, neurology.patient_id);
+        assert.deepEqual(conversation.metadata.appointment, { specialty: 'Neurology', date, provider: 'Dr. Lee', reason: 'Seizure follow-up' });
+
+        const detail = await getJson(server, `/api/appointments/${neurology.id}`);
+        assert.equal(detail.patient.name, 'Peter Novak');
+        assert.deepEqual(detail.conversations.map(c => c.id), [conversationId]);
+    } finally {
+        await twilio.hangUp();
+    }
+
+    // Callers without an appointment get the general greeting
+    const other = await placeCall(server, fake, { from: '+15555550171' });
+    try {
+        await other.realtime.waitForAssistantText(/^Hi, I am connecting you/);
+        const { conversation } = await getJson(server, `/api/conversations/${other.conversationId}/export`);
+        assert.equal(conversation.appointment_id, null);
+    } finally {
+        await other.twilio.hangUp();
+    }
+});
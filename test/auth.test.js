@@ -0,0 +1,80 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { FakeOpenAI } from './harness/fake-openai.js';
+import { startServer, TEST_API_KEYS } from './harness/server.js';
+
+const JWT_SECRET = 'test-jwt-secret';
+
+let fake;
+let server;
+let conversationId;
+
+before(async () => {
+    fake = await new FakeOpenAI().start();
+    server = await startServer(fake, { JWT_SECRET });
+    const res = await server.request('POST', '/webhook/voice', { form: { CallSid: 'CA_auth', From: '+15555550100' }, auth: null });
+    conversationId = (await res.text()).match(/name="conversation_id" value="([^"]+)"/)[1];
+});
+
+after(async () => {
+    await server?.stop();
+    await fake?.stop();
+});
+
+const signJwt = (claims, secret = JWT_SECRET) => {
+    const enc = (o) => Buffer.from(JSON.stringify(o)).toString('base64url');
+    const head = `${enc({ alg: 'HS256', typ: 'JWT' })}.${enc(claims)}`;
+    return `${head}.${crypto.createHmac('sha256', secret).update(head).digest('base64url')}`;
+};
+
+const status = async (method, url, opts) => (await server.request(method, url, opts)).status;
+
+test('requests without or with unknown credentials get 401', async () => {
+    const res = await server.request('GET', `/api/conversations/${conversationId}/export`, { auth: null });
+    assert.equal(res.status, 401);
+    assert.match(res.headers.get('www-authenticate'), /^Bearer/);
+    assert.equal(await status('GET', '/api/conversations/export', { auth: 'not-a-key' }), 401);
+    assert.equal(await status('POST', '/api/messages', { auth: null, body: { conversation_id: conversationId, role: 'user', content: 'x' } }), 401);
+});
+
+test('clinicians can read but not write or bulk export', async () => {
+    const auth = TEST_API_KEYS.clinician;
+    assert.equal(await status('GET', `/api/conversations/${conversationId}/export`, { auth }), 200);
+    assert.equal(await status('GET', `/api/conversations/${conversationId}/export/fhir`, { auth }), 200);
+    assert.equal(await status('POST', '/api/messages', { auth, body: { conversation_id: conversationId, role: 'user', content: 'x' } }), 403);
+    const res = await server.request('GET', '/api/conversations/export', { auth });
+    assert.equal(res.status, 403);
+    assert.equal((await res.json()).required, 'conversations:export');
+});
+
+test('integrations can write messages but not bulk export', async () => {
+    const auth = TEST_API_KEYS.integration;
+    assert.equal(await status('POST', '/api/messages', { auth, body: { conversation_id: conversationId, role: 'user', content: 'hello' } }), 200);
+    assert.equal(await status('GET', '/api/conversations/export', { auth }), 403);
+});
+
+test('admins can bulk export', async () => {
+    assert.equal(await status('GET', '/api/conversations/export', { auth: TEST_API_KEYS.admin }), 200);
+});
+
+test('JWT bearer tokens carry roles and are checked for signature and expiry', async () => {
+    const url = `/api/conversations/${conversationId}/export`;
+    const exp = Math.floor(Date.now() / 1000) + 60;
+    const bearer = (t) => ({ auth: null, headers: { authorization: `Bearer ${t}` } });
+
+    assert.equal(await status('GET', url, bearer(signJwt({ sub: 'nurse-1', role: 'clinician', exp }))), 200);
+    assert.equal(await status('GET', '/api/conversations/export', bearer(signJwt({ sub: 'nurse-1', role: 'clinician', exp }))), 403);
+    assert.equal(await status('GET', '/api/conversations/export', bearer(signJwt({ sub: 'ops', roles: ['admin'], exp }))), 200);
+    assert.equal(await status('GET', url, bearer(signJwt({ sub: 'nurse-1', role: 'clinician', exp }, 'wrong-secret'))), 401);
+    assert.equal(await status('GET', url, bearer(signJwt({ sub: 'nurse-1', role: 'clinician', exp: exp - 120 }))), 401);
+    assert.equal(await status('GET', url, bearer(signJwt({ sub: 'nurse-1', role: 'clinician' }))), 401, 'a token without exp never expires');
+    const [head, payload, sig] = signJwt({ sub: 'nurse-1', role: 'clinician', exp }).split('.');
+    const multibyte = await server.request('GET', url, bearer(`${head}.${payload}.${'é'.repeat(sig.length)}`));
+    assert.equal(multibyte.status, 401);
+    assert.equal((await multibyte.json()).message, 'Invalid token signature', 'rejected, not thrown on');
+});
+
+test('Twilio webhooks and health checks stay outside API auth', async () => {
+    assert.equal(await status('GET', '/health', { auth: null }), 200);
+});
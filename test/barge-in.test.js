@@ -0,0 +1,105 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { PlaybackTracker, heardPart } from '../lib/playback.js';
+import { FakeOpenAI } from './harness/fake-openai.js';
+import { startServer, placeCall, getJson, eventually } from './harness/server.js';
+
+const audio = (ms) => Buffer.alloc(ms * 8, 0xff).toString('base64');
+
+test('responses are laid out on the media clock and cut at what was played', async () => {
+    const playback = new PlaybackTracker({ now: () => 0 });
+    playback.media(1000);
+
+    // A scripted line, spoken by the next response, with another queued behind it
+    const line = playback.expectLine();
+    playback.responseCreated('resp_1');
+    assert.ok(playback.audio('resp_1', 'item_1', audio(2000)));
+    line({ id: 'msg_1', content: 'one two three four five six seven eight' });
+    playback.responseDone('resp_1');
+    playback.responseCreated('resp_2');
+    assert.ok(playback.audio('resp_2', 'item_2', audio(1000)));
+
+    playback.media(1500);
+    assert.equal(playback.remainingMs(), 2500);
+    const cut = playback.interrupt();
+    assert.deepEqual(cut.map(({ lines, ...r }) => r), [
+        { responseId: 'resp_1', itemId: 'item_1', heardMs: 500, sentMs: 2000, done: true },
+        { responseId: 'resp_2', itemId: 'item_2', heardMs: 0, sentMs: 1000, done: false }
+    ]);
+    assert.deepEqual(await Promise.all(cut[0].lines), [{ id: 'msg_1', content: 'one two three four five six seven eight' }]);
+    assert.equal(playback.heardText(cut[0], 'one two three four five six seven eight'), 'one two');
+    assert.equal(playback.heardText(cut[1], 'not heard at all'), '');
+    assert.equal(playback.audio('resp_2', 'item_2', audio(500)), false, 'the rest of an interrupted response is dropped');
+    assert.equal(playback.interruption('resp_2').heardMs, 0);
+
+    // The buffer was cleared: new audio plays from now, and a short tail is let play out
+    assert.ok(playback.audio('resp_3', 'item_3', audio(100)));
+    assert.equal(playback.remainingMs(), 100);
+    assert.equal(playback.interrupt(), null);
+    playback.media(1700);
+    assert.equal(playback.remainingMs(), 0);
+
+    assert.equal(heardPart('a b c d', 5000, 4000), 'a b c d');
+});
+
+let fake;
+let server;
+
+before(async () => {
+    fake = await new FakeOpenAI().start();
+    server = await startServer(fake);
+});
+
+after(async () => {
+    await server?.stop();
+    await fake?.stop();
+});
+
+test('the caller talking over the assistant stops its audio and the saved line keeps what they heard', async () => {
+    const { twilio, realtime, conversationId } = await placeCall(server, fake);
+    const question = 'To start, can you tell me what symptoms led you to make this appointment today?';
+    let spoken;
+    try {
+        await realtime.waitForAssistantText(/Say 'Yes'/);
+        realtime.userSays('Yes.');
+        await realtime.waitFor(e => e.type === 'session.update' && e.session.turn_detection?.create_response === true, { label: 'consent' });
+        assert.equal(twilio.events('clear').length, 0, 'the end of the greeting is let play out');
+        // The greeting and the reply to the consent are sent before the media
+        // clock starts, so they have played by 5000 and nothing is queued ahead
+        // of the question
+        await twilio.waitFor(() => twilio.events('media').length === 2, { label: 'consent reply audio' });
+
+        twilio.media(undefined, 5000);
+        await realtime.waitFor(() => realtime.events('input_audio_buffer.append').length === 1, { label: 'caller audio' });
+        twilio.holdMarks = true; // the question is still playing
+        spoken = realtime.assistantSays(question, { audioMs: 3000 });
+        await twilio.waitFor(m => m.event === 'media' && m.media.payload === audio(3000), { label: 'question audio' });
+        twilio.media(undefined, 6200);
+        await realtime.waitFor(() => realtime.events('input_audio_buffer.append').length === 2, { label: 'caller audio' });
+
+        realtime.userSays('Sorry, my chest hurts.');
+        await twilio.waitFor(m => m.event === 'clear', { label: 'clear' });
+        const truncate = await realtime.waitFor(e => e.type === 'conversation.item.truncate', { label: 'truncate' });
+        assert.deepEqual(truncate, { type: 'conversation.item.truncate', item_id: spoken.itemId, content_index: 0, audio_end_ms: 1200 });
+        assert.ok(realtime.events('response.cancel').length > 0);
+    } finally {
+        await twilio.hangUp();
+    }
+
+    const message = await eventually(async () => {
+        const { messages } = await getJson(server, `/api/conversations/${conversationId}/export`);
+        return messages.find(m => m.metadata?.interrupted);
+    }, { label: 'interrupted line' });
+    assert.equal(message.content, 'To start, can you tell me');
+    assert.equal(message.metadata.heard_ms, 1200);
+    assert.equal(message.metadata.generated, question);
+    assert.equal(message.metadata.playback, 'interrupted');
+
+    const log = await eventually(async () => {
+        const d = await getJson(server, `/api/conversations/${conversationId}/events`);
+        return d.events.find(e => e.type === 'barge_in') && d;
+    }, { label: 'event log' });
+    assert.deepEqual(log.events.find(e => e.type === 'barge_in').data.responses, [
+        { response_id: spoken.responseId, item_id: spoken.itemId, heard_ms: 1200, sent_ms: 3000 }
+    ]);
+});
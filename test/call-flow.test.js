@@ -0,0 +1,140 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { FakeOpenAI } from './harness/fake-openai.js';
+import { startServer, placeCall, getJson, eventually } from './harness/server.js';
+
+let fake;
+let server;
+
+before(async () => {
+    fake = await new FakeOpenAI().start();
+    server = await startServer(fake);
+});
+
+after(async () => {
+    await server?.stop();
+    await fake?.stop();
+});
+
+const exportConversation = (id) => getJson(server, `/api/conversations/${id}/export`);
+
+// Scripted extraction: return fields keyed by phrases in the caller's utterance
+const extractByPhrase = (table) => (utterance) => {
+    for (const [phrase, fields] of Object.entries(table)) {
+        if (utterance.toLowerCase().includes(phrase)) return fields;
+    }
+    return {};
+};
+
+test('greets the caller once the stream starts', async () => {
+    const { twilio, realtime, conversationId } = await placeCall(server, fake);
+    try {
+        assert.ok(conversationId, 'webhook returns a conversation_id parameter');
+        const update = await realtime.waitFor(e => e.type === 'session.update');
+        assert.equal(update.session.input_audio_format, 'g711_ulaw');
+        assert.match(update.session.instructions, /EPILEPSY-FOCUSED INTAKE PROTOCOL/);
+        assert.equal(realtime.headers.authorization, 'Bearer sk-test');
+
+        await realtime.waitForAssistantText(/Say 'Yes' when you are ready to begin intake/);
+        await realtime.waitFor(e => e.type === 'response.create');
+        // Model audio is relayed back to Twilio on the same stream
+        const media = await twilio.waitFor(m => m.event === 'media');
+        assert.equal(media.streamSid, twilio.streamSid);
+
+        // Caller audio is forwarded to the realtime session
+        twilio.media();
+        await realtime.waitFor(e => e.type === 'input_audio_buffer.append');
+    } finally {
+        await twilio.hangUp();
+    }
+});
+
+test('records the consent utterance as a user message', async () => {
+    const { twilio, realtime, conversationId } = await placeCall(server, fake);
+    try {
+        await realtime.waitForAssistantText(/Say 'Yes'/);
+        realtime.userSays('Yes');
+        const data = await eventually(async () => {
+            const d = await exportConversation(conversationId);
+            return d.messages.some(m => m.role === 'user' && m.content === 'Yes') && d;
+        }, { label: 'consent message' });
+        assert.equal(data.conversation.status, 'active');
+        assert.match(data.conversation.summary, /User: Yes/);
+    } finally {
+        await twilio.hangUp();
+    }
+});
+
+test('switches to the epilepsy protocol when seizures are mentioned', async () => {
+    const { twilio, realtime, conversationId } = await placeCall(server, fake);
+    try {
+        await realtime.waitForAssistantText(/Say 'Yes'/);
+        realtime.userSays('Yes.');
+        realtime.userSays("I've been having seizures lately");
+        await realtime.waitForAssistantText(/most important thing to you that you want to address at your appointment regarding your epilepsy/);
+        assert.ok(realtime.events('response.cancel').length >= 1, 'in-flight response is cancelled');
+
+        const data = await eventually(async () => {
+            const d = await exportConversation(conversationId);
+            return d.messages.some(m => m.metadata?.protocol_transition) && d;
+        }, { label: 'protocol transition message' });
+        const transition = data.messages.find(m => m.metadata?.protocol_transition);
+        assert.equal(transition.metadata.protocol, 'epilepsy');
+    } finally {
+        await twilio.hangUp();
+    }
+});
+
+test('coverage gate asks for missing sections instead of closing', async () => {
+    fake.setExtraction(() => ({}));
+    const { twilio, realtime, conversationId } = await placeCall(server, fake);
+    try {
+        await realtime.waitForAssistantText(/Say 'Yes'/);
+        realtime.userSays('Yes.');
+        realtime.userSays('Goodbye');
+        const ask = await realtime.waitForAssistantText(/Before we do, I still need/);
+        const text = ask.item.content[0].text;
+        assert.match(text, /past medical history/);
+        assert.match(text, /medications or supplements/);
+        assert.match(text, /allergies/);
+
+        const data = await exportConversation(conversationId);
+        assert.equal(data.conversation.status, 'active');
+    } finally {
+        await twilio.hangUp();
+    }
+});
+
+test('reviews the chart, asks the closing question and hangs up on "no"', async () => {
+    fake.setExtraction(extractByPhrase({
+        asthma: { medical_history: 'asthma', current_medications: 'albuterol', allergies: 'penicillin' }
+    }));
+    const { twilio, realtime, conversationId } = await placeCall(server, fake);
+    try {
+        await realtime.waitForAssistantText(/Say 'Yes'/);
+        realtime.userSays('Yes.');
+        realtime.userSays('I have asthma, I use albuterol, and I am allergic to penicillin');
+        await eventually(async () => {
+            const d = await exportConversation(conversationId);
+            return d.conversation.clinical_data?.allergies;
+        }, { label: 'clinical_data merge' });
+
+        realtime.userSays('Goodbye');
+        await realtime.waitForAssistantText(/Let me briefly review what I have for your chart\. Past medical history: asthma/);
+        await realtime.waitForAssistantText(/Is there anything else you'd like your provider to know/);
+
+        realtime.userSays('No');
+        const closed = await Promise.race([
+            twilio.closed,
+            new Promise((_, reject) => setTimeout(() => reject(new Error('server did not hang up')), 5000))
+        ]);
+        assert.ok(closed);
+
+        const data = await exportConversation(conversationId);
+        assert.equal(data.conversation.status, 'completed');
+        assert.ok(data.conversation.ended_at);
+    } finally {
+        fake.setExtraction(() => ({}));
+        await twilio.hangUp();
+    }
+});
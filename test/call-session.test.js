@@ -0,0 +1,94 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { CallSession, CallSessionError } from '../lib/call-session.js';
+import { FakeOpenAI } from './harness/fake-openai.js';
+import { startServer, placeCall, getJson, eventually, TEST_API_KEYS } from './harness/server.js';
+
+test('transitions are checked against the state machine and logged with the lines spoken', () => {
+    const session = new CallSession({ now: () => new Date('2026-03-10T15:00:00Z') });
+    session.line('Hi, say yes when you are ready.', { greeting: true });
+    session.transition('awaiting_consent', 'greeted');
+    assert.throws(() => session.transition('review'), CallSessionError);
+    assert.throws(() => session.transition('onboarding'), /unknown call state "onboarding"/);
+    session.transition('intake', 'consent_given');
+    assert.ok(!session.wrappingUp);
+    session.transition('review', 'caller_finished');
+    assert.ok(session.wrappingUp);
+    assert.ok(session.end('caller_hangup'));
+    assert.equal(session.end('stream_error'), false, 'ended once');
+
+    assert.deepEqual(session.events.map(e => [e.seq, e.type, e.state]), [
+        [1, 'assistant_line', 'greeting'],
+        [2, 'transition', 'awaiting_consent'],
+        [3, 'transition', 'intake'],
+        [4, 'transition', 'review'],
+        [5, 'transition', 'ended']
+    ]);
+    assert.deepEqual(session.events[4].data, { from: 'review', to: 'ended', reason: 'caller_hangup' });
+
+    assert.equal(CallSession.replay(session.events).state, 'ended');
+    const tampered = session.events.filter(e => e.seq !== 3);
+    assert.throws(() => CallSession.replay(tampered), /event 4: transition from "intake" but the call was in "awaiting_consent"/);
+});
+
+let fake;
+let server;
+
+before(async () => {
+    fake = await new FakeOpenAI().start();
+    server = await startServer(fake);
+});
+
+after(async () => {
+    await server?.stop();
+    await fake?.stop();
+});
+
+test('"that\'s all" leads to the review and closing question, and the call can be replayed from its event log', async () => {
+    fake.setExtraction(utterance => (/asthma/.test(utterance)
+        ? { medical_history: 'asthma', current_medications: 'albuterol', allergies: 'penicillin' }
+        : {}));
+    const { twilio, realtime, conversationId } = await placeCall(server, fake);
+    try {
+        await realtime.waitForAssistantText(/Say 'Yes'/);
+        realtime.userSays('Yes. I have asthma, I use albuterol, and I am allergic to penicillin.');
+        await eventually(async () => (await getJson(server, `/api/conversations/${conversationId}/export`)).conversation.clinical_data?.allergies,
+            { label: 'clinical_data merge' });
+
+        // "that's all" is both a goodbye and a "nothing else"; it only starts the review
+        realtime.userSays("That's all.");
+        await realtime.waitForAssistantText(/Is there anything else you'd like your provider to know/);
+        assert.equal((await getJson(server, `/api/conversations/${conversationId}/export`)).conversation.status, 'active');
+
+        realtime.userSays('No.');
+        await twilio.closed;
+    } finally {
+        fake.setExtraction(() => ({}));
+        await twilio.hangUp();
+    }
+
+    const log = await eventually(async () => {
+        const d = await getJson(server, `/api/conversations/${conversationId}/events`);
+        return d.state === 'ended' && d;
+    }, { label: 'event log' });
+    assert.deepEqual(log.events.filter(e => e.type === 'transition').map(e => [e.data.from, e.data.to, e.data.reason]), [
+        ['greeting', 'awaiting_consent', 'greeted'],
+        ['awaiting_consent', 'intake', 'consent_given'],
+        ['intake', 'review', 'caller_finished'],
+        ['review', 'closing', 'closing_question'],
+        ['closing', 'ended', 'intake_complete']
+    ]);
+    const lines = log.events.filter(e => e.type === 'assistant_line');
+    assert.deepEqual(lines.map(e => [e.state, Object.keys(e.data.metadata)[0]]), [
+        ['greeting', 'greeting'],
+        ['review', 'summary'],
+        ['review', 'closing_question']
+    ]);
+    assert.match(lines[1].data.text, /Past medical history: asthma/);
+    assert.deepEqual(log.events.map(e => e.seq), log.events.map((e, i) => i + 1));
+
+    // Scripted lines are saved once, not again when the session echoes them
+    const { messages } = await getJson(server, `/api/conversations/${conversationId}/export`);
+    assert.equal(messages.filter(m => /Say 'Yes'/.test(m.content)).length, 1);
+    assert.equal((await server.request('GET', `/api/conversations/${conversationId}/events`, { auth: TEST_API_KEYS.research })).status, 403);
+});
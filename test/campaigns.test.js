@@ -0,0 +1,194 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeSettings, withinCallingHours, nextCallingTime, describeAppointment, CampaignError, CampaignScheduler } from '../lib/campaigns.js';
+import { MemoryStorage } from '../lib/storage/memory.js';
+import { FakeOpenAI } from './harness/fake-openai.js';
+import { FakeTwilioApi } from './harness/fake-twilio.js';
+import { startServer, placeCall, getJson, eventually } from './harness/server.js';
+
+test('calling hours respect the campaign timezone and weekdays', () => {
+    const settings = normalizeSettings({ timezone: 'America/New_York', calling_hours: { start: '09:00', end: '17:00', days: [1, 2, 3, 4, 5] } });
+    // Friday 2026-03-13 16:30 EDT is inside; 17:30 is not
+    assert.equal(withinCallingHours(new Date('2026-03-13T20:30:00Z'), settings), true);
+    assert.equal(withinCallingHours(new Date('2026-03-13T21:30:00Z'), settings), false);
+    // After Friday's window the next slot is Monday 09:00 local
+    assert.equal(nextCallingTime(new Date('2026-03-13T21:30:00Z'), settings).toISOString(), '2026-03-16T13:00:00.000Z');
+    assert.throws(() => normalizeSettings({ calling_hours: { start: '18:00', end: '09:00' } }), CampaignError);
+    assert.throws(() => normalizeSettings({ timezone: 'Mars/Olympus' }), CampaignError);
+});
+
+test('describes appointments for the greeting', () => {
+    assert.equal(
+        describeAppointment({ specialty: 'Neurology', date: '2026-03-10T18:30:00Z', provider: 'Dr. Lee' }, 'America/New_York'),
+        'Neurology appointment on Tuesday, March 10 at 2:30 PM with Dr. Lee'
+    );
+    assert.equal(describeAppointment({ specialty: 'Cardiology', date: '2026-03-10' }), 'Cardiology appointment on Tuesday, March 10');
+});
+
+test('a placed call whose status callback never comes is settled after the timeout', async () => {
+    let sid = 0;
+    const campaigns = new CampaignScheduler({
+        storage: new MemoryStorage(),
+        twilioClient: { calls: { create: async () => ({ sid: `CA_lost_${++sid}` }) } },
+        from: '+15555550199',
+        publicBaseUrl: 'https://avatar.example.test',
+        callTimeoutMs: 10 * 60000
+    });
+    const settings = { calling_hours: { start: '00:00', end: '24:00', days: [1, 2, 3, 4, 5, 6, 7] }, retry_delay_minutes: 0, max_attempts: 2 };
+    const { campaign, calls } = await campaigns.createCampaign({
+        name: 'Lost callbacks',
+        patients: [
+            { phone_number: '+15555550131', appointment: { specialty: 'Neurology', date: '2026-03-10' } },
+            { phone_number: '+15555550132', appointment: { specialty: 'Neurology', date: '2026-03-10' } }
+        ],
+        settings
+    });
+    const t0 = new Date(Date.now() + 1000);
+    const minutes = (n) => new Date(t0.getTime() + n * 60000);
+    const call = async (i) => (await campaigns.storage.getOutboundCall(calls[i].id));
+
+    await campaigns.tick(t0);
+    assert.equal((await call(0)).status, 'calling');
+    assert.equal((await call(0)).next_attempt_at, minutes(10).toISOString());
+    // The second patient answered; neither callback arrives
+    await campaigns.markAnswered(calls[1].id, { callSid: 'CA_lost_2', conversationId: null });
+    await campaigns.tick(minutes(5));
+    assert.equal((await call(0)).status, 'calling', 'not before the deadline');
+
+    await campaigns.tick(minutes(11));
+    const retried = await call(0);
+    assert.equal(retried.status, 'pending');
+    assert.equal(retried.attempts[0].result, 'timeout');
+    assert.equal((await call(1)).status, 'completed');
+
+    // A callback that turns up after the timeout does not undo the retry
+    await campaigns.recordOutcome(calls[0].id, { CallSid: 'CA_lost_1', CallStatus: 'no-answer' }, minutes(12));
+    assert.equal((await call(0)).status, 'pending');
+    assert.equal((await call(0)).attempts[0].result, 'no-answer');
+
+    await campaigns.tick(minutes(12));
+    await campaigns.tick(minutes(23));
+    const exhausted = await call(0);
+    assert.equal(exhausted.status, 'exhausted');
+    assert.deepEqual(exhausted.attempts.map(a => a.result), ['no-answer', 'timeout']);
+    assert.equal((await campaigns.storage.getCampaign(campaign.id)).status, 'completed');
+});
+
+let fake;
+let twilioApi;
+let server;
+
+const ALWAYS_OPEN = { calling_hours: { start: '00:00', end: '24:00', days: [1, 2, 3, 4, 5, 6, 7] }, retry_delay_minutes: 0, max_attempts: 2 };
+
+before(async () => {
+    fake = await new FakeOpenAI().start();
+    twilioApi = await new FakeTwilioApi().start();
+    server = await startServer(fake, {
+        TWILIO_ACCOUNT_SID: 'ACtest00000000000000000000000000',
+        TWILIO_AUTH_TOKEN: 'test-auth-token',
+        TWILIO_PHONE_NUMBER: '+15555550199',
+        TWILIO_API_BASE_URL: twilioApi.baseUrl,
+        PUBLIC_BASE_URL: 'https://avatar.example.test',
+        CAMPAIGN_TICK_SECONDS: '0.1'
+    });
+});
+
+after(async () => {
+    await server?.stop();
+    await twilioApi?.stop();
+    await fake?.stop();
+});
+
+const createCampaign = async (patients, settings = ALWAYS_OPEN) => {
+    const res = await server.request('POST', '/api/campaigns', { body: { name: 'Clinic week', patients, settings } });
+    assert.equal(res.status, 201);
+    return res.json();
+};
+
+const outboundCall = async (campaignId, phone) => {
+    const { calls } = await getJson(server, `/api/campaigns/${campaignId}`);
+    return calls.find(c => c.phone_number === phone);
+};
+
+const statusCallback = (call, form) => server.request('POST', new URL(call.params.StatusCallback).pathname + new URL(call.params.StatusCallback).search, {
+    form: { CallSid: call.sid, ...form },
+    auth: null
+});
+
+test('rejects invalid campaigns', async () => {
+    const res = await server.request('POST', '/api/campaigns', { body: { name: 'x', patients: [{ phone_number: '555', appointment: { specialty: 'Neurology', date: '2026-03-10' } }] } });
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /E\.164/);
+});
+
+test('answered outbound calls join the stream flow with appointment context', async () => {
+    const phone = '+15555550123';
+    const { campaign } = await createCampaign([{ phone_number: phone, name: 'Pat Example', appointment: { specialty: 'Neurology', date: '2026-03-10T18:30:00Z', provider: 'Dr. Lee' } }]);
+    const dialed = await twilioApi.waitForCall(phone);
+    assert.equal(dialed.params.From, '+15555550199');
+    const answerUrl = new URL(dialed.params.Url);
+    assert.equal(answerUrl.origin, 'https://avatar.example.test');
+
+    const { twilio, realtime, conversationId } = await placeCall(server, fake, {
+        url: answerUrl.pathname + answerUrl.search,
+        callSid: dialed.sid,
+        from: '+15555550199',
+        form: { To: phone, Direction: 'outbound-api' }
+    });
+    try {
+        const update = await realtime.waitFor(e => e.type === 'session.update');
+        assert.match(update.session.instructions, /Neurology appointment on Tuesday, March 10 at 2:30 PM with Dr\. Lee/);
+        await realtime.waitForAssistantText(/calling about your upcoming Neurology appointment/, { timeout: 4000 });
+
+        const { conversation } = await getJson(server, `/api/conversations/${conversationId}/export`);
+        assert.equal(conversation.phone_number, phone);
+        assert.equal(conversation.metadata.appointment.provider, 'Dr. Lee');
+        assert.equal(conversation.metadata.campaign_id, campaign.id);
+    } finally {
+        await twilio.hangUp();
+    }
+
+    await statusCallback(dialed, { CallStatus: 'completed', CallDuration: '240' });
+    const call = await eventually(async () => {
+        const c = await outboundCall(campaign.id, phone);
+        return c.status === 'completed' && c;
+    }, { label: 'completed outbound call' });
+    assert.equal(call.conversation_id, conversationId);
+    assert.equal(call.attempt_count, 1);
+    assert.equal(call.attempts[0].duration, 240);
+    assert.equal((await getJson(server, `/api/campaigns/${campaign.id}`)).campaign.status, 'completed');
+});
+
+test('busy and no-answer calls are retried until max_attempts', async () => {
+    const phone = '+15555550124';
+    const { campaign } = await createCampaign([{ phone_number: phone, appointment: { specialty: 'Neurology', date: '2026-03-10' } }]);
+
+    await statusCallback(await twilioApi.waitForCall(phone), { CallStatus: 'busy' });
+    const second = await twilioApi.waitForCall(phone, { nth: 2 });
+    await statusCallback(second, { CallStatus: 'no-answer' });
+
+    const call = await eventually(async () => {
+        const c = await outboundCall(campaign.id, phone);
+        return c.status === 'exhausted' && c;
+    }, { label: 'exhausted outbound call' });
+    assert.deepEqual(call.attempts.map(a => a.result), ['busy', 'no-answer']);
+    assert.equal(twilioApi.calls.filter(c => c.params.To === phone).length, 2);
+});
+
+test('calls outside calling hours wait for the window', async () => {
+    const phone = '+15555550125';
+    // A window that is never open today: only the weekday after tomorrow's
+    const day = ((new Date().getUTCDay() + 2) % 7) || 7;
+    const { calls } = await createCampaign(
+        [{ phone_number: phone, appointment: { specialty: 'Neurology', date: '2026-03-10' } }],
+        { ...ALWAYS_OPEN, timezone: 'UTC', calling_hours: { start: '00:00', end: '24:00', days: [day] } }
+    );
+    assert.ok(new Date(calls[0].next_attempt_at) > new Date(), 'first attempt is scheduled in the future');
+    await new Promise(r => setTimeout(r, 300));
+    assert.equal(twilioApi.calls.filter(c => c.params.To === phone).length, 0);
+});
+
+test('campaign routes require campaign permissions', async () => {
+    const res = await server.request('POST', '/api/campaigns', { body: {}, auth: 'test-clinician-key' });
+    assert.equal(res.status, 403);
+});
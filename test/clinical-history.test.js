@@ -0,0 +1,129 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeClinicalData, supersededValues, clarifyingQuestion } from '../lib/clinical-history.js';
+import { FakeOpenAI } from './harness/fake-openai.js';
+import { startServer, placeCall, getJson, eventually } from './harness/server.js';
+
+const merge = (state, fields, utterance = '', messageId = null) => mergeClinicalData({
+    clinicalData: state?.clinicalData, history: state?.history, fields, utterance, messageId
+});
+
+test('refinements and corrections supersede earlier values; additions extend lists', () => {
+    let state = merge(null, { chief_complaint: 'headache', current_medications: 'levetiracetam 250 mg' }, '', 'm1');
+    state = merge(state, { chief_complaint: 'headache behind my left eye', current_medications: 'aspirin' }, '', 'm2');
+    assert.equal(state.clinicalData.chief_complaint, 'headache behind my left eye');
+    assert.equal(state.clinicalData.current_medications, 'levetiracetam 250 mg, aspirin');
+    assert.deepEqual(state.changes, { chief_complaint: 'refinement', current_medications: 'addition' });
+
+    state = merge(state, { current_medications: 'levetiracetam 500 mg' }, "Actually it's 500 milligrams, not 250", 'm3');
+    assert.equal(state.clinicalData.current_medications, 'levetiracetam 500 mg, aspirin');
+    assert.equal(state.changes.current_medications, 'correction');
+    assert.equal(state.conflicts.length, 0);
+
+    const superseded = supersededValues(state.history);
+    assert.deepEqual(superseded.map(v => [v.field, v.value, v.superseded_by]), [
+        ['chief_complaint', 'headache', 2],
+        ['current_medications', 'levetiracetam 250 mg', 2],
+        ['current_medications', 'levetiracetam 250 mg, aspirin', 3]
+    ]);
+    assert.equal(state.history.fields.current_medications[2].source_message_id, 'm3');
+});
+
+test('contradictions open a conflict that the next answer resolves', () => {
+    let state = merge(null, { pain_level: '6' }, 'About a six', 'm1');
+    state = merge(state, { pain_level: '8' }, "It's an eight", 'm2');
+    assert.equal(state.clinicalData.pain_level, '6');
+    assert.equal(state.conflicts.length, 1);
+    const [conflict] = state.conflicts;
+    assert.equal(conflict.status, 'open');
+    assert.match(clarifyingQuestion(conflict), /earlier you mentioned 6 for your pain level, but just now you said 8/);
+
+    // Restating the original value keeps it and rejects the conflicting one
+    const kept = merge(state, { pain_level: '6' }, 'Six, sorry', 'm3');
+    assert.equal(kept.clinicalData.pain_level, '6');
+    assert.equal(kept.resolved[0].resolution, 'kept_current');
+    assert.deepEqual(supersededValues(kept.history).map(v => [v.value, v.status]), [['8', 'rejected']]);
+
+    // Confirming the new value replaces the old one
+    const replaced = merge(state, { pain_level: '8' }, 'Eight', 'm3');
+    assert.equal(replaced.clinicalData.pain_level, '8');
+    assert.equal(replaced.resolved[0].resolution, 'replaced');
+    assert.equal(replaced.history.conflicts[0].status, 'resolved');
+});
+
+let fake;
+let server;
+
+before(async () => {
+    fake = await new FakeOpenAI().start();
+    server = await startServer(fake);
+});
+
+after(async () => {
+    await server?.stop();
+    await fake?.stop();
+});
+
+test('the live session asks one clarifying question per conflict and exports superseded values', async () => {
+    fake.setExtraction((utterance) => {
+        const m = utterance.match(/\b(two|four)\b/i);
+        return m ? { seizure_frequency: `${m[1].toLowerCase()} per month` } : {};
+    });
+    const { twilio, realtime, conversationId } = await placeCall(server, fake);
+    try {
+        await realtime.waitForAssistantText(/Say 'Yes'/);
+        realtime.userSays('Yes. I have seizures about two per month.');
+        await eventually(async () => {
+            const d = await getJson(server, `/api/conversations/${conversationId}/clinical-data`);
+            return d.clinical_data.seizure_frequency === 'two per month' && d;
+        }, { label: 'first value' });
+
+        realtime.userSays("It's more like four per month I think.");
+        await realtime.waitForAssistantText(/earlier you mentioned two per month for your seizure frequency, but just now you said four per month\. Which one is correct\?/);
+
+        realtime.userSays('Four per month, definitely.');
+
+        const annotated = await eventually(async () => {
+            const d = await getJson(server, `/api/conversations/${conversationId}/clinical-data`);
+            return d.conflicts[0]?.status === 'resolved' && d;
+        }, { label: 'resolved conflict' });
+        assert.ok(annotated.conflicts[0].asked_at);
+        assert.equal(annotated.clinical_data.seizure_frequency, 'four per month');
+        assert.equal(realtime.injectedAssistantText().filter(t => /Just to make sure/.test(t)).length, 1);
+        assert.deepEqual(annotated.fields.seizure_frequency.history.map(v => v.status), ['superseded', 'superseded', 'current']);
+
+        const exported = await getJson(server, `/api/conversations/${conversationId}/export`);
+        assert.deepEqual(exported.superseded_values.map(v => v.value), ['two per month', 'four per month']);
+        const clarification = exported.messages.find(m => m.metadata?.clarification);
+        assert.equal(clarification.metadata.field, 'seizure_frequency');
+    } finally {
+        await twilio.hangUp();
+        fake.setExtraction(() => ({}));
+    }
+});
+
+test('API extractions are merged with the version history, one at a time', async () => {
+    const res = await server.request('POST', '/webhook/voice', { form: { CallSid: 'CA_api_extract', From: '+15555550140' }, auth: null });
+    const conversationId = (await res.text()).match(/name="conversation_id" value="([^"]+)"/)[1];
+    fake.setSummary((prompt) => JSON.stringify(
+        /allergic/.test(prompt) ? { allergies: 'penicillin' }
+            : /eight/.test(prompt) ? { pain_level: '8' }
+            : { pain_level: '6' }
+    ));
+    const extract = (text) => server.request('POST', '/api/extract-clinical-data', { body: { conversation_id: conversationId, text } });
+    try {
+        // Overlapping requests each keep their versions
+        const results = await Promise.all([extract('The pain is about a six'), extract("I'm allergic to penicillin")]);
+        assert.deepEqual(results.map(r => r.status), [200, 200]);
+        const contradicted = await extract("It's an eight now");
+        assert.equal(contradicted.status, 200);
+    } finally {
+        fake.setSummary(() => "Here's a brief summary of what you've shared.");
+    }
+
+    const { clinical_data, conflicts, fields } = await getJson(server, `/api/conversations/${conversationId}/clinical-data`);
+    assert.deepEqual(clinical_data, { pain_level: '6', allergies: 'penicillin' });
+    assert.equal(fields.allergies.history.length, 1);
+    assert.deepEqual(fields.pain_level.history.map(v => v.value), ['6', '8']);
+    assert.deepEqual(conflicts.map(c => [c.field, c.status]), [['pain_level', 'open']]);
+});
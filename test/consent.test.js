@@ -0,0 +1,100 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { consentAnswer } from '../lib/consent.js';
+import { loadLocales } from '../lib/i18n.js';
+import { FakeOpenAI } from './harness/fake-openai.js';
+import { startServer, placeCall, getJson, eventually } from './harness/server.js';
+
+test('answers to the consent question', () => {
+    const { en, es } = loadLocales(undefined, ['en', 'es']);
+    assert.equal(consentAnswer(en, "Yes, I'm ready."), 'given');
+    assert.equal(consentAnswer(en, 'Yes, no problem.'), 'given');
+    assert.equal(consentAnswer(en, 'No.'), 'declined');
+    assert.equal(consentAnswer(en, 'Okay, but not now.'), 'declined');
+    assert.equal(consentAnswer(en, "I'm not sure."), 'unclear');
+    assert.equal(consentAnswer(en, 'I have seizures.'), 'unclear');
+    assert.equal(consentAnswer(es, 'Sí, estoy lista.'), 'given');
+    assert.equal(consentAnswer(es, 'Ahora no, gracias.'), 'declined');
+
+    // A "no" to the resume offer starts the intake over
+    assert.equal(consentAnswer(en, 'No, I want to start over.', { resumeOffer: true }), 'given');
+    assert.equal(consentAnswer(en, 'No, not now.', { resumeOffer: true }), 'declined');
+});
+
+let fake;
+let server;
+
+before(async () => {
+    fake = await new FakeOpenAI().start();
+    server = await startServer(fake, { CONSENT_HANGUP_DELAY_MS: '200' });
+});
+
+after(async () => {
+    await server?.stop();
+    await fake?.stop();
+});
+
+const extractionRequests = () => fake.chatRequests.filter(r => /^Extract clinical information/.test(r.messages[0].content));
+
+test('a caller who declines is offered a callback and the call ends without any intake', async () => {
+    fake.setExtraction(() => ({ medical_history: 'asthma' }));
+    const extractionsBefore = extractionRequests().length;
+    const { twilio, realtime, conversationId } = await placeCall(server, fake);
+    try {
+        const update = await realtime.waitFor(e => e.type === 'session.update');
+        assert.equal(update.session.turn_detection.create_response, false, 'the model does not answer before consent');
+        await realtime.waitForAssistantText(/Say 'Yes'/);
+
+        realtime.userSays("Not now, I'm driving. I have asthma.");
+        await realtime.waitForAssistantText(/When would be a better time for us to call you back/);
+        realtime.userSays('Tomorrow after five.');
+        await realtime.waitForAssistantText(/someone from our office will call you back then/);
+        await twilio.closed;
+    } finally {
+        fake.setExtraction(() => ({}));
+        await twilio.hangUp();
+    }
+
+    const { conversation } = await eventually(async () => {
+        const d = await getJson(server, `/api/conversations/${conversationId}/export`);
+        return d.conversation.end_reason && d;
+    }, { label: 'end of call' });
+    assert.equal(conversation.end_reason, 'consent_declined');
+    assert.equal(conversation.status, 'completed');
+    const { consent } = conversation.metadata;
+    assert.equal(consent.status, 'declined');
+    assert.equal(consent.utterance, "Not now, I'm driving. I have asthma.");
+    assert.equal(consent.prompt_version, 'consent-v2');
+    assert.equal(consent.prompt, 'greeting');
+    assert.match(consent.prompt_text, /Say 'Yes' when you are ready to begin intake/);
+    assert.ok(consent.at);
+    assert.equal(consent.callback_request.utterance, 'Tomorrow after five.');
+    assert.deepEqual(conversation.clinical_data || {}, {});
+    assert.equal(extractionRequests().length, extractionsBefore, 'nothing is extracted');
+    assert.ok(!realtime.events('session.update').some(e => e.session.turn_detection?.create_response));
+});
+
+test('an unclear answer is asked again, and the intake starts once the caller agrees', async () => {
+    const { twilio, realtime, conversationId } = await placeCall(server, fake);
+    try {
+        await realtime.waitForAssistantText(/Say 'Yes'/);
+        realtime.userSays("I've been having seizures lately.");
+        await realtime.waitForAssistantText(/Sorry, I didn't catch that\. Before we begin/);
+        assert.ok(!realtime.injectedAssistantText().some(t => /epilepsy/.test(t)), 'no protocol before consent');
+
+        const responses = realtime.events('response.create').length;
+        realtime.userSays('Yes, go ahead.');
+        await realtime.waitFor(e => e.type === 'session.update' && e.session.turn_detection?.create_response === true, { label: 'model turns enabled' });
+        await realtime.waitFor(() => realtime.events('response.create').length > responses, { label: 'model asked to respond' });
+
+        const { conversation } = await eventually(async () => {
+            const d = await getJson(server, `/api/conversations/${conversationId}/export`);
+            return d.conversation.metadata.consent && d;
+        }, { label: 'consent recorded' });
+        assert.equal(conversation.metadata.consent.status, 'given');
+        assert.equal(conversation.metadata.consent.prompt, 'consent_repeat');
+        assert.equal(conversation.metadata.consent.utterance, 'Yes, go ahead.');
+    } finally {
+        await twilio.hangUp();
+    }
+});
@@ -0,0 +1,156 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Deidentifier } from '../lib/deidentify.js';
+import { FakeOpenAI } from './harness/fake-openai.js';
+import { startServer, TEST_API_KEYS } from './harness/server.js';
+
+const deid = new Deidentifier({ secret: 'test-deid-secret' });
+
+test('scrubs direct identifiers from free text and leaves clinical phrases alone', () => {
+    const text = "My name is Jane Doe, date of birth March 4, 1980. I live at 12 oak street. Call 555-123-4567 or jane@example.com. Dr. Smith said take 2 pills either way.";
+    const out = deid.scrubText(text);
+    assert.doesNotMatch(out, /Jane|Doe|Smith|1980|oak street|555-123-4567|example\.com/);
+    assert.match(out, /My name is \[NAME\]/);
+    assert.match(out, /date of birth \[DOB\]/);
+    assert.match(out, /Dr\. \[NAME\]/);
+    assert.match(out, /2 pills either way/);
+    assert.equal(deid.scrubText("I'm having headaches"), "I'm having headaches");
+    // Caller ids as Twilio sends them
+    assert.equal(deid.scrubText('Calling from +15551234567.'), 'Calling from [PHONE].');
+    assert.equal(deid.scrubText('my cell is 5551234567'), 'my cell is [PHONE]');
+});
+
+test('pseudonyms and date shifts are stable per patient and per conversation', () => {
+    assert.equal(deid.patientPseudonym('+1 (555) 555-0100'), deid.patientPseudonym('5555550100'));
+    assert.notEqual(deid.patientPseudonym('+15555550100'), deid.patientPseudonym('+15555550101'));
+    assert.match(deid.patientPseudonym('+15555550100'), /^pt_[0-9a-f]{16}$/);
+
+    const conversation = {
+        id: 'conv-1',
+        call_sid: 'CA123',
+        phone_number: '+15555550100',
+        started_at: '2026-03-01T14:00:00.000Z',
+        ended_at: '2026-03-01T14:06:00.000Z',
+        clinical_data: { chief_complaint: 'seizures since 2026-02-01' },
+        metadata: { from: '+15555550100', account_sid: 'AC1', request_info: { ip: '1.2.3.4' } }
+    };
+    const messages = [{ id: 'm1', conversation_id: 'conv-1', role: 'user', content: 'Hi, this is Jane.', timestamp: '2026-03-01T14:00:10.000Z' }];
+    const out = deid.conversation(conversation, { messages });
+    const days = deid.dateOffsetDays('conv-1');
+
+    assert.notEqual(days, 0);
+    assert.equal(out.conversation.phone_number, '[PHONE]');
+    assert.equal(out.conversation.metadata.from, '[PHONE]');
+    assert.equal(out.conversation.metadata.account_sid, undefined);
+    assert.equal(out.conversation.metadata.request_info, undefined);
+    assert.notEqual(out.conversation.id, 'conv-1');
+    assert.equal(out.messages[0].conversation_id, out.conversation.id);
+    assert.equal(out.messages[0].content, 'Hi, this is [NAME].');
+    // Intervals are preserved because every timestamp moves by the same offset
+    assert.equal(Date.parse(out.conversation.ended_at) - Date.parse(out.conversation.started_at), 6 * 60000);
+    assert.equal(Date.parse(out.conversation.started_at) - Date.parse(conversation.started_at), days * 86400000);
+    assert.doesNotMatch(out.conversation.clinical_data.chief_complaint, /2026-02-01/);
+    assert.deepEqual(deid.conversation(conversation, { messages }), out);
+
+    // A verified caller's patient record is linked by pseudonym only
+    const verified = deid.conversation({
+        ...conversation,
+        patient_id: 'patient-1',
+        metadata: { identity_verification: { status: 'verified', patient_id: 'patient-1' } }
+    });
+    assert.match(verified.conversation.patient_id, /^pat_[0-9a-f]{16}$/);
+    assert.equal(verified.conversation.metadata.identity_verification.patient_id, verified.conversation.patient_id);
+});
+
+test('an outbound call keeps no trace of the patient name it was placed for', () => {
+    const conversation = {
+        id: 'conv-outbound',
+        call_sid: 'CA_outbound',
+        phone_number: '+15555550123',
+        started_at: '2026-03-01T14:00:00.000Z',
+        clinical_data: { chief_complaint: 'Headaches; Maria says they started last week' },
+        metadata: {
+            from: '+15555550199', to: '+15555550123', direction: 'outbound-api', outbound_call_id: 'oc-1', campaign_id: 'camp-1',
+            patient_name: 'Maria Gonzalez', appointment: { specialty: 'Neurology', contact: '+15555550123' }
+        }
+    };
+    const messages = [
+        { id: 'm1', conversation_id: 'conv-outbound', role: 'assistant', content: 'Hello, am I speaking with Maria Gonzalez?', timestamp: '2026-03-01T14:00:05.000Z' },
+        { id: 'm2', conversation_id: 'conv-outbound', role: 'user', content: 'yes, gonzalez speaking', timestamp: '2026-03-01T14:00:08.000Z' }
+    ];
+    const out = deid.conversation(conversation, { messages });
+    assert.doesNotMatch(JSON.stringify(out), /Maria|Gonzalez/i);
+    // Neither party's number is kept
+    assert.doesNotMatch(JSON.stringify(out), /555555/);
+    assert.equal(out.conversation.metadata.to, '[PHONE]');
+    assert.equal(out.conversation.metadata.appointment.contact, '[PHONE]');
+    assert.equal(out.conversation.metadata.patient_name, undefined);
+    assert.equal(out.conversation.metadata.appointment.specialty, 'Neurology');
+    assert.equal(out.messages[0].content, 'Hello, am I speaking with [NAME] [NAME]?');
+    assert.equal(out.messages[1].content, 'yes, [NAME] speaking');
+});
+
+let fake;
+let server;
+let conversationId;
+
+before(async () => {
+    fake = await new FakeOpenAI().start();
+    server = await startServer(fake, { DEID_SECRET: 'test-deid-secret' });
+    const res = await server.request('POST', '/webhook/voice', { form: { CallSid: 'CA_deid', From: '+15555550100' }, auth: null });
+    conversationId = (await res.text()).match(/name="conversation_id" value="([^"]+)"/)[1];
+    await server.request('POST', '/api/messages', {
+        auth: TEST_API_KEYS.integration,
+        body: { conversation_id: conversationId, role: 'user', content: 'My name is Jane Doe and my number is 555-867-5309.' }
+    });
+});
+
+after(async () => {
+    await server?.stop();
+    await fake?.stop();
+});
+
+test('research role gets de-identified exports only', async () => {
+    const auth = TEST_API_KEYS.research;
+    assert.equal((await server.request('GET', `/api/conversations/${conversationId}/export`, { auth })).status, 403);
+    assert.equal((await server.request('GET', '/api/conversations/export', { auth })).status, 403);
+
+    const res = await server.request('GET', `/api/conversations/${conversationId}/export?deidentify=true`, { auth });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.deidentified, true);
+    assert.match(body.conversation.patient_pseudonym, /^pt_/);
+    const raw = JSON.stringify(body);
+    assert.doesNotMatch(raw, /Jane|Doe|555-867-5309|5555550100|CA_deid/);
+    assert.ok(!raw.includes(conversationId));
+
+    const bulk = await (await server.request('GET', '/api/conversations/export?deidentify=1', { auth })).json();
+    assert.equal(bulk.deidentified, true);
+    assert.equal(bulk.conversations[0].patient_pseudonym, body.conversation.patient_pseudonym);
+    assert.doesNotMatch(JSON.stringify(bulk), /Jane|5555550100/);
+});
+
+test('de-identified FHIR bundles carry the pseudonym instead of the phone number', async () => {
+    const res = await server.request('GET', `/api/conversations/${conversationId}/export/fhir?deidentify=true`, { auth: TEST_API_KEYS.clinician });
+    assert.equal(res.status, 200);
+    const bundle = await res.json();
+    const patient = bundle.entry.map(e => e.resource).find(r => r.resourceType === 'Patient');
+    assert.equal(patient.telecom, undefined);
+    assert.match(patient.identifier[0].value, /^pt_/);
+    assert.doesNotMatch(JSON.stringify(bundle), /Jane|5555550100/);
+});
+
+test('a de-identified export of an outbound call keeps neither number', async () => {
+    const res = await server.request('POST', '/webhook/voice', {
+        form: { CallSid: 'CA_deid_outbound', From: '+15555550199', To: '+15555550123', Direction: 'outbound-api' },
+        auth: null
+    });
+    const id = (await res.text()).match(/name="conversation_id" value="([^"]+)"/)[1];
+    await server.request('POST', '/api/messages', {
+        auth: TEST_API_KEYS.integration,
+        body: { conversation_id: id, role: 'user', content: 'You can reach me at +15555550123.' }
+    });
+    const body = await (await server.request('GET', `/api/conversations/${id}/export?deidentify=true`, { auth: TEST_API_KEYS.research })).json();
+    assert.equal(body.conversation.metadata.to, '[PHONE]');
+    assert.doesNotMatch(JSON.stringify(body), /5555550123|5555550199/);
+});
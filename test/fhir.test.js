@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildFhirBundle } from '../lib/fhir.js';
+import { compileProtocol, loadProtocols } from '../lib/protocols.js';
+
+const conversation = {
+    id: '2a8f4d1e-0000-4000-8000-000000000001',
+    phone_number: '+15555550100',
+    status: 'completed',
+    started_at: '2026-03-01T14:00:00.000Z',
+    ended_at: '2026-03-01T14:06:00.000Z',
+    clinical_data: {
+        chief_complaint: 'more frequent seizures',
+        medical_history: 'asthma, hypertension',
+        current_medications: 'lisinopril',
+        epilepsy_medications: ['levetiracetam 500 mg', 'lamotrigine'],
+        allergies: 'none',
+        seizure_frequency: 'twice a month',
+        seizure_type: 'focal impaired awareness',
+        pain_level: '6 out of 10'
+    }
+};
+
+const messages = [
+    { role: 'assistant', content: 'What brings you in?', timestamp: '2026-03-01T14:00:05.000Z' },
+    { role: 'user', content: 'My seizures are more frequent.', timestamp: '2026-03-01T14:00:10.000Z' }
+];
+
+const resources = (bundle, type) => bundle.entry.map(e => e.resource).filter(r => r.resourceType === type);
+
+test('builds a FHIR R4 collection bundle for a completed intake', () => {
+    const bundle = buildFhirBundle({ conversation, messages, protocols: loadProtocols() });
+    assert.equal(bundle.resourceType, 'Bundle');
+    assert.equal(bundle.type, 'collection');
+    assert.equal(bundle.identifier.value, conversation.id);
+    for (const entry of bundle.entry) {
+        assert.equal(entry.fullUrl, `urn:uuid:${entry.resource.id}`);
+    }
+
+    const [patient] = resources(bundle, 'Patient');
+    assert.equal(patient.telecom[0].value, '+15555550100');
+    const patientRef = `urn:uuid:${patient.id}`;
+
+    const [qr] = resources(bundle, 'QuestionnaireResponse');
+    assert.equal(qr.status, 'completed');
+    assert.equal(qr.subject.reference, patientRef);
+    assert.deepEqual(qr.item.find(i => i.linkId === 'chief_complaint').answer, [{ valueString: 'more frequent seizures' }]);
+    const transcript = qr.item.find(i => i.linkId === 'transcript');
+    assert.equal(transcript.item.length, 2);
+    assert.equal(transcript.item[1].text, 'Patient');
+
+    const conditions = resources(bundle, 'Condition');
+    assert.deepEqual(conditions.map(c => c.code.text), ['more frequent seizures', 'asthma', 'hypertension']);
+    assert.equal(conditions[0].category[0].coding[0].code, 'encounter-diagnosis');
+    assert.equal(conditions[1].category[0].coding[0].code, 'problem-list-item');
+    assert.ok(conditions.every(c => c.verificationStatus.coding[0].code === 'unconfirmed'));
+
+    const meds = resources(bundle, 'MedicationStatement');
+    assert.deepEqual(meds.map(m => m.medicationCodeableConcept.text), ['lisinopril', 'levetiracetam 500 mg', 'lamotrigine']);
+    assert.ok(meds.every(m => m.subject.reference === patientRef));
+    assert.deepEqual(meds.map(m => m.note?.[0].text), [undefined, 'Epilepsy medication', 'Epilepsy medication']);
+
+    const [allergy] = resources(bundle, 'AllergyIntolerance');
+    assert.equal(allergy.code.coding[0].code, '716186003');
+    assert.equal(allergy.patient.reference, patientRef);
+
+    const observations = resources(bundle, 'Observation');
+    assert.deepEqual(observations.map(o => o.code.text), ['Seizure frequency', 'Seizure type', 'Pain level']);
+    assert.equal(observations[2].code.coding[0].code, '72514-3');
+    assert.equal(observations[2].valueInteger, 6);
+});
+
+test('omits resources for fields the caller did not provide', () => {
+    const bundle = buildFhirBundle({ conversation: { id: 'c1', status: 'active', clinical_data: {} } });
+    assert.deepEqual(bundle.entry.map(e => e.resource.resourceType), ['Patient', 'QuestionnaireResponse']);
+    assert.equal(resources(bundle, 'QuestionnaireResponse')[0].status, 'in-progress');
+});
+
+test('medications in any protocol\'s medication_list field become MedicationStatements', () => {
+    const migraine = compileProtocol({
+        id: 'migraine',
+        name: 'Migraine',
+        triggers: ['migraines?'],
+        extraction_fields: { migraine_preventives: ['preventives'] },
+        fields: { migraine_preventives: { type: 'medication_list' } }
+    });
+    const bundle = buildFhirBundle({
+        conversation: { id: 'c2', status: 'completed', clinical_data: { migraine_preventives: [{ name: 'Topamax', generic: 'topiramate', dose: 25, unit: 'mg', frequency: 'daily' }] } },
+        protocols: [migraine]
+    });
+    const [med] = resources(bundle, 'MedicationStatement');
+    assert.equal(med.medicationCodeableConcept.text, 'topiramate');
+    assert.equal(med.note[0].text, 'Migraine medication');
+    assert.equal(med.dosage[0].doseAndRate[0].doseQuantity.value, 25);
+});
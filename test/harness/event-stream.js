@@ -0,0 +1,67 @@
+// Minimal server-sent events client over fetch, so requests can carry the
+// harness API key headers (EventSource cannot).
+
+export class EventStreamClient {
+    constructor(response, controller) {
+        this.response = response;
+        this.controller = controller;
+        this.events = [];
+        this.waiters = [];
+        this.done = this.read();
+    }
+
+    async read() {
+        const decoder = new TextDecoder();
+        let buffer = '';
+        try {
+            for await (const chunk of this.response.body) {
+                buffer += decoder.decode(chunk, { stream: true });
+                let idx;
+                while ((idx = buffer.indexOf('\n\n')) >= 0) {
+                    const block = buffer.slice(0, idx);
+                    buffer = buffer.slice(idx + 2);
+                    const data = block.split('\n').filter(l => l.startsWith('data: ')).map(l => l.slice(6)).join('\n');
+                    if (!data) continue;
+                    this.events.push(JSON.parse(data));
+                    this.waiters = this.waiters.filter(w => !w());
+                }
+            }
+        } catch {
+            // Aborted by close()
+        }
+    }
+
+    // Resolve with the first event matching the predicate
+    waitFor(predicate, { timeout = 5000, label = 'event' } = {}) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${label} on event stream`)), timeout);
+            const check = () => {
+                const match = this.events.find(predicate);
+                if (!match) return false;
+                clearTimeout(timer);
+                resolve(match);
+                return true;
+            };
+            if (!check()) this.waiters.push(check);
+        });
+    }
+
+    close() {
+        this.controller.abort();
+        return this.done;
+    }
+}
+
+// Open an SSE endpoint on the harness server; rejects on a non-200 response
+export const openEventStream = async (server, url, { auth } = {}) => {
+    const controller = new AbortController();
+    const res = await fetch(`${server.baseUrl}${url}`, {
+        headers: { 'x-api-key': auth, accept: 'text/event-stream' },
+        signal: controller.signal
+    });
+    if (res.status !== 200) {
+        controller.abort();
+        throw Object.assign(new Error(`Event stream returned ${res.status}`), { status: res.status });
+    }
+    return new EventStreamClient(res, controller);
+};
@@ -0,0 +1,230 @@
+import http from 'http';
+import { WebSocketServer } from 'ws';
+
+// Local stand-in for the OpenAI Realtime WebSocket and Chat Completions APIs.
+// Point the server at it with OPENAI_BASE_URL=<fake.baseUrl>. Tests drive the
+// realtime side through FakeRealtimeSession (userSays, assistantSays) and
+// script chat completions with setExtraction / setSummary / setTranslation.
+
+const SILENCE_FRAME = Buffer.alloc(160, 0xff).toString('base64'); // 20ms of g711 µ-law silence
+
+let itemSeq = 0;
+const nextItemId = () => `item_fake_${++itemSeq}`;
+
+// Pull the quoted patient utterance out of the extraction prompt
+const utteranceFromPrompt = (prompt) => {
+    const m = String(prompt || '').match(/patient response[^"]*"([\s\S]*?)"\n/);
+    return m ? m[1] : '';
+};
+
+// Pull the text to translate out of a translation prompt
+const textFromTranslationPrompt = (prompt) => String(prompt || '').split('TEXT:\n').slice(1).join('TEXT:\n');
+
+export class FakeRealtimeSession {
+    constructor(ws, request) {
+        this.ws = ws;
+        this.url = request.url;
+        this.headers = request.headers;
+        this.received = [];
+        this.waiters = [];
+        this.closed = new Promise(resolve => ws.on('close', resolve));
+
+        ws.on('message', (raw) => {
+            let event;
+            try { event = JSON.parse(raw.toString()); } catch { return; }
+            this.received.push(event);
+            this.handle(event);
+            this.waiters = this.waiters.filter(w => !w.check());
+        });
+    }
+
+    send(event) {
+        if (this.ws.readyState === this.ws.OPEN) this.ws.send(JSON.stringify(event));
+    }
+
+    handle(event) {
+        switch (event.type) {
+            case 'session.update':
+                this.send({ type: 'session.updated', session: event.session });
+                break;
+            case 'conversation.item.create': {
+                const item = { id: nextItemId(), status: 'completed', ...event.item };
+                this.send({ type: 'conversation.item.created', item });
+                break;
+            }
+            case 'response.create': {
+                const responseId = `resp_fake_${++itemSeq}`;
+                this.send({ type: 'response.created', response: { id: responseId } });
+                this.send({ type: 'response.audio.delta', response_id: responseId, delta: SILENCE_FRAME });
+                this.send({ type: 'response.done', response: { id: responseId, status: 'completed' } });
+                break;
+            }
+            default:
+                break;
+        }
+    }
+
+    // Events the server sent us, optionally filtered by type
+    events(type) {
+        return type ? this.received.filter(e => e.type === type) : this.received;
+    }
+
+    // Text of every assistant item the server injected with conversation.item.create
+    injectedAssistantText() {
+        return this.events('conversation.item.create')
+            .filter(e => e.item?.role === 'assistant')
+            .map(e => (e.item.content || []).map(c => c.text || '').join(' '));
+    }
+
+    // Resolve once the server has sent an event matching the predicate
+    waitFor(predicate, { timeout = 5000, label = 'event' } = {}) {
+        const found = this.received.find(predicate);
+        if (found) return Promise.resolve(found);
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.waiters = this.waiters.filter(w => w !== waiter);
+                reject(new Error(`Timed out waiting for ${label} from server`));
+            }, timeout);
+            const waiter = {
+                check: () => {
+                    const match = this.received.find(predicate);
+                    if (!match) return false;
+                    clearTimeout(timer);
+                    resolve(match);
+                    return true;
+                }
+            };
+            this.waiters.push(waiter);
+        });
+    }
+
+    waitForAssistantText(pattern, opts = {}) {
+        return this.waitFor(
+            e => e.type === 'conversation.item.create' && e.item?.role === 'assistant'
+                && (e.item.content || []).some(c => pattern.test(c.text || '')),
+            { label: `assistant text ${pattern}`, ...opts }
+        );
+    }
+
+    // Simulate a finished caller utterance as Whisper would transcribe it
+    userSays(transcript) {
+        const itemId = nextItemId();
+        this.send({ type: 'input_audio_buffer.speech_started', item_id: itemId, audio_start_ms: 0 });
+        this.send({ type: 'input_audio_buffer.speech_stopped', item_id: itemId, audio_end_ms: 1000 });
+        this.send({ type: 'conversation.item.input_audio_transcription.completed', item_id: itemId, content_index: 0, transcript });
+    }
+
+    // Simulate the model speaking a line of its own, with audioMs of audio;
+    // returns the response and item ids
+    assistantSays(text, { audioMs = 20 } = {}) {
+        const responseId = `resp_fake_${++itemSeq}`;
+        const itemId = nextItemId();
+        const audio = Buffer.alloc(audioMs * 8, 0xff).toString('base64');
+        this.send({ type: 'response.created', response: { id: responseId } });
+        this.send({ type: 'response.audio.delta', response_id: responseId, item_id: itemId, delta: audio });
+        this.send({ type: 'response.audio_transcript.delta', response_id: responseId, item_id: itemId, delta: text });
+        this.send({ type: 'response.audio_transcript.done', response_id: responseId, item_id: itemId, transcript: text });
+        this.send({ type: 'response.done', response: { id: responseId, status: 'completed' } });
+        return { responseId, itemId };
+    }
+
+    close() {
+        try { this.ws.close(); } catch {}
+    }
+}
+
+export class FakeOpenAI {
+    constructor() {
+        this.sessions = [];
+        this.sessionWaiters = [];
+        this.pendingSessions = [];
+        this.chatRequests = [];
+        this.extraction = () => ({});
+        this.summary = () => "Here's a brief summary of what you've shared.";
+        this.translation = (text) => `[English] ${text}`;
+    }
+
+    // fn(utterance, prompt) -> object of clinical fields returned by the extraction call
+    setExtraction(fn) {
+        this.extraction = fn;
+    }
+
+    // fn(prompt) -> plain text returned for non-JSON chat completions
+    setSummary(fn) {
+        this.summary = fn;
+    }
+
+    // fn(text, prompt) -> English text returned for "Translate ..." prompts
+    setTranslation(fn) {
+        this.translation = fn;
+    }
+
+    async start() {
+        this.server = http.createServer((req, res) => this.handleHttp(req, res));
+        this.wss = new WebSocketServer({ noServer: true });
+        this.server.on('upgrade', (req, socket, head) => {
+            if (!req.url.startsWith('/v1/realtime')) {
+                socket.destroy();
+                return;
+            }
+            this.wss.handleUpgrade(req, socket, head, (ws) => {
+                const session = new FakeRealtimeSession(ws, req);
+                this.sessions.push(session);
+                const waiter = this.sessionWaiters.shift();
+                if (waiter) waiter(session);
+                else this.pendingSessions.push(session);
+            });
+        });
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+        const { port } = this.server.address();
+        this.baseUrl = `http://127.0.0.1:${port}/v1`;
+        return this;
+    }
+
+    // Resolve with the next realtime connection the server opens
+    nextSession({ timeout = 5000 } = {}) {
+        if (this.pendingSessions.length) return Promise.resolve(this.pendingSessions.shift());
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error('Timed out waiting for realtime connection')), timeout);
+            this.sessionWaiters.push((session) => { clearTimeout(timer); resolve(session); });
+        });
+    }
+
+    handleHttp(req, res) {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            if (req.method !== 'POST' || !req.url.startsWith('/v1/chat/completions')) {
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: { message: 'not found' } }));
+                return;
+            }
+            let payload = {};
+            try { payload = JSON.parse(body); } catch {}
+            this.chatRequests.push(payload);
+            const prompt = payload.messages?.map(m => m.content).join('\n') || '';
+            let content;
+            if (payload.response_format?.type === 'json_object') {
+                content = JSON.stringify(this.extraction(utteranceFromPrompt(prompt), prompt) || {});
+            } else if (prompt.startsWith('Translate ')) {
+                content = String(this.translation(textFromTranslationPrompt(prompt), prompt));
+            } else {
+                content = String(this.summary(prompt));
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                id: `chatcmpl_fake_${++itemSeq}`,
+                object: 'chat.completion',
+                model: payload.model,
+                choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }]
+            }));
+        });
+    }
+
+    async stop() {
+        for (const s of this.sessions) s.close();
+        await new Promise(resolve => this.wss.close(() => resolve()));
+        this.server.closeAllConnections();
+        await new Promise(resolve => this.server.close(() => resolve()));
+    }
+}
@@ -0,0 +1,90 @@
+import http from 'http';
+
+// Local stand-in for the Twilio REST API's Calls resource. Point the server at
+// it with TWILIO_API_BASE_URL=<fake.baseUrl>. Each created call (and each
+// update to a live call, e.g. a transfer) is recorded with its form
+// parameters; tests then play Twilio's part by hitting the call's Url (answer)
+// or StatusCallback (outcome) themselves.
+
+let callSeq = 0;
+
+export class FakeTwilioApi {
+    constructor() {
+        this.calls = [];
+        this.updates = [];
+        this.waiters = [];
+    }
+
+    async start() {
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+        this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+        return this;
+    }
+
+    handle(req, res) {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const update = req.url.match(/^\/2010-04-01\/Accounts\/([^/]+)\/Calls\/([^/.]+)\.json/);
+            if (req.method === 'POST' && update) {
+                const params = Object.fromEntries(new URLSearchParams(body));
+                this.updates.push({ sid: update[2], params });
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ sid: update[2], account_sid: update[1], status: 'in-progress' }));
+                this.waiters = this.waiters.filter(w => !w());
+                return;
+            }
+            const m = req.url.match(/^\/2010-04-01\/Accounts\/([^/]+)\/Calls\.json/);
+            if (req.method !== 'POST' || !m) {
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ code: 20404, message: 'The requested resource was not found', status: 404 }));
+                return;
+            }
+            const params = Object.fromEntries(new URLSearchParams(body));
+            const call = { sid: `CAfake${String(++callSeq).padStart(26, '0')}`, accountSid: m[1], params };
+            this.calls.push(call);
+            res.writeHead(201, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                sid: call.sid,
+                account_sid: m[1],
+                to: params.To,
+                from: params.From,
+                status: 'queued',
+                direction: 'outbound-api'
+            }));
+            this.waiters = this.waiters.filter(w => !w());
+        });
+    }
+
+    // Resolve with the nth (1-based) call placed to `to`
+    waitForCall(to, { nth = 1, timeout = 5000 } = {}) {
+        return this.waitUntil(() => this.calls.filter(c => c.params.To === to)[nth - 1], `call #${nth} to ${to}`, timeout);
+    }
+
+    // Resolve with the first update made to the live call `sid`
+    waitForUpdate(sid, { timeout = 5000 } = {}) {
+        return this.waitUntil(() => this.updates.find(u => u.sid === sid), `update to call ${sid}`, timeout);
+    }
+
+    waitUntil(find, label, timeout) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${label}`)), timeout);
+            const check = () => {
+                const found = find();
+                if (!found) return false;
+                clearTimeout(timer);
+                resolve(found);
+                return true;
+            };
+            if (!check()) this.waiters.push(check);
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => {
+            this.server.closeAllConnections?.();
+            this.server.close(() => resolve());
+        });
+    }
+}
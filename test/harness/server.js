@@ -0,0 +1,134 @@
+import { spawn } from 'child_process';
+import net from 'net';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { TwilioStreamClient } from './twilio-client.js';
+
+// Boots server.js as a child process against the in-memory storage backend and
+// a FakeOpenAI instance, and offers helpers for placing scripted calls.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SERVER_ENTRY = path.join(__dirname, '..', '..', 'server.js');
+
+// API keys the harness server accepts, one per role
+export const TEST_API_KEYS = {
+    admin: 'test-admin-key',
+    clinician: 'test-clinician-key',
+    integration: 'test-integration-key',
+    research: 'test-research-key'
+};
+
+const freePort = () => new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.once('error', reject);
+    srv.listen(0, '127.0.0.1', () => {
+        const { port } = srv.address();
+        srv.close(() => resolve(port));
+    });
+});
+
+export const startServer = async (fake, env = {}) => {
+    const port = await freePort();
+    const child = spawn(process.execPath, [SERVER_ENTRY], {
+        env: {
+            PATH: process.env.PATH,
+            STORAGE_BACKEND: 'memory',
+            OPENAI_API_KEY: 'sk-test',
+            OPENAI_BASE_URL: fake.baseUrl,
+            PORT: String(port),
+            API_KEYS: Object.entries(TEST_API_KEYS).map(([role, key]) => `${role}:${key}`).join(','),
+            // Tests place many calls from the same number; resume offers are
+            // switched on only where they are under test
+            RESUME_WINDOW_MINUTES: '0',
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    const logs = [];
+    const collect = (chunk) => logs.push(chunk.toString());
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Server did not start:\n${logs.join('')}`)), 10000);
+        const onData = () => {
+            if (logs.join('').includes('Server running on')) {
+                clearTimeout(timer);
+                child.stdout.off('data', onData);
+                resolve();
+            }
+        };
+        child.stdout.on('data', onData);
+        child.once('exit', (code) => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with code ${code}:\n${logs.join('')}`));
+        });
+    });
+
+    const baseUrl = `http://127.0.0.1:${port}`;
+    return {
+        port,
+        baseUrl,
+        wsUrl: `ws://127.0.0.1:${port}`,
+        logs: () => logs.join(''),
+        // API requests authenticate as admin unless `auth` names another role's key (or null for none)
+        request: (method, url, { body, headers = {}, form, auth = TEST_API_KEYS.admin } = {}) => {
+            const init = { method, headers: { ...(auth ? { 'x-api-key': auth } : {}), ...headers } };
+            if (form) {
+                init.body = new URLSearchParams(form).toString();
+                init.headers['content-type'] = 'application/x-www-form-urlencoded';
+            } else if (typeof body === 'string') {
+                // Raw bodies (e.g. CSV) are sent as given, with the caller's content-type
+                init.body = body;
+            } else if (body !== undefined) {
+                init.body = JSON.stringify(body);
+                init.headers['content-type'] = 'application/json';
+            }
+            return fetch(`${baseUrl}${url}`, init);
+        },
+        stop: () => new Promise((resolve) => {
+            if (child.exitCode !== null) return resolve();
+            child.once('exit', () => resolve());
+            child.kill('SIGTERM');
+        })
+    };
+};
+
+// Place an inbound call: hit /webhook/voice, read the TwiML <Stream> parameters,
+// open the media stream and send "start". Resolves with the Twilio client, the
+// matching fake realtime session and the conversation id.
+export const placeCall = async (server, fake, { from = '+15555550100', callSid = `CA${Date.now()}${Math.floor(Math.random() * 1000)}`, form = {}, headers = {}, url = '/webhook/voice' } = {}) => {
+    const res = await server.request('POST', url, { form: { CallSid: callSid, From: from, To: '+15555550199', ...form }, headers });
+    const twiml = await res.text();
+    const streamUrl = twiml.match(/<Stream url="([^"]+)"/)?.[1];
+    const customParameters = {};
+    for (const [, name, value] of twiml.matchAll(/<Parameter name="([^"]+)" value="([^"]*)"/g)) {
+        customParameters[name] = value;
+    }
+    const path = streamUrl ? new URL(streamUrl).pathname + new URL(streamUrl).search : '/coral-stream';
+
+    const twilio = new TwilioStreamClient(`${server.wsUrl}${path}`);
+    const sessionPromise = fake.nextSession();
+    await twilio.connect();
+    twilio.start({ callSid, customParameters });
+    const realtime = await sessionPromise;
+    return { twilio, realtime, twiml, callSid, conversationId: customParameters.conversation_id };
+};
+
+export const getJson = async (server, url, opts) => {
+    const res = await server.request('GET', url, opts);
+    return res.json();
+};
+
+// Poll fn until it returns a truthy value
+export const eventually = async (fn, { timeout = 5000, interval = 50, label = 'condition' } = {}) => {
+    const deadline = Date.now() + timeout;
+    let last;
+    while (Date.now() < deadline) {
+        last = await fn();
+        if (last) return last;
+        await new Promise(r => setTimeout(r, interval));
+    }
+    throw new Error(`Timed out waiting for ${label}`);
+};
@@ -0,0 +1,122 @@
+import WebSocket from 'ws';
+
+// Scripted Twilio Media Streams client. Speaks the same JSON frames Twilio
+// sends to a <Connect><Stream> endpoint (connected, start, media, mark, dtmf,
+// stop) and records what the server sends back. Marks the server sends are
+// returned at once, as if the audio before them played instantly; set
+// holdMarks to keep them until playMarks() or a clear, as Twilio does while
+// audio is still playing.
+
+const SILENCE_FRAME = Buffer.alloc(160, 0xff).toString('base64');
+
+export class TwilioStreamClient {
+    constructor(url) {
+        this.url = url;
+        this.received = [];
+        this.waiters = [];
+        this.sequence = 0;
+        this.streamSid = `MZ${Date.now().toString(16)}${Math.floor(Math.random() * 1e6)}`;
+        this.callSid = null;
+        this.holdMarks = false;
+        this.heldMarks = [];
+    }
+
+    connect() {
+        this.ws = new WebSocket(this.url);
+        this.closed = new Promise(resolve => this.ws.on('close', (code, reason) => resolve({ code, reason: reason.toString() })));
+        this.ws.on('message', (raw) => {
+            let msg;
+            try { msg = JSON.parse(raw.toString()); } catch { return; }
+            this.received.push(msg);
+            if (msg.event === 'mark') {
+                if (this.holdMarks) this.heldMarks.push(msg.mark.name);
+                else this.mark(msg.mark.name);
+            }
+            if (msg.event === 'clear') this.playMarks();
+            this.waiters = this.waiters.filter(w => !w.check());
+        });
+        return new Promise((resolve, reject) => {
+            this.ws.once('open', resolve);
+            this.ws.once('error', reject);
+        });
+    }
+
+    send(frame) {
+        this.ws.send(JSON.stringify({ ...frame, sequenceNumber: String(++this.sequence) }));
+    }
+
+    // Twilio's first two frames: "connected" then "start" with the <Parameter> values
+    start({ callSid = 'CA_test', customParameters = {} } = {}) {
+        this.callSid = callSid;
+        this.ws.send(JSON.stringify({ event: 'connected', protocol: 'Call', version: '1.0.0' }));
+        this.send({
+            event: 'start',
+            streamSid: this.streamSid,
+            start: {
+                streamSid: this.streamSid,
+                accountSid: 'AC_test',
+                callSid,
+                tracks: ['inbound'],
+                customParameters,
+                mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 }
+            }
+        });
+    }
+
+    media(payload = SILENCE_FRAME, timestamp = this.sequence * 20) {
+        this.send({
+            event: 'media',
+            streamSid: this.streamSid,
+            media: { track: 'inbound', chunk: String(this.sequence), timestamp: String(timestamp), payload }
+        });
+    }
+
+    mark(name) {
+        this.send({ event: 'mark', streamSid: this.streamSid, mark: { name } });
+    }
+
+    // Return the held marks: the audio before them has played
+    playMarks() {
+        for (const name of this.heldMarks.splice(0)) this.mark(name);
+    }
+
+    dtmf(digit) {
+        this.send({ event: 'dtmf', streamSid: this.streamSid, dtmf: { track: 'inbound_track', digit: String(digit) } });
+    }
+
+    stop() {
+        this.send({ event: 'stop', streamSid: this.streamSid, stop: { accountSid: 'AC_test', callSid: this.callSid } });
+    }
+
+    hangUp() {
+        try { this.stop(); } catch {}
+        try { this.ws.close(); } catch {}
+        return this.closed;
+    }
+
+    // Frames the server sent back, optionally filtered by event name
+    events(event) {
+        return event ? this.received.filter(m => m.event === event) : this.received;
+    }
+
+    waitFor(predicate, { timeout = 5000, label = 'frame' } = {}) {
+        const found = this.received.find(predicate);
+        if (found) return Promise.resolve(found);
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.waiters = this.waiters.filter(w => w !== waiter);
+                reject(new Error(`Timed out waiting for ${label} from server`));
+            }, timeout);
+            const waiter = {
+                check: () => {
+                    const match = this.received.find(predicate);
+                    if (!match) return false;
+                    clearTimeout(timer);
+                    resolve(match);
+                    return true;
+                }
+            };
+            this.waiters.push(waiter);
+        });
+    }
+}
@@ -0,0 +1,135 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadLocales, detectLanguage, matchesIntent, line } from '../lib/i18n.js';
+import { loadProtocols, detectProtocol, ProtocolRun } from '../lib/protocols.js';
+import { loadRedFlags, detectRedFlag, ruleGuidance } from '../lib/red-flags.js';
+import { FakeOpenAI } from './harness/fake-openai.js';
+import { startServer, placeCall, getJson, eventually } from './harness/server.js';
+
+const LOCALES = loadLocales(undefined, ['en', 'es']);
+
+test('recognises Spanish from the first utterance and matches its intents', () => {
+    assert.equal(detectLanguage(LOCALES, 'Sí, estoy lista'), 'es');
+    assert.equal(detectLanguage(LOCALES, 'Tengo dolores de cabeza muy fuertes'), 'es');
+    assert.equal(detectLanguage(LOCALES, "Yes, I'm ready"), 'en');
+    assert.equal(detectLanguage(LOCALES, 'Okay'), 'en');
+    assert.equal(detectLanguage(LOCALES, ''), 'en');
+
+    assert.ok(matchesIntent(LOCALES.es, 'goodbye', 'Bueno, adiós'));
+    assert.ok(matchesIntent(LOCALES.es, 'done', 'Nada más, gracias'));
+    assert.ok(!matchesIntent(LOCALES.es, 'goodbye', 'Tomo Keppra dos veces al día'));
+    assert.equal(line(LOCALES.es, 'nudge_protocol', { question: '¿Desde cuándo?' }), 'Gracias por compartirlo. ¿Desde cuándo?');
+
+    assert.throws(() => loadLocales(undefined, ['en', 'xx']), /No locale file for language "xx"/);
+});
+
+test('protocols and red flags have Spanish triggers, questions and guidance', () => {
+    const protocols = loadProtocols();
+    assert.equal(detectProtocol(protocols, 'Tengo convulsiones desde niña', 'es')?.id, 'epilepsy');
+    assert.equal(detectProtocol(protocols, 'Tengo convulsiones desde niña'), null);
+    const run = new ProtocolRun(protocols.find(p => p.id === 'epilepsy'), 'es');
+    assert.match(run.start(), /^Entiendo que mencionó la epilepsia\. .*¿Qué es lo más importante/);
+    assert.match(run.missing()[0], /antecedentes de convulsiones/);
+
+    const redFlags = loadRedFlags();
+    const hit = detectRedFlag(redFlags, 'Mi esposo está teniendo una convulsión ahora mismo', { language: 'es' });
+    assert.equal(hit?.rule.id, 'ongoing_seizure');
+    assert.match(ruleGuidance(hit.rule, 'es'), /llame al 9-1-1/);
+    assert.equal(detectRedFlag(redFlags, 'No tengo dolor de pecho', { language: 'es' }), null);
+    assert.equal(detectRedFlag(redFlags, 'Me duele el pecho', { language: 'es' })?.rule.id, 'chest_pain');
+    // English patterns still apply on a Spanish call
+    assert.equal(detectRedFlag(redFlags, 'chest pain', { language: 'es' })?.rule.id, 'chest_pain');
+});
+
+let fake;
+let server;
+
+before(async () => {
+    fake = await new FakeOpenAI().start();
+    server = await startServer(fake);
+});
+
+after(async () => {
+    await server?.stop();
+    await fake?.stop();
+});
+
+test('a caller who answers in Spanish gets a Spanish intake with English clinical data', async () => {
+    fake.setExtraction((utterance, prompt) => (/convulsiones/.test(utterance) && /speaking Spanish/.test(prompt)
+        ? { seizure_frequency: { value: 'twice a month', quote: 'dos veces al mes', confidence: 0.9 } }
+        : {}));
+    fake.setTranslation((text) => `EN: ${text}`);
+    const { twilio, realtime, conversationId } = await placeCall(server, fake);
+    try {
+        await realtime.waitForAssistantText(/Say 'Yes'.*Si prefiere hablar en español/);
+        realtime.userSays('Sí, estoy lista para empezar.');
+        await realtime.waitForAssistantText(/Con gusto, seguiremos en español/);
+        const update = await realtime.waitFor(e => e.type === 'session.update' && e.session.input_audio_transcription?.language === 'es');
+        assert.match(update.session.instructions, /Conduct the entire call in Spanish/);
+
+        realtime.userSays('Tengo convulsiones dos veces al mes.');
+        await realtime.waitForAssistantText(/^Entiendo que mencionó la epilepsia/);
+
+        const data = await eventually(async () => {
+            const d = await getJson(server, `/api/conversations/${conversationId}/clinical-data`);
+            return d.clinical_data.seizure_frequency && d;
+        }, { label: 'English clinical data' });
+        assert.equal(data.clinical_data.seizure_frequency, 'twice a month');
+
+        const exported = await eventually(async () => {
+            const d = await getJson(server, `/api/conversations/${conversationId}/export`);
+            return d.messages.filter(m => m.role === 'user').every(m => m.metadata.translation) && d;
+        }, { label: 'translated transcript' });
+        const [first] = exported.messages.filter(m => m.role === 'user');
+        assert.equal(first.content, 'Sí, estoy lista para empezar.');
+        assert.equal(first.metadata.language, 'es');
+        assert.deepEqual(first.metadata.translation, { language: 'en', text: 'EN: Sí, estoy lista para empezar.' });
+        assert.equal(exported.conversation.metadata.language, 'es');
+        assert.equal(exported.conversation.metadata.language_source, 'detected');
+
+        realtime.userSays('Bueno, adiós.');
+        await realtime.waitForAssistantText(/todavía necesito sus antecedentes médicos/);
+    } finally {
+        await twilio.hangUp();
+        fake.setExtraction(() => ({}));
+        fake.setTranslation((text) => `[English] ${text}`);
+    }
+});
+
+test('with the keypad menu enabled the caller picks a language before the stream connects', async () => {
+    const ivrServer = await startServer(fake, { LANGUAGE_SELECTION: 'ivr' });
+    const callSid = 'CA_language_menu';
+    try {
+        const res = await ivrServer.request('POST', '/webhook/voice', { form: { CallSid: callSid, From: '+15555550100', To: '+15555550199' } });
+        const menu = await res.text();
+        assert.match(menu, /<Gather numDigits="1"/);
+        assert.match(menu, /<Say language="es-US">Para español, oprima 2\.<\/Say>/);
+        assert.doesNotMatch(menu, /<Stream/);
+        const conversationId = menu.match(/conversation_id=([\w-]+)/)[1];
+
+        const { twilio, realtime } = await placeCall(ivrServer, fake, {
+            callSid,
+            url: `/webhook/language?conversation_id=${conversationId}`,
+            form: { Digits: '2' }
+        });
+        try {
+            const update = await realtime.waitFor(e => e.type === 'session.update');
+            assert.equal(update.session.input_audio_transcription.language, 'es');
+            await realtime.waitForAssistantText(/^Hola, le comunico con el Asistente Clínico/);
+            const { conversation } = await getJson(ivrServer, `/api/conversations/${conversationId}/export`);
+            assert.equal(conversation.metadata.language, 'es');
+            assert.equal(conversation.metadata.language_source, 'ivr');
+        } finally {
+            await twilio.hangUp();
+        }
+
+        // A menu answer for another call, or for no call, is refused
+        const other = await ivrServer.request('POST', `/webhook/language?conversation_id=${conversationId}`, { form: { CallSid: 'CA_other', Digits: '1' } });
+        assert.equal(other.status, 404);
+        const unsigned = await ivrServer.request('POST', `/webhook/language?conversation_id=${conversationId}`, { form: { Digits: '1' } });
+        assert.equal(unsigned.status, 404, 'no CallSid, no stream token');
+        assert.doesNotMatch(await unsigned.text(), /<Stream/);
+    } finally {
+        await ivrServer.stop();
+    }
+});
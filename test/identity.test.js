@@ -0,0 +1,202 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDateOfBirth, parseSpokenName, namesMatch, IdentityVerification } from '../lib/identity.js';
+import { FakeOpenAI } from './harness/fake-openai.js';
+import { FakeTwilioApi } from './harness/fake-twilio.js';
+import { openEventStream } from './harness/event-stream.js';
+import { startServer, placeCall, getJson, eventually, TEST_API_KEYS } from './harness/server.js';
+
+const NOW = new Date('2026-06-01T12:00:00Z');
+
+test('reads dates of birth from spoken and written forms', () => {
+    const dob = (text, opts = {}) => parseDateOfBirth(text, { now: NOW, ...opts });
+    assert.equal(dob('March 5th, 1980'), '1980-03-05');
+    assert.equal(dob('the fifth of March... 5 March 1980'), '1980-03-05');
+    assert.equal(dob('5 de marzo de 1980'), '1980-03-05');
+    assert.equal(dob('It is 03/05/1980'), '1980-03-05');
+    assert.equal(dob('03/05/1980', { dateOrder: 'dmy' }), '1980-05-03');
+    assert.equal(dob('1980-03-05'), '1980-03-05');
+    assert.equal(dob('march 5 80'), '1980-03-05');
+    assert.equal(dob('02/30/1980'), null, 'not a calendar date');
+    assert.equal(dob('March 5th, 2030'), null, 'in the future');
+    assert.equal(dob('sometime in the spring'), null);
+});
+
+test('takes the name from an answer and matches it against the record', () => {
+    assert.equal(parseSpokenName("Yes, my name is Ana García and I was born March 5th 1980"), 'Ana García');
+    assert.equal(parseSpokenName('Me llamo Ana García López'), 'Ana García López');
+    assert.equal(parseSpokenName('um, 1980'), null);
+
+    assert.ok(namesMatch('Ana García-López', 'ana garcia'));
+    assert.ok(namesMatch('John Michael Smith', 'John Smyth'), 'one misheard letter');
+    assert.ok(!namesMatch('John Smith', 'Jane Smith'));
+    assert.ok(!namesMatch('John Smith', 'John'));
+});
+
+test('verification retries up to the attempt limit, then fails', async () => {
+    const patients = [{ id: 'p1', name: 'Ana García', date_of_birth: '1980-03-05' }];
+    const findPatients = async (dob) => patients.filter(p => p.date_of_birth === dob);
+
+    const ok = new IdentityVerification({ findPatients });
+    ok.start();
+    assert.equal(await ok.answer('Ana García'), 'ask_dob');
+    assert.equal(await ok.answer('hmm'), 'repeat_dob');
+    assert.equal(await ok.answer('March 5th, 1980'), 'verified');
+    assert.equal(ok.record(NOW).patient_id, 'p1');
+
+    const both = new IdentityVerification({ findPatients });
+    both.start();
+    assert.equal(await both.answer('This is Ana Garcia, born 03/05/1980'), 'verified');
+
+    const wrong = new IdentityVerification({ findPatients, maxAttempts: 2 });
+    wrong.start();
+    assert.equal(await wrong.answer('Ana García, March 6th 1980'), 'retry');
+    assert.equal(await wrong.answer('Anna Garcia'), 'ask_dob');
+    assert.equal(await wrong.answer('March 6th 1980'), 'failed');
+    assert.deepEqual(wrong.record(NOW), { status: 'failed', method: 'name_dob', attempts: 2, max_attempts: 2, patient_id: null, at: NOW.toISOString() });
+
+    // A call already tied to a patient only verifies as that patient
+    const other = new IdentityVerification({ findPatients, expectedPatientId: 'p2', maxAttempts: 1 });
+    other.start();
+    assert.equal(await other.answer('Ana García, March 5th 1980'), 'failed');
+});
+
+let fake;
+let server;
+
+before(async () => {
+    fake = await new FakeOpenAI().start();
+    server = await startServer(fake, { IDENTITY_VERIFICATION: 'on', VERIFICATION_MAX_ATTEMPTS: '2', VERIFICATION_FAILURE_DELAY_MS: '200' });
+});
+
+after(async () => {
+    await server?.stop();
+    await fake?.stop();
+});
+
+const createPatient = async (target, patient) => {
+    const res = await target.request('POST', '/api/patients', { body: patient });
+    assert.equal(res.status, 201);
+    return (await res.json()).patient;
+};
+
+test('patient records are validated and need patient permissions', async () => {
+    const bad = await server.request('POST', '/api/patients', { body: { name: 'Cher', date_of_birth: '1980-03-05' } });
+    assert.equal(bad.status, 400);
+    const badDate = await server.request('POST', '/api/patients', { body: { name: 'Ana García', date_of_birth: '03/05/1980' } });
+    assert.equal(badDate.status, 400);
+
+    const patient = await createPatient(server, { name: ' Ana  García ', date_of_birth: '1980-03-05', phone_number: '+1 (555) 555-0100' });
+    assert.equal(patient.name, 'Ana García');
+    assert.equal(patient.phone_number, '+15555550100');
+
+    assert.equal((await server.request('POST', '/api/patients', { body: { name: 'A B', date_of_birth: '1990-01-01' }, auth: TEST_API_KEYS.clinician })).status, 403);
+    assert.equal((await server.request('GET', `/api/patients/${patient.id}`, { auth: TEST_API_KEYS.clinician })).status, 200);
+    assert.equal((await server.request('GET', `/api/patients/${patient.id}`, { auth: TEST_API_KEYS.research })).status, 403);
+    assert.equal((await server.request('GET', '/api/patients/00000000-0000-0000-0000-000000000000')).status, 404);
+});
+
+test('a caller who gives a matching name and date of birth goes on to the intake', async () => {
+    const patient = await createPatient(server, { name: 'Maria Lopez', date_of_birth: '1975-11-20' });
+    const { twilio, realtime, conversationId } = await placeCall(server, fake);
+    let feed;
+    try {
+        await realtime.waitForAssistantText(/Say 'Yes' when you are ready/);
+        feed = await openEventStream(server, `/api/live/sessions/${conversationId}/events`, { auth: TEST_API_KEYS.clinician });
+        realtime.userSays("Yes, I'm ready.");
+        await realtime.waitForAssistantText(/^Before we begin, I need to confirm who I'm speaking with/);
+        // The model does not answer the caller on its own until they are verified
+        const turnDetection = () => realtime.events('session.update').map(e => e.session.turn_detection).filter(Boolean);
+        assert.ok(turnDetection().length > 0 && turnDetection().every(t => t.create_response === false));
+        realtime.userSays('My name is Maria Lopez.');
+        await realtime.waitForAssistantText(/^Thank you\. And what is your date of birth\?/);
+        realtime.userSays('November 20th, 1975.');
+        await realtime.waitForAssistantText(/^Thank you, I've confirmed your identity\. To start, can you tell me what symptoms/);
+        await realtime.waitFor(e => e.type === 'session.update' && e.session.turn_detection?.create_response === true, { label: 'turns answered after verification' });
+
+        const { conversation, messages } = await eventually(async () => {
+            const d = await getJson(server, `/api/conversations/${conversationId}/export`);
+            return d.conversation.patient_id && d;
+        }, { label: 'patient linked' });
+        assert.equal(conversation.patient_id, patient.id);
+        assert.equal(conversation.metadata.identity_verification.status, 'verified');
+        assert.equal(conversation.metadata.identity_verification.attempts, 1);
+        assert.ok(messages.some(m => m.role === 'assistant' && m.metadata?.identity_verification === 'ask_dob'));
+        // Identity answers are not treated as clinical history, and are kept
+        // out of the transcript and the live feed
+        assert.ok(!server.logs().includes('1975'));
+        assert.ok(!JSON.stringify(messages).includes('1975') && !JSON.stringify(messages).includes('Maria'));
+        assert.ok(!messages.some(m => m.metadata?.identity));
+        assert.ok(!conversation.summary?.includes('1975'));
+        await feed.waitFor(e => e.type === 'identity' && e.data.status === 'verified', { label: 'identity event' });
+        assert.ok(!JSON.stringify(feed.events).includes('1975'));
+        assert.ok(!feed.events.some(e => e.type === 'transcript' && e.data.metadata?.identity));
+    } finally {
+        await twilio.hangUp();
+        await feed?.close();
+    }
+});
+
+test('a caller who cannot be verified is told to call the office and the call ends', async () => {
+    await createPatient(server, { name: 'Peter Novak', date_of_birth: '1962-04-02' });
+    const { twilio, realtime, conversationId } = await placeCall(server, fake);
+    await realtime.waitForAssistantText(/Say 'Yes' when you are ready/);
+    realtime.userSays('Yes.');
+    await realtime.waitForAssistantText(/^Before we begin/);
+    realtime.userSays('Peter Novak, April 3rd 1962.');
+    await realtime.waitForAssistantText(/^I'm sorry, I couldn't match that to our records/);
+    realtime.userSays('Paul Novak, born April 2nd 1962.');
+    await realtime.waitForAssistantText(/^I'm sorry, I wasn't able to confirm your identity, so I can't continue/);
+    await twilio.closed;
+
+    const conversation = await eventually(async () => {
+        const c = (await getJson(server, `/api/conversations/${conversationId}/export`)).conversation;
+        return c.status !== 'active' && c;
+    }, { label: 'conversation ended' });
+    assert.equal(conversation.status, 'failed');
+    assert.equal(conversation.end_reason, 'verification_failed');
+    assert.equal(conversation.patient_id, null);
+    assert.equal(conversation.metadata.identity_verification.status, 'failed');
+    assert.equal(conversation.metadata.identity_verification.attempts, 2);
+});
+
+test('with a front desk number, an unverified caller is transferred to staff', async () => {
+    const twilioApi = await new FakeTwilioApi().start();
+    const desk = await startServer(fake, {
+        IDENTITY_VERIFICATION: 'on',
+        VERIFICATION_MAX_ATTEMPTS: '1',
+        VERIFICATION_FAILURE_DELAY_MS: '200',
+        FRONT_DESK_NUMBER: '+15555550150',
+        TWILIO_ACCOUNT_SID: 'ACtest00000000000000000000000000',
+        TWILIO_AUTH_TOKEN: 'test-auth-token',
+        TWILIO_PHONE_NUMBER: '+15555550199',
+        TWILIO_API_BASE_URL: twilioApi.baseUrl
+    });
+    const callSid = 'CA_identity_transfer';
+    try {
+        const { twilio, realtime, conversationId } = await placeCall(desk, fake, { callSid });
+        try {
+            await realtime.waitForAssistantText(/Say 'Yes' when you are ready/);
+            realtime.userSays('Yes.');
+            await realtime.waitForAssistantText(/^Before we begin/);
+            realtime.userSays('John Doe, January 1st 1970.');
+            await realtime.waitForAssistantText(/transferring you to a member of our staff/);
+
+            const update = await twilioApi.waitForUpdate(callSid);
+            assert.match(update.params.Twiml, /<Number>\+15555550150<\/Number>/);
+            assert.match(update.params.Twiml, /connect you to a member of our staff/);
+
+            const conversation = await eventually(async () => {
+                const c = (await getJson(desk, `/api/conversations/${conversationId}/export`)).conversation;
+                return c.metadata.identity_verification?.transfer && c;
+            }, { label: 'transfer recorded' });
+            assert.equal(conversation.metadata.identity_verification.status, 'failed');
+            assert.equal(conversation.metadata.identity_verification.transfer.status, 'initiated');
+        } finally {
+            await twilio.hangUp();
+        }
+    } finally {
+        await desk.stop();
+        await twilioApi.stop();
+    }
+});
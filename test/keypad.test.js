@@ -0,0 +1,189 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { KeypadBuffer, keypadMeaning, keypadModelText } from '../lib/keypad.js';
+import { FakeOpenAI } from './harness/fake-openai.js';
+import { FakeTwilioApi } from './harness/fake-twilio.js';
+import { startServer, placeCall, getJson, eventually } from './harness/server.js';
+
+test('keys are collected into entries ended by # or a pause', async () => {
+    const entries = [];
+    const keypad = new KeypadBuffer({ gapMs: 50, onEntry: (digits) => entries.push(digits) });
+    ['1', '2', '#'].forEach(k => keypad.press(k));
+    ['9', '*', '7', 'A', undefined].forEach(k => keypad.press(k));
+    assert.deepEqual(entries, ['12'], '* starts over; other keys are ignored');
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.deepEqual(entries, ['12', '7']);
+    keypad.press('4');
+    keypad.clear();
+    keypad.press('#');
+    assert.deepEqual(entries, ['12', '7'], 'nothing left after clear');
+});
+
+test('what an entry means depends on where the call is', () => {
+    const greeting = { awaitingConsent: true, languages: ['en', 'es'] };
+    assert.deepEqual(keypadMeaning('1', greeting), { type: 'consent' });
+    assert.deepEqual(keypadMeaning('2', greeting), { type: 'language', code: 'es' });
+    assert.deepEqual(keypadMeaning('2', { awaitingConsent: true }), { type: 'input' });
+    assert.deepEqual(keypadMeaning('0', greeting), { type: 'staff' });
+    assert.deepEqual(keypadMeaning('0', { scaleQuestion: true }), { type: 'rating', value: 0 });
+    assert.deepEqual(keypadMeaning('10', { scaleQuestion: true }), { type: 'rating', value: 10 });
+    assert.deepEqual(keypadMeaning('11', { scaleQuestion: true }), { type: 'input' });
+    assert.deepEqual(keypadMeaning('0'), { type: 'staff' });
+    assert.deepEqual(keypadMeaning('42'), { type: 'input' });
+    assert.equal(keypadModelText('7', { type: 'rating', value: 7 }), "Keypad entry: 7 (the caller's answer on the 0 to 10 scale)");
+    assert.equal(keypadModelText('42', { type: 'input' }), 'Keypad entry: 42');
+});
+
+let fake;
+let server;
+
+before(async () => {
+    fake = await new FakeOpenAI().start();
+    server = await startServer(fake, { KEYPAD_ENTRY_GAP_MS: '100' });
+});
+
+after(async () => {
+    await server?.stop();
+    await fake?.stop();
+});
+
+const press = (twilio, keys) => [...keys].forEach(k => twilio.dtmf(k));
+
+test('pressing 1 gives consent and a rating is passed to the model as the answer', async () => {
+    const { twilio, realtime, conversationId } = await placeCall(server, fake);
+    const question = 'On a scale from 0 to 10, how bad is the pain right now?';
+    try {
+        const greeting = await realtime.waitForAssistantText(/Say 'Yes'/);
+        assert.match(greeting.item.content[0].text, /press 1 to begin/);
+        assert.doesNotMatch(greeting.item.content[0].text, /Press 0/, 'no staff to put callers through to');
+
+        press(twilio, '1#');
+        await realtime.waitFor(e => e.type === 'session.update' && e.session.turn_detection?.create_response === true, { label: 'consent' });
+
+        realtime.assistantSays(question);
+        await eventually(async () => {
+            const { messages } = await getJson(server, `/api/conversations/${conversationId}/export`);
+            return messages.some(m => m.content === question);
+        }, { label: 'question saved' });
+        const created = realtime.events('response.create').length;
+        press(twilio, '7'); // ended by the pause
+        const entry = await realtime.waitFor(e => e.type === 'conversation.item.create' && e.item?.role === 'user', { label: 'keypad entry' });
+        assert.deepEqual(entry.item.content, [{ type: 'input_text', text: "Keypad entry: 7 (the caller's answer on the 0 to 10 scale)" }]);
+        await realtime.waitFor(() => realtime.events('response.create').length > created, { label: 'response' });
+    } finally {
+        await twilio.hangUp();
+    }
+
+    const { conversation, messages } = await eventually(async () => {
+        const d = await getJson(server, `/api/conversations/${conversationId}/export`);
+        return d.messages.some(m => m.metadata?.keypad === 'rating') && d;
+    }, { label: 'keypad messages' });
+    assert.equal(conversation.metadata.consent.status, 'given');
+    assert.equal(conversation.metadata.consent.input, 'keypad');
+    assert.equal(conversation.metadata.consent.utterance, '1');
+    const keyed = messages.filter(m => m.role === 'user').map(m => [m.content, m.metadata.keypad]);
+    assert.deepEqual(keyed, [['1', 'consent'], ['7', 'rating']], 'the entry sent to the model is not saved again');
+});
+
+test('an entry at the closing question goes to the model; one after the call ended is only saved', async () => {
+    fake.setExtraction((utterance) => (/asthma/.test(utterance)
+        ? { medical_history: 'asthma', current_medications: 'albuterol', allergies: 'penicillin' }
+        : {}));
+    const { twilio, realtime, conversationId } = await placeCall(server, fake);
+    try {
+        await realtime.waitForAssistantText(/Say 'Yes'/);
+        realtime.userSays('Yes.');
+        realtime.userSays('I have asthma, I use albuterol, and I am allergic to penicillin');
+        await eventually(async () => {
+            const d = await getJson(server, `/api/conversations/${conversationId}/export`);
+            return d.conversation.clinical_data?.allergies;
+        }, { label: 'clinical_data merge' });
+        realtime.userSays('Goodbye');
+        await realtime.waitForAssistantText(/Is there anything else you'd like your provider to know/);
+
+        press(twilio, '3#');
+        const entry = await realtime.waitFor(e => e.type === 'conversation.item.create' && e.item?.role === 'user', { label: 'keypad entry' });
+        assert.deepEqual(entry.item.content, [{ type: 'input_text', text: 'Keypad entry: 3' }]);
+
+        realtime.userSays('No');
+        await eventually(async () => (await getJson(server, `/api/conversations/${conversationId}/export`)).conversation.status === 'completed', { label: 'call ended' });
+        press(twilio, '4#');
+    } finally {
+        fake.setExtraction(() => ({}));
+        await twilio.hangUp();
+    }
+
+    const messages = await eventually(async () => {
+        const d = await getJson(server, `/api/conversations/${conversationId}/export`);
+        return d.messages.some(m => m.metadata?.keypad === 'ignored') && d.messages;
+    }, { label: 'entry after the end' });
+    const keyed = messages.filter(m => m.metadata?.keypad).map(m => [m.content, m.metadata.keypad]);
+    assert.deepEqual(keyed, [['3', 'input'], ['4', 'ignored']]);
+    assert.equal(realtime.events('conversation.item.create').filter(e => e.item?.role === 'user').length, 1);
+});
+
+test('a language can be picked on the keypad at the greeting', async () => {
+    const { twilio, realtime, conversationId } = await placeCall(server, fake);
+    try {
+        const greeting = await realtime.waitForAssistantText(/Say 'Yes'/);
+        assert.match(greeting.item.content[0].text, /oprima 2/);
+        press(twilio, '2#');
+        await realtime.waitForAssistantText(/^Con gusto, seguiremos en español\. Hola/);
+        press(twilio, '1#');
+        await realtime.waitFor(e => e.type === 'session.update' && e.session.turn_detection?.create_response === true, { label: 'consent' });
+    } finally {
+        await twilio.hangUp();
+    }
+
+    const conversation = await eventually(async () => {
+        const c = (await getJson(server, `/api/conversations/${conversationId}/export`)).conversation;
+        return c.metadata.consent && c;
+    }, { label: 'consent recorded' });
+    assert.equal(conversation.metadata.language, 'es');
+    assert.equal(conversation.metadata.language_source, 'keypad');
+    assert.equal(conversation.metadata.consent.language, 'es');
+});
+
+test('pressing 0 transfers the caller to the front desk, or carries on without one', async () => {
+    const alone = await placeCall(server, fake);
+    try {
+        await alone.realtime.waitForAssistantText(/Say 'Yes'/);
+        press(alone.twilio, '0#');
+        await alone.realtime.waitForAssistantText(/no one from our staff is available/);
+    } finally {
+        await alone.twilio.hangUp();
+    }
+
+    const twilioApi = await new FakeTwilioApi().start();
+    const desk = await startServer(fake, {
+        KEYPAD_ENTRY_GAP_MS: '100',
+        FRONT_DESK_NUMBER: '+15555550150',
+        TWILIO_ACCOUNT_SID: 'ACtest00000000000000000000000000',
+        TWILIO_AUTH_TOKEN: 'test-auth-token',
+        TWILIO_PHONE_NUMBER: '+15555550199',
+        TWILIO_API_BASE_URL: twilioApi.baseUrl
+    });
+    const callSid = 'CA_keypad_staff';
+    try {
+        const { twilio, realtime, conversationId } = await placeCall(desk, fake, { callSid });
+        try {
+            await realtime.waitForAssistantText(/Press 0 at any time/);
+            press(twilio, '0#');
+            const update = await twilioApi.waitForUpdate(callSid);
+            assert.match(update.params.Twiml, /<Number>\+15555550150<\/Number>/);
+        } finally {
+            await twilio.hangUp();
+        }
+
+        const conversation = await eventually(async () => {
+            const c = (await getJson(desk, `/api/conversations/${conversationId}/export`)).conversation;
+            return c.metadata.staff_transfer && c.end_reason && c;
+        }, { label: 'transfer recorded' });
+        assert.equal(conversation.metadata.staff_transfer.reason, 'caller_request');
+        assert.equal(conversation.metadata.staff_transfer.status, 'initiated');
+        assert.equal(conversation.end_reason, 'transferred');
+    } finally {
+        await desk.stop();
+        await twilioApi.stop();
+    }
+});
@@ -0,0 +1,126 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConversationLifecycle, incompleteSections, endReasonForCallStatus } from '../lib/lifecycle.js';
+import { MemoryStorage } from '../lib/storage/memory.js';
+import { loadProtocols } from '../lib/protocols.js';
+import { FakeOpenAI } from './harness/fake-openai.js';
+import { startServer, placeCall, getJson, eventually } from './harness/server.js';
+
+const EPILEPSY = loadProtocols().find(p => p.id === 'epilepsy');
+
+test('lists uncovered general and protocol sections and maps Twilio call statuses', () => {
+    assert.deepEqual(incompleteSections({}), ['medical_history', 'current_medications', 'allergies']);
+    assert.deepEqual(
+        incompleteSections({ medical_history: 'asthma', allergies: [], seizure_frequency: 'weekly', seizure_impact: 'cannot drive' }, EPILEPSY),
+        ['current_medications', 'allergies', 'epilepsy.medications', 'epilepsy.safety']
+    );
+    assert.equal(endReasonForCallStatus('completed'), 'caller_hangup');
+    assert.equal(endReasonForCallStatus('no-answer'), 'no_answer');
+    assert.equal(endReasonForCallStatus('in-progress'), null);
+});
+
+test('the sweeper fails stale active conversations and leaves live ones alone', async () => {
+    const storage = new MemoryStorage();
+    const live = new Set();
+    const lifecycle = new ConversationLifecycle({ storage, isLive: (id) => live.has(id), staleMs: 60 * 60000 });
+    const old = new Date(Date.now() - 2 * 60 * 60000).toISOString();
+    const stale = await storage.createConversation({ call_sid: 'CA_stale', started_at: old, updated_at: old, clinical_data: { allergies: 'none' } });
+    const ongoing = await storage.createConversation({ call_sid: 'CA_live', started_at: old, updated_at: old });
+    const recent = await storage.createConversation({ call_sid: 'CA_recent' });
+    live.add(ongoing.id);
+
+    const ended = await lifecycle.sweep();
+    assert.deepEqual(ended.map(c => c.id), [stale.id]);
+    const swept = await storage.getConversation(stale.id);
+    assert.equal(swept.status, 'failed');
+    assert.equal(swept.end_reason, 'stale');
+    assert.deepEqual(swept.incomplete_sections, ['medical_history', 'current_medications']);
+    assert.equal((await storage.getConversation(ongoing.id)).status, 'active');
+    assert.equal((await storage.getConversation(recent.id)).status, 'active');
+
+    // An ended conversation keeps its first end reason
+    await lifecycle.end(stale.id, { reason: 'caller_hangup', durationSeconds: 42 });
+    const again = await storage.getConversation(stale.id);
+    assert.equal(again.end_reason, 'stale');
+    assert.equal(again.duration_seconds, 42);
+});
+
+let fake;
+let server;
+
+before(async () => {
+    fake = await new FakeOpenAI().start();
+    server = await startServer(fake);
+});
+
+after(async () => {
+    await server?.stop();
+    await fake?.stop();
+});
+
+const conversationRow = async (conversationId) => (await getJson(server, `/api/conversations/${conversationId}/export`)).conversation;
+
+test('a caller hanging up mid-intake completes the conversation with its missing sections', async () => {
+    fake.setExtraction((utterance) => (/asthma/.test(utterance)
+        ? { medical_history: { value: 'asthma', quote: 'I have asthma', confidence: 0.9 } }
+        : {}));
+    const { twilio, realtime, callSid, conversationId } = await placeCall(server, fake);
+    try {
+        await realtime.waitForAssistantText(/Say 'Yes'/);
+        realtime.userSays("Yes, I'm ready.");
+        realtime.userSays('I have asthma.');
+        await eventually(async () => (await conversationRow(conversationId)).clinical_data.medical_history, { label: 'medical history' });
+        assert.equal((await conversationRow(conversationId)).status, 'active');
+    } finally {
+        await twilio.hangUp();
+        fake.setExtraction(() => ({}));
+    }
+
+    const ended = await eventually(async () => {
+        const c = await conversationRow(conversationId);
+        return c.status !== 'active' && c;
+    }, { label: 'conversation ended' });
+    assert.equal(ended.status, 'completed');
+    assert.equal(ended.end_reason, 'caller_hangup');
+    assert.ok(ended.ended_at);
+    assert.deepEqual(ended.incomplete_sections, ['current_medications', 'allergies']);
+
+    // Twilio's status callback adds the billed duration and final call status
+    const res = await server.request('POST', '/webhook/call-status', { form: { CallSid: callSid, CallStatus: 'completed', CallDuration: '95' } });
+    assert.equal(res.status, 200);
+    const final = await conversationRow(conversationId);
+    assert.equal(final.end_reason, 'caller_hangup');
+    assert.equal(final.duration_seconds, 95);
+    assert.equal(final.metadata.call_status, 'completed');
+});
+
+test('a call that never connects fails from the status callback alone', async () => {
+    const callSid = 'CA_no_answer';
+    const twiml = await (await server.request('POST', '/webhook/voice', { form: { CallSid: callSid, From: '+15555550100' } })).text();
+    const conversationId = twiml.match(/name="conversation_id" value="([^"]+)"/)[1];
+
+    // Non-final statuses are ignored
+    await server.request('POST', '/webhook/call-status', { form: { CallSid: callSid, CallStatus: 'ringing' } });
+    assert.equal((await conversationRow(conversationId)).status, 'active');
+
+    await server.request('POST', '/webhook/call-status', { form: { CallSid: callSid, CallStatus: 'no-answer', CallDuration: '0' } });
+    const row = await conversationRow(conversationId);
+    assert.equal(row.status, 'failed');
+    assert.equal(row.end_reason, 'no_answer');
+    assert.equal(row.duration_seconds, 0);
+});
+
+test('losing the OpenAI session ends the call as failed', async () => {
+    const { twilio, realtime, conversationId } = await placeCall(server, fake);
+    await realtime.waitForAssistantText(/Say 'Yes'/);
+    realtime.close();
+    await twilio.closed;
+
+    const row = await eventually(async () => {
+        const c = await conversationRow(conversationId);
+        return c.status !== 'active' && c;
+    }, { label: 'conversation ended' });
+    assert.equal(row.status, 'failed');
+    assert.equal(row.end_reason, 'openai_error');
+    assert.deepEqual(row.incomplete_sections, ['medical_history', 'current_medications', 'allergies']);
+});
@@ -0,0 +1,81 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { FakeOpenAI } from './harness/fake-openai.js';
+import { openEventStream } from './harness/event-stream.js';
+import { startServer, placeCall, getJson, eventually, TEST_API_KEYS } from './harness/server.js';
+
+let fake;
+let server;
+
+before(async () => {
+    fake = await new FakeOpenAI().start();
+    server = await startServer(fake);
+});
+
+after(async () => {
+    await server?.stop();
+    await fake?.stop();
+});
+
+const listSessions = () => getJson(server, '/api/live/sessions', { auth: TEST_API_KEYS.clinician });
+
+test('streams transcript, clinical_data and coverage events for an active call', async () => {
+    fake.setExtraction((utterance) => (/allerg/i.test(utterance) ? { allergies: 'penicillin' } : {}));
+    const { twilio, realtime, conversationId } = await placeCall(server, fake);
+    let feed;
+    try {
+        const { sessions } = await eventually(async () => {
+            const list = await listSessions();
+            return list.sessions.some(s => s.conversation_id === conversationId) && list;
+        }, { label: 'active session listing' });
+        const session = sessions.find(s => s.conversation_id === conversationId);
+        assert.equal(session.phone_number, '+15555550100');
+        assert.equal(session.stream_sid, twilio.streamSid);
+
+        await realtime.waitForAssistantText(/Say 'Yes'/);
+        feed = await openEventStream(server, `/api/live/sessions/${conversationId}/events`, { auth: TEST_API_KEYS.clinician });
+        // History replays the session start for late joiners
+        await feed.waitFor(e => e.type === 'session.started');
+
+        realtime.userSays('Yes.');
+        await feed.waitFor(e => e.type === 'consent' && e.data.status === 'given', { label: 'consent' });
+        realtime.userSays("I'm allergic to penicillin");
+        const line = await feed.waitFor(e => e.type === 'transcript' && e.data.role === 'user' && e.data.content !== 'Yes.', { label: 'transcript line' });
+        assert.equal(line.data.content, "I'm allergic to penicillin");
+        assert.ok(line.data.message_id);
+
+        const merge = await feed.waitFor(e => e.type === 'clinical_data', { label: 'clinical_data merge' });
+        assert.deepEqual(merge.data.fields, { allergies: 'penicillin' });
+        const coverage = await feed.waitFor(e => e.type === 'coverage' && e.data.general.allergies, { label: 'coverage change' });
+        assert.equal(coverage.data.general.medical_history, false);
+
+        // Protocol coverage shows up once a protocol is triggered
+        realtime.userSays("I've been having seizures lately");
+        const protocol = await feed.waitFor(e => e.type === 'coverage' && e.data.protocol, { label: 'protocol coverage' });
+        assert.equal(protocol.data.protocol.id, 'epilepsy');
+        assert.ok(protocol.data.protocol.missing.length > 0);
+    } finally {
+        await twilio.hangUp();
+    }
+    await feed.waitFor(e => e.type === 'session.ended', { label: 'session end' });
+    await feed.close();
+    await eventually(async () => !(await listSessions()).sessions.some(s => s.conversation_id === conversationId), { label: 'session removed' });
+    fake.setExtraction(() => ({}));
+});
+
+test('the all-sessions feed announces new calls', async () => {
+    const feed = await openEventStream(server, '/api/live/events', { auth: TEST_API_KEYS.admin });
+    const { twilio, conversationId } = await placeCall(server, fake);
+    try {
+        const started = await feed.waitFor(e => e.type === 'session.started' && e.conversation_id === conversationId);
+        assert.equal(started.data.conversation_id, conversationId);
+    } finally {
+        await twilio.hangUp();
+        await feed.close();
+    }
+});
+
+test('monitoring requires live:read and an active session', async () => {
+    await assert.rejects(openEventStream(server, '/api/live/events', { auth: TEST_API_KEYS.integration }), { status: 403 });
+    await assert.rejects(openEventStream(server, '/api/live/sessions/00000000-0000-4000-8000-000000000000/events', { auth: TEST_API_KEYS.clinician }), { status: 404 });
+});
@@ -0,0 +1,155 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadDrugDictionary, lookupDrug, normalizeMedications, describeMedication, parseSpelledWord, medicationFields } from '../lib/medications.js';
+import { mergeClinicalData, listFields } from '../lib/clinical-history.js';
+import { compileProtocol, loadProtocols } from '../lib/protocols.js';
+import { FakeOpenAI } from './harness/fake-openai.js';
+import { startServer, placeCall, getJson, eventually } from './harness/server.js';
+
+const DRUGS = loadDrugDictionary();
+
+test('normalises brand names, misheard names and free-text regimens', () => {
+    assert.equal(lookupDrug(DRUGS, 'Keppra XR').generic, 'levetiracetam');
+    assert.equal(lookupDrug(DRUGS, 'Depakote ER').generic, 'valproate');
+    assert.equal(lookupDrug(DRUGS, 'leviteracetam').match, 'fuzzy');
+    assert.equal(lookupDrug(DRUGS, 'Xyzzafrin'), null);
+
+    const meds = normalizeMedications(
+        "I take Keppra 500 mg twice a day, lamotrigine 100 mg in the morning and at night but I sometimes forget the evening dose, Valtoco nasal spray as needed, Briviact 50 mg BID, and clobazam 10 mg at bedtime",
+        DRUGS
+    );
+    assert.deepEqual(meds.map(m => m.generic), ['levetiracetam', 'lamotrigine', 'diazepam', 'brivaracetam', 'clobazam']);
+    assert.deepEqual(meds[0], {
+        name: 'Keppra', generic: 'levetiracetam', drug_class: 'anti-seizure', recognized: true,
+        dose: 500, unit: 'mg', frequency: 'twice daily', route: null, adherence: null
+    });
+    assert.equal(meds[1].frequency, 'twice daily');
+    assert.match(meds[1].adherence, /sometimes forget the evening dose/);
+    assert.equal(meds[2].route, 'intranasal');
+    assert.equal(describeMedication(meds[3]), 'Briviact (brivaracetam) 50 mg twice daily');
+
+    // Model output objects are normalised the same way
+    const [fromModel] = normalizeMedications([{ name: 'Lamictal', dose: '200 milligrams', frequency: 'two times a day', route: 'by mouth' }], DRUGS);
+    assert.deepEqual([fromModel.generic, fromModel.dose, fromModel.unit, fromModel.frequency, fromModel.route], ['lamotrigine', 200, 'mg', 'twice daily', 'oral']);
+
+    assert.equal(parseSpelledWord('Sure, it is Z-O-N-E-G-R-A-N.'), 'zonegran');
+    assert.equal(parseSpelledWord('I take it every day'), null);
+});
+
+test('a different dose of the same drug is a conflict, a new drug is not', () => {
+    const first = mergeClinicalData({ fields: { current_medications: normalizeMedications('Keppra 500 mg twice a day', DRUGS) } });
+    const added = mergeClinicalData({ ...first, clinicalData: first.clinicalData, fields: { current_medications: normalizeMedications('levetiracetam, and aspirin 81 mg daily', DRUGS) } });
+    assert.equal(added.changes.current_medications, 'addition');
+    assert.deepEqual(added.clinicalData.current_medications.map(m => m.generic), ['levetiracetam', 'aspirin']);
+
+    const conflicting = mergeClinicalData({ clinicalData: added.clinicalData, history: added.history, fields: { current_medications: normalizeMedications('Keppra 750 mg twice a day', DRUGS) } });
+    assert.equal(conflicting.conflicts.length, 1);
+    assert.equal(conflicting.clinicalData.current_medications[0].dose, 500);
+});
+
+test('protocols declare their medication and list fields', () => {
+    const protocol = compileProtocol({
+        id: 'migraine',
+        triggers: ['migraines?'],
+        extraction_fields: { migraine_treatments: ['treatments'], migraine_triggers: ['triggers'], migraine_frequency: [] },
+        fields: { migraine_treatments: { type: 'medication_list' }, migraine_triggers: { type: 'list' } }
+    });
+    assert.deepEqual(medicationFields([protocol]), ['current_medications', 'migraine_treatments']);
+    const lists = listFields([protocol]);
+    assert.ok(lists.has('migraine_treatments') && lists.has('migraine_triggers') && lists.has('symptoms'));
+    assert.ok(!lists.has('migraine_frequency'));
+    assert.deepEqual(medicationFields(loadProtocols()), ['current_medications', 'epilepsy_medications']);
+
+    // A declared list field gains items rather than conflicting
+    const first = mergeClinicalData({ fields: { migraine_triggers: 'bright light' }, lists });
+    const added = mergeClinicalData({ ...first, fields: { migraine_triggers: 'red wine' }, lists });
+    assert.equal(added.changes.migraine_triggers, 'addition');
+    assert.equal(added.clinicalData.migraine_triggers, 'bright light, red wine');
+
+    assert.throws(() => compileProtocol({ id: 'x', triggers: ['x'], extraction_fields: { x_meds: [] }, fields: { x_meds: { type: 'drugs' } } }), /needs a "type"/);
+    assert.throws(() => compileProtocol({ id: 'x', triggers: ['x'], fields: { x_meds: { type: 'list' } } }), /unknown extraction field/);
+});
+
+let fake;
+let server;
+
+before(async () => {
+    fake = await new FakeOpenAI().start();
+    server = await startServer(fake);
+});
+
+after(async () => {
+    await server?.stop();
+    await fake?.stop();
+});
+
+test('medications are stored as structured entries and unknown names are spelled by the caller', async () => {
+    fake.setExtraction((utterance) => (/Keppra/i.test(utterance)
+        ? {
+            current_medications: {
+                value: [
+                    { name: 'Keppra', dose: 500, unit: 'mg', frequency: 'twice a day', route: 'by mouth', adherence: null },
+                    { name: 'Zonnygram', dose: 100, unit: 'mg', frequency: 'at night', route: null, adherence: 'misses a dose about once a week' }
+                ],
+                quote: 'Keppra 500 milligrams twice a day and Zonnygram 100 at night',
+                confidence: 0.8
+            }
+        }
+        : {}));
+    const { twilio, realtime, conversationId } = await placeCall(server, fake);
+    try {
+        await realtime.waitForAssistantText(/Say 'Yes'/);
+        realtime.userSays('Yes. I take Keppra 500 milligrams twice a day and Zonnygram 100 at night, I miss a dose about once a week.');
+        await realtime.waitForAssistantText(/Could you spell Zonnygram for me, one letter at a time\?/);
+
+        realtime.userSays('Sure. Z-O-N-E-G-R-A-N.');
+        const { clinical_data: data, fields } = await eventually(async () => {
+            const d = await getJson(server, `/api/conversations/${conversationId}/clinical-data`);
+            return d.clinical_data.current_medications?.[1]?.spelled_by_caller && d;
+        }, { label: 'spelled medication' });
+
+        const [keppra, zonegran] = data.current_medications;
+        assert.deepEqual(
+            [keppra.generic, keppra.dose, keppra.unit, keppra.frequency, keppra.route],
+            ['levetiracetam', 500, 'mg', 'twice daily', 'oral']
+        );
+        assert.equal(zonegran.name, 'Zonegran');
+        assert.equal(zonegran.generic, 'zonisamide');
+        assert.equal(zonegran.recognized, true);
+        assert.equal(zonegran.adherence, 'misses a dose about once a week');
+        assert.deepEqual(fields.current_medications.history.map(v => v.reason), ['initial', 'spelling']);
+
+        const bundle = await getJson(server, `/api/conversations/${conversationId}/export/fhir`);
+        const statements = bundle.entry.map(e => e.resource).filter(r => r.resourceType === 'MedicationStatement');
+        assert.deepEqual(statements.map(r => r.medicationCodeableConcept.text), ['levetiracetam', 'zonisamide']);
+        assert.deepEqual(statements[0].dosage[0].doseAndRate[0].doseQuantity, { value: 500, unit: 'mg' });
+        assert.equal(statements[1].note[0].text, 'Adherence: misses a dose about once a week');
+    } finally {
+        await twilio.hangUp();
+        fake.setExtraction(() => ({}));
+    }
+});
+
+test('medications from the extraction API are stored as structured entries with readable text', async () => {
+    const res = await server.request('POST', '/webhook/voice', { form: { CallSid: 'CA_api_medications', From: '+15555550141' }, auth: null });
+    const conversationId = (await res.text()).match(/name="conversation_id" value="([^"]+)"/)[1];
+    fake.setSummary(() => JSON.stringify({
+        current_medications: [{ name: 'Keppra', dose: 500, unit: 'mg', frequency: 'twice daily' }],
+        allergies: 'penicillin'
+    }));
+    try {
+        const extracted = await server.request('POST', '/api/extract-clinical-data', {
+            body: { conversation_id: conversationId, text: 'I take Keppra 500 mg twice a day and I am allergic to penicillin' }
+        });
+        assert.equal(extracted.status, 200);
+    } finally {
+        fake.setSummary(() => "Here's a brief summary of what you've shared.");
+    }
+
+    const { conversation, clinical_extractions } = await getJson(server, `/api/conversations/${conversationId}/export`);
+    assert.equal(conversation.clinical_data.current_medications[0].generic, 'levetiracetam');
+    assert.equal(conversation.clinical_data.allergies, 'penicillin');
+    const row = clinical_extractions.find(r => r.field_name === 'current_medications');
+    assert.equal(row.field_value, 'Keppra (levetiracetam) 500 mg twice daily');
+    assert.equal(row.metadata.applied, true);
+});
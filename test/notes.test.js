@@ -0,0 +1,128 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadNoteTemplates, compileNoteTemplate, noteTemplateFor, buildNotePrompt, parseNoteSections, renderNote } from '../lib/notes.js';
+import { FakeOpenAI } from './harness/fake-openai.js';
+import { startServer, placeCall, getJson, eventually, TEST_API_KEYS } from './harness/server.js';
+
+test('templates load from note-templates/ and may extend one another', () => {
+    const templates = loadNoteTemplates();
+    const general = templates.find(t => t.id === 'general');
+    const epilepsy = templates.find(t => t.id === 'epilepsy');
+    assert.deepEqual(general.sections.map(s => s.id), ['hpi', 'ros', 'pmh', 'medications', 'allergies', 'social']);
+    assert.deepEqual(epilepsy.sections.map(s => s.id), ['hpi', 'epilepsy', 'ros', 'pmh', 'medications', 'allergies', 'social']);
+    assert.equal(epilepsy.instructions, general.instructions);
+
+    assert.equal(noteTemplateFor(templates, { metadata: { protocol: 'epilepsy' } }).id, 'epilepsy');
+    assert.equal(noteTemplateFor(templates, { metadata: { protocol: 'migraine' } }).id, 'general');
+    assert.equal(noteTemplateFor(templates, { metadata: {} }).id, 'general');
+});
+
+test('template definitions are validated', () => {
+    assert.throws(() => compileNoteTemplate({ id: 'x', sections: [] }, 'x.json'), /x\.json: "sections" must be a non-empty array/);
+    assert.throws(() => compileNoteTemplate({ id: 'x', sections: [{ id: 'hpi' }] }, 'x.json'), /sections\[0\] missing "title"/);
+    const base = compileNoteTemplate({ id: 'base', sections: [{ id: 'hpi', title: 'HPI' }] });
+    assert.throws(() => compileNoteTemplate({ id: 'x', extends: 'base', sections: [{ id: 'seizures', title: 'S', after: 'ros' }] }, 'x.json', base),
+        /placed after unknown section "ros"/);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'note-templates-'));
+    try {
+        fs.writeFileSync(path.join(dir, 'a.json'), JSON.stringify({ id: 'child', extends: 'missing', sections: [] }));
+        assert.throws(() => loadNoteTemplates(dir), /a\.json: extends unknown template "missing"/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('the prompt lists each section with its data, and the note renders in template order', () => {
+    const template = loadNoteTemplates().find(t => t.id === 'epilepsy');
+    const prompt = buildNotePrompt(template, {
+        clinicalData: {
+            chief_complaint: 'more frequent seizures',
+            seizure_type: 'staring spells with lip smacking',
+            epilepsy_medications: [{ name: 'levetiracetam', dose: '500 mg', frequency: 'twice daily' }],
+            occupation: 'teacher'
+        },
+        transcript: [{ role: 'user', content: 'My seizures are more frequent.' }],
+        appointment: { specialty: 'Neurology', date: '2026-03-10', provider: 'Dr. Lee' }
+    });
+    assert.match(prompt, /^PRE-VISIT NOTE \(Neurology pre-visit note \(epilepsy\)\)/);
+    assert.match(prompt, /The visit: Neurology with Dr\. Lee on 2026-03-10\./);
+    assert.match(prompt, /- "epilepsy" \(Epilepsy\): [^\n]*Semiology[\s\S]*- seizure_type: staring spells with lip smacking/);
+    assert.match(prompt, /- epilepsy_medications: levetiracetam 500 mg twice daily/);
+    assert.match(prompt, /OTHER EXTRACTED DATA:\n- occupation: teacher/);
+    assert.match(prompt, /TRANSCRIPT:\nPatient: My seizures are more frequent\./);
+
+    const sections = parseNoteSections(template, JSON.stringify({ hpi: 'Seizures are more frequent.', epilepsy: 'Semiology: staring spells.' }));
+    assert.equal(sections.find(s => s.id === 'allergies').text, 'Not reported.');
+    const note = renderNote(template, sections);
+    assert.ok(note.indexOf('History of Present Illness:\nSeizures are more frequent.') < note.indexOf('Epilepsy:\nSemiology: staring spells.'));
+    assert.throws(() => parseNoteSections(template, 'Here is the note'), /did not return JSON/);
+});
+
+let fake;
+let server;
+
+before(async () => {
+    fake = await new FakeOpenAI().start();
+    server = await startServer(fake);
+});
+
+after(async () => {
+    await server?.stop();
+    await fake?.stop();
+});
+
+test('pre-visit notes are generated on request, kept apart from the transcript and regenerated as new versions', async () => {
+    fake.setExtraction((utterance, prompt) => {
+        if (prompt.startsWith('PRE-VISIT NOTE')) {
+            return /"epilepsy"/.test(prompt)
+                ? { hpi: 'The patient reports more frequent seizures.', epilepsy: 'Semiology: staring spells. Frequency: twice a month.', allergies: 'No known allergies.' }
+                : { hpi: 'The patient reports more frequent seizures.' };
+        }
+        return /seizures/.test(utterance)
+            ? { seizure_type: { value: 'staring spells', quote: 'staring spells', confidence: 0.9 }, seizure_frequency: { value: 'twice a month', quote: 'twice a month', confidence: 0.9 } }
+            : {};
+    });
+    const { twilio, realtime, conversationId } = await placeCall(server, fake);
+    try {
+        await realtime.waitForAssistantText(/Say 'Yes'/);
+        realtime.userSays('Yes. I have seizures, staring spells, about twice a month.');
+        await eventually(async () => {
+            const c = (await getJson(server, `/api/conversations/${conversationId}/export`)).conversation;
+            return c.metadata.protocol === 'epilepsy' && c.clinical_data.seizure_frequency && c;
+        }, { label: 'epilepsy data' });
+    } finally {
+        await twilio.hangUp();
+    }
+
+    const summarize = (body, auth) => server.request('POST', `/api/conversations/${conversationId}/summary`, { body, auth });
+    assert.equal((await summarize({ mode: 'outline' })).status, 400);
+    assert.equal((await summarize({ mode: 'note', template: 'cardiology' })).status, 400);
+    const before = (await getJson(server, `/api/conversations/${conversationId}/export`)).conversation.summary;
+
+    const res = await summarize({ mode: 'note' }, TEST_API_KEYS.clinician);
+    assert.equal(res.status, 201);
+    const { note } = await res.json();
+    assert.equal(note.template_id, 'epilepsy');
+    assert.equal(note.prompt_version, 'previsit-note-v1');
+    assert.match(note.content, /History of Present Illness:\nThe patient reports more frequent seizures\.\n\nEpilepsy:\nSemiology: staring spells/);
+    assert.match(note.content, /Social History:\nNot reported\./);
+    const prompt = fake.chatRequests.map(r => r.messages[0].content).find(p => p.startsWith('PRE-VISIT NOTE'));
+    assert.match(prompt, /- seizure_frequency: twice a month/);
+    assert.match(prompt, /Patient: Yes\. I have seizures/);
+    assert.equal((await getJson(server, `/api/conversations/${conversationId}/export`)).conversation.summary, before, 'the transcript is untouched');
+
+    const again = await server.request('POST', `/api/conversations/${conversationId}/notes`, { body: { template: 'general' } });
+    assert.equal(again.status, 201);
+    const notes = await getJson(server, `/api/conversations/${conversationId}/notes`);
+    assert.equal(notes.note.template_id, 'general');
+    assert.deepEqual(notes.versions.map(n => n.template_id), ['general', 'epilepsy']);
+    assert.equal((await server.request('GET', `/api/conversations/${conversationId}/notes`, { auth: TEST_API_KEYS.research })).status, 403);
+
+    const { templates } = await getJson(server, '/api/note-templates');
+    assert.deepEqual(templates.map(t => [t.id, t.protocol, t.default]), [['general', null, true], ['epilepsy', 'epilepsy', false]]);
+    fake.setExtraction(() => ({}));
+});
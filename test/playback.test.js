@@ -0,0 +1,87 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { PlaybackTracker } from '../lib/playback.js';
+import { FakeOpenAI } from './harness/fake-openai.js';
+import { startServer, placeCall, getJson, eventually } from './harness/server.js';
+
+const audio = (ms) => Buffer.alloc(ms * 8, 0xff).toString('base64');
+
+test('a response is playing until Twilio sends its mark back', async () => {
+    const playback = new PlaybackTracker({ now: () => 0 });
+    playback.media(0);
+    playback.responseCreated('resp_1');
+    playback.audio('resp_1', 'item_1', audio(1000));
+    const line = playback.expectLine('resp_1');
+    assert.equal(playback.markFor('resp_1'), null, 'no mark until all its audio is sent');
+    playback.responseDone('resp_1');
+    assert.equal(playback.markFor('resp_1'), 'item_1');
+    line({ id: 'msg_1' });
+
+    // Played out by the clock, but not confirmed
+    playback.media(1500);
+    assert.equal(playback.remainingMs(), 0);
+    assert.ok(playback.playing);
+    const played = playback.markPlayed('item_1');
+    assert.equal(played.responseId, 'resp_1');
+    assert.deepEqual(await Promise.all(played.lines), [{ id: 'msg_1' }]);
+    assert.ok(!playback.playing);
+    assert.equal(playback.markPlayed('item_1'), null, 'each mark once');
+
+    // A response without audio gets no mark; one still playing when the call ends is cut off
+    playback.responseCreated('resp_2');
+    playback.responseDone('resp_2');
+    assert.equal(playback.markFor('resp_2'), null);
+    playback.audio('resp_3', 'item_3', audio(800));
+    playback.responseDone('resp_3');
+    playback.markFor('resp_3');
+    playback.media(1800);
+    assert.deepEqual(playback.stop().map(({ lines, ...r }) => r), [
+        { responseId: 'resp_3', itemId: 'item_3', heardMs: 300, sentMs: 800, done: true }
+    ]);
+    assert.ok(!playback.playing);
+});
+
+let fake;
+let server;
+
+before(async () => {
+    fake = await new FakeOpenAI().start();
+    server = await startServer(fake);
+});
+
+after(async () => {
+    await server?.stop();
+    await fake?.stop();
+});
+
+test('lines are marked as played when Twilio confirms them, and as cut off when the caller hangs up first', async () => {
+    const { twilio, realtime, conversationId } = await placeCall(server, fake);
+    const question = 'To start, can you tell me what symptoms led you to make this appointment?';
+    let spoken;
+    try {
+        await realtime.waitForAssistantText(/Say 'Yes'/);
+        realtime.userSays('Yes.');
+        await realtime.waitFor(e => e.type === 'session.update' && e.session.turn_detection?.create_response === true, { label: 'consent' });
+        // The greeting and the reply to the consent have played before marks are held
+        await twilio.waitFor(() => twilio.events('mark').length === 2, { label: 'consent reply mark' });
+
+        twilio.holdMarks = true;
+        spoken = realtime.assistantSays(question, { audioMs: 3000 });
+        const mark = await twilio.waitFor(m => m.event === 'mark' && m.mark.name === spoken.itemId, { label: 'mark' });
+        assert.equal(mark.streamSid, twilio.streamSid);
+    } finally {
+        await twilio.hangUp();
+    }
+
+    const messages = await eventually(async () => {
+        const d = await getJson(server, `/api/conversations/${conversationId}/export`);
+        return d.messages.some(m => m.metadata?.playback === 'call_ended') && d.messages;
+    }, { label: 'playback status' });
+    const greeting = messages.find(m => /Say 'Yes'/.test(m.content));
+    assert.equal(greeting.metadata.playback, 'complete');
+    assert.ok(greeting.metadata.played_at);
+    const unheard = messages.find(m => m.content === question);
+    assert.equal(unheard.metadata.playback, 'call_ended');
+    assert.equal(unheard.metadata.from, 'audio_transcript');
+    assert.equal(typeof unheard.metadata.heard_ms, 'number');
+});
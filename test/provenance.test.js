@@ -0,0 +1,112 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { unwrapEvidence, locateQuote, normalizeConfidence, buildExtractionRow } from '../lib/provenance.js';
+import { FakeOpenAI } from './harness/fake-openai.js';
+import { startServer, placeCall, getJson, eventually } from './harness/server.js';
+
+test('separates values from evidence and locates quotes in the utterance', () => {
+    const { values, evidence } = unwrapEvidence({
+        allergies: { value: 'penicillin', quote: 'allergic to Penicillin', confidence: 0.9 },
+        pain_level: '6'
+    });
+    assert.deepEqual(values, { allergies: 'penicillin', pain_level: '6' });
+    assert.deepEqual(evidence, { allergies: { quote: 'allergic to Penicillin', confidence: 0.9 } });
+
+    const utterance = "Well, I'm  allergic to penicillin and sulfa.";
+    assert.deepEqual(locateQuote(utterance, 'allergic to Penicillin'), { start: 11, end: 33, text: 'allergic to penicillin' });
+    assert.equal(locateQuote(utterance, 'allergic to latex'), null);
+    assert.equal(normalizeConfidence(1.7), 1);
+    assert.equal(normalizeConfidence('0.876'), 0.88);
+    assert.equal(normalizeConfidence(undefined), null);
+
+    const row = buildExtractionRow({
+        conversationId: 'c1',
+        message: { id: 'm1' },
+        utterance,
+        field: 'allergies',
+        value: ['penicillin', 'sulfa'],
+        evidence: { quote: 'allergic to latex', confidence: 0.4 },
+        applied: true
+    });
+    assert.equal(row.field_value, 'penicillin, sulfa');
+    assert.equal(row.source_message_id, 'm1');
+    assert.equal(row.source_quote, null);
+    assert.equal(row.metadata.unmatched_quote, 'allergic to latex');
+    assert.equal(row.prompt_version, 'live-extraction-v2');
+});
+
+let fake;
+let server;
+
+before(async () => {
+    fake = await new FakeOpenAI().start();
+    server = await startServer(fake);
+});
+
+after(async () => {
+    await server?.stop();
+    await fake?.stop();
+});
+
+test('live extractions are stored with their source message, quote and confidence', async () => {
+    fake.setExtraction((utterance) => (/penicillin/i.test(utterance)
+        ? { allergies: { value: 'penicillin', quote: 'allergic to penicillin', confidence: 0.93 } }
+        : {}));
+    const { twilio, realtime, conversationId } = await placeCall(server, fake);
+    try {
+        await realtime.waitForAssistantText(/Say 'Yes'/);
+        realtime.userSays("Yes. Oh, and I'm allergic to penicillin, it gives me hives.");
+
+        const annotated = await eventually(async () => {
+            const d = await getJson(server, `/api/conversations/${conversationId}/clinical-data`);
+            return d.fields?.allergies?.evidence?.length && d;
+        }, { label: 'annotated clinical data' });
+
+        assert.equal(annotated.clinical_data.allergies, 'penicillin');
+        const [evidence] = annotated.fields.allergies.evidence;
+        assert.equal(evidence.quote, 'allergic to penicillin');
+        assert.equal(evidence.confidence, 0.93);
+        assert.equal(evidence.model, 'gpt-4o-mini');
+        assert.equal(evidence.prompt_version, 'live-extraction-v2');
+        assert.equal(evidence.source, 'live_call');
+        assert.equal(evidence.message_text.slice(evidence.span.start, evidence.span.end), 'allergic to penicillin');
+
+        const { messages, clinical_extractions: rows } = await getJson(server, `/api/conversations/${conversationId}/export`);
+        const source = messages.find(m => m.id === evidence.message_id);
+        assert.equal(source.role, 'user');
+        assert.equal(rows[0].source_message_id, source.id);
+        assert.equal(rows[0].metadata.applied, true);
+    } finally {
+        await twilio.hangUp();
+        fake.setExtraction(() => ({}));
+    }
+});
+
+test('structured medication extractions are stored as readable text', async () => {
+    fake.setExtraction((utterance) => (/Keppra/.test(utterance)
+        ? { epilepsy_medications: { value: [{ name: 'Keppra', dose: 500, unit: 'mg', frequency: 'twice daily' }], quote: 'Keppra 500 mg twice a day', confidence: 0.9 } }
+        : {}));
+    const { twilio, realtime, conversationId } = await placeCall(server, fake);
+    try {
+        await realtime.waitForAssistantText(/Say 'Yes'/);
+        realtime.userSays('Yes. For my seizures I take Keppra 500 mg twice a day.');
+
+        const rows = await eventually(async () => {
+            const d = await getJson(server, `/api/conversations/${conversationId}/export`);
+            return d.clinical_extractions.some(r => r.field_name === 'epilepsy_medications') && d.clinical_extractions;
+        }, { label: 'medication extraction' });
+        const row = rows.find(r => r.field_name === 'epilepsy_medications');
+        assert.equal(row.field_value, 'Keppra (levetiracetam) 500 mg twice daily');
+        assert.equal(row.metadata.value[0].generic, 'levetiracetam');
+    } finally {
+        await twilio.hangUp();
+        fake.setExtraction(() => ({}));
+    }
+});
+
+test('the annotated clinical data route requires conversations:read', async () => {
+    const res = await server.request('GET', '/api/conversations/00000000-0000-4000-8000-000000000000/clinical-data', { auth: 'test-research-key' });
+    assert.equal(res.status, 403);
+    const missing = await server.request('GET', '/api/conversations/00000000-0000-4000-8000-000000000000/clinical-data');
+    assert.equal(missing.status, 404);
+});
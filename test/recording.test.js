@@ -0,0 +1,128 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CallRecording, RecordingStore } from '../lib/recording.js';
+import { FakeOpenAI } from './harness/fake-openai.js';
+import { startServer, placeCall, getJson, eventually, TEST_API_KEYS } from './harness/server.js';
+
+const frame = (byte, ms = 20) => Buffer.alloc(ms * 8, byte).toString('base64');
+const WAV_HEADER_BYTES = 58;
+
+test('both directions are laid out on the stream clock and each line gets its segment', async () => {
+    let clock = 0;
+    const recording = new CallRecording({ now: () => clock });
+    recording.inbound(frame(0x10), 0);
+    recording.inbound(frame(0x11), 500, { forwarded: true });
+
+    // Scripted lines are spoken by the next response
+    const greeting = recording.expectLine();
+    recording.responseCreated('resp_1');
+    clock = 100;
+    recording.outbound(frame(0x20, 200), 'resp_1');
+    clock = 120;
+    recording.outbound(frame(0x21, 200), 'resp_1'); // queued behind the first chunk
+    greeting({ id: 'msg_1' });
+    assert.deepEqual(await recording.responseDone('resp_1'), {
+        segment: { channel: 'assistant', offset_ms: 100, duration_ms: 400 },
+        messages: [{ id: 'msg_1' }]
+    });
+
+    recording.speechStarted('item_1', 40);
+    recording.speechStopped('item_1', 900);
+    assert.deepEqual(recording.callerSegment('item_1'), { channel: 'caller', offset_ms: 540, duration_ms: 860 });
+    assert.equal(recording.callerSegment('item_unknown'), null);
+
+    const wav = recording.toWav();
+    assert.equal(wav.toString('ascii', 0, 4), 'RIFF');
+    assert.equal(wav.readUInt16LE(20), 7, 'µ-law');
+    assert.equal(wav.readUInt16LE(22), 2, 'two channels');
+    assert.equal(wav.readUInt32LE(54), 520 * 8 * 2, 'as long as the longer channel');
+    const sample = (ms, channel) => wav[WAV_HEADER_BYTES + ms * 8 * 2 + channel];
+    assert.equal(sample(0, 0), 0x10);
+    assert.equal(sample(500, 0), 0x11);
+    assert.equal(sample(50, 1), 0xff, 'silence before the assistant speaks');
+    assert.equal(sample(150, 1), 0x20);
+    assert.equal(sample(350, 1), 0x21);
+});
+
+test('recordings older than the retention period are deleted', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+    try {
+        const store = new RecordingStore({ dir, retentionDays: 7 });
+        const recording = new CallRecording();
+        recording.inbound(frame(0x10), 0);
+        const info = await store.save('conv-old', recording, new Date());
+        assert.equal(info.duration_ms, 20);
+        await store.save('conv-new', recording);
+        const old = new Date(Date.now() - 8 * 24 * 60 * 60000);
+        fs.utimesSync(path.join(dir, 'conv-old.wav'), old, old);
+
+        assert.equal(await store.sweep(), 1);
+        assert.deepEqual(fs.readdirSync(dir), ['conv-new.wav']);
+        assert.equal(await store.open('conv-old'), null);
+        assert.equal(await store.open('../secrets'), null);
+        assert.equal(await new RecordingStore({ dir, retentionDays: 0 }).sweep(new Date(Date.now() + 1e12)), 0, 'kept indefinitely');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+let fake;
+let server;
+let dir;
+
+before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+    fake = await new FakeOpenAI().start();
+    server = await startServer(fake, { CALL_RECORDING: 'on', RECORDINGS_DIR: dir });
+});
+
+after(async () => {
+    await server?.stop();
+    await fake?.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a recorded call can be retrieved, with each message pointing at its audio', async () => {
+    const { twilio, realtime, conversationId } = await placeCall(server, fake);
+    await realtime.waitForAssistantText(/Say 'Yes'/);
+    for (let i = 0; i < 50; i++) twilio.media(frame(0x10), 1000 + i * 20);
+    await realtime.waitFor(() => realtime.events('input_audio_buffer.append').length === 50, { label: 'caller audio' });
+    realtime.userSays('Yes.');
+    realtime.assistantSays('To start, can you tell me what symptoms led you to make this appointment?');
+
+    const { messages } = await eventually(async () => {
+        const d = await getJson(server, `/api/conversations/${conversationId}/export`);
+        return d.messages.filter(m => m.audio_data).length >= 3 && d;
+    }, { label: 'messages linked to audio' });
+    const audio = (m) => JSON.parse(m.audio_data);
+    const consent = messages.find(m => m.role === 'user');
+    assert.deepEqual(audio(consent), { recording: `/api/conversations/${conversationId}/recording`, channel: 'caller', offset_ms: 1000, duration_ms: 1000 });
+    const greeting = messages.find(m => m.role === 'assistant' && /Say 'Yes'/.test(m.content));
+    assert.equal(audio(greeting).channel, 'assistant');
+    assert.equal(audio(greeting).duration_ms, 20);
+    const question = messages.find(m => m.metadata?.from === 'audio_transcript');
+    assert.ok(audio(question).offset_ms >= audio(greeting).offset_ms + 20);
+
+    await twilio.hangUp();
+    const conversation = await eventually(async () => {
+        const c = (await getJson(server, `/api/conversations/${conversationId}/export`)).conversation;
+        return c.metadata.recording && c;
+    }, { label: 'recording saved' });
+    assert.deepEqual(conversation.metadata.recording.channels, ['caller', 'assistant']);
+    assert.ok(conversation.metadata.recording.expires_at > conversation.metadata.recording.recorded_at);
+
+    assert.equal((await server.request('GET', `/api/conversations/${conversationId}/recording`, { auth: TEST_API_KEYS.research })).status, 403);
+    const res = await server.request('GET', `/api/conversations/${conversationId}/recording`, { auth: TEST_API_KEYS.clinician });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'audio/wav');
+    const wav = Buffer.from(await res.arrayBuffer());
+    assert.equal(wav.toString('ascii', 8, 12), 'WAVE');
+    assert.equal(wav[WAV_HEADER_BYTES + 1500 * 8 * 2], 0x10, 'caller audio at its stream time');
+
+    const deid = await getJson(server, `/api/conversations/${conversationId}/export?deidentify=true`);
+    assert.equal(deid.conversation.metadata.recording, undefined);
+    assert.ok(deid.messages.every(m => m.audio_data === null));
+});
@@ -0,0 +1,101 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadRedFlags, detectRedFlag, compileRedFlags } from '../lib/red-flags.js';
+import { FakeOpenAI } from './harness/fake-openai.js';
+import { FakeTwilioApi } from './harness/fake-twilio.js';
+import { startServer, placeCall, getJson, eventually } from './harness/server.js';
+
+const RED_FLAGS = loadRedFlags();
+const ruleFor = (text) => detectRedFlag(RED_FLAGS, text)?.rule.id || null;
+
+test('detects emergencies and ignores negated or routine mentions', () => {
+    assert.equal(ruleFor('My husband is having a seizure right now'), 'ongoing_seizure');
+    assert.equal(ruleFor('Last week my seizure lasted more than ten minutes'), 'prolonged_seizure');
+    assert.equal(ruleFor("I've had this crushing pain in my chest since this morning"), 'chest_pain');
+    assert.equal(ruleFor("Honestly, sometimes I think I'd be better off dead"), 'suicidal_ideation');
+    assert.equal(ruleFor('My face is drooping on one side'), 'stroke_symptoms');
+
+    assert.equal(ruleFor('I have no chest pain'), null);
+    assert.equal(ruleFor("I'm not suicidal"), null);
+    assert.equal(ruleFor('I have seizures about twice a month'), null);
+    // A negation in an earlier clause does not hide a later mention
+    assert.equal(ruleFor("I don't smoke, but my chest hurts"), 'chest_pain');
+    // Already-handled rules can be excluded
+    assert.equal(detectRedFlag(RED_FLAGS, 'chest pain', { exclude: ['chest_pain'] }), null);
+});
+
+test('rejects malformed rule sets', () => {
+    assert.throws(() => compileRedFlags({ rules: [{ id: 'x', patterns: [] }] }), /patterns/);
+    assert.throws(() => compileRedFlags({ rules: [{ id: 'x', patterns: ['a'], guidance: 'g', severity: 'mild' }] }), /severity/);
+});
+
+let fake;
+let twilioApi;
+let server;
+
+before(async () => {
+    fake = await new FakeOpenAI().start();
+    twilioApi = await new FakeTwilioApi().start();
+    server = await startServer(fake, {
+        TWILIO_ACCOUNT_SID: 'ACtest00000000000000000000000000',
+        TWILIO_AUTH_TOKEN: 'test-auth-token',
+        TWILIO_PHONE_NUMBER: '+15555550199',
+        TWILIO_API_BASE_URL: twilioApi.baseUrl,
+        PUBLIC_BASE_URL: 'https://avatar.example.test',
+        ON_CALL_NUMBER: '+15555550911',
+        RED_FLAG_TRANSFER_DELAY_MS: '200'
+    });
+});
+
+after(async () => {
+    await server?.stop();
+    await twilioApi?.stop();
+    await fake?.stop();
+});
+
+test('a red flag gives safety guidance, flags the conversation and warm-transfers the call', async () => {
+    const callSid = 'CA_redflag';
+    const { twilio, realtime, conversationId } = await placeCall(server, fake, { callSid });
+    try {
+        await realtime.waitForAssistantText(/Say 'Yes'/);
+        realtime.userSays('My wife is having a seizure right now and I do not know what to do');
+        await realtime.waitForAssistantText(/turn them onto their side[\s\S]*connecting you to our on-call clinician/);
+
+        const update = await twilioApi.waitForUpdate(callSid);
+        assert.match(update.params.Twiml, /<Dial timeout="30" callerId="\+15555550199">/);
+        assert.match(update.params.Twiml, /<Number url="https:\/\/avatar\.example\.test\/webhook\/transfer-whisper\?conversation_id=[^"]+">\+15555550911<\/Number>/);
+
+        const { conversations } = await eventually(async () => {
+            const d = await getJson(server, '/api/conversations/urgent');
+            return d.conversations.some(c => c.id === conversationId && c.transfer?.status === 'initiated') && d;
+        }, { label: 'urgent review flag' });
+        const flagged = conversations.find(c => c.id === conversationId);
+        assert.equal(flagged.red_flags[0].rule, 'ongoing_seizure');
+        assert.equal(flagged.red_flags[0].transfer, 'scheduled');
+
+        const { messages } = await getJson(server, `/api/conversations/${conversationId}/export`);
+        assert.ok(messages.some(m => m.role === 'assistant' && m.metadata?.red_flag === 'ongoing_seizure'));
+
+        const whisper = await server.request('POST', `/webhook/transfer-whisper?conversation_id=${conversationId}`, { form: { CallSid: 'CA_oncall_leg' }, auth: null });
+        assert.match(await whisper.text(), /<Say>Urgent transfer .* reported Seizure in progress\./);
+    } finally {
+        await twilio.hangUp();
+    }
+});
+
+test('the same red flag is not handled twice on one call', async () => {
+    const { twilio, realtime, conversationId } = await placeCall(server, fake);
+    try {
+        await realtime.waitForAssistantText(/Say 'Yes'/);
+        realtime.userSays("I'm allergic to nothing, but I've had chest pain all day");
+        await realtime.waitForAssistantText(/Chest pain can be a sign of a serious problem/);
+        realtime.userSays('The chest pain is still there');
+        await new Promise(r => setTimeout(r, 300));
+        const guidance = realtime.injectedAssistantText().filter(t => /Chest pain can be a sign/.test(t));
+        assert.equal(guidance.length, 1);
+        const { conversation } = await getJson(server, `/api/conversations/${conversationId}/export`);
+        assert.equal(conversation.metadata.red_flags.length, 1);
+    } finally {
+        await twilio.hangUp();
+    }
+});
@@ -0,0 +1,140 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { findResumableConversation } from '../lib/resume.js';
+import { MemoryStorage } from '../lib/storage/memory.js';
+import { FakeOpenAI } from './harness/fake-openai.js';
+import { startServer, placeCall, getJson, eventually } from './harness/server.js';
+
+const HOUR = 60 * 60000;
+
+test('offers only the caller\'s latest conversation, when it was interrupted recently with data', async () => {
+    const storage = new MemoryStorage();
+    const find = (phone, opts = {}) => findResumableConversation(storage, phone, { windowMs: HOUR, ...opts });
+    const ago = (ms) => new Date(Date.now() - ms).toISOString();
+    const withData = { clinical_data: { medical_history: 'asthma' } };
+
+    const dropped = await storage.createConversation({ call_sid: 'CA_1', phone_number: '+15555550001', started_at: ago(10 * 60000), status: 'completed', end_reason: 'caller_hangup', ...withData });
+    assert.equal((await find('+15555550001'))?.id, dropped.id);
+    assert.equal(await find('+15555550001', { isLive: (id) => id === dropped.id }), null);
+    assert.equal(await find('+15555550001', { windowMs: 0 }), null);
+
+    await storage.createConversation({ call_sid: 'CA_2', phone_number: '+15555550002', started_at: ago(2 * HOUR), status: 'failed', end_reason: 'stream_error', ...withData });
+    await storage.createConversation({ call_sid: 'CA_3', phone_number: '+15555550003', started_at: ago(60000), status: 'completed', end_reason: 'intake_complete', ...withData });
+    await storage.createConversation({ call_sid: 'CA_4', phone_number: '+15555550004', started_at: ago(60000), status: 'completed', end_reason: 'caller_hangup' });
+    await storage.createConversation({ call_sid: 'CA_5', phone_number: 'anonymous', started_at: ago(60000), status: 'completed', end_reason: 'caller_hangup', ...withData });
+    assert.equal(await find('+15555550002'), null, 'outside the window');
+    assert.equal(await find('+15555550003'), null, 'intake finished');
+    assert.equal(await find('+15555550004'), null, 'nothing collected');
+    assert.equal(await find('anonymous'), null, 'withheld caller ID');
+
+    // A later call supersedes the dropped one, whether or not it finished
+    await storage.createConversation({ call_sid: 'CA_6', phone_number: '+15555550001', started_at: ago(60000), status: 'completed', end_reason: 'intake_complete' });
+    assert.equal(await find('+15555550001'), null);
+});
+
+let fake;
+let server;
+
+before(async () => {
+    fake = await new FakeOpenAI().start();
+    server = await startServer(fake, { RESUME_WINDOW_MINUTES: '60' });
+});
+
+after(async () => {
+    await server?.stop();
+    await fake?.stop();
+});
+
+const conversationRow = async (conversationId) => (await getJson(server, `/api/conversations/${conversationId}/export`)).conversation;
+
+// First call: consent, some history, then the line drops
+const droppedCall = async (from) => {
+    fake.setExtraction((utterance) => (/asthma/.test(utterance)
+        ? { medical_history: { value: 'asthma', quote: 'I have asthma', confidence: 0.9 } }
+        : {}));
+    const { twilio, realtime, conversationId } = await placeCall(server, fake, { from });
+    try {
+        await realtime.waitForAssistantText(/Say 'Yes' when you are ready/);
+        realtime.userSays("Yes, I'm ready.");
+        realtime.userSays('I have asthma and seizures.');
+        await realtime.waitForAssistantText(/^I understand you've mentioned epilepsy/);
+        await eventually(async () => (await conversationRow(conversationId)).clinical_data.medical_history, { label: 'medical history' });
+    } finally {
+        await twilio.hangUp();
+        fake.setExtraction(() => ({}));
+    }
+    await eventually(async () => (await conversationRow(conversationId)).status !== 'active', { label: 'first call ended' });
+    return conversationId;
+};
+
+test('a caller whose call dropped can continue the same intake on the next call', async () => {
+    const from = '+15555550142';
+    const firstId = await droppedCall(from);
+
+    const { twilio, realtime, conversationId } = await placeCall(server, fake, { from });
+    try {
+        await realtime.waitForAssistantText(/^Welcome back.*Say 'Yes' to continue, or 'No' to start over/);
+        realtime.userSays("Yes, let's continue.");
+        const resumed = (await realtime.waitForAssistantText(/^Great, let's pick up where we left off/)).item.content[0].text;
+        assert.doesNotMatch(resumed, /past medical history/);
+        assert.match(resumed, /medications or supplements you currently take/);
+        assert.match(resumed, /your seizure history/);
+
+        // The epilepsy protocol carries on rather than starting again
+        realtime.userSays('My seizures happen about once a month.');
+        await eventually(async () => (await getJson(server, `/api/conversations/${conversationId}/export`))
+            .messages.some(m => m.content === 'My seizures happen about once a month.'), { label: 'utterance saved' });
+        await new Promise(r => setTimeout(r, 300));
+        assert.ok(!realtime.injectedAssistantText().some(t => /^I understand you've mentioned epilepsy/.test(t)));
+
+        const data = await getJson(server, `/api/conversations/${conversationId}/clinical-data`);
+        assert.equal(data.clinical_data.medical_history, 'asthma');
+
+        const exported = await getJson(server, `/api/conversations/${conversationId}/export`);
+        assert.equal(exported.conversation.metadata.resumed_from, firstId);
+        assert.equal(exported.conversation.metadata.protocol, 'epilepsy');
+        assert.deepEqual(exported.linked_conversations.map(c => c.id), [firstId, conversationId]);
+        assert.equal(exported.linked_conversations[0].end_reason, 'caller_hangup');
+        const said = exported.messages.filter(m => m.role === 'user').map(m => m.content);
+        assert.ok(said.includes('I have asthma and seizures.'));
+        assert.ok(said.includes("Yes, let's continue."));
+
+        // Exporting the earlier call shows the same intake
+        const earlier = await getJson(server, `/api/conversations/${firstId}/export`);
+        assert.equal(earlier.conversation.metadata.resumed_by, conversationId);
+        assert.deepEqual(earlier.linked_conversations.map(c => c.id), [firstId, conversationId]);
+        assert.deepEqual(earlier.conversation.clinical_data, exported.conversation.clinical_data);
+    } finally {
+        await twilio.hangUp();
+    }
+});
+
+test('a caller who declines starts a fresh intake', async () => {
+    const from = '+15555550143';
+    const firstId = await droppedCall(from);
+
+    const { twilio, realtime, conversationId } = await placeCall(server, fake, { from });
+    try {
+        await realtime.waitForAssistantText(/^Welcome back/);
+        realtime.userSays('No, I want to start over.');
+        await realtime.waitForAssistantText(/^No problem, we'll start over from the beginning/);
+        const row = await eventually(async () => {
+            const c = await conversationRow(conversationId);
+            return c.metadata.resume_offer?.outcome && c;
+        }, { label: 'resume outcome' });
+        assert.deepEqual(row.metadata.resume_offer, { conversation_id: firstId, outcome: 'declined' });
+        assert.equal(row.metadata.resumed_from, undefined);
+        assert.deepEqual(row.clinical_data, {});
+        assert.equal((await conversationRow(firstId)).metadata.resumed_by, undefined);
+    } finally {
+        await twilio.hangUp();
+    }
+
+    // The declined call is not offered again
+    const next = await placeCall(server, fake, { from });
+    try {
+        await next.realtime.waitForAssistantText(/Say 'Yes' when you are ready/);
+    } finally {
+        await next.twilio.hangUp();
+    }
+});
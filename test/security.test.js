@@ -0,0 +1,113 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import twilio from 'twilio';
+import { FakeOpenAI } from './harness/fake-openai.js';
+import { TwilioStreamClient } from './harness/twilio-client.js';
+import { StreamTokens } from '../lib/twilio-auth.js';
+import { startServer, placeCall } from './harness/server.js';
+
+const AUTH_TOKEN = 'test-auth-token';
+const PUBLIC_BASE_URL = 'https://avatar.example.test';
+
+let fake;
+let server;
+
+before(async () => {
+    fake = await new FakeOpenAI().start();
+    server = await startServer(fake, {
+        TWILIO_VALIDATION_MODE: 'strict',
+        TWILIO_AUTH_TOKEN: AUTH_TOKEN,
+        PUBLIC_BASE_URL
+    });
+});
+
+after(async () => {
+    await server?.stop();
+    await fake?.stop();
+});
+
+const signedHeaders = (path, params) => ({
+    'x-twilio-signature': twilio.getExpectedTwilioSignature(AUTH_TOKEN, `${PUBLIC_BASE_URL}${path}`, params)
+});
+
+const tokenFrom = (twiml) => twiml.match(/<Parameter name="stream_token" value="([^"]+)"/)?.[1];
+
+test('strict mode rejects unsigned and badly signed webhooks', async () => {
+    const form = { CallSid: 'CA_unsigned', From: '+15555550100' };
+    const unsigned = await server.request('POST', '/webhook/voice', { form });
+    assert.equal(unsigned.status, 403);
+
+    const forged = await server.request('POST', '/webhook/voice', {
+        form,
+        headers: signedHeaders('/webhook/voice', { ...form, From: '+15555550111' })
+    });
+    assert.equal(forged.status, 403);
+});
+
+test('strict mode accepts a correctly signed webhook and issues a stream token', async () => {
+    const form = { CallSid: 'CA_signed', From: '+15555550100' };
+    const res = await server.request('POST', '/webhook/voice', { form, headers: signedHeaders('/webhook/voice', form) });
+    assert.equal(res.status, 200);
+    const twiml = await res.text();
+    assert.ok(tokenFrom(twiml), 'TwiML carries a stream_token parameter');
+});
+
+test('media stream without a valid token is closed before OpenAI is contacted', async () => {
+    const sessionsBefore = fake.sessions.length;
+    for (const customParameters of [{}, { conversation_id: 'abc', stream_token: 'e30.forged' }]) {
+        const client = new TwilioStreamClient(`${server.wsUrl}/coral-stream`);
+        await client.connect();
+        client.start({ customParameters });
+        client.media();
+        const { code } = await client.closed;
+        assert.equal(code, 1008);
+    }
+    assert.equal(fake.sessions.length, sessionsBefore, 'no realtime session was opened');
+});
+
+test('a stream token with a malformed signature is rejected, not thrown on', () => {
+    const tokens = new StreamTokens({ secret: 'test-stream-secret' });
+    const token = tokens.issue({ conversationId: 'conv-1', callSid: 'CA_1' });
+    const [payload, sig] = token.split('.');
+    // Same length in characters, longer in bytes
+    const forged = `${payload}.${'é'.repeat(sig.length)}`;
+    assert.deepEqual(tokens.verify(forged, { callSid: 'CA_1' }), { ok: false, reason: 'bad signature' });
+    assert.equal(tokens.verify(token, { callSid: 'CA_1' }).ok, true);
+});
+
+test('stream tokens are bound to the call and cannot be replayed', async () => {
+    const callSid = 'CA_replay';
+    const form = { CallSid: callSid, From: '+15555550100' };
+    const res = await server.request('POST', '/webhook/voice', { form, headers: signedHeaders('/webhook/voice', form) });
+    const token = tokenFrom(await res.text());
+
+    // Wrong CallSid on the start event
+    const mismatched = new TwilioStreamClient(`${server.wsUrl}/coral-stream`);
+    await mismatched.connect();
+    mismatched.start({ callSid: 'CA_other', customParameters: { stream_token: token } });
+    assert.equal((await mismatched.closed).code, 1008);
+
+    // First valid use opens a session; a second use of the same token is refused
+    const sessionPromise = fake.nextSession();
+    const first = new TwilioStreamClient(`${server.wsUrl}/coral-stream`);
+    await first.connect();
+    first.start({ callSid, customParameters: { stream_token: token } });
+    await sessionPromise;
+
+    const replay = new TwilioStreamClient(`${server.wsUrl}/coral-stream`);
+    await replay.connect();
+    replay.start({ callSid, customParameters: { stream_token: token } });
+    assert.equal((await replay.closed).code, 1008);
+    await first.hangUp();
+});
+
+test('a signed call flows through to the realtime session', async () => {
+    const callSid = 'CA_flow';
+    const form = { CallSid: callSid, From: '+15555550100', To: '+15555550199' };
+    const { twilio: client, realtime } = await placeCall(server, fake, { callSid, form: {}, headers: signedHeaders('/webhook/voice', form) });
+    try {
+        await realtime.waitFor(e => e.type === 'session.update');
+    } finally {
+        await client.hangUp();
+    }
+});